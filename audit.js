@@ -0,0 +1,193 @@
+// === FILE: audit.js ===
+const EventEmitter = require('events');
+const express = require('express');
+const {get, all, run} = require('./database');
+const {inputValidationAuditQuery, defaultPageLimit} = require('./lib');
+const {validationError, asyncHandler} = require('./problems');
+const {enqueueBookEvent} = require('./webhooks');
+const router = express.Router();
+
+// The fields of a book the audit log follows, in the order its entries list them
+const auditedFields = ['title', 'author', 'author_ids', 'price', 'genre', 'genre_id', 'in_stock', 'isbn', 'deleted_at'];
+
+// Emits 'recorded' once the response of a request that recorded changes is sent, i.e. once its changes are committed
+const bookChanges = new EventEmitter();
+bookChanges.setMaxListeners(0);
+
+// Selects the entries of the audit log in the shape returned by the API
+const entriesStatement = `
+  SELECT id, book_id AS bookId, action, changes, api_key_id AS apiKeyId, actor, request_id AS requestId, created_at AS createdAt
+  FROM audit_log`;
+
+/**
+ * Reads the audited fields of a book, whether it is live or in the trash
+ *
+ * @param {number|string} id - the id of the book
+ * @returns {Promise<Object|null>} - The snapshot, or null when the book does not exist
+ * - {Array<number>} author_ids - the IDs of the authors of the book, in order
+ */
+async function readBookSnapshot(id) {
+  const sqlStatement = `
+    SELECT title, author, price, genre, genre_id, in_stock, isbn, deleted_at, (
+      SELECT json_group_array(author_id) FROM (SELECT author_id FROM book_authors WHERE book_id = books.id ORDER BY position)
+    ) AS author_ids
+    FROM books WHERE id = ?`;
+  const row = await get(sqlStatement, [id]);
+  return row ? {...row, author_ids: JSON.parse(row.author_ids)} : null;
+}
+
+/**
+ * Lists the audited fields that differ between two snapshots of a book
+ *
+ * @param {Object|null} before - the snapshot before the change, or null for a new book
+ * @param {Object|null} after - the snapshot after the change, or null for a purged book
+ * @returns {Object} - The {before, after} value of each changed field, by field
+ */
+function diffSnapshots(before, after) {
+  const changes = {};
+  auditedFields.forEach(field => {
+    const from = before ? before[field] : null;
+    const to = after ? after[field] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = {before: from, after: to};
+    }
+  });
+  return changes;
+}
+
+/**
+ * Emits 'recorded' on 'bookChanges' once the response of a request is sent; the changes recorded by a request
+ *  that fails are rolled back with it, so a listener only finds what the request committed
+ *
+ * @param {Object} req - the request that recorded changes
+ */
+function announceAfterResponse(req) {
+  if (!req?.res || req.bookChangesAnnounced) {
+    return;
+  }
+  req.bookChangesAnnounced = true;
+  req.res.once('finish', () => bookChanges.emit('recorded'));
+}
+
+/**
+ * Records a change a request made to a book in the audit log, from the snapshot read before it; the snapshot after
+ *  it is read here
+ * A change that leaves every audited field as it was is not recorded; a recorded change is also queued for the webhook
+ *  subscriptions of its event, and announced on 'bookChanges'
+ * Run it in the transaction of the change, so that the change, its entry and its deliveries are committed together
+ * A change the API makes on its own, such as the scheduled purge of the trash, has no request: it is recorded without
+ *  an actor, and its caller announces it on 'bookChanges' once it is committed
+ *
+ * @param {Object|null} req - the request that made the change, whose API key is the actor; null for a change the API makes on its own
+ * @param {string} action - one of 'auditActions'
+ * @param {number|string} id - the id of the book
+ * @param {Object|null} before - the snapshot of the book before the change, from readBookSnapshot
+ * @returns {Promise<void>}
+ */
+async function recordBookChange(req, action, id, before) {
+  const changes = diffSnapshots(before, await readBookSnapshot(id));
+  if (Object.keys(changes).length === 0) {
+    return;
+  }
+  const insertStatement = 'INSERT INTO audit_log (book_id, action, changes, api_key_id, actor, request_id) VALUES (?, ?, ?, ?, ?, ?)';
+  await run(insertStatement, [id, action, JSON.stringify(changes), req?.apiKey?.id ?? null, req?.apiKey?.name ?? null, req?.id ?? null]);
+  announceAfterResponse(req);
+  await enqueueBookEvent(req, action, id, changes);
+}
+
+/**
+ * Runs a change to several books at once and records it for each of them, e.g. the renaming of an author they credit
+ * Run it in the transaction of the change, as recordBookChange
+ *
+ * @param {Object|null} req - the request that made the change; see recordBookChange
+ * @param {string} action - one of 'auditActions'
+ * @param {Array<number>} ids - the ids of the books the change may touch
+ * @param {Function} change - the async function that makes the change
+ * @returns {Promise<void>}
+ */
+async function recordBookChanges(req, action, ids, change) {
+  const before = [];
+  for (const id of ids) {
+    before.push(await readBookSnapshot(id));
+  }
+  await change();
+  for (const [index, id] of ids.entries()) {
+    await recordBookChange(req, action, id, before[index]);
+  }
+}
+
+/**
+ * Turns the rows of the audit log into entries, parsing their changes
+ *
+ * @param {Array<Object>} rows - the rows, selected with 'entriesStatement'
+ * @returns {Array<Object>} - The entries
+ */
+function formatEntries(rows) {
+  return rows.map(row => ({...row, changes: JSON.parse(row.changes)}));
+}
+
+/**
+ * GET /audit
+ * Get a page of the audit log of the books, newest first, optionally filtered
+ *
+ * @query {number} bookId - only return the changes to the book with this ID
+ * @query {string} action - only return the changes of this kind: insert, update, delete, restore, purge or revert
+ * @query {number} apiKeyId - only return the changes made with the API key with this ID
+ * @query {string} requestId - only return the changes made by the request with this ID
+ * @query {string} since - only return the changes made at or after this UTC date or date and time
+ * @query {string} until - only return the changes made at or before this UTC date and time, or during or before this UTC date
+ * @query {number} limit - the page size, between 1 and 1000 (default: 100)
+ * @query {number} offset - the number of entries to skip
+ *
+ * @response 200 - OK, returns the requested page of entries
+ * @header X-Total-Count - the number of entries matching the filters, across all pages
+ * @returns {Array<Object>} An array of audit log entries
+ * - {number} id - the unique identifier for each entry, which names the revision of the book it produced
+ * - {number} bookId - the id of the book
+ * - {string} action - one of 'insert', 'update', 'delete', 'restore', 'purge', or 'revert'
+ * - {Object} changes - the {before, after} value of each changed field, by field
+ * - {number} apiKeyId - the id of the API key that made the change
+ * - {string} actor - the name of that API key
+ * - {string} requestId - the ID of the request that made the change
+ * - {string} createdAt - when the change was made, in UTC
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.get('/', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const inputErrors = inputValidationAuditQuery(req.query);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure the DB queries and execute; a date alone as 'until' includes the whole of that day
+  const conditions = {
+    bookId: 'book_id = ?', action: 'action = ?', apiKeyId: 'api_key_id = ?', requestId: 'request_id = ?',
+    since: 'created_at >= datetime(?)', until: /^\d{4}-\d{2}-\d{2}$/.test(req.query.until) ? `created_at < datetime(?, '+1 day')` : 'created_at <= datetime(?)'
+  };
+  const filters = Object.keys(conditions).filter(field => field in req.query);
+  const filterClause = filters.length > 0 ? ` WHERE ${filters.map(field => conditions[field]).join(' AND ')}` : '';
+  const params = filters.map(field => req.query[field]);
+  const limit = 'limit' in req.query ? Number(req.query.limit) : defaultPageLimit;
+  const offset = Number(req.query.offset ?? 0);
+  const count = await get(`SELECT COUNT(*) AS total FROM audit_log${filterClause}`, params);
+  const rows = await all(`${entriesStatement}${filterClause} ORDER BY id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+  res.set('X-Total-Count', String(count.total));
+  return res.json(formatEntries(rows));
+}));
+
+module.exports = {
+  router,
+  bookChanges,
+  entriesStatement,
+  readBookSnapshot,
+  recordBookChange,
+  recordBookChanges,
+  formatEntries
+};
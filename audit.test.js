@@ -0,0 +1,198 @@
+// === FILE: audit.test.js ===
+/**
+ * @file audit.test.js
+ * @description The test suite for the audit log of the books of the Bookstore API
+ *
+ * Endpoints covered:
+ * - GET /audit
+ * - GET /books/:id/history
+ * - POST /books/:id/revert
+ * - PUT /authors/:id and PUT /genres/:id, for the books they touch
+ */
+const request = require('supertest');
+const app = require('./index');
+const {getDb, initializeDb} = require('./database');
+const {createApiKey} = require('./auth');
+
+let db;
+
+// The API keys that make the changes, with the headers that authenticate them
+let admin;
+let editor;
+
+/**
+ * Creates an API key with the given role in the current DB
+ *
+ * @param {string} name - the name of the key, recorded as the actor of its changes
+ * @param {string} role - the role the key grants
+ * @returns {Promise<Object>} - The id of the key, and the headers that authenticate requests with it
+ */
+function apiKey(name, role) {
+  return createApiKey(name, role).then(created => ({id: created.id, headers: {Authorization: `Bearer ${created.key}`}}));
+}
+
+describe('Bookstore API - Audit log', () => {
+
+  // Executes before any test; connects to a fresh in-memory DB
+  beforeAll(async () => {
+    await initializeDb();
+    db = getDb();
+    admin = await apiKey('Admin', 'admin');
+    editor = await apiKey('Editor', 'editor');
+  });
+
+  // Closes the DB connection after all tests execute
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('GET /books/:id/history - Records who changed which fields, when and in which request', async () => {
+    const created = await request(app).post('/books').set(editor.headers).send({title: 'Title 1', author: 'Author 1', price: 10});
+    const id = created.body.id;
+    const repriced = await request(app).patch(`/books/${id}`).set(editor.headers).send({price: 12});
+    await request(app).put(`/books/${id}`).set(editor.headers).send({title: 'Title 1', author: 'Author 1', price: 12});
+    await request(app).post(`/books/${id}/stock`).set(editor.headers).send({reason: 'received', quantity: 4});
+    await request(app).delete(`/books/${id}`).set(admin.headers);
+
+    const res = await request(app).get(`/books/${id}/history`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['x-total-count']).toBe('4');
+    expect(res.body.map(entry => entry.action)).toStrictEqual(['delete', 'update', 'update', 'insert']);
+    expect(res.body[2]).toStrictEqual({
+      id: expect.any(Number), bookId: id, action: 'update', changes: {price: {before: 10, after: 12}},
+      apiKeyId: editor.id, actor: 'Editor', requestId: repriced.headers['x-request-id'], createdAt: expect.any(String)
+    });
+    expect(res.body[1].changes).toStrictEqual({in_stock: {before: 0, after: 4}});
+    expect(res.body[0]).toMatchObject({apiKeyId: admin.id, actor: 'Admin', changes: {deleted_at: {before: null, after: expect.any(String)}}});
+    expect(res.body[3].changes).toMatchObject({
+      title: {before: null, after: 'Title 1'}, author: {before: null, after: 'Author 1'}, author_ids: {before: null, after: [expect.any(Number)]},
+      price: {before: null, after: 10}, in_stock: {before: null, after: 0}
+    });
+  });
+
+  test('GET /books/:id/history - A purged book keeps its history; an unknown book is not found', async () => {
+    const created = await request(app).post('/books').set(admin.headers).send({title: 'Title 2', author: 'Author 2'});
+    await request(app).delete(`/books/${created.body.id}`).set(admin.headers);
+    await request(app).post(`/books/${created.body.id}/restore`).set(admin.headers);
+    await request(app).delete(`/books/${created.body.id}`).set(admin.headers);
+    await request(app).delete(`/books/trash/${created.body.id}`).set(admin.headers);
+
+    const res = await request(app).get(`/books/${created.body.id}/history?limit=2`);
+    const unknown = await request(app).get('/books/99999/history');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['x-total-count']).toBe('5');
+    expect(res.body.map(entry => entry.action)).toStrictEqual(['purge', 'delete']);
+    expect(res.body[0].changes.title).toStrictEqual({before: 'Title 2', after: null});
+    expect(unknown.statusCode).toBe(404);
+  });
+
+  test('POST /books/import - Every imported book is recorded, unless the import is a dry run', async () => {
+    const before = await request(app).get('/audit?action=insert');
+    const dryRun = await request(app).post('/books/import?dryRun=true').set(editor.headers).send([{title: 'Title 3', author: 'Author 3'}]);
+    const imported = await request(app).post('/books/import').set(editor.headers).send([{title: 'Title 4', author: 'Author 4'}, {title: 'Title 5', author: 'Author 5'}]);
+    const after = await request(app).get(`/audit?action=insert&requestId=${imported.headers['x-request-id']}`);
+
+    expect(dryRun.statusCode).toBe(200);
+    expect(imported.statusCode).toBe(201);
+    expect(after.body.map(entry => entry.bookId)).toStrictEqual(imported.body.rows.map(row => row.id).reverse());
+    expect(Number((await request(app).get('/audit?action=insert')).headers['x-total-count'])).toBe(Number(before.headers['x-total-count']) + 2);
+  });
+
+  test('GET /audit - Filters the log, newest first', async () => {
+    const all = await request(app).get('/audit');
+    const byEditor = await request(app).get(`/audit?apiKeyId=${editor.id}&limit=1`);
+    const recent = await request(app).get('/audit?since=2000-01-01&until=2999-12-31T23:59:59Z');
+    const future = await request(app).get('/audit?since=2999-01-01');
+    const invalid = await request(app).get('/audit?bookId=x&action=rename&since=yesterday&user=1');
+
+    expect(all.statusCode).toBe(200);
+    expect(all.body.map(entry => entry.id)).toStrictEqual([...all.body.map(entry => entry.id)].sort((a, b) => b - a));
+    expect(byEditor.body).toHaveLength(1);
+    expect(byEditor.body[0].apiKeyId).toBe(editor.id);
+    expect(Number(byEditor.headers['x-total-count'])).toBe(all.body.filter(entry => entry.apiKeyId === editor.id).length);
+    expect(recent.body).toHaveLength(all.body.length);
+    expect(future.body).toStrictEqual([]);
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.errors.map(error => error.detail)).toStrictEqual([
+      `'user' is not an expected query parameter. Please remove this from the request.`,
+      `'bookId' must be a positive integer.`,
+      `'action' must be one of: insert, update, delete, restore, purge, revert.`,
+      `'since' must be a UTC date, or date and time, e.g. 2024-01-31 or 2024-01-31T12:00:00Z.`
+    ]);
+  });
+
+  test('GET /audit - A date alone as until includes the changes made during that day', async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const all = await request(app).get('/audit');
+    const untilToday = await request(app).get(`/audit?until=${today}`);
+    const untilMidnight = await request(app).get(`/audit?until=${today}T00:00:00Z`);
+
+    expect(untilToday.body).toHaveLength(all.body.length);
+    expect(untilMidnight.body).toStrictEqual([]);
+  });
+
+  test('PUT /authors/:id, PUT /genres/:id - Renaming an author or a genre is recorded for each of its books', async () => {
+    const genre = await request(app).post('/genres').set(editor.headers).send({name: 'Genre 10'});
+    const created = await request(app).post('/books').set(editor.headers).send({title: 'Title 10', author: ['Author 10', 'Author 11'], genre: 'Genre 10'});
+    const authorId = (await request(app).get(`/books/${created.body.id}`)).body.authors[0].id;
+
+    const author = await request(app).put(`/authors/${authorId}`).set(editor.headers).send({name: 'Author 10b'});
+    const renamed = await request(app).put(`/genres/${genre.body.id}`).set(editor.headers).send({name: 'Genre 10b'});
+    const history = await request(app).get(`/books/${created.body.id}/history`);
+
+    expect(author.statusCode).toBe(201);
+    expect(renamed.statusCode).toBe(201);
+    expect(history.body.map(entry => entry.action)).toStrictEqual(['update', 'update', 'insert']);
+    expect(history.body[1]).toMatchObject({
+      actor: 'Editor', requestId: author.headers['x-request-id'],
+      changes: {author: {before: 'Author 10, Author 11', after: 'Author 10b, Author 11'}}
+    });
+    expect(history.body[0]).toMatchObject({
+      actor: 'Editor', requestId: renamed.headers['x-request-id'], changes: {genre: {before: 'Genre 10', after: 'Genre 10b'}}
+    });
+  });
+
+  test('POST /books/:id/revert - Returns a book to an earlier revision, as a new revision', async () => {
+    const created = await request(app).post('/books').set(editor.headers).send({title: 'Title 6', author: 'Author 6', price: 8, isbn: '9780261103344'});
+    const id = created.body.id;
+    await request(app).post(`/books/${id}/stock`).set(editor.headers).send({reason: 'received', quantity: 2});
+    await request(app).put(`/books/${id}`).set(editor.headers).send({title: 'Title 6b', author: ['Author 6', 'Author 7'], price: 9});
+    const history = await request(app).get(`/books/${id}/history`);
+    const inserted = history.body[history.body.length - 1].id;
+
+    const reverted = await request(app).post(`/books/${id}/revert`).set(editor.headers).send({revision: inserted});
+    const latest = await request(app).get(`/books/${id}/history?limit=1`);
+
+    expect(reverted.statusCode).toBe(200);
+    expect(reverted.headers.etag).toBe(`"${reverted.body.version}"`);
+    expect(reverted.body).toMatchObject({
+      title: 'Title 6', author: 'Author 6', price: 8, isbn: '9780261103344', in_stock: 2, authors: [{id: expect.any(Number), name: 'Author 6'}]
+    });
+    expect(latest.body[0]).toMatchObject({
+      action: 'revert', actor: 'Editor', changes: {title: {before: 'Title 6b', after: 'Title 6'}, price: {before: 9, after: 8}}
+    });
+  });
+
+  test('POST /books/:id/revert - Refuses a revision of another book, or whose ISBN another book now holds', async () => {
+    const first = await request(app).post('/books').set(editor.headers).send({title: 'Title 8', author: 'Author 8', isbn: '0-441-01359-7'});
+    await request(app).patch(`/books/${first.body.id}`).set(editor.headers).send({isbn: null});
+    const second = await request(app).post('/books').set(editor.headers).send({title: 'Title 9', author: 'Author 9', isbn: '0-441-01359-7'});
+    const history = await request(app).get(`/books/${first.body.id}/history`);
+    const inserted = history.body[history.body.length - 1].id;
+
+    const conflict = await request(app).post(`/books/${first.body.id}/revert`).set(editor.headers).send({revision: inserted});
+    const foreign = await request(app).post(`/books/${second.body.id}/revert`).set(editor.headers).send({revision: inserted});
+    const trashed = await request(app).delete(`/books/${first.body.id}`).set(admin.headers)
+      .then(() => request(app).post(`/books/${first.body.id}/revert`).set(editor.headers).send({revision: inserted}));
+
+    expect(conflict.statusCode).toBe(409);
+    expect(conflict.body).toMatchObject({
+      detail: `Book with ID: ${first.body.id} cannot be reverted; book with ISBN '9780441013593' already exists`, id: second.body.id
+    });
+    expect(foreign.statusCode).toBe(400);
+    expect(foreign.body.detail).toBe(`'revision' ${inserted} is not a revision of the book with ID: ${second.body.id}.`);
+    expect(trashed.statusCode).toBe(404);
+  });
+});
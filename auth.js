@@ -0,0 +1,249 @@
+// === FILE: auth.js ===
+const crypto = require('crypto');
+const express = require('express');
+const {get, all, run} = require('./database');
+const {inputValidationId, inputValidationApiKeyBody, apiKeyRoles, readMethods} = require('./lib');
+const {httpError, validationError, asyncHandler} = require('./problems');
+const router = express.Router();
+
+// Selects the API keys in the shape returned by the API; the hash of a key is never returned
+const apiKeysStatement = `
+  SELECT id, name, role, prefix, created_at AS createdAt, revoked_at AS revokedAt
+  FROM api_keys`;
+
+/**
+ * Hashes an API key into the value stored in the DB
+ *
+ * @param {string} key - the API key
+ * @returns {string} - The hex-encoded SHA-256 hash of the key
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Creates a new API key; the key itself is only available from the result, the DB keeps its hash
+ *
+ * @param {string} name - a description of who or what uses the key
+ * @param {string} role - the role the key grants; one of 'reader', 'editor', or 'admin'
+ * @returns {Promise<Object>} - The stored key, as returned by GET /api-keys, together with the 'key' itself
+ */
+async function createApiKey(name, role) {
+  const key = `bk_${crypto.randomBytes(24).toString('base64url')}`;
+  const prefix = key.slice(0, 7);
+  const {lastID} = await run('INSERT INTO api_keys (name, role, prefix, key_hash) VALUES (?, ?, ?, ?)', [name, role, prefix, hashApiKey(key)]);
+  const apiKey = await get(`${apiKeysStatement} WHERE id = ?`, [lastID]);
+  return {...apiKey, key: key};
+}
+
+/**
+ * Creates an admin API key when the DB has none that is still valid, so a new DB can be administered
+ *
+ * @returns {Promise<Object|null>} - The created key, as returned by createApiKey, or null if none was needed
+ */
+async function ensureAdminKey() {
+  const count = await get(`SELECT COUNT(*) AS total FROM api_keys WHERE role = 'admin' AND revoked_at IS NULL`);
+  return count.total > 0 ? null : createApiKey('Initial admin key', 'admin');
+}
+
+/**
+ * Reads the API key of a request, from either 'Authorization: Bearer <key>' or 'X-API-Key: <key>'
+ *
+ * @param {Object} req - the request
+ * @returns {string|null|undefined} - The key; null when none is sent, undefined when the Authorization header is malformed
+ */
+function readApiKey(req) {
+  const authorization = req.get('Authorization');
+  if (authorization !== undefined) {
+    const match = /^Bearer\s+(\S+)$/i.exec(authorization.trim());
+    return match ? match[1] : undefined;
+  }
+  return req.get('X-API-Key') ?? null;
+}
+
+/**
+ * Middleware that identifies the API key of a request and stores it as 'req.apiKey'
+ * A request without a key continues unauthenticated, with 'req.apiKey' set to null; a request with an unknown,
+ *  revoked or malformed key is rejected
+ *
+ * @response 401 - The API key is unknown, revoked or malformed
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the key was rejected
+ */
+const authenticate = asyncHandler(async (req, res, next) => {
+  const key = readApiKey(req);
+  if (key === null) {
+    req.apiKey = null;
+    return next();
+  } else if (key === undefined) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return next(httpError(401, `The Authorization header must have the form 'Bearer <API key>'`));
+  }
+
+  const apiKey = await get('SELECT id, name, role FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL', [hashApiKey(key)]);
+  if (!apiKey) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return next(httpError(401, 'The API key is invalid or has been revoked'));
+  }
+  req.apiKey = apiKey;
+  return next();
+});
+
+/**
+ * Creates a middleware that only lets requests through whose API key grants at least the given role
+ * Must run after 'authenticate'
+ *
+ * @param {string} role - the least privileged role allowed; one of 'reader', 'editor', or 'admin'
+ * @returns {Function} - The middleware
+ *
+ * @response 401 - The request does not send an API key
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that an API key is required
+ *
+ * @response 403 - The API key does not grant the role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating the required role and the role of the key
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return next(httpError(401, `Authentication required; send an API key with the '${role}' role as 'Authorization: Bearer <API key>'`));
+    } else if (apiKeyRoles.indexOf(req.apiKey.role) < apiKeyRoles.indexOf(role)) {
+      return next(httpError(403, `This action requires the '${role}' role; the API key has the '${req.apiKey.role}' role`));
+    }
+    return next();
+  };
+}
+
+/**
+ * Middleware that protects the routes that change data: reads stay open, deletes need the 'admin' role,
+ *  and every other change needs the 'editor' role
+ * Must run after 'authenticate'
+ */
+function authorizeWrites(req, res, next) {
+  if (readMethods.includes(req.method)) {
+    return next();
+  }
+  return requireRole(req.method === 'DELETE' ? 'admin' : 'editor')(req, res, next);
+}
+
+// Managing the API keys needs the 'admin' role, including listing them
+router.use(requireRole('admin'));
+
+/**
+ * GET /api-keys
+ * Get every API key, including revoked ones; requires the 'admin' role
+ *
+ * @response 200 - OK, returns the API keys
+ * @returns {Array<Object>} An array of API key objects
+ * - {number} id - the unique identifier for each key
+ * - {string} name - a description of who or what uses the key
+ * - {string} role - one of 'reader', 'editor', or 'admin'
+ * - {string} prefix - the first characters of the key, to tell keys apart
+ * - {string} createdAt - when the key was created
+ * - {string} revokedAt - when the key was revoked, or null
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'admin' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  // Structure DB call and execute
+  return res.json(await all(`${apiKeysStatement} ORDER BY id`));
+}));
+
+/**
+ * POST /api-keys
+ * Creates a new API key; requires the 'admin' role
+ * The key is only returned by this request; it cannot be retrieved later
+ *
+ * @body {string} name - a description of who or what uses the key (required)
+ * @body {string} role - one of 'reader', 'editor', or 'admin' (required)
+ *
+ * @response 201 - Created, the key is created
+ * @returns {Object} The API key, as returned by GET /api-keys, with one more field
+ * - {string} key - the API key, to be sent as 'Authorization: Bearer <key>'
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'admin' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.post('/', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const inputErrors = inputValidationApiKeyBody(req.body);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls and execute
+  return res.status(201).json(await createApiKey(req.body.name.trim(), req.body.role));
+}));
+
+/**
+ * DELETE /api-keys/:id
+ * Revokes an API key; requires the 'admin' role
+ * A revoked key stops working immediately, and stays listed by GET /api-keys
+ *
+ * @param {number} :id - the id of the key to be revoked
+ *
+ * @response 200 - OK, the key is revoked
+ * @returns {Object} An object holding the confirmation information
+ * - {string} message - a confirmation message
+ * - {number} id - the unique identifier for the revoked key
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'admin' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 404 - API key with specified ID not found, or already revoked
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the key cannot be found
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.delete('/:id', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB call and execute
+  const {changes} = await run('UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL', [id]);
+  if (changes === 0) {
+    return next(httpError(404, `API key with ID: ${id} not found`));
+  }
+  return res.status(200).json({message: 'API key successfully revoked', id: id});
+}));
+
+module.exports = {
+  router,
+  authenticate,
+  authorizeWrites,
+  requireRole,
+  createApiKey,
+  ensureAdminKey
+};
@@ -0,0 +1,135 @@
+// === FILE: auth.test.js ===
+/**
+ * @file auth.test.js
+ * @description The test suite for the authentication and authorization of the Bookstore API
+ *
+ * Endpoints covered:
+ * - GET /api-keys
+ * - POST /api-keys
+ * - DELETE /api-keys/:id
+ * - The API key and role checks on every route that changes data
+ */
+const request = require('supertest');
+const app = require('./index');
+const {getDb, initializeDb} = require('./database');
+const {createApiKey, ensureAdminKey} = require('./auth');
+
+let db;
+
+// API keys of each role, created before the tests
+const keys = {};
+
+describe('Bookstore API - Authentication', () => {
+
+  // Executes before any test; connects to a fresh in-memory DB and creates a key of each role
+  beforeAll(async () => {
+    await initializeDb();
+    db = getDb();
+    for (const role of ['reader', 'editor', 'admin']) {
+      keys[role] = await createApiKey(`${role} key`, role);
+    }
+  });
+
+  // Closes the DB connection after all tests execute
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('GET /books - Reads stay open without an API key', async () => {
+    const res = await request(app).get('/books');
+
+    expect(res.statusCode).toBe(200);
+  });
+
+  test('POST /books - A request without an API key is rejected', async () => {
+    const res = await request(app).post('/books').send({title: "Title 1", author: "Author 1"});
+
+    expect(res.statusCode).toBe(401);
+    expect(res.headers['www-authenticate']).toBe('Bearer');
+    expect(res.body.detail).toBe(`Authentication required; send an API key with the 'editor' role as 'Authorization: Bearer <API key>'`);
+  });
+
+  test('POST /books - An unknown or malformed API key is rejected, even on reads', async () => {
+    const unknown = await request(app).get('/books').set('Authorization', 'Bearer bk_unknown');
+    const malformed = await request(app).post('/books').set('Authorization', `Basic ${keys.admin.key}`).send({title: "Title 1", author: "Author 1"});
+
+    expect(unknown.statusCode).toBe(401);
+    expect(unknown.body.detail).toBe('The API key is invalid or has been revoked');
+    expect(malformed.statusCode).toBe(401);
+    expect(malformed.body.detail).toBe(`The Authorization header must have the form 'Bearer <API key>'`);
+  });
+
+  test('POST /books - Changes need the editor role', async () => {
+    const reader = await request(app).post('/books').set('Authorization', `Bearer ${keys.reader.key}`).send({title: "Title 2", author: "Author 2"});
+    const editor = await request(app).post('/books').set('X-API-Key', keys.editor.key).send({title: "Title 2", author: "Author 2"});
+
+    expect(reader.statusCode).toBe(403);
+    expect(reader.body.detail).toBe(`This action requires the 'editor' role; the API key has the 'reader' role`);
+    expect(editor.statusCode).toBe(201);
+  });
+
+  test('DELETE /books/:id - Deletes need the admin role', async () => {
+    const book = await request(app).post('/books').set('X-API-Key', keys.editor.key).send({title: "Title 3", author: "Author 3"});
+
+    const editor = await request(app).delete(`/books/${book.body.id}`).set('X-API-Key', keys.editor.key);
+    const admin = await request(app).delete(`/books/${book.body.id}`).set('X-API-Key', keys.admin.key);
+
+    expect(editor.statusCode).toBe(403);
+    expect(editor.body.detail).toBe(`This action requires the 'admin' role; the API key has the 'editor' role`);
+    expect(admin.statusCode).toBe(200);
+  });
+
+  test('POST /api-keys - Creates a key that is only shown once', async () => {
+    const res = await request(app).post('/api-keys').set('X-API-Key', keys.admin.key).send({name: 'Catalog import', role: 'editor'});
+    const list = await request(app).get('/api-keys').set('X-API-Key', keys.admin.key);
+    const used = await request(app).post('/authors').set('X-API-Key', res.body.key).send({name: 'Author 4'});
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toStrictEqual({
+      id: expect.any(Number), name: 'Catalog import', role: 'editor', prefix: res.body.key.slice(0, 7),
+      createdAt: expect.any(String), revokedAt: null, key: expect.stringMatching(/^bk_/)
+    });
+    expect(list.body.find(apiKey => apiKey.id === res.body.id)).toEqual({...res.body, key: undefined});
+    expect(list.body.every(apiKey => !('key' in apiKey))).toBe(true);
+    expect(used.statusCode).toBe(201);
+  });
+
+  test('POST /api-keys - Input validation failure', async () => {
+    const res = await request(app).post('/api-keys').set('X-API-Key', keys.admin.key).send({name: ' ', role: 'owner'});
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors.map(error => error.detail)).toStrictEqual([`'name' must not be empty.`, `'role' must be one of: reader, editor, admin.`]);
+  });
+
+  test('GET /api-keys - Managing keys needs the admin role, even to list them', async () => {
+    const anonymous = await request(app).get('/api-keys');
+    const editor = await request(app).get('/api-keys').set('X-API-Key', keys.editor.key);
+
+    expect(anonymous.statusCode).toBe(401);
+    expect(editor.statusCode).toBe(403);
+  });
+
+  test('DELETE /api-keys/:id - A revoked key stops working immediately', async () => {
+    const created = await request(app).post('/api-keys').set('X-API-Key', keys.admin.key).send({name: 'Temporary', role: 'editor'});
+
+    const revoked = await request(app).delete(`/api-keys/${created.body.id}`).set('X-API-Key', keys.admin.key);
+    const again = await request(app).delete(`/api-keys/${created.body.id}`).set('X-API-Key', keys.admin.key);
+    const used = await request(app).post('/authors').set('X-API-Key', created.body.key).send({name: 'Author 5'});
+    const list = await request(app).get('/api-keys').set('X-API-Key', keys.admin.key);
+
+    expect(revoked.statusCode).toBe(200);
+    expect(revoked.body.message).toBe('API key successfully revoked');
+    expect(again.statusCode).toBe(404);
+    expect(used.statusCode).toBe(401);
+    expect(list.body.find(apiKey => apiKey.id === created.body.id).revokedAt).toEqual(expect.any(String));
+  });
+
+  test('ensureAdminKey - Only creates an admin key when none is valid', async () => {
+    expect(await ensureAdminKey()).toBeNull();
+    await request(app).delete(`/api-keys/${keys.admin.id}`).set('X-API-Key', keys.admin.key);
+    const created = await ensureAdminKey();
+
+    expect(created.role).toBe('admin');
+    expect(await ensureAdminKey()).toBeNull();
+  });
+});
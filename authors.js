@@ -0,0 +1,303 @@
+// === FILE: authors.js ===
+const express = require('express');
+const {get, all, run, withTransaction} = require('./database');
+const {inputValidationId, inputValidationAuthorBody, inputValidationAuthorQuery, nameKey, defaultPageLimit} = require('./lib');
+const {httpError, validationError, asyncHandler} = require('./problems');
+const {attachAuthors} = require('./bookAuthors');
+const {recordBookChanges} = require('./audit');
+const router = express.Router();
+
+/**
+ * GET /authors
+ * Get a page of authors, ordered by name
+ *
+ * @query {string} name - only return the author with this name, ignoring case, spacing and punctuation
+ * @query {number} limit - the page size, between 1 and 1000 (default: 100)
+ * @query {number} offset - the number of authors to skip
+ *
+ * @response 200 - OK, returns the requested page of authors
+ * @header X-Total-Count - the number of matching authors, across all pages
+ * @returns {Array<Object>} An array of author objects
+ * - {number} id - the unique identifier for each author
+ * - {string} name - the name of the author
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.get('/', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const inputErrors = inputValidationAuthorQuery(req.query);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure the DB queries and execute
+  const filterClause = 'name' in req.query ? ' WHERE name_key = ?' : '';
+  const params = 'name' in req.query ? [nameKey(req.query.name)] : [];
+  const limit = 'limit' in req.query ? Number(req.query.limit) : defaultPageLimit;
+  const offset = Number(req.query.offset ?? 0);
+  const count = await get(`SELECT COUNT(*) AS total FROM authors${filterClause}`, params);
+  const sqlStatement = `SELECT id, name FROM authors${filterClause} ORDER BY name COLLATE NOCASE, id LIMIT ? OFFSET ?`;
+  const rows = await all(sqlStatement, [...params, limit, offset]);
+  res.set('X-Total-Count', String(count.total));
+  return res.json(rows);
+}));
+
+/**
+ * GET /authors/:id
+ * Get a single author by its ID
+ *
+ * @param {number} :id - the id of the author to be retrieved
+ *
+ * @response 200 - OK, returns author with specified ID
+ * @returns {Object} The object that holds the data of the author
+ * - {number} id - the unique identifier for each author
+ * - {string} name - the name of the author
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 404 - Author with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the author cannot be found
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.get('/:id', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB call and execute
+  const row = await get('SELECT id, name FROM authors WHERE id = ?', [id]);
+  if (!row) {
+    return next(httpError(404, `Author with ID: ${id} not found`));
+  }
+  return res.json(row);
+}));
+
+/**
+ * GET /authors/:id/books
+ * Get every book the author wrote or co-wrote, ordered by title
+ *
+ * @param {number} :id - the id of the author
+ *
+ * @response 200 - OK, returns the books of the author
+ * @returns {Array<Object>} An array of book objects, each with its 'authors'
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 404 - Author with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the author cannot be found
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.get('/:id/books', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls and execute; the author must exist for an empty list to be meaningful
+  const author = await get('SELECT id FROM authors WHERE id = ?', [id]);
+  if (!author) {
+    return next(httpError(404, `Author with ID: ${id} not found`));
+  }
+  const sqlStatement = `
+    SELECT books.* FROM books JOIN book_authors ON book_authors.book_id = books.id
+    WHERE book_authors.author_id = ? AND books.deleted_at IS NULL ORDER BY books.title, books.id`;
+  const books = await attachAuthors(await all(sqlStatement, [id]));
+  return res.json(books);
+}));
+
+/**
+ * POST /authors
+ * Creates a new author
+ *
+ * @body {string} name - the name of the author (required)
+ *
+ * @response 201 - Created, the author is created
+ * @returns {Object} An object holding the confirmation information
+ * - {string} message - a confirmation message
+ * - {number} id - the newly created unique identifier for the author
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'editor' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 409 - An author with the same name already exists
+ * @returns {Object} A problem, as 'application/problem+json', holding the conflict information
+ * - {string} detail - a message naming the existing author
+ * - {number} id - the unique identifier of the existing author
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.post('/', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const inputErrors = inputValidationAuthorBody(req.body);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls and execute in one transaction, so that no other request adds the same author in between;
+  //  names that only differ in spelling belong to the same author
+  const name = req.body.name.trim();
+  const id = await withTransaction(async () => {
+    const existing = await get('SELECT id, name FROM authors WHERE name_key = ?', [nameKey(name)]);
+    if (existing) {
+      throw httpError(409, `Author '${existing.name}' already exists`, {id: existing.id});
+    }
+    const {lastID} = await run('INSERT INTO authors (name, name_key) VALUES (?, ?)', [name, nameKey(name)]);
+    return lastID;
+  });
+  return res.status(201).json({message: 'Author added successfully', id: id});
+}));
+
+/**
+ * PUT /authors/:id
+ * Renames an existing author; the display name of each of their books is updated as well
+ *
+ * @param {number} :id - the id of the author to be updated
+ *
+ * @body {string} name - the new name of the author (required)
+ *
+ * @response 201 - Created, the author is updated
+ * @returns {Object} An object holding the confirmation information
+ * - {string} message - a confirmation message
+ * - {number} id - the unique identifier for the updated author
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'editor' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 404 - Author with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the author cannot be found
+ *
+ * @response 409 - Another author already has the same name
+ * @returns {Object} A problem, as 'application/problem+json', holding the conflict information
+ * - {string} detail - a message naming the existing author
+ * - {number} id - the unique identifier of the existing author
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.put('/:id', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id).concat(inputValidationAuthorBody(req.body));
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls and execute in one transaction, so that the books credit the new name together with the author
+  const name = req.body.name.trim();
+  await withTransaction(async () => {
+    const existing = await get('SELECT id, name FROM authors WHERE name_key = ? AND id != ?', [nameKey(name), id]);
+    if (existing) {
+      throw httpError(409, `Author '${existing.name}' already exists`, {id: existing.id});
+    }
+    const {changes} = await run('UPDATE authors SET name = ?, name_key = ? WHERE id = ?', [name, nameKey(name), id]);
+    if (changes === 0) {
+      throw httpError(404, `Author with ID: ${id} not found`);
+    }
+
+    // Rebuild the display name of every book of the author, recording the change to each of them
+    const books = await all('SELECT book_id FROM book_authors WHERE author_id = ? ORDER BY book_id', [id]);
+    const updateStatement = `
+      UPDATE books SET author = (
+        SELECT group_concat(name, ', ') FROM (
+          SELECT authors.name FROM book_authors JOIN authors ON authors.id = book_authors.author_id
+          WHERE book_authors.book_id = books.id ORDER BY book_authors.position))
+      WHERE id IN (SELECT book_id FROM book_authors WHERE author_id = ?)`;
+    await recordBookChanges(req, 'update', books.map(book => book.book_id), () => run(updateStatement, [id]));
+  });
+  return res.status(201).json({message: 'Author updated successfully', id: id});
+}));
+
+/**
+ * DELETE /authors/:id
+ * Deletes an existing author; an author who is still credited on a book cannot be deleted
+ *
+ * @param {number} :id - the id of the author to be deleted
+ *
+ * @response 200 - OK, the author is deleted
+ * @returns {Object} An object holding the confirmation information
+ * - {string} message - a confirmation message
+ * - {number} id - the unique identifier for the deleted author
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'admin' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 404 - Author with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the author cannot be found
+ *
+ * @response 409 - The author is still credited on books
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating how many books credit the author
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.delete('/:id', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls and execute
+  const count = await get('SELECT COUNT(*) AS total FROM book_authors WHERE author_id = ?', [id]);
+  if (count.total > 0) {
+    return next(httpError(409, `Author with ID: ${id} is credited on ${count.total} book(s) and cannot be deleted`));
+  }
+  const {changes} = await run('DELETE FROM authors WHERE id = ?', [id]);
+  if (changes === 0) {
+    return next(httpError(404, `Author with ID: ${id} not found`));
+  }
+  return res.status(200).json({message: 'Author successfully deleted', id: id});
+}));
+
+module.exports = {
+  router
+};
@@ -0,0 +1,176 @@
+// === FILE: authors.test.js ===
+/**
+ * @file authors.test.js
+ * @description The test suite for the authors of the Bookstore API
+ *
+ * Endpoints covered:
+ * - GET /authors
+ * - GET /authors/:id
+ * - GET /authors/:id/books
+ * - POST /authors
+ * - PUT /authors/:id
+ * - DELETE /authors/:id
+ * - The 'author' field of POST, PUT and PATCH /books
+ */
+const request = require('supertest');
+const app = require('./index');
+const {getDb, initializeDb} = require('./database');
+const {createApiKey} = require('./auth');
+
+let db;
+
+// Headers that authenticate the requests that change data
+let auth;
+
+/**
+ * Creates an API key with the given role in the current DB
+ *
+ * @param {string} role - the role the key grants
+ * @returns {Promise<Object>} - The headers that authenticate requests with the key
+ */
+function apiKeyHeader(role) {
+  return createApiKey('Tests', role).then(apiKey => ({Authorization: `Bearer ${apiKey.key}`}));
+}
+
+describe('Bookstore API - Authors', () => {
+
+  // Executes before any test; connects to a fresh in-memory DB
+  beforeAll(async () => {
+    await initializeDb();
+    db = getDb();
+    auth = await apiKeyHeader('admin');
+  });
+
+  // Closes the DB connection after all tests execute
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('POST /authors - Create a new author', async () => {
+    const res = await request(app).post('/authors').set(auth).send({name: "Ursula K. Le Guin"});
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.message).toBe('Author added successfully');
+
+    const getRes = await request(app).get(`/authors/${res.body.id}`);
+    expect(getRes.statusCode).toBe(200);
+    expect(getRes.body).toStrictEqual({id: res.body.id, name: "Ursula K. Le Guin"});
+  });
+
+  test('POST /authors - Names that differ only in spelling are the same author', async () => {
+    const res = await request(app).post('/authors').set(auth).send({name: "J.K. Rowling"});
+    const duplicateRes = await request(app).post('/authors').set(auth).send({name: "j. k. rowling"});
+
+    expect(duplicateRes.statusCode).toBe(409);
+    expect(duplicateRes.body).toMatchObject({status: 409, detail: `Author 'J.K. Rowling' already exists`, id: res.body.id});
+  });
+
+  test('POST /authors - Parallel requests for the same author add it once, and the others get a 409', async () => {
+    const responses = await Promise.all([1, 2, 3].map(() => request(app).post('/authors').set(auth).send({name: 'Ann Lee'})));
+    const created = responses.find(res => res.statusCode === 201);
+
+    expect(responses.map(res => res.statusCode).sort()).toStrictEqual([201, 409, 409]);
+    responses.filter(res => res !== created).forEach(res => {
+      expect(res.body).toMatchObject({status: 409, detail: `Author 'Ann Lee' already exists`, id: created.body.id});
+    });
+  });
+
+  test('POST /books - Author names are resolved to existing authors, ignoring spelling', async () => {
+    const author = await request(app).post('/authors').set(auth).send({name: "Terry Pratchett"});
+    const res = await request(app).post('/books').set(auth).send({title: "Mort", author: "terry  pratchett"});
+
+    const getRes = await request(app).get(`/books/${res.body.id}`);
+    expect(getRes.body.author).toBe("Terry Pratchett");
+    expect(getRes.body.authors).toStrictEqual([{id: author.body.id, name: "Terry Pratchett"}]);
+  });
+
+  test('POST /books - Accepts several authors by ID and by name', async () => {
+    const author = await request(app).post('/authors').set(auth).send({name: "Neil Gaiman"});
+    const res = await request(app).post('/books').set(auth).send({title: "Good Omens", author: [author.body.id, "Terry Pratchett"]});
+
+    expect(res.statusCode).toBe(201);
+    const getRes = await request(app).get(`/books/${res.body.id}`);
+    expect(getRes.body.author).toBe("Neil Gaiman, Terry Pratchett");
+    expect(getRes.body.authors.map(row => row.name)).toStrictEqual(["Neil Gaiman", "Terry Pratchett"]);
+  });
+
+  test('GET /authors/:id/books - Returns every book credited to the author', async () => {
+    const authors = await request(app).get('/authors').query({name: 'Terry Pratchett'});
+    const res = await request(app).get(`/authors/${authors.body[0].id}/books`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map(book => book.title)).toStrictEqual(["Good Omens", "Mort"]);
+  });
+
+  test('GET /books - Filters by any of the authors of a book', async () => {
+    const res = await request(app).get('/books').query({author: 'NEIL GAIMAN'});
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map(book => book.title)).toStrictEqual(["Good Omens"]);
+  });
+
+  test('PATCH /books/:id - Replaces the authors of a book', async () => {
+    const res = await request(app).post('/books').set(auth).send({title: "Stardust", author: "Terry Pratchett"});
+    const patchRes = await request(app).patch(`/books/${res.body.id}`).set(auth).send({author: ["Neil Gaiman"]});
+
+    expect(patchRes.statusCode).toBe(200);
+    expect(patchRes.body.author).toBe("Neil Gaiman");
+    expect(patchRes.body.authors.map(row => row.name)).toStrictEqual(["Neil Gaiman"]);
+  });
+
+  test('PUT /authors/:id - Renaming an author updates the display name of their books', async () => {
+    const author = await request(app).post('/authors').set(auth).send({name: "Iain Banks"});
+    const book = await request(app).post('/books').set(auth).send({title: "Consider Phlebas", author: [author.body.id, "Neil Gaiman"]});
+
+    const putRes = await request(app).put(`/authors/${author.body.id}`).set(auth).send({name: "Iain M. Banks"});
+
+    expect(putRes.statusCode).toBe(201);
+    const getRes = await request(app).get(`/books/${book.body.id}`);
+    expect(getRes.body.author).toBe("Iain M. Banks, Neil Gaiman");
+  });
+
+  test('DELETE /authors/:id - An author credited on books cannot be deleted', async () => {
+    const author = await request(app).post('/authors').set(auth).send({name: "Author With Book"});
+    await request(app).post('/books').set(auth).send({title: "Credited", author: author.body.id});
+
+    const deleteRes = await request(app).delete(`/authors/${author.body.id}`).set(auth);
+
+    expect(deleteRes.statusCode).toBe(409);
+    expect(deleteRes.body.detail).toBe(`Author with ID: ${author.body.id} is credited on 1 book(s) and cannot be deleted`);
+  });
+
+  test('DELETE /authors/:id - Delete an author without books', async () => {
+    const author = await request(app).post('/authors').set(auth).send({name: "Author Without Books"});
+
+    const deleteRes = await request(app).delete(`/authors/${author.body.id}`).set(auth);
+    const getRes = await request(app).get(`/authors/${author.body.id}`);
+
+    expect(deleteRes.statusCode).toBe(200);
+    expect(getRes.statusCode).toBe(404);
+    expect(getRes.body.detail).toBe(`Author with ID: ${author.body.id} not found`);
+  });
+
+  test('POST /authors - input validation - missing or blank "name" and extra field', async () => {
+    const missingRes = await request(app).post('/authors').set(auth).send({born: 1965});
+    const blankRes = await request(app).post('/authors').set(auth).send({name: " . "});
+
+    expect(missingRes.statusCode).toBe(400);
+    expect(missingRes.body.errors.map(error => error.detail)).toStrictEqual([`'born' is not an expected field. Please remove this from payload.`, `'name' is required.`]);
+    expect(blankRes.statusCode).toBe(400);
+    expect(blankRes.body.errors[0].detail).toBe(`'name' must contain at least one letter or number.`);
+  });
+
+  test('POST /books - input validation - empty array of authors', async () => {
+    const res = await request(app).post('/books').set(auth).send({title: "No Authors", author: []});
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors[0].detail).toBe(`'author' must be an author name, an author ID, or an array of them.`);
+  });
+
+  test('GET /authors/:id/books - input validation - ID that does not exist', async () => {
+    const res = await request(app).get('/authors/99999/books');
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.detail).toBe('Author with ID: 99999 not found');
+  });
+});
@@ -0,0 +1,93 @@
+// === FILE: bookAuthors.js ===
+const {all, run} = require('./database');
+const {nameKey} = require('./lib');
+
+/**
+ * Resolves the validated 'author' field of a book payload into authors
+ * IDs must belong to existing authors; names are matched on their normalized key, and new names become new authors
+ * Nothing is created when an ID does not exist
+ *
+ * @param {string|number|Array<string|number>} value - the 'author' field of the payload
+ * @returns {Promise<Object>} - The {authors, errors} resolved
+ * - {Array<Object>} authors - the {id, name} of each author, in the order given and without duplicates
+ * - {Array<string>} errors - the IDs that do not exist, as input validation errors
+ */
+async function resolveAuthors(value) {
+  const values = Array.isArray(value) ? value : [value];
+  const ids = values.filter(item => typeof item === 'number');
+  const names = values.filter(item => typeof item === 'string');
+  const keys = names.map(nameKey);
+
+  const found = await all(`SELECT id FROM authors WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+  const errors = ids.filter(id => !found.some(row => row.id === id)).map(id => `Author with ID: ${id} not found`);
+  if (errors.length > 0) {
+    return {authors: [], errors: errors};
+  }
+
+  // Create the authors that are new, then read back every author referenced
+  for (const [index, name] of names.entries()) {
+    const insertStatement = 'INSERT INTO authors (name, name_key) SELECT ?, ? WHERE NOT EXISTS (SELECT 1 FROM authors WHERE name_key = ?)';
+    await run(insertStatement, [name.trim(), keys[index], keys[index]]);
+  }
+  const sqlStatement = `SELECT id, name, name_key FROM authors WHERE id IN (${ids.map(() => '?').join(', ')}) OR name_key IN (${keys.map(() => '?').join(', ')})`;
+  const rows = await all(sqlStatement, [...ids, ...keys]);
+  const authors = [];
+  values.forEach(item => {
+    const row = typeof item === 'number' ? rows.find(row => row.id === item) : rows.find(row => row.name_key === nameKey(item));
+    if (!authors.some(author => author.id === row.id)) {
+      authors.push({id: row.id, name: row.name});
+    }
+  });
+  return {authors: authors, errors: []};
+}
+
+/**
+ * Builds the display name stored in 'books.author' from the authors of a book
+ *
+ * @param {Array<Object>} authors - the {id, name} of each author, in order
+ * @returns {string} - The names joined with commas
+ */
+function authorDisplayName(authors) {
+  return authors.map(author => author.name).join(', ');
+}
+
+/**
+ * Replaces the authors linked to a book
+ *
+ * @param {number} bookId - the id of the book
+ * @param {Array<Object>} authors - the {id, name} of each author, in order
+ * @returns {Promise<void>}
+ */
+async function linkBookAuthors(bookId, authors) {
+  await run('DELETE FROM book_authors WHERE book_id = ?', [bookId]);
+  const values = authors.map(() => '(?, ?, ?)').join(', ');
+  const params = authors.flatMap((author, position) => [bookId, author.id, position]);
+  await run(`INSERT INTO book_authors (book_id, author_id, position) VALUES ${values}`, params);
+}
+
+/**
+ * Adds the 'authors' array, the {id, name} of each author in order, to every book
+ *
+ * @param {Array<Object>} books - the book rows
+ * @returns {Promise<Array<Object>>} - The books
+ */
+async function attachAuthors(books) {
+  const ids = books.map(book => book.id);
+  const sqlStatement = `
+    SELECT book_authors.book_id, authors.id, authors.name FROM book_authors
+    JOIN authors ON authors.id = book_authors.author_id
+    WHERE book_authors.book_id IN (${ids.map(() => '?').join(', ')})
+    ORDER BY book_authors.book_id, book_authors.position`;
+  const rows = await all(sqlStatement, ids);
+  books.forEach(book => {
+    book.authors = rows.filter(row => row.book_id === book.id).map(row => ({id: row.id, name: row.name}));
+  });
+  return books;
+}
+
+module.exports = {
+  resolveAuthors,
+  authorDisplayName,
+  linkBookAuthors,
+  attachAuthors
+};
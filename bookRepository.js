@@ -0,0 +1,184 @@
+// === FILE: bookRepository.js ===
+const {get, all, run, withTransaction} = require('./database');
+const {bookListSettings, buildBookListQuery, buildSearchQuery, normalizeIsbn, applySchemaDefaults, bookSchema} = require('./lib');
+const {validationError} = require('./problems');
+const {linkBookAuthors, attachAuthors} = require('./bookAuthors');
+const {resolveBookReferences, bookColumns, nextListPage, findIsbnConflict, insertBook, isbnConflictError,
+  explainMissedWrite} = require('./books');
+const {readBookSnapshot, recordBookChange} = require('./audit');
+const {versionCondition} = require('./preconditions');
+
+/**
+ * The book routes reach the books through a repository, the app setting 'bookRepository', so that they do not depend
+ *  on the store; every implementation has the same async methods:
+ * - list(query) - a page of the live books; query is the validated query string of GET /books
+ * - search(query) - a page of the live books matching a search; query is that of GET /books/search
+ *   Both pages are {books, total, next}: the books with their 'authors', the number of matching books, and the
+ *    query parameters that select the next page, or null on the last one; a search also gives each book a 'snippet'
+ *    and a 'rank'
+ * - findById(id) - the live book with an ID, with its 'authors', or null
+ * - findByIsbn(isbn) - the live book with an ISBN, in any accepted form, or null
+ * - create(data, req) - adds a book from a validated payload and returns it
+ * - replace(id, data, versions, req) - replaces every field of a live book and returns it
+ * - update(id, data, versions, req) - replaces the fields sent in a partial payload and returns the book
+ * - trash(id, versions, req) - moves a live book to the trash
+ * A write is made for the API key of the request 'req', and only to the versions of the book listed in 'versions',
+ *  as read by 'ifMatchVersions'; null accepts any version
+ * A write rejects with the error to answer with: a validation error for an unknown genre or author ID, a 409 for an
+ *  ISBN another book holds, a 404 for a book that does not exist or is in the trash, and a 412 for a version not
+ *  accepted, in that order of precedence; a write that fails leaves nothing behind
+ */
+
+/**
+ * Reads a live book with its authors
+ *
+ * @param {number|string} id - the id of the book
+ * @returns {Promise<Object|null>} - The book, or null when it does not exist or is in the trash
+ */
+async function readLiveBook(id) {
+  const row = await get('SELECT * FROM books WHERE id = ? AND deleted_at IS NULL', [id]);
+  return row ? (await attachAuthors([row]))[0] : null;
+}
+
+/**
+ * Checks a validated payload that changes a book: another book cannot hold its ISBN, and its genre and authors
+ *  must exist
+ *
+ * @param {number|string} id - the id of the book
+ * @param {Object} data - the validated payload
+ * @returns {Promise<Object>} - The {genre, authors} resolved
+ */
+async function checkBookChange(id, data) {
+  const existing = await findIsbnConflict(data.isbn, Number(id));
+  if (existing) {
+    throw isbnConflictError(existing);
+  }
+  const {references, errors} = await resolveBookReferences(data);
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+  return references;
+}
+
+/**
+ * Makes a conditional write to a live book, links its new authors, and records the change in the audit log
+ * Run it in a transaction, so that a write that fails leaves nothing behind
+ *
+ * @param {Object} req - the request that makes the change
+ * @param {string} action - one of 'auditActions'
+ * @param {number|string} id - the id of the book
+ * @param {Object} write - the change
+ * - {string} sql - the assignments of the 'UPDATE', e.g. 'title = ?'
+ * - {Array} params - the parameters of the assignments
+ * - {Array<Object>} authors - the {id, name} of the new authors, in order; undefined to keep the authors
+ * @param {Array<number>|null} versions - the versions of the book the write may replace; null accepts any version
+ * @returns {Promise<void>} - Rejects with the 404 or 412 of a write that changes no row
+ */
+async function writeBook(req, action, id, write, versions) {
+  const condition = versionCondition(versions);
+  const updateStatement = `UPDATE books SET ${write.sql} WHERE id = ? AND deleted_at IS NULL${condition.sql}`;
+  const before = await readBookSnapshot(id);
+  const {changes} = await run(updateStatement, [...write.params, id, ...condition.params]);
+  if (changes === 0) {
+    throw await explainMissedWrite(id);
+  }
+  if (write.authors) {
+    await linkBookAuthors(id, write.authors);
+  }
+  await recordBookChange(req, action, id, before);
+}
+
+/**
+ * Changes the columns of a live book from a validated payload, then reads it back, in one transaction
+ *
+ * @param {Object} req - the request that makes the change
+ * @param {number|string} id - the id of the book
+ * @param {Object} data - the validated payload; only the fields present are changed
+ * @param {Array<number>|null} versions - the versions of the book the change may replace; null accepts any version
+ * @returns {Promise<Object>} - The book as it now stands
+ */
+function changeBook(req, id, data, versions) {
+  return withTransaction(async () => {
+    const references = await checkBookChange(id, data);
+    const columns = bookColumns(data, references);
+    const write = {
+      sql: Object.keys(columns).map(field => `${field} = ?`).join(', '),
+      params: Object.values(columns),
+      authors: references.authors
+    };
+    await writeBook(req, 'update', id, write, versions);
+    return readLiveBook(id);
+  });
+}
+
+/**
+ * Creates the repository of the books stored in SQLite, in the DB of 'database.js'; see the top of this file for
+ *  its methods
+ *
+ * @returns {Object} - The repository
+ */
+function createSqliteBookRepository() {
+  return {
+    async list(query) {
+      const settings = bookListSettings(query);
+      const statements = buildBookListQuery(query);
+      const count = await get(statements.countStatement, statements.countParams);
+      const rows = await all(statements.listStatement, statements.listParams);
+
+      // The extra row selected by the query only signals that a next page exists
+      const page = rows.slice(0, settings.limit);
+      const next = rows.length > settings.limit ? nextListPage(settings, page) : null;
+      return {books: await attachAuthors(page), total: count.total, next: next};
+    },
+
+    async search(query) {
+      const statements = buildSearchQuery(query);
+      const count = await get(statements.countStatement, statements.countParams);
+      const rows = await all(statements.listStatement, statements.listParams);
+      const {limit, offset} = statements;
+      const next = rows.length > limit ? {limit: String(limit), offset: String(offset + limit)} : null;
+      return {books: await attachAuthors(rows.slice(0, limit)), total: count.total, next: next};
+    },
+
+    findById(id) {
+      return readLiveBook(id);
+    },
+
+    async findByIsbn(isbn) {
+      const row = await get('SELECT id FROM books WHERE isbn = ? AND deleted_at IS NULL', [normalizeIsbn(isbn)]);
+      return row ? readLiveBook(row.id) : null;
+    },
+
+    create(data, req) {
+      return withTransaction(async () => {
+        const existing = await findIsbnConflict(data.isbn, null);
+        if (existing) {
+          throw isbnConflictError(existing);
+        }
+        const {id, errors} = await insertBook(data);
+        if (errors.length > 0) {
+          throw validationError(errors);
+        }
+        await recordBookChange(req, 'insert', id, null);
+        return readLiveBook(id);
+      });
+    },
+
+    // price, genre and isbn are not required and, therefore, take their defaults from the schema, if not specified
+    replace(id, data, versions, req) {
+      return changeBook(req, id, applySchemaDefaults(bookSchema, data), versions);
+    },
+
+    update(id, data, versions, req) {
+      return changeBook(req, id, data, versions);
+    },
+
+    trash(id, versions, req) {
+      return withTransaction(() => writeBook(req, 'delete', id, {sql: 'deleted_at = CURRENT_TIMESTAMP', params: []}, versions));
+    }
+  };
+}
+
+module.exports = {
+  createSqliteBookRepository
+};
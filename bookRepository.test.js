@@ -0,0 +1,242 @@
+// === FILE: bookRepository.test.js ===
+/**
+ * @file bookRepository.test.js
+ * @description The contract test suite of the book repositories, run against each implementation, and the tests of
+ *  the book routes over the in-memory repository, which need no DB
+ *
+ * Repositories covered:
+ * - createSqliteBookRepository
+ * - createMemoryBookRepository
+ */
+const request = require('supertest');
+const app = require('./index');
+const {getDb, initializeDb, run} = require('./database');
+const {nameKey} = require('./lib');
+const {createSqliteBookRepository} = require('./bookRepository');
+const {createMemoryBookRepository} = require('./memoryBookRepository');
+
+// The genres every repository starts with: 'Fantasy' is a subgenre of 'Fiction'
+const genres = [
+  {id: 1, name: 'Fiction', parentId: null},
+  {id: 2, name: 'Fantasy', parentId: 1},
+  {id: 3, name: 'Poetry', parentId: null}
+];
+
+// The request the changes are made for
+const req = {id: 'contract-test', apiKey: null};
+
+/**
+ * Creates a SQLite repository over a fresh in-memory DB holding the genres
+ *
+ * @returns {Promise<Object>} - The repository
+ */
+async function sqliteRepository() {
+  await initializeDb();
+  for (const genre of genres) {
+    const insertStatement = 'INSERT INTO genres (id, name, name_key, parent_id) VALUES (?, ?, ?, ?)';
+    await run(insertStatement, [genre.id, genre.name, nameKey(genre.name), genre.parentId]);
+  }
+  return createSqliteBookRepository();
+}
+
+describe.each([
+  ['SQLite', sqliteRepository, () => getDb().close()],
+  ['in-memory', async () => createMemoryBookRepository({genres: genres}), () => {}]
+])('Book repository contract - %s', (name, createRepository, closeRepository) => {
+
+  let repository;
+
+  // Executes before each test; starts from a repository holding only the genres
+  beforeEach(async () => {
+    repository = await createRepository();
+  });
+
+  afterEach(async () => {
+    await closeRepository();
+  });
+
+  /**
+   * Adds the books the list and search tests read
+   *
+   * @returns {Promise<Object>} - The books added, by title
+   */
+  async function addBooks() {
+    return {
+      dune: await repository.create({title: 'Dune', author: 'Frank Herbert', price: 9, genre: 'Fiction'}, req),
+      hobbit: await repository.create({title: 'The Hobbit', author: 'J. R. R. Tolkien', price: 12, genre: 'fantasy'}, req),
+      odes: await repository.create({title: 'Odes', author: 'John Keats', genre: 'Poetry'}, req),
+      silmarillion: await repository.create({title: 'Silmarillion', author: ['J. R. R. Tolkien', 'Christopher Tolkien'], price: 20, genre: 'Fantasy'}, req)
+    };
+  }
+
+  test('create - Adds a book with its genre and authors, which findById and findByIsbn return', async () => {
+    const book = await repository.create({title: 'Title 1', author: ['Author 1', 'Author 2'], price: 10, genre: 'fantasy', isbn: '0-306-40615-2'}, req);
+    const byId = await repository.findById(book.id);
+    const byIsbn = await repository.findByIsbn('978-0-306-40615-7');
+    const missing = await repository.findById(book.id + 1);
+
+    expect(book).toEqual({
+      id: expect.any(Number), title: 'Title 1', author: 'Author 1, Author 2', price: 10, genre: 'Fantasy', genre_id: 2, in_stock: 0,
+      isbn: '9780306406157', version: 1, deleted_at: null, authors: [{id: expect.any(Number), name: 'Author 1'}, {id: expect.any(Number), name: 'Author 2'}]
+    });
+    expect(byId).toEqual(book);
+    expect(byIsbn).toEqual(book);
+    expect(missing).toBeNull();
+  });
+
+  test('create - Refuses an unknown genre or author ID, and an ISBN another book holds', async () => {
+    const existing = await repository.create({title: 'Title 1', author: 'Author 1', isbn: '9783161484100'}, req);
+
+    await expect(repository.create({title: 'Title 2', author: 'Author 2', genre: 'Horror'}, req))
+      .rejects.toMatchObject({status: 400, extensions: {errors: [{detail: `Genre 'Horror' not found`}]}});
+    await expect(repository.create({title: 'Title 2', author: [999]}, req))
+      .rejects.toMatchObject({status: 400, extensions: {errors: [{detail: 'Author with ID: 999 not found'}]}});
+    await expect(repository.create({title: 'Title 2', author: 'Author 2', isbn: '978-3-16-148410-0'}, req))
+      .rejects.toMatchObject({status: 409, message: `Book with ISBN '9783161484100' already exists`, extensions: {id: existing.id}});
+    const page = await repository.list({});
+    expect(page.books.map(book => book.id)).toStrictEqual([existing.id]);
+  });
+
+  test('list - Filters by author, by genre with its subgenres, and by price, counting every match', async () => {
+    const {dune, hobbit, odes, silmarillion} = await addBooks();
+    const ids = async (query) => (await repository.list(query)).books.map(book => book.id);
+
+    expect(await repository.list({genre: 'FICTION'})).toMatchObject({total: 3, next: null});
+    expect(await ids({genre: 'fiction'})).toStrictEqual([dune.id, hobbit.id, silmarillion.id]);
+    expect(await ids({genreId: '3'})).toStrictEqual([odes.id]);
+    expect(await ids({author: 'christopher  tolkien'})).toStrictEqual([silmarillion.id]);
+    expect(await ids({authorId: String(hobbit.authors[0].id)})).toStrictEqual([hobbit.id, silmarillion.id]);
+    expect(await ids({minPrice: '10', maxPrice: '15'})).toStrictEqual([hobbit.id]);
+  });
+
+  test('list - Sorts with NULLs first in ascending order, and pages by cursor or, when one is given, by offset', async () => {
+    const {dune, hobbit, odes, silmarillion} = await addBooks();
+
+    const first = await repository.list({sort: 'price', limit: '2'});
+    const second = await repository.list({sort: 'price', limit: '2', cursor: first.next.cursor});
+    const descending = await repository.list({sort: 'price', order: 'desc', limit: '3'});
+    const last = await repository.list({sort: 'price', order: 'desc', limit: '3', cursor: descending.next.cursor});
+    const byOffset = await repository.list({sort: 'title', limit: '2', offset: '1'});
+
+    expect(first).toMatchObject({total: 4, next: {limit: '2', cursor: expect.any(String)}});
+    expect(first.books.map(book => book.id)).toStrictEqual([odes.id, dune.id]);
+    expect(second.books.map(book => book.id)).toStrictEqual([hobbit.id, silmarillion.id]);
+    expect(second.next).toBeNull();
+    expect(descending.books.map(book => book.id)).toStrictEqual([silmarillion.id, hobbit.id, dune.id]);
+    expect(last.books.map(book => book.id)).toStrictEqual([odes.id]);
+    expect(byOffset.books.map(book => book.title)).toStrictEqual(['Odes', 'Silmarillion']);
+    expect(byOffset.next).toStrictEqual({limit: '2', offset: '3'});
+  });
+
+  test('search - Matches every word, also as a prefix, across the title, author and genre', async () => {
+    const {hobbit, silmarillion} = await addBooks();
+
+    const byAuthor = await repository.search({q: 'tolk'});
+    const byEveryWord = await repository.search({q: 'Tolkien, hobbit!'});
+    const byGenre = await repository.search({q: 'fantasy'});
+    const paged = await repository.search({q: 'tolkien', limit: '1'});
+    const none = await repository.search({q: 'tolkien keats'});
+
+    expect(byAuthor.total).toBe(2);
+    expect(byAuthor.books.map(book => book.id).sort()).toStrictEqual([hobbit.id, silmarillion.id].sort());
+    expect(byEveryWord.books).toEqual([{...hobbit, snippet: expect.stringContaining('<mark>'), rank: expect.any(Number)}]);
+    expect(byGenre.books.map(book => book.id).sort()).toStrictEqual([hobbit.id, silmarillion.id].sort());
+    expect(paged).toMatchObject({total: 2, next: {limit: '1', offset: '1'}});
+    expect(paged.books).toHaveLength(1);
+    expect(none).toStrictEqual({books: [], total: 0, next: null});
+  });
+
+  test('replace - Replaces every field, clearing those not sent, and moves the book to the next version', async () => {
+    const book = await repository.create({title: 'Title 1', author: 'Author 1', price: 10, genre: 'Poetry', isbn: '9783161484100'}, req);
+
+    const replaced = await repository.replace(book.id, {title: 'Title 2', author: ['Author 2', book.authors[0].id]}, null, req);
+
+    expect(replaced).toEqual({
+      ...book, title: 'Title 2', author: 'Author 2, Author 1', price: null, genre: null, genre_id: null, isbn: null, version: 2,
+      authors: [{id: expect.any(Number), name: 'Author 2'}, book.authors[0]]
+    });
+    expect(await repository.findById(book.id)).toEqual(replaced);
+  });
+
+  test('update - Only changes the fields sent, null clearing a field, for the versions accepted', async () => {
+    const book = await repository.create({title: 'Title 1', author: 'Author 1', price: 10}, req);
+
+    const updated = await repository.update(String(book.id), {price: null, genre: 'poetry'}, [1, 3], req);
+
+    expect(updated).toEqual({...book, price: null, genre: 'Poetry', genre_id: 3, version: 2});
+    await expect(repository.update(book.id, {price: 5}, [1], req))
+      .rejects.toMatchObject({status: 412, message: `Book with ID: ${book.id} has changed since it was read; its current ETag is "2"`});
+  });
+
+  test('create, update - Store a price sent as a numeric string as a number', async () => {
+    const book = await repository.create({title: 'Title 1', author: 'Author 1', price: '12.5'}, req);
+    const updated = await repository.update(book.id, {price: ' 7 '}, null, req);
+
+    expect(book.price).toBe(12.5);
+    expect(updated.price).toBe(7);
+    expect((await repository.findById(book.id)).price).toBe(7);
+  });
+
+  test('trash - Hides the book from every read and write, while its ISBN stays in use', async () => {
+    const book = await repository.create({title: 'Title 1', author: 'Author 1', isbn: '9783161484100'}, req);
+    const other = await repository.create({title: 'Title 2', author: 'Author 2'}, req);
+
+    await expect(repository.trash(book.id, [2], req)).rejects.toMatchObject({status: 412});
+    await repository.trash(book.id, [1], req);
+
+    expect(await repository.findById(book.id)).toBeNull();
+    expect(await repository.findByIsbn('9783161484100')).toBeNull();
+    expect(await repository.list({})).toMatchObject({total: 1, books: [other]});
+    expect(await repository.search({q: 'title'})).toMatchObject({total: 1});
+    await expect(repository.trash(book.id, null, req)).rejects.toMatchObject({status: 404, message: `Book with ID: ${book.id} not found`});
+    await expect(repository.update(book.id, {price: 1}, null, req)).rejects.toMatchObject({status: 404});
+    await expect(repository.update(other.id, {isbn: '9783161484100'}, null, req)).rejects.toMatchObject({status: 409, extensions: {id: book.id}});
+  });
+});
+
+describe('Bookstore API - Book routes over the in-memory repository', () => {
+
+  let books;
+
+  // Executes before any test; the routes read books the repository holds, with no DB initialized
+  beforeAll(async () => {
+    const repository = createMemoryBookRepository({genres: genres});
+    app.set('bookRepository', repository);
+    books = [
+      await repository.create({title: 'Dune', author: 'Frank Herbert', price: 9, genre: 'Fiction'}, req),
+      await repository.create({title: 'The Hobbit', author: 'J. R. R. Tolkien', price: 12, genre: 'Fantasy'}, req)
+    ];
+  });
+
+  // Restores the repository of the app once all tests execute
+  afterAll(() => {
+    app.set('bookRepository', createSqliteBookRepository());
+  });
+
+  test('GET /books - Lists the books of the repository, with their total and the link to the next page', async () => {
+    const res = await request(app).get('/books?genre=fiction&limit=1');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['x-total-count']).toBe('2');
+    expect(res.headers['link']).toMatch(/^<\/books\?genre=fiction&limit=1&cursor=[\w-]+>; rel="next"$/);
+    expect(res.body).toStrictEqual([books[0]]);
+  });
+
+  test('GET /books/:id - Returns the book with its ETag, or a 404 problem', async () => {
+    const found = await request(app).get(`/books/${books[1].id}`);
+    const missing = await request(app).get('/books/99');
+
+    expect(found.statusCode).toBe(200);
+    expect(found.headers['etag']).toBe('"1"');
+    expect(found.body).toStrictEqual(books[1]);
+    expect(missing.statusCode).toBe(404);
+    expect(missing.body.detail).toBe('Book with ID: 99 not found');
+  });
+
+  test('GET /books/search - Searches the books of the repository', async () => {
+    const res = await request(app).get('/books/search?q=hobb');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toStrictEqual([{...books[1], snippet: 'The <mark>Hobbit</mark>', rank: -1}]);
+  });
+});
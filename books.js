@@ -0,0 +1,157 @@
+// === FILE: books.js ===
+const {get, run} = require('./database');
+const {resolveAuthors, authorDisplayName, linkBookAuthors} = require('./bookAuthors');
+const {resolveGenre} = require('./genres');
+const {normalizeIsbn, applySchemaDefaults, bookSchema, encodeCursor} = require('./lib');
+const {httpError} = require('./problems');
+const {versionEtag} = require('./preconditions');
+
+/**
+ * Resolves the genre and the authors referenced by a validated book payload
+ * Only the fields present in the payload are resolved; the genre is checked first, so that no author
+ *  is created for a payload that is rejected
+ * 
+ * @param {Object} data - the validated payload
+ * @returns {Promise<Object>} - The {references, errors} resolved
+ * - {Object} references - the {genre, authors} resolved; a field that was not sent is undefined
+ * - {Array<string>} errors - the genre or author IDs that do not exist, as input validation errors
+ */
+async function resolveBookReferences(data) {
+  const {genre, errors: genreErrors} = 'genre' in data ? await resolveGenre(data.genre) : {genre: undefined, errors: []};
+  if (genreErrors.length > 0) {
+    return {references: {}, errors: genreErrors};
+  }
+  const {authors, errors: authorErrors} = 'author' in data ? await resolveAuthors(data.author) : {authors: undefined, errors: []};
+  return {references: {genre, authors}, errors: authorErrors};
+}
+
+/**
+ * Builds the columns of a book from a validated payload and the genre and authors it references
+ * Only the fields present in the payload are built, so that a partial update leaves the others as they are
+ *
+ * @param {Object} data - the validated payload
+ * @param {Object} references - the {genre, authors} resolved by resolveBookReferences
+ * @returns {Object} - The values of the 'title', 'author', 'price', 'genre', 'genre_id' and 'isbn' columns, by column
+ */
+function bookColumns(data, {genre, authors}) {
+  const values = {...data};
+  if (authors) {
+    values.author = authorDisplayName(authors);
+  }
+  if (genre !== undefined) {
+    values.genre = genre?.name ?? null;
+    values.genre_id = genre?.id ?? null;
+  }
+  if (typeof values.isbn === 'string') {
+    values.isbn = normalizeIsbn(values.isbn);
+  }
+  return Object.fromEntries(['title', 'author', 'price', 'genre', 'genre_id', 'isbn'].filter(field => field in values).map(field => [field, values[field]]));
+}
+
+/**
+ * Builds the query parameters that select the page of GET /books after the given one
+ * A page requested by offset is followed by offset; any other page is followed by a cursor naming its last book
+ *
+ * @param {Object} settings - the sort and paging of the page, from bookListSettings
+ * @param {Array<Object>} page - the books of the page
+ * @returns {Object} - The 'limit' and the 'cursor' or 'offset' of the next page, as strings
+ */
+function nextListPage({sort, order, limit, offset}, page) {
+  if (offset === null) {
+    return {limit: String(limit), cursor: encodeCursor(sort, order, page[page.length - 1])};
+  }
+  return {limit: String(limit), offset: String(offset + limit)};
+}
+
+/**
+ * Finds the book that already holds an ISBN, so that a payload reusing it can be rejected
+ * 
+ * @param {string|null|undefined} isbn - the validated ISBN of the payload, in any accepted form; nothing is found without one
+ * @param {number|null} id - the book being updated, which keeps its own ISBN; null for a new book
+ * @returns {Promise<Object|undefined>} - The {id, isbn} of the other book, or undefined
+ */
+async function findIsbnConflict(isbn, id) {
+  if (typeof isbn !== 'string') {
+    return undefined;
+  }
+  return get('SELECT id, isbn FROM books WHERE isbn = ? AND id IS NOT ?', [normalizeIsbn(isbn), id]);
+}
+
+/**
+ * Adds a book from a validated payload, resolving its genre and authors and linking the authors to it
+ * 
+ * @param {Object} data - the validated payload
+ * @returns {Promise<Object>} - The {id, errors} of the insert
+ * - {number} id - the unique identifier of the new book; undefined when the payload is rejected
+ * - {Array<string>} errors - the genre or author IDs that do not exist, as input validation errors
+ */
+async function insertBook(data) {
+  const {references, errors} = await resolveBookReferences(data);
+  if (errors.length > 0) {
+    return {id: undefined, errors: errors};
+  }
+
+  // price, genre and isbn are not required and, therefore, take their defaults from the schema, if not specified
+  const book = applySchemaDefaults(bookSchema, data);
+  const isbn = book.isbn === null ? null : normalizeIsbn(book.isbn);
+  const {genre, authors} = references;
+  const sqlStatement = `INSERT INTO books (title, author, price, genre, genre_id, isbn) VALUES (?, ?, ?, ?, ?, ?);`;
+  const {lastID: id} = await run(sqlStatement, [book.title, authorDisplayName(authors), book.price, genre?.name ?? null, genre?.id ?? null, isbn]);
+  await linkBookAuthors(id, authors);
+  return {id: id, errors: []};
+}
+
+/**
+ * Creates the error of a request for a book that does not exist or is in the trash
+ *
+ * @param {number|string} id - the id of the book
+ * @returns {Error} - The 404 error
+ */
+function bookNotFoundError(id) {
+  return httpError(404, `Book with ID: ${id} not found`);
+}
+
+/**
+ * Creates the error of a payload reusing the ISBN of another book
+ *
+ * @param {Object} existing - the {id, isbn} of the book that has the ISBN, from findIsbnConflict
+ * @returns {Error} - The 409 error, naming the book
+ */
+function isbnConflictError(existing) {
+  return httpError(409, `Book with ISBN '${existing.isbn}' already exists`, {id: existing.id});
+}
+
+/**
+ * Creates the error of a conditional write to a book that has moved on from the versions the request accepts
+ *
+ * @param {number|string} id - the id of the book
+ * @param {number} version - the current version of the book
+ * @returns {Error} - The 412 error, naming the current ETag
+ */
+function versionMismatchError(id, version) {
+  return httpError(412, `Book with ID: ${id} has changed since it was read; its current ETag is ${versionEtag(version)}`);
+}
+
+/**
+ * Explains why a conditional write to a book changed no row: the book does not exist or is in the trash, or it has
+ *  moved on from the versions the 'If-Match' header of the request accepts
+ *
+ * @param {string} id - the id of the book
+ * @returns {Promise<Error>} - The 404 or 412 error to answer with
+ */
+async function explainMissedWrite(id) {
+  const row = await get('SELECT version FROM books WHERE id = ? AND deleted_at IS NULL', [id]);
+  return row ? versionMismatchError(id, row.version) : bookNotFoundError(id);
+}
+
+module.exports = {
+  resolveBookReferences,
+  bookColumns,
+  nextListPage,
+  findIsbnConflict,
+  insertBook,
+  bookNotFoundError,
+  isbnConflictError,
+  versionMismatchError,
+  explainMissedWrite
+};
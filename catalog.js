@@ -0,0 +1,305 @@
+// === FILE: catalog.js ===
+const express = require('express');
+const {getDb, withTransaction, waitForTransaction} = require('./database');
+const {inputValidationBody, inputValidationImportQuery, parseCsv, maxImportRows, inputValidationExportQuery, buildBookExportQuery,
+  csvLine} = require('./lib');
+const {httpError, validationError, asyncHandler} = require('./problems');
+const {findIsbnConflict, insertBook} = require('./books');
+const {recordBookChange} = require('./audit');
+const router = express.Router();
+
+// Thrown at the end of a dry run of POST /books/import, so that its transaction rolls back every row it added
+const dryRunRollback = new Error('Dry run of the import');
+
+// Body parsers of POST /books/import; a catalog is far larger than any other payload
+const importParsers = [
+  express.json({limit: '10mb'}),
+  express.text({type: 'text/csv', limit: '10mb'})
+];
+
+// Columns of a CSV export, in order
+const exportColumns = ['id', 'title', 'author', 'price', 'genre', 'genre_id', 'in_stock', 'isbn', 'version'];
+
+// How each export format is written: its content type, what comes before and after the rows, and each row
+const exportWriters = {
+  csv: {
+    type: 'text/csv; charset=utf-8',
+    start: csvLine(exportColumns),
+    row: (book) => csvLine(exportColumns.map(column => book[column])),
+    end: ''
+  },
+  ndjson: {
+    type: 'application/x-ndjson; charset=utf-8',
+    start: '',
+    row: (book) => `${JSON.stringify(book)}\n`,
+    end: ''
+  },
+  json: {
+    type: 'application/json; charset=utf-8',
+    start: '[',
+    row: (book, index) => `${index > 0 ? ',' : ''}\n${JSON.stringify(book)}`,
+    end: '\n]\n'
+  }
+};
+
+/**
+ * Reads the rows of a CSV import into book payloads
+ * The first record names the field of each column; empty fields are left out, several authors are separated
+ *  by ';', and a numeric price is converted to a number
+ *
+ * @param {string} text - the CSV text
+ * @returns {Array<Object>} - The rows
+ * - {number} line - the line on which the row starts
+ * - {Object} data - the book payload, or undefined when the row cannot be read
+ * - {Array<string>} errors - the reasons the row cannot be read, when it cannot
+ * @throws {Error} - When the CSV cannot be parsed
+ */
+function csvRows(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    throw new Error('The CSV has no header row.');
+  }
+  const fields = header.values.map(field => field.trim());
+
+  return records.map(({line, values}) => {
+    if (values.length !== fields.length) {
+      return {line, errors: [`Expected ${fields.length} fields, found ${values.length}.`]};
+    }
+    const data = {};
+    fields.forEach((field, index) => {
+      const value = values[index].trim();
+      if (value === '') {
+        return;
+      } else if (field === 'author') {
+        const names = value.split(';').map(name => name.trim()).filter(name => name !== '');
+        data.author = names.length === 1 ? names[0] : names;
+      } else if (field === 'price' && !isNaN(Number(value))) {
+        data.price = Number(value);
+      } else {
+        data[field] = value;
+      }
+    });
+    return {line, data};
+  });
+}
+
+/**
+ * GET /books/export
+ * Downloads every book matching the filters, streamed from the DB one row at a time
+ * The filters and the sort are those of GET /books; the export is not paged
+ *
+ * @query {string} format - 'csv', 'ndjson' (one JSON object per line), or 'json' (default: 'json')
+ * @query {string} author - only export books by this author, ignoring case, spacing and punctuation
+ * @query {number} authorId - only export books by the author with this ID
+ * @query {string} genre - only export books of this genre or of its subgenres, ignoring case, spacing and punctuation
+ * @query {number} genreId - only export books of the genre with this ID or of its subgenres
+ * @query {number} minPrice - only export books priced at or above this value
+ * @query {number} maxPrice - only export books priced at or below this value
+ * @query {string} sort - the column to sort by: id, title, author, price or genre (default: id)
+ * @query {string} order - the sort direction: asc or desc (default: asc)
+ *
+ * @response 200 - OK, streams the matching books
+ * @header Content-Disposition - an attachment named 'books-<date>.<format>'
+ * @returns {string} The books; as JSON and NDJSON, each book is an object as returned by GET /books/:id; as CSV,
+ *  a header row is followed by the id, title, author, price, genre, genre_id, in_stock, isbn and version of each book
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 500 - Internal server error - DB failure; a failure after the first row ends the download early
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.get('/export', (req, res, next) => {
+  // Declare the DB
+  const db = getDb();
+
+  // Input validation
+  const inputErrors = inputValidationExportQuery(req.query);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure the DB query and execute; rows are read one at a time, and only while the client keeps up
+  const format = req.query.format ?? 'json';
+  const writer = exportWriters[format];
+  const {statement, params} = buildBookExportQuery(req.query);
+  const stmt = db.prepare(statement, params, (err) => {
+    if (err) {
+      return next(err);
+    }
+    res.attachment(`books-${new Date().toISOString().slice(0, 10)}.${format}`);
+    res.type(writer.type);
+    res.write(writer.start);
+
+    // Stop reading when the client goes away; a read waiting for the client to catch up is abandoned, and a read
+    //  under way finalizes the statement once it returns
+    // Each row is read once no transaction is running, so that the export only holds committed books
+    let index = 0;
+    let waiting = false;
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+      if (waiting) {
+        stmt.finalize();
+      }
+    });
+
+    const writeNext = () => {
+      waiting = false;
+      if (closed) {
+        return stmt.finalize();
+      }
+      waitForTransaction().then(() => {
+        if (closed) {
+          return stmt.finalize();
+        }
+        stmt.get((err, row) => {
+          if (closed) {
+            return stmt.finalize();
+          } else if (err) {
+            console.error(err.message);
+            stmt.finalize();
+            return res.destroy(err);
+          } else if (!row) {
+            stmt.finalize();
+            return res.end(writer.end);
+          }
+          const book = {...row, authors: JSON.parse(row.authors)};
+          if (res.write(writer.row(book, index++))) {
+            return writeNext();
+          }
+          waiting = true;
+          res.once('drain', writeNext);
+        });
+      });
+    };
+    writeNext();
+  });
+});
+
+/**
+ * POST /books/import
+ * Adds many books at once, from CSV or from a JSON array
+ * Every row is validated like the body of POST /books; the valid rows are added in one transaction, and
+ *  the invalid ones are reported and skipped
+ * A CSV starts with a header row naming the fields, e.g. 'title,author,price,genre'; several authors are
+ *  separated by ';'
+ *
+ * @query {string} dryRun - 'true' to validate every row without writing anything (default: 'false')
+ *
+ * @body {string|Array<Object>} - the rows, as CSV (Content-Type: text/csv) or as a JSON array of books
+ *  (Content-Type: application/json), at most 10000
+ *
+ * @response 200 - OK, the rows are validated, for a dry run
+ * @response 201 - Created, the valid rows are added
+ * @returns {Object} The report of the import
+ * - {boolean} dryRun - whether nothing was written
+ * - {number} total - the number of rows
+ * - {number} succeeded - the number of rows added, or that would be added by a dry run
+ * - {number} failed - the number of rows rejected
+ * - {Array<Object>} rows - the outcome of each row, in order
+ *   - {number} line - the line on which the row starts in a CSV, or its position in a JSON array, from 1
+ *   - {string} status - 'imported', 'valid' for a dry run, or 'failed'
+ *   - {number} id - the unique identifier of the added book, when imported
+ *   - {Array<string>} errors - the input validation errors, when failed
+ *
+ * @response 400 - Input validation failure, or a body that holds no rows or cannot be parsed
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'editor' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 415 - The body is neither CSV nor JSON
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating the accepted content types
+ *
+ * @response 500 - Internal server error - DB failure; nothing is written
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.post('/import', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const inputErrors = inputValidationImportQuery(req.query);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Read the rows from the body
+  let rows;
+  if (req.is('text/csv')) {
+    try {
+      rows = csvRows(req.body);
+    } catch (err) {
+      return next(validationError([err.message]));
+    }
+  } else if (req.is('application/json')) {
+    if (!Array.isArray(req.body)) {
+      return next(validationError(['The JSON body must be an array of books.']));
+    }
+    rows = req.body.map((data, index) => {
+      const isObject = typeof data === 'object' && data !== null && !Array.isArray(data);
+      return isObject ? {line: index + 1, data} : {line: index + 1, errors: ['The row must be an object.']};
+    });
+  } else {
+    return next(httpError(415, `The body must be CSV ('text/csv') or a JSON array ('application/json')`));
+  }
+  if (rows.length === 0 || rows.length > maxImportRows) {
+    return next(validationError([`The import must hold between 1 and ${maxImportRows} rows.`]));
+  }
+
+  // Validate every row up front; only the valid ones reach the DB
+  const dryRun = req.query.dryRun === 'true';
+  const results = rows.map(({line, data, errors}) => {
+    const rowErrors = errors ?? inputValidationBody(data);
+    return rowErrors.length > 0 ? {line, status: 'failed', errors: rowErrors} : {line, status: 'pending'};
+  });
+
+  // Add the valid rows one after the other, in one transaction; a genre or author ID that does not exist, or an ISBN
+  //  that another book already has, only fails its row
+  // A dry run adds them as well, so the genres, authors and ISBNs are checked exactly, and then rolls back
+  try {
+    await withTransaction(async () => {
+      for (let index = 0; index < results.length; index++) {
+        if (results[index].status === 'failed') {
+          continue;
+        }
+        const {line, data} = rows[index];
+        const existing = await findIsbnConflict(data.isbn, null);
+        if (existing) {
+          results[index] = {line: line, status: 'failed', errors: [`Book with ISBN '${existing.isbn}' already exists`]};
+          continue;
+        }
+        const {id, errors: referenceErrors} = await insertBook(data);
+        if (referenceErrors.length > 0) {
+          results[index] = {line: line, status: 'failed', errors: referenceErrors};
+          continue;
+        }
+        results[index] = dryRun ? {line: line, status: 'valid'} : {line: line, status: 'imported', id: id};
+        await recordBookChange(req, 'insert', id, null);
+      }
+      if (dryRun) {
+        throw dryRunRollback;
+      }
+    });
+  } catch (err) {
+    if (err !== dryRunRollback) {
+      throw err;
+    }
+  }
+
+  // Report every row
+  const failed = results.filter(result => result.status === 'failed').length;
+  return res.status(dryRun ? 200 : 201).json({
+    dryRun: dryRun, total: results.length, succeeded: results.length - failed, failed: failed, rows: results
+  });
+}));
+
+module.exports = {
+  router,
+  importParsers
+};
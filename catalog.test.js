@@ -0,0 +1,286 @@
+// === FILE: catalog.test.js ===
+/**
+ * @file catalog.test.js
+ * @description The test suite for the bulk import and the export of the Bookstore API
+ *
+ * Endpoints covered:
+ * - POST /books/import
+ * - GET /books/export
+ */
+const http = require('http');
+const sqlite3 = require('sqlite3');
+const request = require('supertest');
+const app = require('./index');
+const {getDb, initializeDb} = require('./database');
+const {createApiKey} = require('./auth');
+
+let db;
+
+// Headers that authenticate the requests that change data
+let auth;
+
+/**
+ * Creates an API key with the given role in the current DB
+ *
+ * @param {string} role - the role the key grants
+ * @returns {Promise<Object>} - The headers that authenticate requests with the key
+ */
+function apiKeyHeader(role) {
+  return createApiKey('Tests', role).then(apiKey => ({Authorization: `Bearer ${apiKey.key}`}));
+}
+
+/**
+ * Counts the rows of a table
+ *
+ * @param {string} table - the name of the table
+ * @returns {Promise<number>} - The number of rows
+ */
+function countRows(table) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT COUNT(*) AS total FROM ${table}`, (err, row) => err ? reject(err) : resolve(row.total));
+  });
+}
+
+describe('Bookstore API - Import', () => {
+
+  // Executes before any test; connects to a fresh in-memory DB
+  beforeAll(async () => {
+    await initializeDb();
+    db = getDb();
+    auth = await apiKeyHeader('admin');
+    await request(app).post('/genres').set(auth).send({name: 'Fantasy'});
+  });
+
+  // Closes the DB connection after all tests execute
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('POST /books/import - Adds the valid rows of a CSV and reports every row by line', async () => {
+    const csv = [
+      'title,author,price,genre',
+      'The Hobbit,J.R.R. Tolkien,15,Fantasy',
+      '"Good Omens","Terry Pratchett; Neil Gaiman",12.5,',
+      ',Nobody,3,',
+      '"A ""quoted""',
+      'title",Somebody,,',
+      'Dune,Frank Herbert,9.99,Sci-Fi',
+      'Too,Many,Fields,Here,Extra'
+    ].join('\r\n');
+
+    const res = await request(app).post('/books/import').set(auth).set('Content-Type', 'text/csv').send(csv);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toStrictEqual({
+      dryRun: false, total: 6, succeeded: 3, failed: 3,
+      rows: [
+        {line: 2, status: 'imported', id: expect.any(Number)},
+        {line: 3, status: 'imported', id: expect.any(Number)},
+        {line: 4, status: 'failed', errors: [`'title' is required.`]},
+        {line: 5, status: 'imported', id: expect.any(Number)},
+        {line: 7, status: 'failed', errors: [`Genre 'Sci-Fi' not found`]},
+        {line: 8, status: 'failed', errors: ['Expected 4 fields, found 5.']}
+      ]
+    });
+
+    const omens = await request(app).get(`/books/${res.body.rows[1].id}`);
+    const quoted = await request(app).get(`/books/${res.body.rows[3].id}`);
+    expect(omens.body).toEqual(expect.objectContaining({title: 'Good Omens', author: 'Terry Pratchett, Neil Gaiman', price: 12.5, genre: null}));
+    expect(quoted.body.title).toBe('A "quoted"\r\ntitle');
+  });
+
+  test('POST /books/import - A dry run validates a JSON array without writing anything', async () => {
+    const books = await countRows('books');
+    const authors = await countRows('authors');
+
+    const res = await request(app).post('/books/import?dryRun=true').set(auth).send([
+      {title: 'Mort', author: 'Terry Pratchett', price: 8},
+      {title: 'Brand New', author: 'A New Author'},
+      {title: 'Unknown Author ID', author: 99999},
+      {title: 'Bad Price', author: 'Somebody', price: 'free'},
+      'not a book'
+    ]);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toStrictEqual({
+      dryRun: true, total: 5, succeeded: 2, failed: 3,
+      rows: [
+        {line: 1, status: 'valid'},
+        {line: 2, status: 'valid'},
+        {line: 3, status: 'failed', errors: ['Author with ID: 99999 not found']},
+        {line: 4, status: 'failed', errors: [`'price' must be a valid number.`]},
+        {line: 5, status: 'failed', errors: ['The row must be an object.']}
+      ]
+    });
+    expect(await countRows('books')).toBe(books);
+    expect(await countRows('authors')).toBe(authors);
+  });
+
+  test('POST /books/import - A row whose ISBN is already taken, in the DB or by an earlier row, fails', async () => {
+    await request(app).post('/books').set(auth).send({title: 'The Hobbit', author: 'J.R.R. Tolkien', isbn: '9780261103344'});
+
+    const res = await request(app).post('/books/import').set(auth).send([
+      {title: 'Dune', author: 'Frank Herbert', isbn: '0-441-01359-7'},
+      {title: 'Dune Again', author: 'Frank Herbert', isbn: '9780441013593'},
+      {title: 'Hobbit Again', author: 'J.R.R. Tolkien', isbn: '0261103342'}
+    ]);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.rows.map(row => row.errors ?? row.status)).toStrictEqual([
+      'imported', [`Book with ISBN '9780441013593' already exists`], [`Book with ISBN '9780261103344' already exists`]
+    ]);
+  });
+
+  test('POST /books/import - Imports larger than the usual body limit are accepted', async () => {
+    const rows = Array.from({length: 600}, (_, index) => ({title: `Bulk Title ${index} ${'x'.repeat(150)}`, author: 'Bulk Author', price: index}));
+
+    const res = await request(app).post('/books/import').set(auth).send(rows);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.succeeded).toBe(600);
+  });
+
+  test('POST /books/import - A DB failure rolls back every row', async () => {
+    const books = await countRows('books');
+    await new Promise((resolve, reject) => db.exec(`
+      CREATE TRIGGER fail_import BEFORE INSERT ON books WHEN new.title = 'Boom'
+      BEGIN SELECT RAISE(ABORT, 'Row rejected'); END;`, (err) => err ? reject(err) : resolve()));
+
+    const res = await request(app).post('/books/import').set(auth).send([{title: 'Fine', author: 'Somebody'}, {title: 'Boom', author: 'Somebody'}]);
+    await new Promise((resolve, reject) => db.exec('DROP TRIGGER fail_import;', (err) => err ? reject(err) : resolve()));
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.type).toBe('/problems/internal-error');
+    expect(res.body.detail).not.toContain('Row rejected');
+    expect(await countRows('books')).toBe(books);
+  });
+
+  test('POST /books/import - Rejects bodies that hold no rows or are not CSV or JSON', async () => {
+    const empty = await request(app).post('/books/import').set(auth).set('Content-Type', 'text/csv').send('title,author\n');
+    const object = await request(app).post('/books/import').set(auth).send({title: 'Not', author: 'An Array'});
+    const unterminated = await request(app).post('/books/import').set(auth).set('Content-Type', 'text/csv').send('title,author\n"Open,Author');
+    const text = await request(app).post('/books/import').set(auth).set('Content-Type', 'text/plain').send('title,author');
+    const dryRun = await request(app).post('/books/import?dryRun=yes').set(auth).send([]);
+
+    expect(empty.statusCode).toBe(400);
+    expect(empty.body.errors.map(error => error.detail)).toStrictEqual(['The import must hold between 1 and 10000 rows.']);
+    expect(object.body.errors.map(error => error.detail)).toStrictEqual(['The JSON body must be an array of books.']);
+    expect(unterminated.body.errors.map(error => error.detail)).toStrictEqual(['The quoted field starting on line 2 is not terminated.']);
+    expect(text.statusCode).toBe(415);
+    expect(dryRun.body.errors.map(error => error.detail)).toStrictEqual([`'dryRun' must be either 'true' or 'false'.`]);
+  });
+
+  test('POST /books/import - Needs the editor role', async () => {
+    const res = await request(app).post('/books/import').send([{title: 'Title', author: 'Author'}]);
+
+    expect(res.statusCode).toBe(401);
+  });
+});
+
+describe('Bookstore API - Export', () => {
+
+  // Executes before any test; connects to a fresh in-memory DB with a few books
+  beforeAll(async () => {
+    await initializeDb();
+    db = getDb();
+    auth = await apiKeyHeader('admin');
+    await request(app).post('/genres').set(auth).send({name: 'Fantasy'});
+    await request(app).post('/books').set(auth).send({title: 'The Hobbit', author: 'J.R.R. Tolkien', price: 15, genre: 'Fantasy', isbn: '0-261-10334-2'});
+    await request(app).post('/books').set(auth).send({title: 'Good Omens, "Nice"', author: ['Terry Pratchett', 'Neil Gaiman'], price: 12.5});
+    await request(app).post('/books').set(auth).send({title: 'Dune', author: 'Frank Herbert', price: 9.99});
+  });
+
+  // Closes the DB connection after all tests execute
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('GET /books/export - Downloads every book as a JSON array by default', async () => {
+    const res = await request(app).get('/books/export');
+    const book = await request(app).get('/books/2');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('application/json; charset=utf-8');
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="books-\d{4}-\d{2}-\d{2}\.json"$/);
+    expect(res.body.map(book => book.title)).toStrictEqual(['The Hobbit', 'Good Omens, "Nice"', 'Dune']);
+    expect(res.body[1]).toStrictEqual(book.body);
+  });
+
+  test('GET /books/export - Downloads one JSON object per line as NDJSON', async () => {
+    const res = await request(app).get('/books/export?format=ndjson').buffer(true).parse((res, callback) => {
+      let text = '';
+      res.on('data', chunk => text += chunk);
+      res.on('end', () => callback(null, text));
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+    expect(res.headers['content-disposition']).toMatch(/filename="books-.+\.ndjson"$/);
+    const lines = res.body.split('\n');
+    expect(lines.pop()).toBe('');
+    expect(lines.map(line => JSON.parse(line).authors)).toStrictEqual([
+      [{id: 1, name: 'J.R.R. Tolkien'}], [{id: 2, name: 'Terry Pratchett'}, {id: 3, name: 'Neil Gaiman'}], [{id: 4, name: 'Frank Herbert'}]
+    ]);
+  });
+
+  test('GET /books/export - Downloads a header row and one quoted record per book as CSV', async () => {
+    const res = await request(app).get('/books/export?format=csv');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toMatch(/filename="books-.+\.csv"$/);
+    expect(res.text).toBe([
+      'id,title,author,price,genre,genre_id,in_stock,isbn,version',
+      '1,The Hobbit,J.R.R. Tolkien,15,Fantasy,1,0,9780261103344,1',
+      '2,"Good Omens, ""Nice""","Terry Pratchett, Neil Gaiman",12.5,,,0,,1',
+      '3,Dune,Frank Herbert,9.99,,,0,,1',
+      ''
+    ].join('\r\n'));
+  });
+
+  test('GET /books/export - Applies the filters and the sort of GET /books', async () => {
+    const res = await request(app).get('/books/export?maxPrice=13&sort=price&order=desc');
+    const byAuthor = await request(app).get('/books/export?author=neil%20gaiman');
+    const none = await request(app).get('/books/export?genre=Horror');
+
+    expect(res.body.map(book => book.title)).toStrictEqual(['Good Omens, "Nice"', 'Dune']);
+    expect(byAuthor.body.map(book => book.id)).toStrictEqual([2]);
+    expect(none.statusCode).toBe(200);
+    expect(none.body).toStrictEqual([]);
+  });
+
+  test('GET /books/export - Finalizes the statement when the client goes away while a row is read', async () => {
+    const server = app.listen(0);
+    const finalize = jest.spyOn(sqlite3.Statement.prototype, 'finalize');
+    const read = sqlite3.Statement.prototype.get;
+    let client;
+
+    // The second row is only read once the client has gone away
+    const get = jest.spyOn(sqlite3.Statement.prototype, 'get').mockImplementation(function(callback) {
+      if (get.mock.calls.length === 2) {
+        client.destroy();
+        return setTimeout(() => read.call(this, callback), 100);
+      }
+      return read.call(this, callback);
+    });
+    client = http.get(`http://localhost:${server.address().port}/books/export`);
+    client.on('error', () => {});
+    await new Promise(resolve => setTimeout(resolve, 300));
+    const calls = {get: get.mock.calls.length, finalize: finalize.mock.calls.length};
+    get.mockRestore();
+    finalize.mockRestore();
+    await new Promise(resolve => server.close(resolve));
+
+    expect(calls).toStrictEqual({get: 2, finalize: 1});
+  });
+
+  test('GET /books/export - Rejects unknown formats and paging', async () => {
+    const res = await request(app).get('/books/export?format=xml&limit=10');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors.map(error => error.detail)).toStrictEqual([
+      `'limit' is not an expected query parameter. Please remove this from the request.`,
+      `'format' must be one of: csv, ndjson, json.`
+    ]);
+  });
+});
@@ -0,0 +1,147 @@
+// === FILE: changes.js ===
+const express = require('express');
+const {get, all} = require('./database');
+const {inputValidationChangesQuery} = require('./lib');
+const {validationError, asyncHandler} = require('./problems');
+const {bookChanges, entriesStatement, formatEntries} = require('./audit');
+const {bookEvents} = require('./webhooks');
+const router = express.Router();
+
+// Settings used when neither an option nor an environment variable is given
+const defaultChangesConfig = {
+  heartbeatMs: 15 * 1000
+};
+
+// How many changes are read at a time, when a client catches up on the changes it missed
+const changesBatchSize = 500;
+
+// The kinds of change of the audit log the feed announces, as for the webhooks; a purge is not announced
+const announcedActions = Object.keys(bookEvents);
+
+/**
+ * Resolves the change feed settings; options take precedence over environment variables, which take precedence
+ *  over the defaults
+ *
+ * @param {Object} options - the change feed settings
+ * - {number} heartbeatMs - how often a comment is sent on a stream, so that proxies do not close it as idle (CHANGES_HEARTBEAT_MS)
+ * @param {Object} env - the environment variables
+ * @returns {Object} - The resolved settings, with the same fields as the options
+ */
+function resolveChangesConfig(options = {}, env = process.env) {
+  const config = {...defaultChangesConfig};
+
+  if (options.heartbeatMs !== undefined) {
+    config.heartbeatMs = options.heartbeatMs;
+  } else if (env.CHANGES_HEARTBEAT_MS) {
+    config.heartbeatMs = Number(env.CHANGES_HEARTBEAT_MS);
+  }
+  if (!Number.isInteger(config.heartbeatMs) || config.heartbeatMs < 1) {
+    throw new Error(`'heartbeatMs' must be a positive integer.`);
+  }
+
+  return config;
+}
+
+/**
+ * Formats an entry of the audit log as a Server-Sent Event; its id is the sequence number of the change
+ *
+ * @param {Object} entry - the entry, as returned by GET /audit
+ * @returns {string} - The event, with its 'id', 'event' and 'data' fields
+ */
+function formatChangeEvent(entry) {
+  return `id: ${entry.id}\nevent: ${bookEvents[entry.action]}\ndata: ${JSON.stringify(entry)}\n\n`;
+}
+
+/**
+ * GET /books/changes
+ * Streams the changes to the books as Server-Sent Events, in the order they are committed
+ * Each event is named 'book.created', 'book.updated' or 'book.deleted', as for the webhooks; its id is the id of the
+ *  change in the audit log, which only grows, so a client that reconnects with 'Last-Event-ID' receives the changes
+ *  it missed first
+ * A comment is sent every CHANGES_HEARTBEAT_MS (default: 15 seconds), so that proxies do not close the stream as idle
+ *
+ * @header Last-Event-ID - the id of the last event the client received; sent by a reconnecting EventSource
+ *
+ * @query {number} lastEventId - the same, for a first connection; the header takes precedence
+ *
+ * @response 200 - OK, the stream is open; without a last event ID, it starts with the next change
+ * @returns {string} A 'text/event-stream', each event holding an audit log entry, as returned by GET /audit, as its data
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.get('/changes', asyncHandler(async (req, res, next) => {
+  // Declare the settings, resolved as the app is set up
+  const config = req.app.get('changesConfig');
+
+  // Input validation
+  const lastEventIdHeader = req.get('Last-Event-ID');
+  const inputErrors = inputValidationChangesQuery(req.query, lastEventIdHeader);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Without a last event ID, the stream starts after the latest change; the changes are read once the running
+  //  transaction ends, so that only committed ones are sent and the cursor never passes a change still to come
+  const lastEventId = lastEventIdHeader?.trim() ?? req.query.lastEventId;
+  const startStatement = lastEventId === undefined ? 'SELECT COALESCE(MAX(id), 0) AS id FROM audit_log' : 'SELECT ? AS id';
+  const start = await get(startStatement, lastEventId === undefined ? [] : [Number(lastEventId)]);
+
+  res.status(200).set({'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive', 'X-Accel-Buffering': 'no'});
+  res.flushHeaders();
+  res.write(': connected\n\n');
+
+  // Sends the changes committed since the last one sent, a batch at a time; a change announced while a batch is
+  //  being read is picked up by the next one
+  let cursor = start.id;
+  let reading = false;
+  let announced = false;
+  let closed = false;
+  const sendChanges = () => {
+    if (reading) {
+      announced = true;
+      return;
+    }
+    reading = true;
+    const changesStatement = `${entriesStatement} WHERE id > ? AND action IN (${announcedActions.map(() => '?').join(', ')}) ORDER BY id LIMIT ?`;
+    all(changesStatement, [cursor, ...announcedActions, changesBatchSize]).then(rows => {
+      reading = false;
+      if (closed) {
+        return;
+      }
+      formatEntries(rows).forEach(entry => {
+        res.write(formatChangeEvent(entry));
+        cursor = entry.id;
+      });
+      if (rows.length === changesBatchSize || announced) {
+        announced = false;
+        sendChanges();
+      }
+    }).catch(err => {
+      reading = false;
+      if (!closed) {
+        console.error(`Failed to read the changes to the books: ${err.message}`);
+        res.end();
+      }
+    });
+  };
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.heartbeatMs);
+  bookChanges.on('recorded', sendChanges);
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    bookChanges.off('recorded', sendChanges);
+  });
+  sendChanges();
+}));
+
+module.exports = {
+  router,
+  resolveChangesConfig
+};
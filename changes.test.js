@@ -0,0 +1,220 @@
+// === FILE: changes.test.js ===
+/**
+ * @file changes.test.js
+ * @description The test suite for the change feed of the Bookstore API, read as a client would over a real connection
+ *
+ * Endpoints covered:
+ * - GET /books/changes
+ */
+const http = require('http');
+const request = require('supertest');
+const app = require('./index');
+const {getDb, initializeDb, run, withTransaction} = require('./database');
+const {createApiKey} = require('./auth');
+const {resolveChangesConfig} = require('./changes');
+const {bookChanges} = require('./audit');
+
+let db;
+
+// Headers that authenticate the requests that change data
+let auth;
+
+// The server the streams are read from, and its base URL
+let server;
+let baseUrl;
+
+/**
+ * Creates an API key with the given role in the current DB
+ *
+ * @param {string} role - the role the key grants
+ * @returns {Promise<Object>} - The headers that authenticate requests with the key
+ */
+function apiKeyHeader(role) {
+  return createApiKey('Tests', role).then(apiKey => ({Authorization: `Bearer ${apiKey.key}`}));
+}
+
+/**
+ * Opens a stream of the change feed and collects what it sends
+ *
+ * @param {string} path - the path and query of the feed
+ * @param {Object} headers - the headers to send
+ * @returns {Promise<Object>} - The response, the 'text' received so far, and 'close' to disconnect
+ */
+function openFeed(path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(`${baseUrl}${path}`, {headers: headers}, (res) => {
+      const feed = {res: res, text: '', close: () => req.destroy()};
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        feed.text += chunk;
+      });
+      resolve(feed);
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parses the events of a stream, leaving out its comments
+ *
+ * @param {string} text - what the stream sent
+ * @returns {Array<Object>} - The {id, event, data} of each event, with its data parsed
+ */
+function parseEvents(text) {
+  return text.split('\n\n').filter(block => block.startsWith('id: ')).map(block => {
+    const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+    return {id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data)};
+  });
+}
+
+/**
+ * Waits until a check passes, checking every few milliseconds for up to two seconds
+ *
+ * @param {Function} check - returns a truthy value once it passes
+ * @returns {Promise<*>} - The value of the check that passed
+ */
+async function waitFor(check) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const result = check();
+    if (result) {
+      return result;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('The check did not pass within two seconds');
+}
+
+describe('Change feed - Settings', () => {
+
+  test('resolveChangesConfig - Options take precedence over environment variables, which take precedence over the defaults', () => {
+    expect(resolveChangesConfig({}, {})).toStrictEqual({heartbeatMs: 15000});
+    expect(resolveChangesConfig({}, {CHANGES_HEARTBEAT_MS: '30000'})).toStrictEqual({heartbeatMs: 30000});
+    expect(resolveChangesConfig({heartbeatMs: 5000}, {CHANGES_HEARTBEAT_MS: '30000'})).toStrictEqual({heartbeatMs: 5000});
+  });
+
+  test('resolveChangesConfig - Invalid settings are rejected', () => {
+    expect(() => resolveChangesConfig({}, {CHANGES_HEARTBEAT_MS: 'often'})).toThrow(`'heartbeatMs' must be a positive integer.`);
+    expect(() => resolveChangesConfig({heartbeatMs: 0}, {})).toThrow(`'heartbeatMs' must be a positive integer.`);
+  });
+
+  test('resolveChangesConfig - An invalid setting stops the app as it is set up', () => {
+    process.env.CHANGES_HEARTBEAT_MS = 'often';
+    try {
+      jest.isolateModules(() => {
+        expect(() => require('./index')).toThrow(`'heartbeatMs' must be a positive integer.`);
+      });
+    } finally {
+      delete process.env.CHANGES_HEARTBEAT_MS;
+    }
+  });
+});
+
+describe('Bookstore API - Change feed', () => {
+
+  // Executes before any test; connects to a fresh in-memory DB and starts listening
+  beforeAll(async () => {
+    await initializeDb();
+    db = getDb();
+    auth = await apiKeyHeader('admin');
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  // Stops listening and closes the DB connection after all tests execute
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await db.close();
+  });
+
+  test('GET /books/changes - Streams the changes committed from now on, in order', async () => {
+    await request(app).post('/books').set(auth).send({title: 'Before', author: 'Author 0'});
+    const feed = await openFeed('/books/changes');
+
+    const created = await request(app).post('/books').set(auth).send({title: 'Title 1', author: 'Author 1', price: 10});
+    const replaced = await request(app).put(`/books/${created.body.id}`).set(auth).send({title: 'Title 1', author: 'Author 1', price: 12});
+    await request(app).delete(`/books/${created.body.id}`).set(auth);
+    await request(app).delete(`/books/trash/${created.body.id}`).set(auth);
+    const events = await waitFor(() => parseEvents(feed.text).length === 3 && parseEvents(feed.text));
+    const log = await request(app).get(`/audit?bookId=${created.body.id}`);
+    feed.close();
+
+    expect(feed.res.statusCode).toBe(200);
+    expect(feed.res.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(feed.res.headers['cache-control']).toBe('no-cache');
+    expect(events.map(event => event.event)).toStrictEqual(['book.created', 'book.updated', 'book.deleted']);
+    expect(events.map(event => event.data)).toStrictEqual(log.body.slice(1).reverse());
+    expect(events.map(event => event.id)).toStrictEqual(events.map(event => event.data.id));
+    expect(events[1].data).toMatchObject({bookId: created.body.id, changes: {price: {before: 10, after: 12}}, requestId: replaced.headers['x-request-id']});
+  });
+
+  test('GET /books/changes - Resumes after the last event received, from the header or, on a first connection, the query', async () => {
+    const first = await request(app).post('/books').set(auth).send({title: 'Title 2', author: 'Author 2'});
+    await request(app).post('/books').set(auth).send({title: 'Title 3', author: 'Author 3'});
+    const log = await request(app).get(`/audit?bookId=${first.body.id}`);
+    const lastEventId = log.body[0].id;
+
+    const resumed = await openFeed('/books/changes', {'Last-Event-ID': String(lastEventId)});
+    const fromQuery = await openFeed(`/books/changes?lastEventId=${lastEventId - 1}`);
+    const headerFirst = await openFeed('/books/changes?lastEventId=0', {'Last-Event-ID': String(lastEventId)});
+    await request(app).post('/books').set(auth).send({title: 'Title 4', author: 'Author 4'});
+    const resumedEvents = await waitFor(() => parseEvents(resumed.text).length === 2 && parseEvents(resumed.text));
+    const queryEvents = await waitFor(() => parseEvents(fromQuery.text).length === 3 && parseEvents(fromQuery.text));
+    const headerEvents = await waitFor(() => parseEvents(headerFirst.text).length === 2 && parseEvents(headerFirst.text));
+    [resumed, fromQuery, headerFirst].forEach(feed => feed.close());
+
+    expect(resumedEvents.map(event => event.data.changes.title.after)).toStrictEqual(['Title 3', 'Title 4']);
+    expect(queryEvents[0].id).toBe(lastEventId);
+    expect(queryEvents.map(event => event.id)).toStrictEqual([lastEventId, ...resumedEvents.map(event => event.id)]);
+    expect(headerEvents).toStrictEqual(resumedEvents);
+  });
+
+  test('GET /books/changes - Only sends committed changes, so a rolled back change never moves the stream past a later one', async () => {
+    const feed = await openFeed('/books/changes');
+
+    // Another change is announced while the transaction holds an entry it will roll back
+    let inserted;
+    const pending = new Promise(resolve => {
+      inserted = resolve;
+    });
+    const failing = expect(withTransaction(async () => {
+      await run(`INSERT INTO audit_log (book_id, action, changes) VALUES (0, 'insert', '{}')`);
+      inserted();
+      await new Promise(resolve => setTimeout(resolve, 50));
+      throw new Error('The import is a dry run');
+    })).rejects.toThrow('The import is a dry run');
+    await pending;
+    bookChanges.emit('recorded');
+    await failing;
+    const created = await request(app).post('/books').set(auth).send({title: 'Title 5', author: 'Author 5'});
+    const events = await waitFor(() => parseEvents(feed.text).length > 0 && parseEvents(feed.text));
+    feed.close();
+
+    expect(events.map(event => event.data.bookId)).toStrictEqual([created.body.id]);
+  });
+
+  test('GET /books/changes - Sends a heartbeat, so that an idle stream stays open', async () => {
+    const config = app.get('changesConfig');
+    app.set('changesConfig', resolveChangesConfig({heartbeatMs: 20}, {}));
+    const feed = await openFeed('/books/changes');
+    app.set('changesConfig', config);
+
+    await waitFor(() => feed.text.split(': heartbeat\n\n').length > 2);
+    feed.close();
+
+    expect(feed.text.startsWith(': connected\n\n: heartbeat\n\n')).toBe(true);
+    expect(parseEvents(feed.text)).toStrictEqual([]);
+  });
+
+  test('GET /books/changes - Input validation: the last event ID must be a non-negative integer', async () => {
+    const res = await request(app).get('/books/changes?lastEventId=abc&since=1').set('Last-Event-ID', '-1');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors).toStrictEqual([
+      {field: 'since', detail: `'since' is not an expected query parameter. Please remove this from the request.`},
+      {field: 'lastEventId', detail: `'lastEventId' must be a non-negative integer.`},
+      {field: 'Last-Event-ID', detail: `'Last-Event-ID' must be a non-negative integer.`}
+    ]);
+  });
+});
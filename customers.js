@@ -0,0 +1,294 @@
+// === FILE: customers.js ===
+const express = require('express');
+const {get, all, run, withTransaction} = require('./database');
+const {inputValidationId, inputValidationCustomerBody, inputValidationCustomerQuery, addressFields,
+  defaultPageLimit} = require('./lib');
+const {httpError, validationError, asyncHandler} = require('./problems');
+const router = express.Router();
+
+// Selects the customers in the shape returned by the API, before their addresses are parsed
+const customersStatement = `
+  SELECT id, name, email, addresses, created_at AS createdAt, updated_at AS updatedAt
+  FROM customers`;
+
+/**
+ * Parses the shipping addresses of a customer row
+ *
+ * @param {Object} row - the customer row, with its addresses as JSON
+ * @returns {Object} - The customer, with its addresses as an array
+ */
+function formatCustomer(row) {
+  return {...row, addresses: JSON.parse(row.addresses)};
+}
+
+/**
+ * Serializes the shipping addresses of a payload; every address holds every field, null when not given
+ *
+ * @param {Array<Object>} addresses - the validated addresses, or undefined
+ * @returns {string} - The addresses as JSON
+ */
+function serializeAddresses(addresses = []) {
+  return JSON.stringify(addresses.map(address => Object.fromEntries(addressFields.map(field => {
+    return [field, typeof address[field] === 'string' ? address[field].trim() : null];
+  }))));
+}
+
+/**
+ * GET /customers
+ * Get a page of customers, ordered by name
+ *
+ * @query {string} email - only return the customer with this email address, ignoring case
+ * @query {number} limit - the page size, between 1 and 1000 (default: 100)
+ * @query {number} offset - the number of customers to skip
+ *
+ * @response 200 - OK, returns the requested page of customers
+ * @header X-Total-Count - the number of matching customers, across all pages
+ * @returns {Array<Object>} An array of customer objects, as returned by GET /customers/:id
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.get('/', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const inputErrors = inputValidationCustomerQuery(req.query);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure the DB queries and execute
+  const filterClause = 'email' in req.query ? ' WHERE email = ?' : '';
+  const params = 'email' in req.query ? [req.query.email.trim()] : [];
+  const limit = 'limit' in req.query ? Number(req.query.limit) : defaultPageLimit;
+  const offset = Number(req.query.offset ?? 0);
+  const count = await get(`SELECT COUNT(*) AS total FROM customers${filterClause}`, params);
+  const sqlStatement = `${customersStatement}${filterClause} ORDER BY name COLLATE NOCASE, id LIMIT ? OFFSET ?`;
+  const rows = await all(sqlStatement, [...params, limit, offset]);
+  res.set('X-Total-Count', String(count.total));
+  return res.json(rows.map(formatCustomer));
+}));
+
+/**
+ * GET /customers/:id
+ * Get a single customer by its ID
+ *
+ * @param {number} :id - the id of the customer to be retrieved
+ *
+ * @response 200 - OK, returns customer with specified ID
+ * @returns {Object} The object that holds the data of the customer
+ * - {number} id - the unique identifier for each customer
+ * - {string} name - the name of the customer
+ * - {string} email - the email address of the customer
+ * - {Array<Object>} addresses - the shipping addresses of the customer
+ *   - {string} label - a name for the address, e.g. 'Home', or null
+ *   - {string} line1 - the first line of the street address
+ *   - {string} line2 - the second line of the street address, or null
+ *   - {string} city - the city
+ *   - {string} region - the state, province or county, or null
+ *   - {string} postalCode - the postal code
+ *   - {string} country - the country
+ * - {string} createdAt - when the customer was created
+ * - {string} updatedAt - when the customer was last updated
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 404 - Customer with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the customer cannot be found
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.get('/:id', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB call and execute
+  const row = await get(`${customersStatement} WHERE id = ?`, [id]);
+  if (!row) {
+    return next(httpError(404, `Customer with ID: ${id} not found`));
+  }
+  return res.json(formatCustomer(row));
+}));
+
+/**
+ * POST /customers
+ * Creates a new customer
+ *
+ * @body {string} name - the name of the customer (required)
+ * @body {string} email - the email address of the customer, unique ignoring case (required)
+ * @body {Array<Object>} addresses - the shipping addresses of the customer, see GET /customers/:id
+ *
+ * @response 201 - Created, the customer is created
+ * @returns {Object} An object holding the confirmation information
+ * - {string} message - a confirmation message
+ * - {number} id - the newly created unique identifier for the customer
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'editor' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 409 - A customer with the same email address already exists
+ * @returns {Object} A problem, as 'application/problem+json', holding the conflict information
+ * - {string} detail - a message naming the email address
+ * - {number} id - the unique identifier of the existing customer
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.post('/', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const inputErrors = inputValidationCustomerBody(req.body);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls and execute in one transaction, so that no other request takes the email address in between
+  const name = req.body.name.trim();
+  const email = req.body.email.trim();
+  const id = await withTransaction(async () => {
+    const existing = await get('SELECT id, email FROM customers WHERE email = ?', [email]);
+    if (existing) {
+      throw httpError(409, `Customer with email '${existing.email}' already exists`, {id: existing.id});
+    }
+    const insertStatement = 'INSERT INTO customers (name, email, addresses) VALUES (?, ?, ?)';
+    const {lastID} = await run(insertStatement, [name, email, serializeAddresses(req.body.addresses)]);
+    return lastID;
+  });
+  return res.status(201).json({message: 'Customer added successfully', id: id});
+}));
+
+/**
+ * PUT /customers/:id
+ * Replaces an existing customer; addresses that are not sent are removed
+ *
+ * @param {number} :id - the id of the customer to be updated
+ *
+ * @body {string} name - the name of the customer (required)
+ * @body {string} email - the email address of the customer, unique ignoring case (required)
+ * @body {Array<Object>} addresses - the shipping addresses of the customer, see GET /customers/:id
+ *
+ * @response 201 - Created, the customer is updated
+ * @returns {Object} An object holding the confirmation information
+ * - {string} message - a confirmation message
+ * - {number} id - the unique identifier for the updated customer
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'editor' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 404 - Customer with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the customer cannot be found
+ *
+ * @response 409 - Another customer already has the same email address
+ * @returns {Object} A problem, as 'application/problem+json', holding the conflict information
+ * - {string} detail - a message naming the email address
+ * - {number} id - the unique identifier of the existing customer
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.put('/:id', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id).concat(inputValidationCustomerBody(req.body));
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls and execute in one transaction, so that no other request takes the email address in between
+  const name = req.body.name.trim();
+  const email = req.body.email.trim();
+  await withTransaction(async () => {
+    const existing = await get('SELECT id, email FROM customers WHERE email = ? AND id != ?', [email, id]);
+    if (existing) {
+      throw httpError(409, `Customer with email '${existing.email}' already exists`, {id: existing.id});
+    }
+    const updateStatement = 'UPDATE customers SET name = ?, email = ?, addresses = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+    const {changes} = await run(updateStatement, [name, email, serializeAddresses(req.body.addresses), id]);
+    if (changes === 0) {
+      throw httpError(404, `Customer with ID: ${id} not found`);
+    }
+  });
+  return res.status(201).json({message: 'Customer updated successfully', id: id});
+}));
+
+/**
+ * DELETE /customers/:id
+ * Deletes an existing customer; a customer who has placed orders cannot be deleted
+ *
+ * @param {number} :id - the id of the customer to be deleted
+ *
+ * @response 200 - OK, the customer is deleted
+ * @returns {Object} An object holding the confirmation information
+ * - {string} message - a confirmation message
+ * - {number} id - the unique identifier for the deleted customer
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'admin' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 404 - Customer with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the customer cannot be found
+ *
+ * @response 409 - The customer has placed orders
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating how many orders the customer placed
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.delete('/:id', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls and execute
+  const count = await get('SELECT COUNT(*) AS total FROM orders WHERE customer_id = ?', [id]);
+  if (count.total > 0) {
+    return next(httpError(409, `Customer with ID: ${id} has placed ${count.total} order(s) and cannot be deleted`));
+  }
+  const {changes} = await run('DELETE FROM customers WHERE id = ?', [id]);
+  if (changes === 0) {
+    return next(httpError(404, `Customer with ID: ${id} not found`));
+  }
+  return res.status(200).json({message: 'Customer successfully deleted', id: id});
+}));
+
+module.exports = {
+  router
+};
@@ -0,0 +1,186 @@
+// === FILE: customers.test.js ===
+/**
+ * @file customers.test.js
+ * @description The test suite for the customers of the Bookstore API
+ *
+ * Endpoints covered:
+ * - GET /customers
+ * - GET /customers/:id
+ * - POST /customers
+ * - PUT /customers/:id
+ * - DELETE /customers/:id
+ */
+const request = require('supertest');
+const app = require('./index');
+const {getDb, initializeDb, run, withTransaction} = require('./database');
+const {createApiKey} = require('./auth');
+
+let db;
+
+// Headers that authenticate the requests that change data
+let auth;
+
+/**
+ * Creates an API key with the given role in the current DB
+ *
+ * @param {string} role - the role the key grants
+ * @returns {Promise<Object>} - The headers that authenticate requests with the key
+ */
+function apiKeyHeader(role) {
+  return createApiKey('Tests', role).then(apiKey => ({Authorization: `Bearer ${apiKey.key}`}));
+}
+
+const sampleAddress = {label: 'Home', line1: '1 Main Street', city: 'Springfield', postalCode: '12345', country: 'US'};
+
+describe('Bookstore API - Customers', () => {
+
+  // Executes before any test; connects to a fresh in-memory DB
+  beforeAll(async () => {
+    await initializeDb();
+    db = getDb();
+    auth = await apiKeyHeader('admin');
+  });
+
+  // Closes the DB connection after all tests execute
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('POST /customers - Creates a customer with its addresses and timestamps', async () => {
+    const res = await request(app).post('/customers').set(auth).send({name: ' Ada Lovelace ', email: 'ada@example.com', addresses: [sampleAddress]});
+    const getRes = await request(app).get(`/customers/${res.body.id}`);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.message).toBe('Customer added successfully');
+    expect(getRes.statusCode).toBe(200);
+    expect(getRes.body).toStrictEqual({
+      id: res.body.id, name: 'Ada Lovelace', email: 'ada@example.com',
+      addresses: [{...sampleAddress, line2: null, region: null}],
+      createdAt: expect.any(String), updatedAt: expect.any(String)
+    });
+  });
+
+  test('POST /customers - Email addresses are unique, ignoring case', async () => {
+    const first = await request(app).post('/customers').set(auth).send({name: 'Grace Hopper', email: 'grace@example.com'});
+    const second = await request(app).post('/customers').set(auth).send({name: 'Grace B. Hopper', email: 'Grace@Example.com'});
+
+    expect(second.statusCode).toBe(409);
+    expect(second.body).toMatchObject({status: 409, detail: `Customer with email 'grace@example.com' already exists`, id: first.body.id});
+  });
+
+  test('POST /customers - Input validation failure', async () => {
+    const res = await request(app).post('/customers').set(auth).send({
+      name: '', email: 'not-an-email', phone: '555', addresses: [{line1: '1 Main Street', city: 3, zip: '12345'}]
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors.map(error => error.detail)).toStrictEqual([
+      `'phone' is not an expected field. Please remove this from payload.`,
+      `'name' must not be empty.`,
+      `'email' must be a valid email address.`,
+      `'addresses[0].zip' is not an expected field. Please remove this from payload.`,
+      `'addresses[0].city' must be a string.`,
+      `'addresses[0].postalCode' is required.`,
+      `'addresses[0].country' is required.`
+    ]);
+  });
+
+  test('PUT /customers/:id - Replaces the customer and its addresses', async () => {
+    const created = await request(app).post('/customers').set(auth).send({name: 'Alan Turing', email: 'alan@example.com', addresses: [sampleAddress]});
+    const id = created.body.id;
+
+    const res = await request(app).put(`/customers/${id}`).set(auth).send({name: 'Alan M. Turing', email: 'turing@example.com'});
+    const taken = await request(app).put(`/customers/${id}`).set(auth).send({name: 'Alan M. Turing', email: 'ADA@example.com'});
+    const getRes = await request(app).get(`/customers/${id}`);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.message).toBe('Customer updated successfully');
+    expect(getRes.body).toEqual(expect.objectContaining({name: 'Alan M. Turing', email: 'turing@example.com', addresses: []}));
+    expect(taken.statusCode).toBe(409);
+  });
+
+  test('PUT /customers/:id - Customer with specified ID not found', async () => {
+    const res = await request(app).put('/customers/99999').set(auth).send({name: 'Nobody', email: 'nobody@example.com'});
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.detail).toBe('Customer with ID: 99999 not found');
+  });
+
+  test('GET /customers - Lists customers by name, filtered by email', async () => {
+    const all = await request(app).get('/customers');
+    const filtered = await request(app).get('/customers?email=GRACE@example.com');
+
+    expect(all.statusCode).toBe(200);
+    expect(all.body.map(customer => customer.name)).toStrictEqual(['Ada Lovelace', 'Alan M. Turing', 'Grace Hopper']);
+    expect(all.headers['x-total-count']).toBe('3');
+    expect(filtered.body.map(customer => customer.email)).toStrictEqual(['grace@example.com']);
+  });
+
+  test('DELETE /customers/:id - A customer who has placed orders cannot be deleted', async () => {
+    const book = await request(app).post('/books').set(auth).send({title: "Title 1", author: "Author 1", price: 5});
+    const buyer = await request(app).post('/customers').set(auth).send({name: 'Buyer', email: 'buyer@example.com'});
+    const browser = await request(app).post('/customers').set(auth).send({name: 'Browser', email: 'browser@example.com'});
+    await request(app).post('/orders').set(auth).send({customerId: buyer.body.id, items: [{bookId: book.body.id, quantity: 1}]});
+
+    const blocked = await request(app).delete(`/customers/${buyer.body.id}`).set(auth);
+    const deleted = await request(app).delete(`/customers/${browser.body.id}`).set(auth);
+    const missing = await request(app).get(`/customers/${browser.body.id}`);
+
+    expect(blocked.statusCode).toBe(409);
+    expect(blocked.body.detail).toBe(`Customer with ID: ${buyer.body.id} has placed 1 order(s) and cannot be deleted`);
+    expect(deleted.statusCode).toBe(200);
+    expect(missing.statusCode).toBe(404);
+  });
+
+  test('GET /customers - A customer added by a transaction that rolls back is never listed', async () => {
+    let inserted;
+    let rollBack;
+    const insertedSignal = new Promise(resolve => {
+      inserted = resolve;
+    });
+    const rolledBack = withTransaction(async () => {
+      await run('INSERT INTO customers (name, email) VALUES (?, ?)', ['Rolled Back', 'rolled@example.com']);
+      inserted();
+      await new Promise(resolve => {
+        rollBack = resolve;
+      });
+      throw new Error('Rolled back');
+    });
+    await insertedSignal;
+    // The request starts outside the transaction, and waits for it to end before it reads the customers
+    const listed = request(app).get('/customers?email=rolled@example.com').then(res => res);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    rollBack();
+    await expect(rolledBack).rejects.toThrow('Rolled back');
+    const res = await listed;
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['x-total-count']).toBe('0');
+    expect(res.body).toStrictEqual([]);
+  });
+
+  test('POST /customers - Parallel requests with the same email address add one customer, and the others get a 409', async () => {
+    const send = (name) => request(app).post('/customers').set(auth).send({name: name, email: 'mary@example.com'});
+    const responses = await Promise.all([send('Mary Jackson'), send('Mary J.'), send('M. Jackson')]);
+    const created = responses.find(res => res.statusCode === 201);
+
+    expect(responses.map(res => res.statusCode).sort()).toStrictEqual([201, 409, 409]);
+    responses.filter(res => res !== created).forEach(res => {
+      expect(res.body).toMatchObject({status: 409, detail: `Customer with email 'mary@example.com' already exists`, id: created.body.id});
+    });
+  });
+
+  test('PUT /customers/:id - Parallel requests taking the same email address update one customer, and the others get a 409', async () => {
+    const ids = [];
+    for (const name of ['Dorothy Vaughan', 'Christine Darden', 'Mae Jemison']) {
+      ids.push((await request(app).post('/customers').set(auth).send({name: name, email: `${name.split(' ')[0].toLowerCase()}@example.com`})).body.id);
+    }
+    const responses = await Promise.all(ids.map(id => request(app).put(`/customers/${id}`).set(auth).send({name: 'Shared', email: 'shared@example.com'})));
+    const updated = responses.find(res => res.statusCode === 201);
+
+    expect(responses.map(res => res.statusCode).sort()).toStrictEqual([201, 409, 409]);
+    responses.filter(res => res !== updated).forEach(res => {
+      expect(res.body).toMatchObject({status: 409, detail: `Customer with email 'shared@example.com' already exists`, id: Number(updated.body.id)});
+    });
+  });
+});
@@ -1,45 +1,164 @@
 // === FILE: database.js ===
+const {AsyncLocalStorage} = require('async_hooks');
 const sqlite3 = require('sqlite3').verbose();
+const {migrate, status} = require('./migrate');
 
 let db;
-//let filePersistance = './bookstore.db'; // Used for file storage data persistence
-let filePersistance = ':memory:'; // Used for in-memory data persistence
+
+// The transaction a statement runs in, followed through the async calls made within 'withTransaction'
+const transactionContext = new AsyncLocalStorage();
+
+// Settles once the transaction that holds the DB ends; the app shares one connection, so only one transaction runs
+//  at a time, and the statements made outside it wait for it to end
+let activeTransaction = null;
+
+// Settings used when neither an option nor an environment variable is given
+const defaultDbConfig = {
+    path: ':memory:', // In-memory data persistence; set DB_PATH=./bookstore.db for file storage
+    readOnly: false,
+    wal: false,
+    busyTimeout: 5000,
+    foreignKeys: true
+};
+
+/**
+ * Parses a boolean environment variable
+ *
+ * @param {string} name - the name of the environment variable, used in the error message
+ * @param {string} value - the value of the environment variable
+ * @returns {boolean} - The parsed value
+ */
+function parseBoolean(name, value) {
+    if (['true', '1', 'yes', 'on'].includes(value.toLowerCase())) {
+        return true;
+    } else if (['false', '0', 'no', 'off'].includes(value.toLowerCase())) {
+        return false;
+    }
+    throw new Error(`'${name}' must be a boolean (true/false).`);
+}
 
 /**
- * Creates the DB, specifies table schema, and creates the table
- * Executed as a callback through a Promise; this is to ensure that the DB is initialized 
+ * Resolves the DB settings; options take precedence over environment variables, which take precedence over the defaults
+ *
+ * @param {Object} options - the settings passed to initializeDb
+ * - {string} path - the DB file, or ':memory:' (DB_PATH)
+ * - {boolean} readOnly - open the DB read-only; migrations are not applied (DB_READ_ONLY)
+ * - {boolean} wal - use write-ahead logging; only applies to file storage (DB_WAL)
+ * - {number} busyTimeout - milliseconds to wait for a locked DB before failing (DB_BUSY_TIMEOUT)
+ * - {boolean} foreignKeys - enforce foreign key constraints (DB_FOREIGN_KEYS)
+ * @param {Object} env - the environment variables
+ * @returns {Object} - The resolved settings, with the same fields as the options
+ */
+function resolveDbConfig(options = {}, env = process.env) {
+    const config = {...defaultDbConfig};
+
+    if (env.DB_PATH) {
+        config.path = env.DB_PATH;
+    }
+    if (env.DB_READ_ONLY) {
+        config.readOnly = parseBoolean('DB_READ_ONLY', env.DB_READ_ONLY);
+    }
+    if (env.DB_WAL) {
+        config.wal = parseBoolean('DB_WAL', env.DB_WAL);
+    }
+    if (env.DB_BUSY_TIMEOUT) {
+        config.busyTimeout = Number(env.DB_BUSY_TIMEOUT);
+    }
+    if (env.DB_FOREIGN_KEYS) {
+        config.foreignKeys = parseBoolean('DB_FOREIGN_KEYS', env.DB_FOREIGN_KEYS);
+    }
+    Object.keys(defaultDbConfig).forEach(field => {
+        if (options[field] !== undefined) {
+            config[field] = options[field];
+        }
+    });
+
+    if (!Number.isInteger(config.busyTimeout) || config.busyTimeout < 0) {
+        throw new Error(`'busyTimeout' must be a non-negative integer.`);
+    }
+    if (config.readOnly && config.path === ':memory:') {
+        throw new Error('An in-memory DB cannot be opened read-only.');
+    }
+
+    return config;
+}
+
+/**
+ * Describes the DB settings for the startup log
+ *
+ * @param {Object} config - the resolved settings
+ * @returns {string} - A one line summary of the settings
+ */
+function describeDbConfig(config) {
+    const storage = config.path === ':memory:' ? 'in-memory' : `file ${config.path}`;
+    const access = config.readOnly ? 'read-only' : 'read-write';
+    const journal = config.wal && config.path !== ':memory:' ? 'WAL' : 'default';
+    return `${storage}, ${access}, journal: ${journal}, busy timeout: ${config.busyTimeout}ms, foreign keys: ${config.foreignKeys ? 'on' : 'off'}`;
+}
+
+/**
+ * Applies the connection settings that are not given when the DB is opened
+ *
+ * @param {Object} config - the resolved settings
+ * @returns {Promise<void>}
+ */
+function configureDb(config) {
+    return new Promise((resolve, reject) => {
+        db.configure('busyTimeout', config.busyTimeout);
+        const pragmas = [`PRAGMA foreign_keys = ${config.foreignKeys ? 'ON' : 'OFF'};`];
+        if (config.wal && !config.readOnly && config.path !== ':memory:') {
+            pragmas.push('PRAGMA journal_mode = WAL;');
+        }
+        db.exec(pragmas.join('\n'), (err) => err ? reject(err) : resolve());
+    });
+}
+
+/**
+ * Creates the DB and brings its schema up to date by applying any pending migrations
+ * Executed as a callback through a Promise; this is to ensure that the DB is initialized
  *  before any interactions can begin
+ * A read-only DB is not migrated; it must already be up to date
+ *
+ * @param {Object} options - the DB settings; see resolveDbConfig
+ * @returns {Promise<void>} - Rejects with the Error of an invalid setting, or of a DB that cannot be opened or migrated
  */
-function initializeDb() {
+function initializeDb(options = {}) {
     return new Promise((resolve, reject) => {
+        let config;
+        try {
+            config = resolveDbConfig(options);
+        } catch (err) {
+            console.error(err.message);
+            return reject(err);
+        }
 
         // Create a new DB object
-        db = new sqlite3.Database(filePersistance, (err) => {
+        const mode = config.readOnly ? sqlite3.OPEN_READONLY : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
+        db = new sqlite3.Database(config.path, mode, (err) => {
             if (err) {
                 console.error(err.message);
-                reject(err.message);
-            } 
-            console.log('Connected to the DB');
-        });
+                return reject(err);
+            }
+            console.log(`Connected to the DB (${describeDbConfig(config)})`);
 
-        // Create the books table with the fields specified
-        db.serialize(() => {
-            db.run(`
-                CREATE TABLE IF NOT EXISTS books (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                title TEXT NOT NULL,
-                author TEXT NOT NULL,
-                price FLOAT,
-                genre TEXT
-                );
-            `, (err) => {
-                if (err) {
-                    console.error("Error creating books table: ", err.message);
-                    reject(err.message);
+            // Apply the migrations found in ./migrations that have not been applied yet
+            configureDb(config).then(() => {
+                if (config.readOnly) {
+                    return status(db).then(rows => {
+                        const pending = rows.filter(row => row.appliedAt === null);
+                        if (pending.length > 0) {
+                            throw new Error(`The DB is read-only and has pending migrations: ${pending.map(row => row.name).join(', ')}`);
+                        }
+                        return [];
+                    });
                 }
-
-                console.log("Books table created or already exists");
+                return migrate(db);
+            }).then((applied) => {
+                console.log(applied.length > 0 ? `Applied migrations: ${applied.join(', ')}` : 'Schema is up to date');
                 resolve();
+            }).catch(err => {
+                console.error("Error migrating the DB: ", err.message);
+                reject(err);
             });
         });
     });
@@ -56,7 +175,149 @@ function getDb() {
     return db;
 }
 
+/**
+ * Finds the transaction the caller runs in
+ *
+ * @returns {Object|undefined} - The open transaction, or undefined outside of one
+ */
+function currentTransaction() {
+    const transaction = transactionContext.getStore();
+    return transaction?.open ? transaction : undefined;
+}
+
+/**
+ * Waits for the running transaction to end, unless the caller runs in it; a statement made on the DB object itself,
+ *  such as a prepared statement read row by row, must wait for it first, or it would join the transaction
+ *
+ * @returns {Promise<void>}
+ */
+async function waitForTransaction() {
+    if (!currentTransaction()) {
+        while (activeTransaction) {
+            await activeTransaction;
+        }
+    }
+}
+
+/**
+ * Runs a statement on the DB; outside of a transaction, it first waits for the running transaction to end
+ *
+ * @param {string} method - the method of the DB object: 'get', 'all' or 'run'
+ * @param {string} sql - the statement
+ * @param {Array} params - the parameters of the statement
+ * @returns {Promise<*>} - The result of the statement
+ */
+async function runStatement(method, sql, params) {
+    await waitForTransaction();
+    const database = getDb();
+    return new Promise((resolve, reject) => {
+        database[method](sql, params, function(err, result) {
+            if (err) {
+                return reject(err);
+            }
+            resolve(method === 'run' ? {lastID: this.lastID, changes: this.changes} : result);
+        });
+    });
+}
+
+/**
+ * Reads the first row a statement selects
+ *
+ * @param {string} sql - the statement
+ * @param {Array} params - the parameters of the statement
+ * @returns {Promise<Object|undefined>} - The row, or undefined when none is selected
+ */
+function get(sql, params = []) {
+    return runStatement('get', sql, params);
+}
+
+/**
+ * Reads every row a statement selects
+ *
+ * @param {string} sql - the statement
+ * @param {Array} params - the parameters of the statement
+ * @returns {Promise<Array<Object>>} - The rows
+ */
+function all(sql, params = []) {
+    return runStatement('all', sql, params);
+}
+
+/**
+ * Runs a statement that changes the DB
+ *
+ * @param {string} sql - the statement
+ * @param {Array} params - the parameters of the statement
+ * @returns {Promise<Object>} - The {lastID, changes} of the statement: the rowid of the last row inserted, and the
+ *  number of rows changed
+ */
+function run(sql, params = []) {
+    return runStatement('run', sql, params);
+}
+
+/**
+ * Runs a function in a transaction: it is committed once the promise of the function resolves, and rolled back if
+ *  the promise rejects, the error being thrown again
+ * Every statement made through 'get', 'all' and 'run' while the function runs, including in the functions it calls,
+ *  belongs to the transaction; a call made within another transaction runs in a savepoint, which rolls back alone
+ * A transaction waits for the one running to end; the statements of a nested call must not run side by side with
+ *  other statements of the transaction
+ *
+ * @param {Function} fn - the async function to run
+ * @returns {Promise<*>} - The result of the function
+ */
+async function withTransaction(fn) {
+    const transaction = currentTransaction();
+    if (transaction) {
+        const savepoint = `savepoint_${++transaction.savepoints}`;
+        await run(`SAVEPOINT ${savepoint}`);
+        try {
+            const result = await fn();
+            await run(`RELEASE ${savepoint}`);
+            return result;
+        } catch (err) {
+            await run(`ROLLBACK TO ${savepoint}`);
+            await run(`RELEASE ${savepoint}`);
+            throw err;
+        }
+    }
+
+    while (activeTransaction) {
+        await activeTransaction;
+    }
+    let end;
+    activeTransaction = new Promise(resolve => {
+        end = resolve;
+    });
+    const opened = {open: true, savepoints: 0};
+    try {
+        return await transactionContext.run(opened, async () => {
+            await run('BEGIN IMMEDIATE');
+            try {
+                const result = await fn();
+                await run('COMMIT');
+                return result;
+            } catch (err) {
+                // SQLite may already have rolled the transaction back, e.g. when the COMMIT failed; the error to
+                //  report is the one that ended the transaction
+                await run('ROLLBACK').catch(() => {});
+                throw err;
+            }
+        });
+    } finally {
+        opened.open = false;
+        activeTransaction = null;
+        end();
+    }
+}
+
 module.exports = {
     getDb,
-    initializeDb
-};
\ No newline at end of file
+    get,
+    all,
+    run,
+    withTransaction,
+    waitForTransaction,
+    initializeDb,
+    resolveDbConfig,
+    parseBoolean
+};
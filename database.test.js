@@ -0,0 +1,181 @@
+// === FILE: database.test.js ===
+/**
+ * @file database.test.js
+ * @description The test suite for the DB configuration and the transactions of the Bookstore API
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {getDb, initializeDb, resolveDbConfig, all, run, withTransaction, waitForTransaction} = require('./database');
+
+// Async wrapper returning the first row of a query
+const get = (db, sql) => new Promise((resolve, reject) => {
+  db.get(sql, [], (err, row) => err ? reject(err) : resolve(row));
+});
+
+// Async wrapper closing the DB
+const close = (db) => new Promise((resolve, reject) => {
+  db.close(err => err ? reject(err) : resolve());
+});
+
+describe('DB configuration', () => {
+
+  test('resolveDbConfig - Defaults to an in-memory DB', () => {
+    expect(resolveDbConfig({}, {})).toStrictEqual({
+      path: ':memory:', readOnly: false, wal: false, busyTimeout: 5000, foreignKeys: true
+    });
+  });
+
+  test('resolveDbConfig - Options take precedence over environment variables', () => {
+    const env = {DB_PATH: './env.db', DB_WAL: 'true', DB_BUSY_TIMEOUT: '250', DB_FOREIGN_KEYS: 'off'};
+
+    expect(resolveDbConfig({path: './option.db', wal: false}, env)).toStrictEqual({
+      path: './option.db', readOnly: false, wal: false, busyTimeout: 250, foreignKeys: false
+    });
+  });
+
+  test('resolveDbConfig - input validation - invalid settings', () => {
+    expect(() => resolveDbConfig({}, {DB_WAL: 'maybe'})).toThrow(`'DB_WAL' must be a boolean (true/false).`);
+    expect(() => resolveDbConfig({}, {DB_BUSY_TIMEOUT: 'soon'})).toThrow(`'busyTimeout' must be a non-negative integer.`);
+    expect(() => resolveDbConfig({readOnly: true}, {})).toThrow('An in-memory DB cannot be opened read-only.');
+  });
+
+  test('initializeDb - Rejects an invalid setting with an Error, so that its message can be logged', async () => {
+    const failing = initializeDb({busyTimeout: -1});
+
+    await expect(failing).rejects.toBeInstanceOf(Error);
+    await expect(failing).rejects.toThrow(`'busyTimeout' must be a non-negative integer.`);
+  });
+
+  describe('File storage', () => {
+    let dir;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookstore-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    test('initializeDb - Opens a file DB with WAL journaling and foreign keys enforced', async () => {
+      await initializeDb({path: path.join(dir, 'wal.db'), wal: true});
+      const db = getDb();
+
+      expect((await get(db, 'PRAGMA journal_mode')).journal_mode).toBe('wal');
+      expect((await get(db, 'PRAGMA foreign_keys')).foreign_keys).toBe(1);
+      expect((await get(db, 'SELECT COUNT(*) AS total FROM books')).total).toBe(0);
+      await close(db);
+    });
+
+    test('initializeDb - Opens a migrated file DB read-only', async () => {
+      const dbPath = path.join(dir, 'read-only.db');
+      await initializeDb({path: dbPath});
+      await close(getDb());
+
+      await initializeDb({path: dbPath, readOnly: true});
+      const db = getDb();
+      const write = new Promise((resolve) => db.run('DELETE FROM books', resolve));
+
+      expect((await write).message).toMatch('SQLITE_READONLY');
+      await close(db);
+    });
+
+    test('initializeDb - Refuses a read-only DB with pending migrations', async () => {
+      const dbPath = path.join(dir, 'empty.db');
+      fs.writeFileSync(dbPath, '');
+
+      await expect(initializeDb({path: dbPath, readOnly: true})).rejects.toThrow('The DB is read-only and has pending migrations: 001_create_books_table');
+      await close(getDb());
+    });
+  });
+
+  describe('Transactions', () => {
+
+    // The names held by the scratch table, in order
+    const names = async () => (await all('SELECT name FROM scratch ORDER BY id')).map(row => row.name);
+
+    // Executes before each test; starts from an empty scratch table in a fresh in-memory DB
+    beforeEach(async () => {
+      await initializeDb();
+      await run('CREATE TABLE scratch (id INTEGER PRIMARY KEY, name TEXT NOT NULL)');
+    });
+
+    afterEach(async () => {
+      await close(getDb());
+    });
+
+    test('withTransaction - Commits the statements of the function and resolves with its result', async () => {
+      const result = await withTransaction(async () => {
+        const {lastID} = await run('INSERT INTO scratch (name) VALUES (?)', ['first']);
+        await run('INSERT INTO scratch (name) VALUES (?)', ['second']);
+        return lastID;
+      });
+
+      expect(result).toBe(1);
+      expect(await names()).toStrictEqual(['first', 'second']);
+    });
+
+    test('withTransaction - Rolls back every statement when the function throws, and rejects with its error', async () => {
+      const failing = withTransaction(async () => {
+        await run('INSERT INTO scratch (name) VALUES (?)', ['first']);
+        throw new Error('The change is refused');
+      });
+
+      await expect(failing).rejects.toThrow('The change is refused');
+      expect(await names()).toStrictEqual([]);
+    });
+
+    test('withTransaction - A nested transaction that fails only rolls back its own statements', async () => {
+      await withTransaction(async () => {
+        await run('INSERT INTO scratch (name) VALUES (?)', ['outer']);
+        await expect(withTransaction(async () => {
+          await run('INSERT INTO scratch (name) VALUES (?)', ['inner']);
+          throw new Error('The inner change is refused');
+        })).rejects.toThrow('The inner change is refused');
+        await withTransaction(() => run('INSERT INTO scratch (name) VALUES (?)', ['kept']));
+      });
+
+      expect(await names()).toStrictEqual(['outer', 'kept']);
+    });
+
+    test('withTransaction - Runs concurrent transactions one after the other, and holds back other statements', async () => {
+      const write = (name) => withTransaction(async () => {
+        await run('INSERT INTO scratch (name) VALUES (?)', [`${name} 1`]);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        await run('INSERT INTO scratch (name) VALUES (?)', [`${name} 2`]);
+      });
+
+      await Promise.all([write('a'), run('INSERT INTO scratch (name) VALUES (?)', ['outside']), write('b')]);
+
+      expect(await names()).toStrictEqual(['a 1', 'a 2', 'outside', 'b 1', 'b 2']);
+    });
+
+    test('withTransaction - A statement made outside a transaction that rolls back waits for it, and is kept', async () => {
+      const failing = withTransaction(async () => {
+        await run('INSERT INTO scratch (name) VALUES (?)', ['rolled back']);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        throw new Error('The change is refused');
+      });
+      const outside = run('INSERT INTO scratch (name) VALUES (?)', ['outside']);
+
+      await expect(failing).rejects.toThrow('The change is refused');
+      expect(await outside).toStrictEqual({lastID: 1, changes: 1});
+      expect(await names()).toStrictEqual(['outside']);
+    });
+
+    test('waitForTransaction - Resolves once the running transaction ends, and at once within it', async () => {
+      const events = [];
+      const transaction = withTransaction(async () => {
+        await waitForTransaction();
+        events.push('within');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        events.push('committed');
+      });
+      await waitForTransaction().then(() => events.push('outside'));
+      await transaction;
+
+      expect(events).toStrictEqual(['within', 'committed', 'outside']);
+    });
+  });
+});
@@ -0,0 +1,310 @@
+// === FILE: genres.js ===
+const express = require('express');
+const {get, all, run, withTransaction} = require('./database');
+const {inputValidationId, inputValidationGenreBody, nameKey, genreSubtreeStatement} = require('./lib');
+const {httpError, validationError, asyncHandler} = require('./problems');
+const {recordBookChanges} = require('./audit');
+const router = express.Router();
+
+// Selects every genre with its full path from the top-level genre, e.g. 'Fiction > Fantasy > Urban Fantasy'
+const genrePathsStatement = `
+  WITH RECURSIVE tree(id, name, parent_id, path) AS (
+    SELECT id, name, parent_id, name FROM genres WHERE parent_id IS NULL
+    UNION ALL
+    SELECT genres.id, genres.name, genres.parent_id, tree.path || ' > ' || genres.name
+    FROM genres JOIN tree ON genres.parent_id = tree.id
+  )
+  SELECT id, name, parent_id AS parentId, path FROM tree`;
+
+/**
+ * Resolves the validated 'genre' field of a book payload into one of the managed genres
+ * Names are matched on their normalized key, so 'Sci-Fi' and 'sci fi' resolve to the same genre
+ *
+ * @param {string|null|undefined} name - the 'genre' field of the payload
+ * @returns {Promise<Object>} - The {genre, errors} resolved
+ * - {Object|null} genre - the {id, name} of the genre, or null when no genre is given
+ * - {Array<string>} errors - the genre that does not exist, as an input validation error
+ */
+async function resolveGenre(name) {
+  if (name === null || name === undefined) {
+    return {genre: null, errors: []};
+  }
+  const genre = await get('SELECT id, name FROM genres WHERE name_key = ?', [nameKey(name)]);
+  if (!genre) {
+    return {genre: null, errors: [`Genre '${name}' not found`]};
+  }
+  return {genre: genre, errors: []};
+}
+
+/**
+ * Checks that a genre can be placed under a parent: the parent must exist, and must not be the genre
+ *  itself or one of its subgenres
+ *
+ * @param {number|null} id - the id of the genre being placed, or null for a new genre
+ * @param {number|null} parentId - the id of the parent genre, or null for a top-level genre
+ * @returns {Promise<Array<string>>} - The reasons the genre cannot be placed there, as input validation errors
+ */
+async function checkParent(id, parentId) {
+  if (parentId === null) {
+    return [];
+  }
+  const parent = await get('SELECT id FROM genres WHERE id = ?', [parentId]);
+  if (!parent) {
+    return [`Genre with ID: ${parentId} not found`];
+  } else if (id === null) {
+    return [];
+  }
+  const subtree = await all(genreSubtreeStatement('id = ?'), [id]);
+  if (subtree.some(row => row.id === parentId)) {
+    return [`'parentId' cannot be the genre itself or one of its subgenres.`];
+  }
+  return [];
+}
+
+/**
+ * GET /genres
+ * Get every genre, ordered by path so that subgenres follow their parent
+ *
+ * @response 200 - OK, returns all genres
+ * @returns {Array<Object>} An array of genre objects
+ * - {number} id - the unique identifier for each genre
+ * - {string} name - the name of the genre
+ * - {number|null} parentId - the id of the parent genre, or null for a top-level genre
+ * - {string} path - the names of the genre and its ancestors, e.g. 'Fiction > Fantasy'
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  // Structure the DB query and execute
+  return res.json(await all(`${genrePathsStatement} ORDER BY path COLLATE NOCASE`));
+}));
+
+/**
+ * GET /genres/:id
+ * Get a single genre by its ID, with its direct subgenres
+ *
+ * @param {number} :id - the id of the genre to be retrieved
+ *
+ * @response 200 - OK, returns genre with specified ID
+ * @returns {Object} The object that holds the data of the genre
+ * - {number} id - the unique identifier for each genre
+ * - {string} name - the name of the genre
+ * - {number|null} parentId - the id of the parent genre, or null for a top-level genre
+ * - {string} path - the names of the genre and its ancestors, e.g. 'Fiction > Fantasy'
+ * - {Array<Object>} children - the {id, name} of each direct subgenre
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 404 - Genre with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the genre cannot be found
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.get('/:id', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls and execute
+  const genre = await get(`${genrePathsStatement} WHERE id = ?`, [id]);
+  if (!genre) {
+    return next(httpError(404, `Genre with ID: ${id} not found`));
+  }
+  const children = await all('SELECT id, name FROM genres WHERE parent_id = ? ORDER BY name COLLATE NOCASE', [id]);
+  return res.json({...genre, children: children});
+}));
+
+/**
+ * POST /genres
+ * Creates a new genre, optionally as a subgenre of an existing genre
+ *
+ * @body {string} name - the name of the genre (required)
+ * @body {number|null} parentId - the id of the parent genre
+ *
+ * @response 201 - Created, the genre is created
+ * @returns {Object} An object holding the confirmation information
+ * - {string} message - a confirmation message
+ * - {number} id - the newly created unique identifier for the genre
+ *
+ * @response 400 - Input validation failure, or a parent genre that does not exist
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'editor' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 409 - A genre with the same name already exists
+ * @returns {Object} A problem, as 'application/problem+json', holding the conflict information
+ * - {string} detail - a message naming the existing genre
+ * - {number} id - the unique identifier of the existing genre
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.post('/', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const inputErrors = inputValidationGenreBody(req.body);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls and execute in one transaction, so that no other request adds the same genre or removes its
+  //  parent in between; names that only differ in spelling are the same genre
+  const name = req.body.name.trim();
+  const parentId = req.body.parentId ?? null;
+  const id = await withTransaction(async () => {
+    const parentErrors = await checkParent(null, parentId);
+    if (parentErrors.length > 0) {
+      throw validationError(parentErrors);
+    }
+    const existing = await get('SELECT id, name FROM genres WHERE name_key = ?', [nameKey(name)]);
+    if (existing) {
+      throw httpError(409, `Genre '${existing.name}' already exists`, {id: existing.id});
+    }
+    const {lastID} = await run('INSERT INTO genres (name, name_key, parent_id) VALUES (?, ?, ?)', [name, nameKey(name), parentId]);
+    return lastID;
+  });
+  return res.status(201).json({message: 'Genre added successfully', id: id});
+}));
+
+/**
+ * PUT /genres/:id
+ * Renames or moves an existing genre; the genre name of each of its books is updated as well
+ *
+ * @param {number} :id - the id of the genre to be updated
+ *
+ * @body {string} name - the new name of the genre (required)
+ * @body {number|null} parentId - the id of the new parent genre; null or no value makes it a top-level genre
+ *
+ * @response 201 - Created, the genre is updated
+ * @returns {Object} An object holding the confirmation information
+ * - {string} message - a confirmation message
+ * - {number} id - the unique identifier for the updated genre
+ *
+ * @response 400 - Input validation failure, or a parent genre that does not exist or would create a cycle
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'editor' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 404 - Genre with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the genre cannot be found
+ *
+ * @response 409 - Another genre already has the same name
+ * @returns {Object} A problem, as 'application/problem+json', holding the conflict information
+ * - {string} detail - a message naming the existing genre
+ * - {number} id - the unique identifier of the existing genre
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.put('/:id', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id).concat(inputValidationGenreBody(req.body));
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls and execute in one transaction, so that the books take the new name together with the genre
+  const name = req.body.name.trim();
+  const parentId = req.body.parentId ?? null;
+  await withTransaction(async () => {
+    const parentErrors = await checkParent(Number(id), parentId);
+    if (parentErrors.length > 0) {
+      throw validationError(parentErrors);
+    }
+    const existing = await get('SELECT id, name FROM genres WHERE name_key = ? AND id != ?', [nameKey(name), id]);
+    if (existing) {
+      throw httpError(409, `Genre '${existing.name}' already exists`, {id: existing.id});
+    }
+    const updateStatement = 'UPDATE genres SET name = ?, name_key = ?, parent_id = ? WHERE id = ?';
+    const {changes} = await run(updateStatement, [name, nameKey(name), parentId, id]);
+    if (changes === 0) {
+      throw httpError(404, `Genre with ID: ${id} not found`);
+    }
+
+    // Keep the genre name of its books in step, recording the change to each of them
+    const books = await all('SELECT id FROM books WHERE genre_id = ? ORDER BY id', [id]);
+    await recordBookChanges(req, 'update', books.map(book => book.id), () => run('UPDATE books SET genre = ? WHERE genre_id = ?', [name, id]));
+  });
+  return res.status(201).json({message: 'Genre updated successfully', id: id});
+}));
+
+/**
+ * DELETE /genres/:id
+ * Deletes an existing genre; a genre that has subgenres or books cannot be deleted
+ *
+ * @param {number} :id - the id of the genre to be deleted
+ *
+ * @response 200 - OK, the genre is deleted
+ * @returns {Object} An object holding the confirmation information
+ * - {string} message - a confirmation message
+ * - {number} id - the unique identifier for the deleted genre
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'admin' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 404 - Genre with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the genre cannot be found
+ *
+ * @response 409 - The genre still has subgenres or books
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating what still uses the genre
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.delete('/:id', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls and execute
+  const usageStatement = `SELECT
+    (SELECT COUNT(*) FROM genres WHERE parent_id = ?) AS subgenres,
+    (SELECT COUNT(*) FROM books WHERE genre_id = ?) AS books`;
+  const usage = await get(usageStatement, [id, id]);
+  if (usage.subgenres > 0 || usage.books > 0) {
+    return next(httpError(409, `Genre with ID: ${id} has ${usage.subgenres} subgenre(s) and ${usage.books} book(s) and cannot be deleted`));
+  }
+  const {changes} = await run('DELETE FROM genres WHERE id = ?', [id]);
+  if (changes === 0) {
+    return next(httpError(404, `Genre with ID: ${id} not found`));
+  }
+  return res.status(200).json({message: 'Genre successfully deleted', id: id});
+}));
+
+module.exports = {
+  router,
+  resolveGenre
+};
@@ -0,0 +1,157 @@
+// === FILE: genres.test.js ===
+/**
+ * @file genres.test.js
+ * @description The test suite for the genre taxonomy of the Bookstore API
+ *
+ * Endpoints covered:
+ * - GET /genres
+ * - GET /genres/:id
+ * - POST /genres
+ * - PUT /genres/:id
+ * - DELETE /genres/:id
+ * - The 'genre' field of POST, PUT and PATCH /books, and the genre filters of GET /books
+ */
+const request = require('supertest');
+const app = require('./index');
+const {getDb, initializeDb} = require('./database');
+const {createApiKey} = require('./auth');
+
+let db;
+
+// Headers that authenticate the requests that change data
+let auth;
+
+/**
+ * Creates an API key with the given role in the current DB
+ *
+ * @param {string} role - the role the key grants
+ * @returns {Promise<Object>} - The headers that authenticate requests with the key
+ */
+function apiKeyHeader(role) {
+  return createApiKey('Tests', role).then(apiKey => ({Authorization: `Bearer ${apiKey.key}`}));
+}
+const genres = {};
+
+describe('Bookstore API - Genres', () => {
+
+  // Executes before any test; connects to a fresh in-memory DB and builds a small taxonomy
+  beforeAll(async () => {
+    await initializeDb();
+    db = getDb();
+    auth = await apiKeyHeader('admin');
+    genres.fiction = (await request(app).post('/genres').set(auth).send({name: "Fiction"})).body.id;
+    genres.fantasy = (await request(app).post('/genres').set(auth).send({name: "Fantasy", parentId: genres.fiction})).body.id;
+    genres.urbanFantasy = (await request(app).post('/genres').set(auth).send({name: "Urban Fantasy", parentId: genres.fantasy})).body.id;
+    genres.history = (await request(app).post('/genres').set(auth).send({name: "History"})).body.id;
+  });
+
+  // Closes the DB connection after all tests execute
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('GET /genres - Lists every genre with its path', async () => {
+    const res = await request(app).get('/genres');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toStrictEqual([
+      {id: genres.fiction, name: "Fiction", parentId: null, path: "Fiction"},
+      {id: genres.fantasy, name: "Fantasy", parentId: genres.fiction, path: "Fiction > Fantasy"},
+      {id: genres.urbanFantasy, name: "Urban Fantasy", parentId: genres.fantasy, path: "Fiction > Fantasy > Urban Fantasy"},
+      {id: genres.history, name: "History", parentId: null, path: "History"}
+    ]);
+  });
+
+  test('GET /genres/:id - Returns the genre with its subgenres', async () => {
+    const res = await request(app).get(`/genres/${genres.fantasy}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.path).toBe("Fiction > Fantasy");
+    expect(res.body.children).toStrictEqual([{id: genres.urbanFantasy, name: "Urban Fantasy"}]);
+  });
+
+  test('POST /books - Genre names are matched ignoring spelling and stored as listed', async () => {
+    const res = await request(app).post('/books').set(auth).send({title: "Neverwhere", author: "Neil Gaiman", genre: "urban-fantasy"});
+
+    expect(res.statusCode).toBe(201);
+    const getRes = await request(app).get(`/books/${res.body.id}`);
+    expect(getRes.body.genre).toBe("Urban Fantasy");
+    expect(getRes.body.genre_id).toBe(genres.urbanFantasy);
+  });
+
+  test('GET /books - Filtering by a parent genre includes its subgenres', async () => {
+    await request(app).post('/books').set(auth).send({title: "The Hobbit", author: "J.R.R. Tolkien", genre: "Fantasy"});
+    await request(app).post('/books').set(auth).send({title: "SPQR", author: "Mary Beard", genre: "History"});
+
+    const byName = await request(app).get('/books').query({genre: 'fiction', sort: 'title'});
+    const byId = await request(app).get('/books').query({genreId: genres.fantasy, sort: 'title'});
+    const leaf = await request(app).get('/books').query({genre: 'Urban Fantasy'});
+
+    expect(byName.body.map(book => book.title)).toStrictEqual(["Neverwhere", "The Hobbit"]);
+    expect(byId.body.map(book => book.title)).toStrictEqual(["Neverwhere", "The Hobbit"]);
+    expect(leaf.body.map(book => book.title)).toStrictEqual(["Neverwhere"]);
+  });
+
+  test('POST /books - input validation - genre that is not in the list', async () => {
+    const res = await request(app).post('/books').set(auth).send({title: "Dune", author: "Frank Herbert", genre: "Sci-Fi"});
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors.map(error => error.detail)).toStrictEqual([`Genre 'Sci-Fi' not found`]);
+    const authors = await request(app).get('/authors').query({name: 'Frank Herbert'});
+    expect(authors.body).toStrictEqual([]);
+  });
+
+  test('PUT /genres/:id - Renaming a genre renames it on its books', async () => {
+    const genre = await request(app).post('/genres').set(auth).send({name: "Biography"});
+    const book = await request(app).post('/books').set(auth).send({title: "Steve Jobs", author: "Walter Isaacson", genre: "Biography"});
+
+    const putRes = await request(app).put(`/genres/${genre.body.id}`).set(auth).send({name: "Biographies", parentId: genres.history});
+
+    expect(putRes.statusCode).toBe(201);
+    expect((await request(app).get(`/books/${book.body.id}`)).body.genre).toBe("Biographies");
+    expect((await request(app).get(`/genres/${genre.body.id}`)).body.path).toBe("History > Biographies");
+  });
+
+  test('PUT /genres/:id - input validation - a genre cannot be moved under its own subgenre', async () => {
+    const putRes = await request(app).put(`/genres/${genres.fiction}`).set(auth).send({name: "Fiction", parentId: genres.urbanFantasy});
+
+    expect(putRes.statusCode).toBe(400);
+    expect(putRes.body.errors[0].detail).toBe(`'parentId' cannot be the genre itself or one of its subgenres.`);
+  });
+
+  test('POST /genres - input validation - duplicate name and unknown parent', async () => {
+    const duplicateRes = await request(app).post('/genres').set(auth).send({name: "fantasy"});
+    const parentRes = await request(app).post('/genres').set(auth).send({name: "Cozy Fantasy", parentId: 99999});
+
+    expect(duplicateRes.statusCode).toBe(409);
+    expect(duplicateRes.body).toMatchObject({status: 409, detail: `Genre 'Fantasy' already exists`, id: genres.fantasy});
+    expect(parentRes.statusCode).toBe(400);
+    expect(parentRes.body.errors[0].detail).toBe('Genre with ID: 99999 not found');
+  });
+
+  test('POST /genres - Parallel requests for the same genre add it once, and the others get a 409', async () => {
+    const responses = await Promise.all([1, 2, 3].map(() => request(app).post('/genres').set(auth).send({name: 'Horror'})));
+    const created = responses.find(res => res.statusCode === 201);
+
+    expect(responses.map(res => res.statusCode).sort()).toStrictEqual([201, 409, 409]);
+    responses.filter(res => res !== created).forEach(res => {
+      expect(res.body).toMatchObject({status: 409, detail: `Genre 'Horror' already exists`, id: created.body.id});
+    });
+  });
+
+  test('DELETE /genres/:id - A genre with subgenres or books cannot be deleted', async () => {
+    const deleteRes = await request(app).delete(`/genres/${genres.fantasy}`).set(auth);
+
+    expect(deleteRes.statusCode).toBe(409);
+    expect(deleteRes.body.detail).toBe(`Genre with ID: ${genres.fantasy} has 1 subgenre(s) and 1 book(s) and cannot be deleted`);
+  });
+
+  test('DELETE /genres/:id - Delete an unused genre', async () => {
+    const genre = await request(app).post('/genres').set(auth).send({name: "Poetry"});
+
+    const deleteRes = await request(app).delete(`/genres/${genre.body.id}`).set(auth);
+
+    expect(deleteRes.statusCode).toBe(200);
+    expect((await request(app).get(`/genres/${genre.body.id}`)).statusCode).toBe(404);
+  });
+});
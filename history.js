@@ -0,0 +1,176 @@
+// === FILE: history.js ===
+const express = require('express');
+const {get, all, run, withTransaction} = require('./database');
+const {inputValidationId, inputValidationPaging, inputValidationRevertBody, defaultPageLimit} = require('./lib');
+const {httpError, validationError, asyncHandler} = require('./problems');
+const {resolveAuthors, authorDisplayName, linkBookAuthors, attachAuthors} = require('./bookAuthors');
+const {findIsbnConflict, explainMissedWrite} = require('./books');
+const {entriesStatement, readBookSnapshot, recordBookChange, formatEntries} = require('./audit');
+const {versionEtag, ifMatchVersions, versionCondition, requireIfMatch} = require('./preconditions');
+const router = express.Router();
+
+/**
+ * Rebuilds the state of a book right after one of its revisions, by undoing every later change from its current state
+ *
+ * @param {string} id - the id of the book
+ * @param {number} revision - the id of the audit log entry of the revision
+ * @returns {Promise<Object>} - The {current, target} snapshots, as read by readBookSnapshot
+ */
+async function rebuildRevision(id, revision) {
+  const current = await readBookSnapshot(id);
+  const rows = await all('SELECT changes FROM audit_log WHERE book_id = ? AND id > ? ORDER BY id DESC', [id, revision]);
+  const target = {...current};
+  rows.forEach(row => {
+    Object.entries(JSON.parse(row.changes)).forEach(([field, {before}]) => {
+      target[field] = before;
+    });
+  });
+  return {current, target};
+}
+
+/**
+ * GET /books/:id/history
+ * Get the changes made to a book, newest first, as recorded in the audit log; a trashed or purged book keeps its history
+ *
+ * @param {number} :id - the id of the book
+ *
+ * @query {number} limit - the page size, between 1 and 1000 (default: 100)
+ * @query {number} offset - the number of entries to skip
+ *
+ * @response 200 - OK, returns the requested page of entries
+ * @header X-Total-Count - the number of entries of the book, across all pages
+ * @returns {Array<Object>} An array of audit log entries, as returned by GET /audit
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 404 - No book with the specified ID exists, or ever had a change recorded
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the entry cannot be found
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.get('/:id/history', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id).concat(inputValidationPaging(req.query));
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls and execute
+  const limit = 'limit' in req.query ? Number(req.query.limit) : defaultPageLimit;
+  const offset = Number(req.query.offset ?? 0);
+  const countStatement = 'SELECT (SELECT COUNT(*) FROM audit_log WHERE book_id = ?) AS total, (SELECT COUNT(*) FROM books WHERE id = ?) AS books';
+  const count = await get(countStatement, [id, id]);
+  if (count.total === 0 && count.books === 0) {
+    return next(httpError(404, `Book with ID: ${id} not found`));
+  }
+  const rows = await all(`${entriesStatement} WHERE book_id = ? ORDER BY id DESC LIMIT ? OFFSET ?`, [id, limit, offset]);
+  res.set('X-Total-Count', String(count.total));
+  return res.json(formatEntries(rows));
+}));
+
+/**
+ * POST /books/:id/revert
+ * Returns a book to its title, authors, price, genre and ISBN right after one of its revisions; its stock is left
+ *  as it is, as only stock movements change it
+ * The revert is recorded in the audit log as a new revision
+ *
+ * @param {number} :id - the id of the book
+ *
+ * @header If-Match - the ETags of the versions of the book the change may replace, or '*'; required when REQUIRE_IF_MATCH is on
+ *
+ * @body {number} revision - the id of the audit log entry of the book to return to (required)
+ *
+ * @response 200 - OK, returns the reverted book, as returned by GET /books/:id
+ * @header ETag - the new version of the book
+ *
+ * @response 400 - Input validation failure, or a revision of another book
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'editor' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 404 - Book with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the entry cannot be found
+ *
+ * @response 409 - The revision credits an author or genre that no longer exists, or its ISBN is now held by another book
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the book cannot be reverted
+ * - {number} id - for an ISBN, the id of the book that holds it
+ *
+ * @response 412 - The book is no longer at a version sent in 'If-Match'
+ * @response 428 - The request does not send an 'If-Match' header, while REQUIRE_IF_MATCH is on
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating the current ETag of the book, or that the header is required
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.post('/:id/revert', requireIfMatch, asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id).concat(inputValidationRevertBody(req.body));
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  const revision = req.body.revision;
+  const book = await withTransaction(async () => {
+    // The book must be live, and the revision must be one of its own
+    const lookupStatement = `SELECT
+      (SELECT COUNT(*) FROM books WHERE id = ? AND deleted_at IS NULL) AS books,
+      (SELECT COUNT(*) FROM audit_log WHERE id = ? AND book_id = ?) AS revisions`;
+    const found = await get(lookupStatement, [id, revision, id]);
+    if (found.books === 0) {
+      throw httpError(404, `Book with ID: ${id} not found`);
+    } else if (found.revisions === 0) {
+      throw validationError([`'revision' ${revision} is not a revision of the book with ID: ${id}.`]);
+    }
+    const {current, target} = await rebuildRevision(id, revision);
+
+    // The genre, the authors and the ISBN of the revision must still be available to the book
+    const genre = await get('SELECT id, name FROM genres WHERE id = ?', [target.genre_id]);
+    if (target.genre_id !== null && !genre) {
+      throw httpError(409, `Book with ID: ${id} cannot be reverted; genre with ID: ${target.genre_id} no longer exists`);
+    }
+    const {authors, errors: authorErrors} = await resolveAuthors(target.author_ids);
+    if (authorErrors.length > 0) {
+      throw httpError(409, `Book with ID: ${id} cannot be reverted; ${authorErrors.join('; ')}`);
+    }
+    const existing = await findIsbnConflict(target.isbn, Number(id));
+    if (existing) {
+      throw httpError(409, `Book with ID: ${id} cannot be reverted; book with ISBN '${existing.isbn}' already exists`, {id: existing.id});
+    }
+
+    // Structure DB calls and execute; only the versions the request accepts are reverted
+    const condition = versionCondition(ifMatchVersions(req));
+    const updateStatement = `UPDATE books SET title = ?, author = ?, price = ?, genre = ?, genre_id = ?, isbn = ? WHERE id = ? AND deleted_at IS NULL${condition.sql};`;
+    const params = [target.title, authorDisplayName(authors), target.price, genre?.name ?? null, genre?.id ?? null, target.isbn, id];
+    const {changes} = await run(updateStatement, [...params, ...condition.params]);
+    if (changes === 0) {
+      throw await explainMissedWrite(id);
+    }
+    await linkBookAuthors(id, authors);
+    await recordBookChange(req, 'revert', id, current);
+
+    // Read the entry as it now stands
+    const row = await get('SELECT * FROM books WHERE id = ?', [id]);
+    return (await attachAuthors([row]))[0];
+  });
+  res.set('ETag', versionEtag(book.version));
+  return res.status(200).json(book);
+}));
+
+module.exports = {
+  router
+};
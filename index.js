@@ -1,42 +1,222 @@
 // === FILE: index.js ===
 const express = require('express');
-const {getDb, initializeDb} = require('./database');
-const {inputValidationId, inputValidationBody} = require('./lib');
+const {initializeDb, resolveDbConfig, parseBoolean} = require('./database');
+const {inputValidationId, inputValidationBody, inputValidationPatchBody, inputValidationQuery, inputValidationSearchQuery,
+  inputValidationIsbn, normalizeIsbn} = require('./lib');
+const {httpError, validationError, asyncHandler} = require('./problems');
+const {router: authorsRouter} = require('./authors');
+const {router: genresRouter} = require('./genres');
+const {bookNotFoundError} = require('./books');
+const {createSqliteBookRepository} = require('./bookRepository');
+const {router: catalogRouter, importParsers} = require('./catalog');
+const {router: inventoryRouter} = require('./inventory');
+const {router: changesRouter, resolveChangesConfig} = require('./changes');
+const {router: trashRouter, scheduleTrashPurge} = require('./trash');
+const {router: auditRouter} = require('./audit');
+const {router: historyRouter} = require('./history');
+const {router: ordersRouter} = require('./orders');
+const {router: customersRouter} = require('./customers');
+const {router: webhooksRouter, resolveWebhookConfig, scheduleWebhookDeliveries} = require('./webhooks');
+const {router: apiKeysRouter, authenticate, authorizeWrites, ensureAdminKey} = require('./auth');
+const {rateLimit} = require('./rateLimit');
+const {router: openapiRouter} = require('./openapi');
+const {assignRequestId, routeNotFound, handleErrors} = require('./problems');
+const {versionEtag, ifMatchVersions, requireIfMatch} = require('./preconditions');
 const app = express();
 
+// The book routes below reach the books through this repository; tests may set another, e.g. createMemoryBookRepository(),
+//  which only these routes use: the routers mounted under /books, e.g. the import, the trash and the revert, use the DB
+app.set('bookRepository', createSqliteBookRepository());
+
+// With REQUIRE_IF_MATCH on, a change to a book must send the ETag of the version it replaces
+app.set('requireIfMatch', parseBoolean('REQUIRE_IF_MATCH', process.env.REQUIRE_IF_MATCH ?? 'false'));
+
+// The webhook delivery settings, resolved once so that an invalid one stops the app as it is set up
+app.set('webhookConfig', resolveWebhookConfig());
+
+// The change feed settings, resolved once for the same reason
+app.set('changesConfig', resolveChangesConfig());
+
+// Every request is given an ID, which is quoted in the problems it may be answered with
+// Every request may send an API key; changes need the 'editor' role and deletes need the 'admin' role
+// Each client, identified by its API key or IP address, has separate rate limits for reads and writes
+// Bodies are only parsed once a request is authorized
+app.use(assignRequestId);
+app.use(authenticate);
+app.use(rateLimit());
+app.use(authorizeWrites);
+app.use('/books/import', importParsers);
 app.use(express.json());
+app.use('/api-keys', apiKeysRouter);
+app.use('/authors', authorsRouter);
+app.use('/genres', genresRouter);
+app.use('/books', changesRouter);
+app.use('/books', trashRouter);
+app.use('/books', historyRouter);
+app.use('/books', inventoryRouter);
+app.use('/books', catalogRouter);
+app.use('/orders', ordersRouter);
+app.use('/customers', customersRouter);
+app.use('/audit', auditRouter);
+app.use('/webhooks', webhooksRouter);
+app.use(openapiRouter);
 
 /**
  * GET /books
- * Get all books that exist within the 'books' table
+ * Get a page of books from the 'books' table, optionally filtered and sorted
+ * 
+ * @query {string} author - only return books by this author, ignoring case, spacing and punctuation
+ * @query {number} authorId - only return books by the author with this ID
+ * @query {string} genre - only return books of this genre or of its subgenres, ignoring case, spacing and punctuation
+ * @query {number} genreId - only return books of the genre with this ID or of its subgenres
+ * @query {number} minPrice - only return books priced at or above this value
+ * @query {number} maxPrice - only return books priced at or below this value
+ * @query {string} sort - the column to sort by: id, title, author, price or genre (default: id)
+ * @query {string} order - the sort direction: asc or desc (default: asc)
+ * @query {number} limit - the page size, between 1 and 1000 (default: 100)
+ * @query {number} offset - the number of rows to skip; when given, the next page link uses offsets instead of a cursor
+ * @query {string} cursor - the cursor of the next page, as given in the 'Link' header
  * 
- * @response 200 - OK, returns all books
+ * @response 200 - OK, returns the requested page of books
+ * @header X-Total-Count - the number of books matching the filters, across all pages
+ * @header Link - the URL of the next page with rel="next", when there is one
  * @returns {Array<Object>} An array of book objects
  * - {number} id - the unique identifier for each entry
  * - {string} title - the title of the book
- * - {string} author - the author of the books
+ * - {string} author - the display name of the authors of the book
  * - {number} price - the price of the book
  * - {string} genre - the genre of the books
+ * - {number} genre_id - the id of the genre of the book
+ * - {number} in_stock - the number of copies on hand
+ * - {string} isbn - the ISBN-13 of the book, or null
+ * - {number} version - the version of the book, which its ETag names
+ * - {string} deleted_at - when the book was moved to the trash; always null, as trashed books are hidden
+ * - {Array<Object>} authors - the {id, name} of each author, in order
+ * 
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
  * 
  * @response 500 - Internal server error - DB failure
- * @returns {Object} A object that current only contains the error message.
- * - {string} error - the error received from the backend
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
  */
-app.get('/books', (req, res) => {
-  // Declare the DB
-  const db = getDb();
-
-  // Structure the DB query and execute
-  const sqlStatement = 'SELECT * FROM books';
-  db.all(sqlStatement, [], (err, rows) => {
-    if (err) {
-      console.error(err.message);
-      return res.status(500).json({error: err.message});
-    } else {
-      return res.json(rows);
-    }
-  });
-});
+app.get('/books', asyncHandler(async (req, res, next) => {
+  // Declare the repository of the books
+  const bookRepository = req.app.get('bookRepository');
+
+  // Input validation
+  const inputErrors = inputValidationQuery(req.query);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Read the requested page; the total is counted across all pages
+  const page = await bookRepository.list(req.query);
+  res.set('X-Total-Count', String(page.total));
+  if (page.next) {
+    res.links({next: `${req.baseUrl}${req.path}?${new URLSearchParams({...req.query, ...page.next})}`});
+  }
+  return res.json(page.books);
+}));
+
+/**
+ * GET /books/search
+ * Full-text search over the title, author and genre of the books, best match first
+ * Every word of the search must match; a word also matches the words it is a prefix of
+ * 
+ * @query {string} q - the search text (required)
+ * @query {number} limit - the page size, between 1 and 1000 (default: 100)
+ * @query {number} offset - the number of results to skip
+ * 
+ * @response 200 - OK, returns the requested page of matching books
+ * @header X-Total-Count - the number of matching books, across all pages
+ * @header Link - the URL of the next page with rel="next", when there is one
+ * @returns {Array<Object>} An array of book objects
+ * - {number} id - the unique identifier for each entry
+ * - {string} title - the title of the book
+ * - {string} author - the display name of the authors of the book
+ * - {number} price - the price of the book
+ * - {string} genre - the genre of the books
+ * - {number} genre_id - the id of the genre of the book
+ * - {number} in_stock - the number of copies on hand
+ * - {string} isbn - the ISBN-13 of the book, or null
+ * - {number} version - the version of the book, which its ETag names
+ * - {string} deleted_at - when the book was moved to the trash; always null, as trashed books are hidden
+ * - {Array<Object>} authors - the {id, name} of each author, in order
+ * - {string} snippet - the best matching text, with matches wrapped in <mark></mark>
+ * - {number} rank - the relevance of the match; lower is better
+ * 
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ * 
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+app.get('/books/search', asyncHandler(async (req, res, next) => {
+  // Declare the repository of the books
+  const bookRepository = req.app.get('bookRepository');
+
+  // Input validation
+  const inputErrors = inputValidationSearchQuery(req.query);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Read the requested page of matches; the total is counted across all pages
+  const page = await bookRepository.search(req.query);
+  res.set('X-Total-Count', String(page.total));
+  if (page.next) {
+    res.links({next: `${req.baseUrl}${req.path}?${new URLSearchParams({...req.query, ...page.next})}`});
+  }
+  return res.json(page.books);
+}));
+
+/**
+ * GET /books/isbn/:isbn
+ * Get a single book from the 'books' table by its ISBN
+ * 
+ * @param {string} :isbn - the ISBN-10 or ISBN-13 of the entry to be retrieved, with or without hyphens
+ * 
+ * @header ETag - the version of the book, e.g. '"3"'
+ * @header If-None-Match - the ETag of a version of the book the client holds; while it is current, the book is not sent again
+ *
+ * @response 304 - Not Modified, the book is still at the version sent in 'If-None-Match'
+ *
+ * @response 200 - OK, returns book with specified ISBN, as returned by GET /books/:id
+ * 
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ * 
+ * @response 404 - Book with specified ISBN not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the entry cannot be found
+ * 
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+app.get('/books/isbn/:isbn', asyncHandler(async (req, res, next) => {
+  // Declare the repository of the books
+  const bookRepository = req.app.get('bookRepository');
+
+  // Input validation
+  const inputErrors = inputValidationIsbn(req.params.isbn);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Read the book
+  const book = await bookRepository.findByIsbn(req.params.isbn);
+  if (!book) {
+    return next(httpError(404, `Book with ISBN: ${normalizeIsbn(req.params.isbn)} not found`));
+  }
+  res.set('ETag', versionEtag(book.version));
+  return res.json(book);
+}));
 
 /**
  * GET /books/:id
@@ -44,201 +224,340 @@ app.get('/books', (req, res) => {
  * 
  * @param {number} :id - the id of the entry to be retrieved
  * 
+ * @header ETag - the version of the book, e.g. '"3"'
+ * @header If-None-Match - the ETag of a version of the book the client holds; while it is current, the book is not sent again
+ *
+ * @response 304 - Not Modified, the book is still at the version sent in 'If-None-Match'
+ *
  * @response 200 - OK, returns book with specified ID
  * @returns {Object} The object that holds the data of the entry
  * - {number} id - the unique identifier for each entry
  * - {string} title - the title of the book
- * - {string} author - the author of the books
+ * - {string} author - the display name of the authors of the book
  * - {number} price - the price of the book
  * - {string} genre - the genre of the books
+ * - {number} genre_id - the id of the genre of the book
+ * - {number} in_stock - the number of copies on hand
+ * - {string} isbn - the ISBN-13 of the book, or null
+ * - {number} version - the version of the book, which its ETag names
+ * - {string} deleted_at - when the book was moved to the trash; always null, as trashed books are hidden
+ * - {Array<Object>} authors - the {id, name} of each author, in order
  * 
  * @response 400 - Input validation failure
- * @returns {Object} A object that current only contains the error message.
- * - {Array<string>} errors - the input validation errors
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
  * 
  * @response 404 - Book with specified ID not found
- * @returns {Object} A object that current only contains the error message.
- * - {string} message - a message stating that the entry cannot be found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the entry cannot be found
  * 
  * @response 500 - Internal server error - DB failure
- * @returns {Object} A object that current only contains the error message.
- * - {string} error - the error received from the backend
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
  */
-app.get('/books/:id', (req, res) => {
-  // Declare the DB
-  const db = getDb();
+app.get('/books/:id', asyncHandler(async (req, res, next) => {
+  // Declare the repository of the books
+  const bookRepository = req.app.get('bookRepository');
 
   // Input validation
   const id = req.params.id;
   const inputErrors = inputValidationId(id);
   if (inputErrors.length > 0) {
-    return res.status(400).json({errors: inputErrors})
+    return next(validationError(inputErrors));
   }
 
-  // Structure DB call and execute
-  const sqlStatement = 'SELECT * FROM books WHERE id = ?'
-  db.get(sqlStatement, [id], (err, rows) => {
-    if (err) {
-      console.error(err.message);
-      return res.status(500).json({error: err.message});
-    } else if (!rows) {
-      return res.status(404).json({message: `Book with ID: ${id} not found`});
-    } 
-    return res.json(rows);
-  });
-});
+  // Read the book
+  const book = await bookRepository.findById(id);
+  if (!book) {
+    return next(bookNotFoundError(id));
+  }
+  res.set('ETag', versionEtag(book.version));
+  return res.json(book);
+}));
 
 /**
  * POST /books
  * Creates a new book that is entered into the DB
+ * The new book is recorded in the audit log
  * 
  * @body {string} title - the title of the book (required)
- * @body {string} author - the author of the books (required)
+ * @body {string|number|Array<string|number>} author - the names or IDs of the authors of the book (required)
  * @body {number} price - the price of the book
- * @body {string} genre - the genre of the books
+ * @body {string} genre - the name of one of the managed genres
+ * @body {string} isbn - the ISBN-10 or ISBN-13 of the book, with or without hyphens; stored as an ISBN-13
  * 
  * @response 201 - Created, the entry is created
  * @returns {Object} An object holding the confirmation information
  * - {string} message - a confirmation message
  * - {number} id - the newly created unique identifier for the new entry
  * 
- * @response 400 - Input validation failure
- * @returns {Object} A object that current only contains the error message.
- * - {Array<string>} errors - the input validation errors
+ * @response 400 - Input validation failure, or a genre or author ID that does not exist
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
  * 
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'editor' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 409 - Another book already has the same ISBN
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating the ISBN already in use
+ * - {number} id - the unique identifier of the book that has it
+ *
  * @response 500 - Internal server error - DB failure
- * @returns {Object} A object that current only contains the error message.
- * - {string} error - the error received from the backend
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
  */
-app.post('/books', (req, res) => {
-  // Declare the DB
-  const db = getDb();
+app.post('/books', asyncHandler(async (req, res, next) => {
+  // Declare the repository of the books
+  const bookRepository = req.app.get('bookRepository');
 
   // Input validation
-  const {title, author, price, genre} = req.body;
   const inputErrors = inputValidationBody(req.body);
   if (inputErrors.length > 0) {
-    return res.status(400).json({errors: inputErrors})
+    return next(validationError(inputErrors));
   }
 
-  // Structure DB call and execute
-  const sqlStatement = `INSERT INTO books (title, author, price, genre) VALUES (?, ?, ?, ?);`;
-  db.run(sqlStatement, [title, author, price ?? null, genre ?? null], function(err) { // price and genre are not required and, therefore, can be null, if not specified
-    if (err) {
-      console.error(err.message);
-      return res.status(500).json({error: err.message});
-    }
-    return res.status(201).json({message: 'Book added successfully', id: this.lastID});
-  })
-});
+  // Add the book; an ISBN in use, or an unknown genre or author ID, is refused by the repository
+  const book = await bookRepository.create(req.body, req);
+  return res.status(201).json({message: 'Book added successfully', id: book.id});
+}));
 
 /**
  * PUT /books/:id
  * Update an existing book by ID; all data within the entry will be updated
+ * The fields that change are recorded in the audit log
  * 
  * @param {number} :id - the id of the entry to be updated
  * 
  * @body {string} title - the new title of the book (required)
- * @body {string} author - the new author of the books (required)
+ * @body {string|number|Array<string|number>} author - the new names or IDs of the authors of the book (required)
  * @body {number} price - the new price of the book
- * @body {string} genre - the new genre of the books
+ * @body {string} genre - the name of one of the managed genres
+ * @body {string} isbn - the new ISBN-10 or ISBN-13 of the book, with or without hyphens; stored as an ISBN-13
  * 
+ * @header If-Match - the ETags of the versions of the book the change may replace, or '*'; the change is refused once
+ *  the book has moved on; required when REQUIRE_IF_MATCH is on
+ *
  * @response 201 - Created, the entry is updated
+ * @header ETag - the new version of the book
  * @returns {Object} An object holding the confirmation information
  * - {string} message - a confirmation message
  * - {number} id - the unique identifier for the updated entry
  * 
- * @response 400 - Input validation failure
- * @returns {Object} A object that current only contains the error message.
- * - {Array<string>} errors - the input validation errors
+ * @response 400 - Input validation failure, or a genre or author ID that does not exist
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
  * 
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'editor' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
  * @response 404 - Book with specified ID not found
- * @returns {Object} A object that current only contains the error message.
- * - {string} message - a message stating that the entry cannot be found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the entry cannot be found
  * 
+ * @response 409 - Another book already has the same ISBN
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating the ISBN already in use
+ * - {number} id - the unique identifier of the book that has it
+ * 
+ * @response 412 - The book is no longer at a version sent in 'If-Match'
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating the current ETag of the book
+ *
+ * @response 428 - The request does not send an 'If-Match' header, while REQUIRE_IF_MATCH is on
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the header is required
+ *
  * @response 500 - Internal server error - DB failure
- * @returns {Object} A object that current only contains the error message.
- * - {string} error - the error received from the backend
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
  */
-app.put('/books/:id', (req, res) => {
-  // Declare the DB
-  const db = getDb();
+app.put('/books/:id', requireIfMatch, asyncHandler(async (req, res, next) => {
+  // Declare the repository of the books
+  const bookRepository = req.app.get('bookRepository');
 
   // Input validation
   const id = req.params.id;
-  const {title, author, price, genre} = req.body;
   const inputErrorsID = inputValidationId(id);
   const inputErrorsBody = inputValidationBody(req.body);
   const inputErrors = inputErrorsID.concat(inputErrorsBody);
   if (inputErrors.length > 0) {
-    return res.status(400).json({errors: inputErrors});
+    return next(validationError(inputErrors));
   }
 
-  // Structure DB call and execute
-  const updateStatement = `UPDATE books SET title = ?, author = ?, price = ?, genre = ? WHERE id = ?;`;
-  db.run(updateStatement, [title, author, price ?? null, genre ?? null, id], function(err) { // price and genre are not required and, therefore, can be null, if not specified
-    if (err) {
-      console.error(err.message);
-      return res.status(500).json({error: err.message});
-    } else if (this.changes === 0) {
-      return res.status(404).json({message: `Book with ID: ${id} not found`});
-    }
-    return res.status(201).json({message: 'Book updated successfully', id: id});
-  })
-});
+  // Replace the book; only the versions the request accepts are replaced
+  const book = await bookRepository.replace(id, req.body, ifMatchVersions(req), req);
+  res.set('ETag', versionEtag(book.version));
+  return res.status(201).json({message: 'Book updated successfully', id: id});
+}));
+
+/**
+ * PATCH /books/:id
+ * Partially update an existing book by ID; only the fields sent are updated
+ * The fields that change are recorded in the audit log
+ * 
+ * @param {number} :id - the id of the entry to be updated
+ * 
+ * @body {string} title - the new title of the book
+ * @body {string|number|Array<string|number>} author - the new names or IDs of the authors of the book
+ * @body {number|null} price - the new price of the book; null clears it
+ * @body {string|null} genre - the name of one of the managed genres; null clears it
+ * @body {string|null} isbn - the new ISBN-10 or ISBN-13 of the book, with or without hyphens; null clears it
+ * 
+ * @header If-Match - the ETags of the versions of the book the change may replace, or '*'; the change is refused once
+ *  the book has moved on; required when REQUIRE_IF_MATCH is on
+ *
+ * @response 200 - OK, the entry is updated
+ * @header ETag - the new version of the book
+ * @returns {Object} The object that holds the updated data of the entry
+ * - {number} id - the unique identifier for each entry
+ * - {string} title - the title of the book
+ * - {string} author - the display name of the authors of the book
+ * - {number} price - the price of the book
+ * - {string} genre - the genre of the books
+ * - {number} genre_id - the id of the genre of the book
+ * - {number} in_stock - the number of copies on hand
+ * - {string} isbn - the ISBN-13 of the book, or null
+ * - {number} version - the version of the book, which its ETag names
+ * - {string} deleted_at - when the book was moved to the trash; always null, as trashed books are hidden
+ * - {Array<Object>} authors - the {id, name} of each author, in order
+ * 
+ * @response 400 - Input validation failure, or a genre or author ID that does not exist
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ * 
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'editor' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 404 - Book with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the entry cannot be found
+ * 
+ * @response 409 - Another book already has the same ISBN
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating the ISBN already in use
+ * - {number} id - the unique identifier of the book that has it
+ * 
+ * @response 412 - The book is no longer at a version sent in 'If-Match'
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating the current ETag of the book
+ *
+ * @response 428 - The request does not send an 'If-Match' header, while REQUIRE_IF_MATCH is on
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the header is required
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+app.patch('/books/:id', requireIfMatch, asyncHandler(async (req, res, next) => {
+  // Declare the repository of the books
+  const bookRepository = req.app.get('bookRepository');
+
+  // Input validation
+  const id = req.params.id;
+  const inputErrorsID = inputValidationId(id);
+  const inputErrorsBody = inputValidationPatchBody(req.body);
+  const inputErrors = inputErrorsID.concat(inputErrorsBody);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Update the fields that were sent and return the entry as it now stands
+  const book = await bookRepository.update(id, req.body, ifMatchVersions(req), req);
+  res.set('ETag', versionEtag(book.version));
+  return res.status(200).json(book);
+}));
 
 /**
  * DELETE /books/:id
- * Deletes an existing book from the DB by ID
+ * Moves an existing book to the trash by ID; it is hidden from every read until it is restored, and kept until it is purged
+ * The move is recorded in the audit log
  * 
  * @param {number} :id - the id of the entry to be deleted
  * 
  * 
- * @response 200 - OK, the entry is deleted
+ * @header If-Match - the ETags of the versions of the book the change may replace, or '*'; the change is refused once
+ *  the book has moved on; required when REQUIRE_IF_MATCH is on
+ *
+ * @response 200 - OK, the entry is moved to the trash
  * @returns {Object} An object holding the confirmation information
  * - {string} message - a confirmation message
- * - {number} id - the unique identifier for the deleted entry
+ * - {number} id - the unique identifier for the trashed entry
  * 
  * @response 400 - Input validation failure
- * @returns {Object} A object that current only contains the error message.
- * - {Array<string>} errors - the input validation errors
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
  * 
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'admin' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
  * @response 404 - Book with specified ID not found
- * @returns {Object} A object that current only contains the error message.
- * - {string} message - a message stating that the entry cannot be found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the entry cannot be found
  * 
+ * @response 412 - The book is no longer at a version sent in 'If-Match'
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating the current ETag of the book
+ *
+ * @response 428 - The request does not send an 'If-Match' header, while REQUIRE_IF_MATCH is on
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the header is required
+ *
  * @response 500 - Internal server error - DB failure
- * @returns {Object} A object that current only contains the error message.
- * - {string} error - the error received from the backend
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
  */
-app.delete('/books/:id', (req, res) => {
-  // Declare the DB
-  const db = getDb();
+app.delete('/books/:id', requireIfMatch, asyncHandler(async (req, res, next) => {
+  // Declare the repository of the books
+  const bookRepository = req.app.get('bookRepository');
 
   // Input validation
   const id = req.params.id;
   const inputErrors = inputValidationId(id);
   if (inputErrors.length > 0) {
-    return res.status(400).json({errors: inputErrors})
+    return next(validationError(inputErrors));
   }
 
-  // Structure DB call and execute
-  db.run('DELETE FROM books WHERE id = ?', [id], function(err) {
-    if (err) {
-      console.error(err.message);
-      return res.status(500).json({error: err.message});
-    } else if (this.changes === 0) {
-      return res.status(404).json({message: `Book with ID: ${id} not found`});
-    } 
-    return res.status(200).json({message: 'Book successfully deleted', id: id});
-  });
-});
+  // Move the book to the trash; only the versions the request accepts are moved
+  await bookRepository.trash(id, ifMatchVersions(req), req);
+  return res.status(200).json({message: 'Book successfully deleted', id: id});
+}));
+
+// Every failed request, including one no route handles or whose body cannot be parsed, is answered with a problem
+app.use(routeNotFound);
+app.use(handleErrors);
 
 if (require.main === module){
   // Async call to ensure that the DB is initialized before the app begins listening
   initializeDb().then(() => {
     const port = process.env.PORT || 3000;
     app.listen(port, () => console.log(`Listening on port ${port}`));
+
+    // A new DB has no API keys; create an admin key so that it can be administered, and show it once
+    if (!resolveDbConfig().readOnly) {
+      ensureAdminKey().then(apiKey => {
+        if (apiKey) {
+          console.log(`No admin API key found; created one, store it now as it will not be shown again: ${apiKey.key}`);
+        }
+      }).catch(err => {
+        console.error(`Failed to create the initial admin API key: ${err.message}`);
+      });
+
+      // With TRASH_RETENTION_DAYS set, the books trashed for longer are purged every hour
+      scheduleTrashPurge();
+
+      // The webhook deliveries left pending, by a failed attempt or a restart, are retried every few seconds
+      scheduleWebhookDeliveries(app.get('webhookConfig'));
+    }
   }).catch(err => {
     console.error(`Failed to initialize DB: ${err.message}`);
     throw new Error(err.message);
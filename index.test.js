@@ -3,21 +3,61 @@
  * @file index.test.js
  * @description The test suite for the Bookstore API - Coding Challenge
  * 
- * This test suite is comprised of 41 tests covering positive, negative, and additioanal scenarios
+ * This test suite is comprised of 69 tests covering positive, negative, additioanal, listing, partial update, search, and ISBN scenarios
  * 
  * Endpoints covered:
  * - GET /books
+ * - GET /books/search
+ * - GET /books/isbn/:isbn
  * - GET /books/:id
  * - POST /books
  * - PUT /books/:id
+ * - PATCH /books/:id
  * - DELETE /books/:id
  */
 const request = require('supertest');
 const app = require('./index');
 const {getDb, initializeDb} = require('./database');
+const {createApiKey} = require('./auth');
+const {nameKey} = require('./lib');
 
 let db;
 
+// Headers that authenticate the requests that change data
+let auth;
+
+/**
+ * Creates an API key with the given role in the current DB
+ *
+ * @param {string} role - the role the key grants
+ * @returns {Promise<Object>} - The headers that authenticate requests with the key
+ */
+function apiKeyHeader(role) {
+  return createApiKey('Tests', role).then(apiKey => ({Authorization: `Bearer ${apiKey.key}`}));
+}
+
+// Genres used by the sample data; book writes only accept genres from the managed list
+const sampleGenres = [
+  'Genre 6', 'Genre 7', 'Genre 8', 'Genre 8 - Updated', 'Genre 9', 'Genre 10', 'Genre 10 - Updated', 'Genre 20',
+  'Genre 30', 'Genre 31', 'Genre 32', 'Genre 33', 'Fantasy', 'Romance', 'Sci-Fi', 'Science Fiction'
+];
+
+/**
+ * Adds the sample genres to the managed genre list of the current DB
+ */
+function seedGenres() {
+  return new Promise((resolve, reject) => {
+    const values = sampleGenres.map(() => '(?, ?)').join(', ');
+    db.run(`INSERT INTO genres (name, name_key) VALUES ${values}`, sampleGenres.flatMap(name => [name, nameKey(name)]), (err) => {
+      if (err) {
+        reject(`Seeding genres failed: ${err.message}`);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
 /**
  * These tests cover the 'Happy Path' 
  */
@@ -27,6 +67,8 @@ describe('Bookstore API - Positive Scenarios', () => {
   beforeAll(async () => {
     await initializeDb();
     db = getDb();
+    auth = await apiKeyHeader('admin');
+    await seedGenres();
     // Async call to remove all data from the DB and add sample data; this will NOT reset the id auto-increment
     await new Promise((resolve, reject) => {
       db.serialize(() => {
@@ -118,7 +160,7 @@ describe('Bookstore API - Positive Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
 
     // Validate the response
     expect(res.statusCode).toBe(201);
@@ -152,7 +194,7 @@ describe('Bookstore API - Positive Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
 
     // Validate the response
     expect(res.statusCode).toBe(201);
@@ -186,7 +228,7 @@ describe('Bookstore API - Positive Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
 
     // Validate the response
     expect(res.statusCode).toBe(201);
@@ -224,7 +266,7 @@ describe('Bookstore API - Positive Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
     const id = res.body.id;
 
     // Call the endpoint
@@ -252,7 +294,7 @@ describe('Bookstore API - Positive Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
     const id = res.body.id;
 
     // Declare updated data to replace the original data
@@ -264,7 +306,7 @@ describe('Bookstore API - Positive Scenarios', () => {
     };
 
     // Call the endpoint
-    const putRes = await request(app).put(`/books/${id}`).send(updatedData);
+    const putRes = await request(app).put(`/books/${id}`).set(auth).send(updatedData);
 
     // Validate the response
     expect(putRes.statusCode).toBe(201);
@@ -300,7 +342,7 @@ describe('Bookstore API - Positive Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
     const id = res.body.id;
 
     // Declare data for the update
@@ -311,7 +353,7 @@ describe('Bookstore API - Positive Scenarios', () => {
     };
 
     // Call the endpoint
-    const putRes = await request(app).put(`/books/${id}`).send(updatedData);
+    const putRes = await request(app).put(`/books/${id}`).set(auth).send(updatedData);
 
     // Validate the response
     expect(putRes.statusCode).toBe(201);
@@ -347,7 +389,7 @@ describe('Bookstore API - Positive Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
     const id = res.body.id;
 
     
@@ -359,7 +401,7 @@ describe('Bookstore API - Positive Scenarios', () => {
     };
 
     // Call the endpoint
-    const putRes = await request(app).put(`/books/${id}`).send(updatedData);
+    const putRes = await request(app).put(`/books/${id}`).set(auth).send(updatedData);
 
     // Validate the response
     expect(putRes.statusCode).toBe(201);
@@ -398,7 +440,7 @@ describe('Bookstore API - Positive Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
     const id = res.body.id;
 
     // Async call to validate new entry in DB
@@ -419,7 +461,7 @@ describe('Bookstore API - Positive Scenarios', () => {
     expect(addedRow.genre).toBe("Genre 9");
 
     // Call the endpoint
-    const deleteRes = await request(app).delete(`/books/${id}`);
+    const deleteRes = await request(app).delete(`/books/${id}`).set(auth);
     expect(deleteRes.statusCode).toBe(200);
     expect(deleteRes.body.message).toBe('Book successfully deleted');
     expect(deleteRes.body.id).toBeDefined();
@@ -428,7 +470,7 @@ describe('Bookstore API - Positive Scenarios', () => {
     const getRes = await request(app).get(`/books/${id}`);
     expect(getRes.statusCode).toBe(404);
 
-    // Async call to validate deleted entry in DB
+    // Async call to validate that the entry is kept in the trash
     const deletedRow = await new Promise((resolve, reject) => {
       db.get('SELECT * FROM books WHERE id = ?', [id], (err, row) => {
         if (err) {
@@ -440,7 +482,8 @@ describe('Bookstore API - Positive Scenarios', () => {
     });
     
     // Validate the response
-    expect(deletedRow).toBeUndefined();
+    expect(deletedRow.title).toBe("Title 9");
+    expect(deletedRow.deleted_at).toEqual(expect.any(String));
   });
 
   test('Validate that the ID is a Primary Key', async () => {
@@ -471,6 +514,8 @@ describe('Bookstore API - Negative Scenarios', () => {
   beforeAll(async () => {
     await initializeDb();
     db = getDb();
+    auth = await apiKeyHeader('admin');
+    await seedGenres();
     // Async call to remove all data from the DB and add sample data; this will NOT reset the id auto-increment
     await new Promise((resolve, reject) => {
       db.serialize(() => {
@@ -546,7 +591,7 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
     const id = res.body.id;
 
     // Call the endpoint
@@ -554,7 +599,7 @@ describe('Bookstore API - Negative Scenarios', () => {
 
     // Validate the response
     expect(getRes.statusCode).toBe(404);
-    expect(getRes.body.message).toBe(`Book with ID: ${Number(id) + 1} not found`);
+    expect(getRes.body.detail).toBe(`Book with ID: ${Number(id) + 1} not found`);
   });
   
   test('GET /books/:id - input validation - ID as a string', async () => {
@@ -563,7 +608,7 @@ describe('Bookstore API - Negative Scenarios', () => {
     
     // Validate the response
     expect(getRes.statusCode).toBe(400);
-    expect(getRes.body.errors[0]).toBe(`'id' must be a positive integer.`);
+    expect(getRes.body.errors[0].detail).toBe(`'id' must be a positive integer.`);
   });
 
   test('GET /books/:id - input validation - ID as 0', async () => {
@@ -572,7 +617,7 @@ describe('Bookstore API - Negative Scenarios', () => {
     
     // Validate the response
     expect(getRes.statusCode).toBe(400);
-    expect(getRes.body.errors[0]).toBe(`'id' must be a positive integer.`);
+    expect(getRes.body.errors[0].detail).toBe(`'id' must be a positive integer.`);
   });
 
   test('GET /books/:id - input validation - ID as a negative number', async () => {
@@ -581,7 +626,7 @@ describe('Bookstore API - Negative Scenarios', () => {
 
     // Validate the response
     expect(getRes.statusCode).toBe(400);
-    expect(getRes.body.errors[0]).toBe(`'id' must be a positive integer.`);
+    expect(getRes.body.errors[0].detail).toBe(`'id' must be a positive integer.`);
   });
 
   /**
@@ -596,11 +641,11 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
 
     // Validate the response
     expect(res.statusCode).toBe(400);
-    expect(res.body.errors[0]).toBe(`'title' is required.`);
+    expect(res.body.errors[0].detail).toBe(`'title' is required.`);
   });
 
   test('POST /books - input validation - POST without "author"', async () => {
@@ -612,11 +657,11 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
 
     // Validate the response
     expect(res.statusCode).toBe(400);
-    expect(res.body.errors[0]).toBe(`'author' is required.`);
+    expect(res.body.errors[0].detail).toBe(`'author' is required.`);
   });
 
   test('POST /books - input validation - POST with "title" as a number', async () => {
@@ -629,11 +674,11 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
 
     // Validate the response
     expect(res.statusCode).toBe(400);
-    expect(res.body.errors[0]).toBe(`'title' must be a string.`);
+    expect(res.body.errors[0].detail).toBe(`'title' must be a string.`);
   });
 
   test('POST /books - input validation - POST with "title" as a boolean', async () => {
@@ -646,28 +691,28 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
 
     // Validate the response
     expect(res.statusCode).toBe(400);
-    expect(res.body.errors[0]).toBe(`'title' must be a string.`);
+    expect(res.body.errors[0].detail).toBe(`'title' must be a string.`);
   });
 
-  test('POST /books - input validation - POST with "author" as a number', async () => {
+  test('POST /books - input validation - POST with "author" as an ID that does not exist', async () => {
     // Declare data to be added
     const newRow = {
       title: "Title 10",
-      author: 10,
+      author: 99999,
       price: 123.45,
       genre: "Genre 10"
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
 
     // Validate the response
     expect(res.statusCode).toBe(400);
-    expect(res.body.errors[0]).toBe(`'author' must be a string.`);
+    expect(res.body.errors[0].detail).toBe(`Author with ID: 99999 not found`);
   });
 
   test('POST /books - input validation - POST with "author" as a boolean', async () => {
@@ -680,11 +725,11 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
 
     // Validate the response
     expect(res.statusCode).toBe(400);
-    expect(res.body.errors[0]).toBe(`'author' must be a string.`);
+    expect(res.body.errors[0].detail).toBe(`'author' must be an author name, an author ID, or an array of them.`);
   });
 
   test('POST /books - input validation - POST with "price" as a string', async () => {
@@ -697,11 +742,11 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
 
     // Validate the response
     expect(res.statusCode).toBe(400);
-    expect(res.body.errors[0]).toBe(`'price' must be a valid number.`);
+    expect(res.body.errors[0].detail).toBe(`'price' must be a valid number.`);
   });
 
   test('POST /books - input validation - POST with "price" as a boolean', async () => {
@@ -714,11 +759,11 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
 
     // Validate the response
     expect(res.statusCode).toBe(400);
-    expect(res.body.errors[0]).toBe(`'price' must be a valid number.`);
+    expect(res.body.errors[0].detail).toBe(`'price' must be a valid number.`);
   });
 
   test('POST /books - input validation - POST with "genre" as a number', async () => {
@@ -731,11 +776,11 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
 
     // Validate the response
     expect(res.statusCode).toBe(400);
-    expect(res.body.errors[0]).toBe(`'genre' must be a string.`);
+    expect(res.body.errors[0].detail).toBe(`'genre' must be a string.`);
   });
 
   test('POST /books - input validation - POST with "genre" as a boolean', async () => {
@@ -748,11 +793,11 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
 
     // Validate the response
     expect(res.statusCode).toBe(400);
-    expect(res.body.errors[0]).toBe(`'genre' must be a string.`);
+    expect(res.body.errors[0].detail).toBe(`'genre' must be a string.`);
   });
 
   test('POST /books - input validation - POST with extra field', async () => {
@@ -762,15 +807,15 @@ describe('Bookstore API - Negative Scenarios', () => {
       author: "Author 10",
       price: 123.45,
       genre: "Genre 10",
-      isbn: 1234567890
+      publisher: "Publisher 10"
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
 
     // Validate the response
     expect(res.statusCode).toBe(400);
-    expect(res.body.errors[0]).toBe(`'isbn' is not an expected field. Please remove this from payload.`);
+    expect(res.body.errors[0].detail).toBe(`'publisher' is not an expected field. Please remove this from payload.`);
   });
 
   /**
@@ -786,7 +831,7 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
     const id = res.body.id;
     
     // Declare data for the update
@@ -798,11 +843,11 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const resPut = await request(app).put(`/books/${id}`).send(updatedRow);
+    const resPut = await request(app).put(`/books/${id}`).set(auth).send(updatedRow);
 
     // Validate the response
     expect(resPut.statusCode).toBe(400);
-    expect(resPut.body.errors[0]).toBe(`'title' must be a string.`);
+    expect(resPut.body.errors[0].detail).toBe(`'title' must be a string.`);
   });
 
   test('PUT /books/:id - input validation - PUT with "title" as a boolean', async () => {
@@ -815,7 +860,7 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
     const id = res.body.id;
     
     // Declare data for the update
@@ -827,14 +872,14 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const resPut = await request(app).put(`/books/${id}`).send(updatedRow);
+    const resPut = await request(app).put(`/books/${id}`).set(auth).send(updatedRow);
 
     // Validate the response
     expect(resPut.statusCode).toBe(400);
-    expect(resPut.body.errors[0]).toBe(`'title' must be a string.`);
+    expect(resPut.body.errors[0].detail).toBe(`'title' must be a string.`);
   });
 
-  test('PUT /books/:id - input validation - PUT with "author" as a number', async () => {
+  test('PUT /books/:id - input validation - PUT with "author" as an ID that does not exist', async () => {
     // Declare data to be added
     const newRow = {
       title: "Title 10",
@@ -844,23 +889,23 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
     const id = res.body.id;
     
     // Declare data for the update
     const updatedRow = {
       title: "Title 10",
-      author: 10,
+      author: 99999,
       price: 123.45,
       genre: "Genre 10"
     };
 
     // Call the endpoint
-    const resPut = await request(app).put(`/books/${id}`).send(updatedRow);
+    const resPut = await request(app).put(`/books/${id}`).set(auth).send(updatedRow);
 
     // Validate the response
     expect(resPut.statusCode).toBe(400);
-    expect(resPut.body.errors[0]).toBe(`'author' must be a string.`);
+    expect(resPut.body.errors[0].detail).toBe(`Author with ID: 99999 not found`);
   });
 
   test('PUT /books/:id - input validation - PUT with "author" as a boolean', async () => {
@@ -873,7 +918,7 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
     const id = res.body.id;
     
     // Declare data for the update
@@ -885,11 +930,11 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const resPut = await request(app).put(`/books/${id}`).send(updatedRow);
+    const resPut = await request(app).put(`/books/${id}`).set(auth).send(updatedRow);
 
     // Validate the response
     expect(resPut.statusCode).toBe(400);
-    expect(resPut.body.errors[0]).toBe(`'author' must be a string.`);
+    expect(resPut.body.errors[0].detail).toBe(`'author' must be an author name, an author ID, or an array of them.`);
   });
 
   test('PUT /books/:id - input validation - PUT with "price" as a string', async () => {
@@ -902,7 +947,7 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
     const id = res.body.id;
     
     // Declare data for the update
@@ -914,11 +959,11 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const resPut = await request(app).put(`/books/${id}`).send(updatedRow);
+    const resPut = await request(app).put(`/books/${id}`).set(auth).send(updatedRow);
 
     // Validate the response
     expect(resPut.statusCode).toBe(400);
-    expect(resPut.body.errors[0]).toBe(`'price' must be a valid number.`);
+    expect(resPut.body.errors[0].detail).toBe(`'price' must be a valid number.`);
   });
 
   test('PUT /books/:id - input validation - PUT with "price" as a boolean', async () => {
@@ -931,7 +976,7 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
     const id = res.body.id;
     
     // Declare data for the update
@@ -943,11 +988,11 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const resPut = await request(app).put(`/books/${id}`).send(updatedRow);
+    const resPut = await request(app).put(`/books/${id}`).set(auth).send(updatedRow);
 
     // Validate the response
     expect(resPut.statusCode).toBe(400);
-    expect(resPut.body.errors[0]).toBe(`'price' must be a valid number.`);
+    expect(resPut.body.errors[0].detail).toBe(`'price' must be a valid number.`);
   });
 
   test('PUT /books/:id - input validation - PUT with "genre" as a number', async () => {
@@ -960,7 +1005,7 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
     const id = res.body.id;
     
     // Declare data for the update
@@ -972,11 +1017,11 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const resPut = await request(app).put(`/books/${id}`).send(updatedRow);
+    const resPut = await request(app).put(`/books/${id}`).set(auth).send(updatedRow);
 
     // Validate the response
     expect(resPut.statusCode).toBe(400);
-    expect(resPut.body.errors[0]).toBe(`'genre' must be a string.`);
+    expect(resPut.body.errors[0].detail).toBe(`'genre' must be a string.`);
   });
 
   test('PUT /books/:id - input validation - PUT with "genre" as a boolean', async () => {
@@ -989,7 +1034,7 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
     const id = res.body.id;
     
     // Declare data for the update
@@ -1001,11 +1046,11 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const resPut = await request(app).put(`/books/${id}`).send(updatedRow);
+    const resPut = await request(app).put(`/books/${id}`).set(auth).send(updatedRow);
 
     // Validate the response
     expect(resPut.statusCode).toBe(400);
-    expect(resPut.body.errors[0]).toBe(`'genre' must be a string.`);
+    expect(resPut.body.errors[0].detail).toBe(`'genre' must be a string.`);
   });
 
   test('PUT /books/:id - input validation - PUT with ID that does not exist', async () => {
@@ -1018,7 +1063,7 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
     const id = res.body.id;
     
     // Declare data for the update
@@ -1030,11 +1075,11 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const resPut = await request(app).put(`/books/${Number(id) + 1}`).send(updatedRow);
+    const resPut = await request(app).put(`/books/${Number(id) + 1}`).set(auth).send(updatedRow);
 
     // Validate the response
     expect(resPut.statusCode).toBe(404);
-    expect(resPut.body.message).toBe(`Book with ID: ${Number(id) + 1} not found`);
+    expect(resPut.body.detail).toBe(`Book with ID: ${Number(id) + 1} not found`);
   });
 
   test('PUT /books/:id - input validation - PUT with an extra field', async () => {
@@ -1047,7 +1092,7 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
     const id = res.body.id;
     
     // Declare data for the update
@@ -1056,15 +1101,15 @@ describe('Bookstore API - Negative Scenarios', () => {
       author: "Author 10 - Updated",
       price: 678.90,
       genre: "Genre 10 - Updated",
-      isbn: 1234567890
+      publisher: "Publisher 10"
     };
 
     // Call the endpoint
-    const resPut = await request(app).put(`/books/${id}`).send(updatedRow);
+    const resPut = await request(app).put(`/books/${id}`).set(auth).send(updatedRow);
 
     // Validate the response
     expect(resPut.statusCode).toBe(400);
-    expect(resPut.body.errors[0]).toBe(`'isbn' is not an expected field. Please remove this from payload.`);
+    expect(resPut.body.errors[0].detail).toBe(`'publisher' is not an expected field. Please remove this from payload.`);
   });
 
   /**
@@ -1080,13 +1125,13 @@ describe('Bookstore API - Negative Scenarios', () => {
     };
 
     // Call the endpoint
-    const res = await request(app).post('/books').send(newRow);
+    const res = await request(app).post('/books').set(auth).send(newRow);
     const id = res.body.id;
-    const deleteRes = await request(app).delete(`/books/${Number(id) + 1}`);
+    const deleteRes = await request(app).delete(`/books/${Number(id) + 1}`).set(auth);
 
     // Validate the response
     expect(deleteRes.statusCode).toBe(404);
-    expect(deleteRes.body.message).toBe(`Book with ID: ${Number(id) + 1} not found`);
+    expect(deleteRes.body.detail).toBe(`Book with ID: ${Number(id) + 1} not found`);
   });
   
   test('DELETE /books/:id - input validation - ID as a string', async () => {
@@ -1095,7 +1140,7 @@ describe('Bookstore API - Negative Scenarios', () => {
     
     // Validate the response
     expect(deleteRes.statusCode).toBe(400);
-    expect(deleteRes.body.errors[0]).toBe(`'id' must be a positive integer.`);
+    expect(deleteRes.body.errors[0].detail).toBe(`'id' must be a positive integer.`);
   });
 
   test('DELETE /books/:id - input validation - ID as 0', async () => {
@@ -1104,7 +1149,7 @@ describe('Bookstore API - Negative Scenarios', () => {
     
     // Validate the response
     expect(deleteRes.statusCode).toBe(400);
-    expect(deleteRes.body.errors[0]).toBe(`'id' must be a positive integer.`);
+    expect(deleteRes.body.errors[0].detail).toBe(`'id' must be a positive integer.`);
   });
 
   test('DELETE /books/:id - input validation - ID as a negative number', async () => {
@@ -1113,7 +1158,7 @@ describe('Bookstore API - Negative Scenarios', () => {
 
     // Validate the response
     expect(deleteRes.statusCode).toBe(400);
-    expect(deleteRes.body.errors[0]).toBe(`'id' must be a positive integer.`);
+    expect(deleteRes.body.errors[0].detail).toBe(`'id' must be a positive integer.`);
   });
 });
 
@@ -1126,6 +1171,8 @@ describe('Bookstore API - Additional Scenarios', () => {
   beforeAll(async () => {
     await initializeDb();
     db = getDb();
+    auth = await apiKeyHeader('admin');
+    await seedGenres();
     // Async call to remove all data from the DB; this will NOT reset the id auto-increment
     await new Promise((resolve, reject) => {
       db.serialize(() => {
@@ -1164,7 +1211,7 @@ describe('Bookstore API - Additional Scenarios', () => {
     };
 
     // Call the endpoint
-    const firstResPost = await request(app).post('/books').send(firstNewRow);
+    const firstResPost = await request(app).post('/books').set(auth).send(firstNewRow);
     const firstId = firstResPost.body.id;
 
     // Declare data for the second row to be added
@@ -1176,7 +1223,7 @@ describe('Bookstore API - Additional Scenarios', () => {
     };
 
     // Call the endpoint
-    const secondResPost = await request(app).post('/books').send(secondNewRow);
+    const secondResPost = await request(app).post('/books').set(auth).send(secondNewRow);
     const secondId = secondResPost.body.id;
 
     // Validate that the id incremented
@@ -1184,4 +1231,354 @@ describe('Bookstore API - Additional Scenarios', () => {
   
   });
 
-});
\ No newline at end of file
+});
+/**
+ * These tests cover filtering, sorting and pagination of GET /books
+ */
+describe('Bookstore API - Listing Scenarios', () => {
+
+  // Executes before any test; connects to the DB and populates it with sample data
+  beforeAll(async () => {
+    await initializeDb();
+    db = getDb();
+    auth = await apiKeyHeader('admin');
+    await seedGenres();
+    // Add sample data through the API, so that the authors are linked
+    const sampleRows = [
+      {title: "Dune", author: "Frank Herbert", price: 9.99, genre: "Sci-Fi"},
+      {title: "Children of Dune", author: "Frank Herbert", price: 12.5, genre: "Sci-Fi"},
+      {title: "Emma", author: "Jane Austen", price: 5, genre: "Romance"},
+      {title: "Persuasion", author: "Jane Austen", price: null, genre: "Romance"},
+      {title: "Neuromancer", author: "William Gibson", price: 15}
+    ];
+    for (const row of sampleRows) {
+      await request(app).post('/books').set(auth).send(row);
+    }
+  });
+
+  // Closes the DB connection after all tests execute
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('GET /books - Reports the total count', async () => {
+    const res = await request(app).get('/books');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.length).toBe(5);
+    expect(res.headers['x-total-count']).toBe('5');
+    expect(res.headers.link).toBeUndefined();
+  });
+
+  test('GET /books - Filters by author and genre, ignoring case', async () => {
+    const res = await request(app).get('/books').query({author: 'frank herbert', genre: 'SCI-FI'});
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map(row => row.title)).toStrictEqual(['Dune', 'Children of Dune']);
+    expect(res.headers['x-total-count']).toBe('2');
+  });
+
+  test('GET /books - Filters by price range', async () => {
+    const res = await request(app).get('/books').query({minPrice: 5, maxPrice: 12.5, sort: 'price'});
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map(row => row.price)).toStrictEqual([5, 9.99, 12.5]);
+  });
+
+  test('GET /books - Sorts by a column in descending order', async () => {
+    const res = await request(app).get('/books').query({sort: 'title', order: 'desc'});
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map(row => row.title)).toStrictEqual(['Persuasion', 'Neuromancer', 'Emma', 'Dune', 'Children of Dune']);
+  });
+
+  test('GET /books - Pages with limit and offset', async () => {
+    const res = await request(app).get('/books').query({limit: 2, offset: 2});
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map(row => row.title)).toStrictEqual(['Emma', 'Persuasion']);
+    expect(res.headers['x-total-count']).toBe('5');
+    expect(res.headers.link).toBe('</books?limit=2&offset=4>; rel="next"');
+  });
+
+  test('GET /books - Follows cursor links across every page, including NULL values', async () => {
+    const titles = [];
+    let url = '/books?sort=price&order=desc&limit=2';
+    while (url) {
+      const res = await request(app).get(url);
+      expect(res.statusCode).toBe(200);
+      titles.push(...res.body.map(row => row.title));
+      const next = /<([^>]+)>; rel="next"/.exec(res.headers.link ?? '');
+      url = next ? next[1] : null;
+    }
+
+    expect(titles).toStrictEqual(['Neuromancer', 'Children of Dune', 'Dune', 'Emma', 'Persuasion']);
+  });
+
+  test('GET /books - input validation - unknown sort column', async () => {
+    const res = await request(app).get('/books').query({sort: 'isbn'});
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors[0].detail).toBe(`'sort' must be one of: id, title, author, price, genre.`);
+  });
+
+  test('GET /books - input validation - invalid limit and price', async () => {
+    const res = await request(app).get('/books').query({limit: 0, minPrice: 'cheap'});
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors.map(error => error.detail)).toStrictEqual([
+      `'minPrice' must be a valid number.`,
+      `'limit' must be an integer between 1 and 1000.`
+    ]);
+  });
+
+  test('GET /books - input validation - cursor reused with a different sort', async () => {
+    const first = await request(app).get('/books').query({sort: 'title', limit: 1});
+    const cursor = new URLSearchParams(/<[^?]+\?([^>]+)>/.exec(first.headers.link)[1]).get('cursor');
+    const res = await request(app).get('/books').query({sort: 'price', cursor});
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors[0].detail).toBe(`'cursor' does not match the requested sort.`);
+  });
+
+  test('GET /books - input validation - unexpected query parameter', async () => {
+    const res = await request(app).get('/books').query({publisher: 'Ace'});
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors[0].detail).toBe(`'publisher' is not an expected query parameter. Please remove this from the request.`);
+  });
+});
+
+/**
+ * These tests cover partial updates through PATCH /books/:id
+ */
+describe('Bookstore API - Partial Update Scenarios', () => {
+
+  // Executes before any test; connects to the DB and cleans the data
+  beforeAll(async () => {
+    await initializeDb();
+    db = getDb();
+    auth = await apiKeyHeader('admin');
+    await seedGenres();
+  });
+
+  // Closes the DB connection after all tests execute
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('PATCH /books/:id - Updates only the fields sent', async () => {
+    const res = await request(app).post('/books').set(auth).send({title: "Title 30", author: "Author 30", price: 30, genre: "Genre 30"});
+    const id = res.body.id;
+
+    const patchRes = await request(app).patch(`/books/${id}`).set(auth).send({title: "Title 30 - Updated"});
+
+    expect(patchRes.statusCode).toBe(200);
+    expect(patchRes.body).toStrictEqual({
+      id: id, title: "Title 30 - Updated", author: "Author 30", price: 30, genre: "Genre 30", genre_id: expect.any(Number), in_stock: 0, isbn: null, version: 2, deleted_at: null,
+      authors: [{id: expect.any(Number), name: "Author 30"}]
+    });
+  });
+
+  test('PATCH /books/:id - Clears price and genre when sent as null', async () => {
+    const res = await request(app).post('/books').set(auth).send({title: "Title 31", author: "Author 31", price: 31, genre: "Genre 31"});
+    const id = res.body.id;
+
+    const patchRes = await request(app).patch(`/books/${id}`).set(auth).send({price: null, genre: null});
+
+    expect(patchRes.statusCode).toBe(200);
+    expect(patchRes.body.price).toBe(null);
+    expect(patchRes.body.genre).toBe(null);
+    expect(patchRes.body.title).toBe("Title 31");
+  });
+
+  test('PATCH /books/:id - input validation - empty payload', async () => {
+    const patchRes = await request(app).patch(`/books/1`).set(auth).send({});
+
+    expect(patchRes.statusCode).toBe(400);
+    expect(patchRes.body.errors[0].detail).toBe(`At least one of 'title', 'author', 'price', 'genre', 'isbn' is required.`);
+  });
+
+  test('PATCH /books/:id - input validation - "title" as null and "price" as a string', async () => {
+    const patchRes = await request(app).patch(`/books/1`).set(auth).send({title: null, price: "free"});
+
+    expect(patchRes.statusCode).toBe(400);
+    expect(patchRes.body.errors.map(error => error.detail)).toStrictEqual([`'title' must be a string.`, `'price' must be a valid number or null.`]);
+  });
+
+  test('PATCH /books/:id - input validation - ID that does not exist', async () => {
+    const res = await request(app).post('/books').set(auth).send({title: "Title 32", author: "Author 32"});
+    const id = Number(res.body.id) + 1;
+
+    const patchRes = await request(app).patch(`/books/${id}`).set(auth).send({genre: "Genre 32"});
+
+    expect(patchRes.statusCode).toBe(404);
+    expect(patchRes.body.detail).toBe(`Book with ID: ${id} not found`);
+  });
+
+  test('PATCH /books/:id - input validation - ID as a string', async () => {
+    const patchRes = await request(app).patch(`/books/test`).set(auth).send({genre: "Genre 33"});
+
+    expect(patchRes.statusCode).toBe(400);
+    expect(patchRes.body.errors[0].detail).toBe(`'id' must be a positive integer.`);
+  });
+});
+
+/**
+ * These tests cover full-text search through GET /books/search
+ */
+describe('Bookstore API - Search Scenarios', () => {
+
+  // Executes before any test; connects to the DB and adds sample data through the API
+  beforeAll(async () => {
+    await initializeDb();
+    db = getDb();
+    auth = await apiKeyHeader('admin');
+    await seedGenres();
+    await request(app).post('/books').set(auth).send({title: "The Fellowship of the Ring", author: "J.R.R. Tolkien", price: 20, genre: "Fantasy"});
+    await request(app).post('/books').set(auth).send({title: "The Hobbit", author: "J.R.R. Tolkien", price: 15, genre: "Fantasy"});
+    await request(app).post('/books').set(auth).send({title: "Foundation", author: "Isaac Asimov", price: 10, genre: "Science Fiction"});
+  });
+
+  // Closes the DB connection after all tests execute
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('GET /books/search - Matches across columns, best match first', async () => {
+    const res = await request(app).get('/books/search').query({q: 'tolkien hobbit'});
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['x-total-count']).toBe('1');
+    expect(res.body.length).toBe(1);
+    expect(res.body[0].title).toBe("The Hobbit");
+    expect(typeof res.body[0].rank).toBe('number');
+  });
+
+  test('GET /books/search - Matches word prefixes and highlights them', async () => {
+    const res = await request(app).get('/books/search').query({q: 'fellow'});
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.length).toBe(1);
+    expect(res.body[0].snippet).toBe('The <mark>Fellowship</mark> of the Ring');
+  });
+
+  test('GET /books/search - Pages results with limit and offset', async () => {
+    const res = await request(app).get('/books/search').query({q: 'fantasy', limit: 1});
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.length).toBe(1);
+    expect(res.headers['x-total-count']).toBe('2');
+    expect(res.headers.link).toBe('</books/search?q=fantasy&limit=1&offset=1>; rel="next"');
+  });
+
+  test('GET /books/search - Stays in sync with POST, PUT and DELETE', async () => {
+    const postRes = await request(app).post('/books').set(auth).send({title: "Dune", author: "Frank Herbert", genre: "Science Fiction"});
+    const id = postRes.body.id;
+    expect((await request(app).get('/books/search').query({q: 'dune'})).body.length).toBe(1);
+
+    await request(app).put(`/books/${id}`).set(auth).send({title: "Dune Messiah", author: "Frank Herbert"});
+    expect((await request(app).get('/books/search').query({q: 'messiah'})).body.length).toBe(1);
+    expect((await request(app).get('/books/search').query({q: 'science herbert'})).body.length).toBe(0);
+
+    await request(app).delete(`/books/${id}`).set(auth);
+    expect((await request(app).get('/books/search').query({q: 'dune'})).body.length).toBe(0);
+  });
+
+  test('GET /books/search - Search syntax in the input is not interpreted', async () => {
+    const res = await request(app).get('/books/search').query({q: '"hobbit" OR title:*'});
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.length).toBe(0);
+  });
+
+  test('GET /books/search - input validation - missing or empty "q"', async () => {
+    const missingRes = await request(app).get('/books/search');
+    const emptyRes = await request(app).get('/books/search').query({q: '  ?! '});
+
+    expect(missingRes.statusCode).toBe(400);
+    expect(missingRes.body.errors[0].detail).toBe(`'q' is required.`);
+    expect(emptyRes.statusCode).toBe(400);
+    expect(emptyRes.body.errors[0].detail).toBe(`'q' must contain at least one word or number.`);
+  });
+});
+
+/**
+ * These tests cover the ISBN of the books, and GET /books/isbn/:isbn
+ */
+describe('Bookstore API - ISBN Scenarios', () => {
+
+  // Executes before any test; connects to the DB and adds sample data through the API
+  beforeAll(async () => {
+    await initializeDb();
+    db = getDb();
+    auth = await apiKeyHeader('admin');
+    await seedGenres();
+  });
+
+  // Closes the DB connection after all tests execute
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('POST /books - Stores an ISBN-10 as the matching ISBN-13, without hyphens', async () => {
+    const res = await request(app).post('/books').set(auth).send({title: "The Hobbit", author: "J.R.R. Tolkien", isbn: "0-261-10334-2"});
+    const getRes = await request(app).get(`/books/${res.body.id}`);
+
+    expect(res.statusCode).toBe(201);
+    expect(getRes.body.isbn).toBe("9780261103344");
+  });
+
+  test('GET /books/isbn/:isbn - Finds a book by any form of its ISBN', async () => {
+    const isbn13 = await request(app).get('/books/isbn/978-0-261-10334-4');
+    const isbn10 = await request(app).get('/books/isbn/0-261-10334-2');
+
+    expect(isbn13.statusCode).toBe(200);
+    expect(isbn13.body).toEqual(expect.objectContaining({title: "The Hobbit", isbn: "9780261103344", authors: [{id: expect.any(Number), name: "J.R.R. Tolkien"}]}));
+    expect(isbn10.body.id).toBe(isbn13.body.id);
+  });
+
+  test('GET /books/isbn/:isbn - Unknown and invalid ISBNs', async () => {
+    const missingRes = await request(app).get('/books/isbn/080442957X');
+    const invalidRes = await request(app).get('/books/isbn/9780261103345');
+
+    expect(missingRes.statusCode).toBe(404);
+    expect(missingRes.body.detail).toBe('Book with ISBN: 9780804429573 not found');
+    expect(invalidRes.statusCode).toBe(400);
+    expect(invalidRes.body.errors[0].detail).toBe(`'isbn' must be a valid ISBN-10 or ISBN-13.`);
+  });
+
+  test('POST /books - input validation - ISBN with a wrong check digit or of the wrong type', async () => {
+    const checkDigitRes = await request(app).post('/books').set(auth).send({title: "Title", author: "Author", isbn: "0-261-10334-3"});
+    const numberRes = await request(app).post('/books').set(auth).send({title: "Title", author: "Author", isbn: 9780261103344});
+
+    expect(checkDigitRes.statusCode).toBe(400);
+    expect(checkDigitRes.body.errors[0].detail).toBe(`'isbn' must be a valid ISBN-10 or ISBN-13.`);
+    expect(numberRes.body.errors[0].detail).toBe(`'isbn' must be a string.`);
+  });
+
+  test('POST /books - An ISBN that another book has is a conflict', async () => {
+    const existing = await request(app).get('/books/isbn/9780261103344');
+    const res = await request(app).post('/books').set(auth).send({title: "Another Hobbit", author: "Somebody", isbn: "978-0261103344"});
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body).toMatchObject({status: 409, detail: "Book with ISBN '9780261103344' already exists", id: existing.body.id});
+  });
+
+  test('PUT and PATCH /books/:id - A book keeps, changes or clears its ISBN; another book cannot take it', async () => {
+    const hobbit = await request(app).get('/books/isbn/9780261103344');
+    const other = await request(app).post('/books').set(auth).send({title: "Dune", author: "Frank Herbert", isbn: "9780441013593"});
+
+    const keepRes = await request(app).put(`/books/${hobbit.body.id}`).set(auth).send({title: "The Hobbit", author: "J.R.R. Tolkien", isbn: "0261103342"});
+    const takeRes = await request(app).patch(`/books/${other.body.id}`).set(auth).send({isbn: "0261103342"});
+    const clearRes = await request(app).patch(`/books/${other.body.id}`).set(auth).send({isbn: null});
+    const putRes = await request(app).put(`/books/${other.body.id}`).set(auth).send({title: "Dune", author: "Frank Herbert", isbn: "0-441-01359-7"});
+
+    expect(keepRes.statusCode).toBe(201);
+    expect(takeRes.statusCode).toBe(409);
+    expect(clearRes.statusCode).toBe(200);
+    expect(clearRes.body.isbn).toBeNull();
+    expect(putRes.statusCode).toBe(201);
+    expect((await request(app).get(`/books/${other.body.id}`)).body.isbn).toBe("9780441013593");
+  });
+});
@@ -0,0 +1,170 @@
+// === FILE: inventory.js ===
+const express = require('express');
+const {get, all, run, withTransaction} = require('./database');
+const {inputValidationId, inputValidationStockBody, inputValidationLowStockQuery, inputValidationPaging, stockReasons,
+  defaultLowStockThreshold, defaultPageLimit} = require('./lib');
+const {httpError, validationError, asyncHandler} = require('./problems');
+const {readBookSnapshot, recordBookChange} = require('./audit');
+const router = express.Router();
+
+// Selects the stock movements in the shape returned by the API
+const movementsStatement = `
+  SELECT id, book_id AS bookId, reason, quantity, note, stock_after AS stockAfter, created_at AS createdAt
+  FROM stock_movements`;
+
+/**
+ * GET /books/low-stock
+ * Get the books whose stock is at or below a threshold, lowest stock first
+ *
+ * @query {number} threshold - the stock level at or below which a book is reported (default: 5)
+ * @query {number} limit - the page size, between 1 and 1000 (default: 100)
+ * @query {number} offset - the number of books to skip
+ *
+ * @response 200 - OK, returns the requested page of books
+ * @header X-Total-Count - the number of books at or below the threshold, across all pages
+ * @returns {Array<Object>} An array of book objects, including 'in_stock'
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.get('/low-stock', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const inputErrors = inputValidationLowStockQuery(req.query);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure the DB queries and execute
+  const threshold = Number(req.query.threshold ?? defaultLowStockThreshold);
+  const limit = 'limit' in req.query ? Number(req.query.limit) : defaultPageLimit;
+  const offset = Number(req.query.offset ?? 0);
+  const count = await get('SELECT COUNT(*) AS total FROM books WHERE in_stock <= ? AND deleted_at IS NULL', [threshold]);
+  const sqlStatement = 'SELECT * FROM books WHERE in_stock <= ? AND deleted_at IS NULL ORDER BY in_stock, title, id LIMIT ? OFFSET ?';
+  const rows = await all(sqlStatement, [threshold, limit, offset]);
+  res.set('X-Total-Count', String(count.total));
+  return res.json(rows);
+}));
+
+/**
+ * POST /books/:id/stock
+ * Records a stock adjustment for a book and applies it to the stock on hand
+ * 'received' and 'returned' add the quantity; 'sold' and 'damaged' remove it
+ *
+ * @param {number} :id - the id of the book
+ *
+ * @body {string} reason - one of 'received', 'sold', 'damaged', or 'returned' (required)
+ * @body {number} quantity - the number of copies, a positive integer (required)
+ * @body {string} note - a free-text note, e.g. a delivery reference
+ *
+ * @response 201 - Created, the adjustment is recorded
+ * @returns {Object} The recorded stock movement
+ * - {number} id - the unique identifier for the movement
+ * - {number} bookId - the id of the book
+ * - {string} reason - why the stock changed
+ * - {number} quantity - the signed change of the stock
+ * - {string} note - the free-text note, or null
+ * - {number} stockAfter - the stock on hand after the movement
+ * - {string} createdAt - when the movement was recorded
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'editor' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 404 - Book with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the entry cannot be found
+ *
+ * @response 409 - The adjustment would take the stock below zero
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating the stock on hand
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.post('/:id/stock', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id).concat(inputValidationStockBody(req.body));
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls and execute; the ledger triggers apply the movement to the stock on hand
+  const {reason, quantity, note} = req.body;
+  const movement = await withTransaction(async () => {
+    const book = await readBookSnapshot(id);
+    if (!book || book.deleted_at !== null) {
+      throw httpError(404, `Book with ID: ${id} not found`);
+    }
+    const insertStatement = 'INSERT INTO stock_movements (book_id, reason, quantity, note) VALUES (?, ?, ?, ?)';
+    const {lastID} = await run(insertStatement, [id, reason, quantity * stockReasons[reason], note ?? null]).catch(err => {
+      if (err.message.includes('Insufficient stock')) {
+        throw httpError(409, `Book with ID: ${id} has ${book.in_stock} copies in stock; cannot remove ${quantity}`);
+      }
+      throw err;
+    });
+    await recordBookChange(req, 'update', id, book);
+    return get(`${movementsStatement} WHERE id = ?`, [lastID]);
+  });
+  return res.status(201).json(movement);
+}));
+
+/**
+ * GET /books/:id/stock/movements
+ * Get the ledger of stock movements of a book, newest first
+ *
+ * @param {number} :id - the id of the book
+ *
+ * @query {number} limit - the page size, between 1 and 1000 (default: 100)
+ * @query {number} offset - the number of movements to skip
+ *
+ * @response 200 - OK, returns the requested page of movements
+ * @header X-Total-Count - the number of movements of the book, across all pages
+ * @returns {Array<Object>} An array of stock movements, as returned by POST /books/:id/stock
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 404 - Book with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the entry cannot be found
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.get('/:id/stock/movements', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id).concat(inputValidationPaging(req.query));
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls and execute
+  const limit = 'limit' in req.query ? Number(req.query.limit) : defaultPageLimit;
+  const offset = Number(req.query.offset ?? 0);
+  const count = await get('SELECT (SELECT COUNT(*) FROM stock_movements WHERE book_id = books.id) AS total FROM books WHERE id = ? AND deleted_at IS NULL', [id]);
+  if (!count) {
+    return next(httpError(404, `Book with ID: ${id} not found`));
+  }
+  const rows = await all(`${movementsStatement} WHERE book_id = ? ORDER BY id DESC LIMIT ? OFFSET ?`, [id, limit, offset]);
+  res.set('X-Total-Count', String(count.total));
+  return res.json(rows);
+}));
+
+module.exports = {
+  router
+};
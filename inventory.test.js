@@ -0,0 +1,136 @@
+// === FILE: inventory.test.js ===
+/**
+ * @file inventory.test.js
+ * @description The test suite for the inventory of the Bookstore API
+ *
+ * Endpoints covered:
+ * - GET /books/low-stock
+ * - POST /books/:id/stock
+ * - GET /books/:id/stock/movements
+ */
+const request = require('supertest');
+const app = require('./index');
+const {getDb, initializeDb} = require('./database');
+const {createApiKey} = require('./auth');
+
+let db;
+
+// Headers that authenticate the requests that change data
+let auth;
+
+/**
+ * Creates an API key with the given role in the current DB
+ *
+ * @param {string} role - the role the key grants
+ * @returns {Promise<Object>} - The headers that authenticate requests with the key
+ */
+function apiKeyHeader(role) {
+  return createApiKey('Tests', role).then(apiKey => ({Authorization: `Bearer ${apiKey.key}`}));
+}
+
+describe('Bookstore API - Inventory', () => {
+
+  // Executes before any test; connects to a fresh in-memory DB
+  beforeAll(async () => {
+    await initializeDb();
+    db = getDb();
+    auth = await apiKeyHeader('admin');
+  });
+
+  // Closes the DB connection after all tests execute
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('POST /books - New books start with no stock', async () => {
+    const res = await request(app).post('/books').set(auth).send({title: "Title 1", author: "Author 1"});
+    const getRes = await request(app).get(`/books/${res.body.id}`);
+
+    expect(getRes.body.in_stock).toBe(0);
+  });
+
+  test('POST /books/:id/stock - Adjustments move the stock in the direction of their reason', async () => {
+    const book = await request(app).post('/books').set(auth).send({title: "Title 2", author: "Author 2"});
+    const id = book.body.id;
+
+    const received = await request(app).post(`/books/${id}/stock`).set(auth).send({reason: 'received', quantity: 10, note: 'Delivery 42'});
+    const sold = await request(app).post(`/books/${id}/stock`).set(auth).send({reason: 'sold', quantity: 3});
+    const damaged = await request(app).post(`/books/${id}/stock`).set(auth).send({reason: 'damaged', quantity: 1});
+    const returned = await request(app).post(`/books/${id}/stock`).set(auth).send({reason: 'returned', quantity: 2});
+
+    expect(received.statusCode).toBe(201);
+    expect(received.body).toStrictEqual({
+      id: expect.any(Number), bookId: id, reason: 'received', quantity: 10, note: 'Delivery 42', stockAfter: 10, createdAt: expect.any(String)
+    });
+    expect([sold.body.quantity, damaged.body.quantity, returned.body.quantity]).toStrictEqual([-3, -1, 2]);
+    expect(returned.body.stockAfter).toBe(8);
+    expect((await request(app).get(`/books/${id}`)).body.in_stock).toBe(8);
+  });
+
+  test('GET /books/:id/stock/movements - Returns the ledger, newest first', async () => {
+    const book = await request(app).post('/books').set(auth).send({title: "Title 3", author: "Author 3"});
+    const id = book.body.id;
+    await request(app).post(`/books/${id}/stock`).set(auth).send({reason: 'received', quantity: 5});
+    await request(app).post(`/books/${id}/stock`).set(auth).send({reason: 'sold', quantity: 1});
+
+    const res = await request(app).get(`/books/${id}/stock/movements`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['x-total-count']).toBe('2');
+    expect(res.body.map(movement => [movement.reason, movement.quantity, movement.stockAfter])).toStrictEqual([['sold', -1, 4], ['received', 5, 5]]);
+  });
+
+  test('POST /books/:id/stock - Stock cannot go below zero', async () => {
+    const book = await request(app).post('/books').set(auth).send({title: "Title 4", author: "Author 4"});
+    const id = book.body.id;
+    await request(app).post(`/books/${id}/stock`).set(auth).send({reason: 'received', quantity: 2});
+
+    const res = await request(app).post(`/books/${id}/stock`).set(auth).send({reason: 'sold', quantity: 3});
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.detail).toBe(`Book with ID: ${id} has 2 copies in stock; cannot remove 3`);
+    expect((await request(app).get(`/books/${id}/stock/movements`)).body.length).toBe(1);
+    expect((await request(app).get(`/books/${id}`)).body.in_stock).toBe(2);
+  });
+
+  test('GET /books/low-stock - Returns books at or below the threshold, lowest first', async () => {
+    const res = await request(app).get('/books/low-stock').query({threshold: 2});
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map(book => [book.title, book.in_stock])).toStrictEqual([["Title 1", 0], ["Title 4", 2]]);
+    expect(res.headers['x-total-count']).toBe('2');
+  });
+
+  test('PUT /books/:id - The stock cannot be set directly', async () => {
+    const book = await request(app).post('/books').set(auth).send({title: "Title 5", author: "Author 5"});
+
+    const res = await request(app).put(`/books/${book.body.id}`).set(auth).send({title: "Title 5", author: "Author 5", in_stock: 100});
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors[0].detail).toBe(`'in_stock' is not an expected field. Please remove this from payload.`);
+  });
+
+  test('POST /books/:id/stock - input validation - invalid reason and quantity', async () => {
+    const res = await request(app).post('/books/1/stock').set(auth).send({reason: 'stolen', quantity: 1.5});
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors.map(error => error.detail)).toStrictEqual([
+      `'reason' must be one of: received, returned, sold, damaged.`,
+      `'quantity' must be a positive integer.`
+    ]);
+  });
+
+  test('POST /books/:id/stock - input validation - ID that does not exist', async () => {
+    const res = await request(app).post('/books/99999/stock').set(auth).send({reason: 'received', quantity: 1});
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.detail).toBe('Book with ID: 99999 not found');
+  });
+
+  test('GET /books/low-stock - input validation - negative threshold', async () => {
+    const res = await request(app).get('/books/low-stock').query({threshold: -1});
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors[0].detail).toBe(`'threshold' must be a non-negative integer.`);
+  });
+});
@@ -1,5 +1,52 @@
 // === FILE: lib.js ===
 
+// Columns of the 'books' table that GET /books can sort by
+const bookSortFields = ['id', 'title', 'author', 'price', 'genre'];
+
+
+// Page size used by GET /books when 'limit' is not specified, and the largest page allowed
+const defaultPageLimit = 100;
+const maxPageLimit = 1000;
+
+// Largest number of authors a single book can list
+const maxAuthorsPerBook = 20;
+
+// Reasons for a stock adjustment, with the direction in which each one moves the stock
+const stockReasons = {received: 1, returned: 1, sold: -1, damaged: -1};
+
+// Order statuses, with the statuses each one can move to
+const orderTransitions = {pending: ['paid', 'cancelled'], paid: ['shipped', 'cancelled'], shipped: [], cancelled: []};
+
+// Largest number of lines a single order can hold
+const maxOrderItems = 100;
+
+// Largest number of shipping addresses a single customer can hold
+const maxCustomerAddresses = 10;
+
+// Largest number of rows a single import can hold
+const maxImportRows = 10000;
+
+// Formats GET /books/export can write
+const exportFormats = ['csv', 'ndjson', 'json'];
+
+// Methods that only read data; they stay open to unauthenticated requests and share the read rate limit
+const readMethods = ['GET', 'HEAD', 'OPTIONS'];
+
+// Roles an API key can grant, from least to most privileged; each role can do everything the previous ones can
+const apiKeyRoles = ['reader', 'editor', 'admin'];
+
+// Stock level at or below which GET /books/low-stock reports a book, when 'threshold' is not specified
+const defaultLowStockThreshold = 5;
+
+// The kinds of change the audit log records for a book
+const auditActions = ['insert', 'update', 'delete', 'restore', 'purge', 'revert'];
+
+// The events a webhook subscription can receive
+const webhookEvents = ['book.created', 'book.updated', 'book.deleted'];
+
+// The states of a webhook delivery: waiting for its next attempt, accepted by the URL, or out of attempts
+const webhookDeliveryStatuses = ['pending', 'succeeded', 'failed'];
+
 /**
  * Input validation method for the ID
  * The ID must be a positive integer
@@ -18,62 +65,1240 @@ function inputValidationId(data) {
 }
 
 /**
- * Input validation method for the payload body
- * This object can include 'title', 'author', 'price', or 'genre'
- * Any additional field with result in an error message
- * 'title' and 'author' are required strings 
- * 'price' is an optional number with a null default
- * 'genre' is an optional string with a null default
+ * Normalizes an author or genre name into the key used to tell whether two names refer to the same entry
+ * Case, accents, spacing and punctuation are ignored, so 'J.K. Rowling' and 'J. K. Rowling' share a key
  * 
- * @param {Object} data - the object that contains the info for the entry, excluding the id
- * - {string} title - the title of the book (required)
- * - {string} author - the author of the books (required)
- * - {number} price - the price of the book
- * - {string} genre - the genre of the books
+ * @param {string} name - the author or genre name
+ * @returns {string} - The normalized key; empty when the name holds no letters or digits
+ */
+function nameKey(name) {
+    return name.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Field rules of the schemas that describe the bodies of the resources
+ * A schema maps each field to its rule; the validators, their error messages and the default values all come
+ *  from it, and its descriptions document the fields
+ * - {string} type - 'string', 'number', 'integer', 'boolean', 'array', or 'object'; no type accepts any value
+ * - {boolean} required - whether the field must be sent, except in a partial update
+ * - {boolean} nullable - whether null is accepted
+ * - {boolean} clearable - whether a partial update can send null to clear the field
+ * - {number} min - the lowest value of a number, or the shortest length of a string or an array
+ * - {number} max - the highest value of a number, or the longest length of a string or an array
+ * - {boolean} trim - whether the length of a string is measured without its leading and trailing spaces
+ * - {RegExp} pattern - what a string must match
+ * - {Array} enum - the accepted values
+ * - {boolean} ignoreCase - whether a string matches the enum regardless of case
+ * - {*} default - the value of a field that is not sent
+ * - {Object} items - the rule of each element of an array, for the 'array' type
+ * - {Object} fields - the schema of an object, for the 'object' type
+ * - {Array<Object>} oneOf - the rules of the forms the value may take, each of a different type; the value follows
+ *  the first rule whose type it has, and a 'message' given here also replaces the failure messages of those rules
+ * - {Function} check - called with (value, path) once the value has the type, range, pattern and enum of the rule;
+ *  returns the failures of the rules the above cannot state
+ * - {string} message - replaces the failure message of the type, length, range, pattern and enum rules
+ * - {string} description - what the field holds
+ * A schema can also describe a query string; see validateQuery
+ */
+
+// How each type of a field rule is recognized
+// As the API always has, a number may be sent as a numeric string
+const schemaTypes = {
+    string: value => typeof value === 'string',
+    number: value => typeof value !== 'boolean' && !isNaN(Number(value)),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    array: value => Array.isArray(value),
+    object: value => typeof value === 'object' && value !== null && !Array.isArray(value)
+};
+
+/**
+ * Describes the range of a field rule in the words of a failure message
+ * 
+ * @param {Object} rule - the field rule
+ * @param {string} unit - what is counted, e.g. ' characters'; empty for a number
+ * @returns {string} - The range, e.g. 'between 1 and 10 characters', 'at least 0'
+ */
+function schemaRange(rule, unit) {
+    if (rule.min !== undefined && rule.max !== undefined) {
+        return `between ${rule.min} and ${rule.max}${unit}`;
+    }
+    return rule.min !== undefined ? `at least ${rule.min}${unit}` : `at most ${rule.max}${unit}`;
+}
+
+/**
+ * Finds the failure of a value against the type, range, pattern and enum of its field rule
+ * 
+ * @param {*} value - the value of the field
+ * @param {Object} rule - the field rule
+ * @param {string} orNull - ' or null' when null is accepted as well, to be added to the message
+ * @returns {string|null} - The failure message, without the field name; null when the value passes
+ */
+function schemaRuleFailure(value, rule, orNull) {
+    const hasRange = rule.min !== undefined || rule.max !== undefined;
+
+    if (rule.type === 'integer') {
+        const inRange = (rule.min === undefined || value >= rule.min) && (rule.max === undefined || value <= rule.max);
+        if (!schemaTypes.integer(value) || !inRange) {
+            if (rule.min === 1 && rule.max === undefined) {
+                return `must be a positive integer${orNull}.`;
+            } else if (rule.min === 0 && rule.max === undefined) {
+                return `must be a non-negative integer${orNull}.`;
+            }
+            return hasRange ? `must be an integer ${schemaRange(rule, '')}${orNull}.` : `must be an integer${orNull}.`;
+        }
+    } else if (rule.type === 'number') {
+        if (!schemaTypes.number(value)) {
+            return `must be a valid number${orNull}.`;
+        } else if ((rule.min !== undefined && Number(value) < rule.min) || (rule.max !== undefined && Number(value) > rule.max)) {
+            return `must be a number ${schemaRange(rule, '')}${orNull}.`;
+        }
+    } else if (rule.type !== undefined && !schemaTypes[rule.type](value)) {
+        const article = ['array', 'integer', 'object'].includes(rule.type) ? 'an' : 'a';
+        return `must be ${article} ${rule.type}${orNull}.`;
+    } else if (rule.type === 'string' && hasRange) {
+        const length = (rule.trim ? value.trim() : value).length;
+        if ((rule.min !== undefined && length < rule.min) || (rule.max !== undefined && length > rule.max)) {
+            return rule.min === 1 && rule.max === undefined ? 'must not be empty.' : `must be ${schemaRange(rule, ' characters')} long.`;
+        }
+    } else if (rule.type === 'array' && hasRange) {
+        if ((rule.min !== undefined && value.length < rule.min) || (rule.max !== undefined && value.length > rule.max)) {
+            return `must hold ${schemaRange(rule, ' items')}.`;
+        }
+    }
+
+    if (rule.pattern && !rule.pattern.test(value)) {
+        return `must match the pattern ${rule.pattern}.`;
+    } else if (rule.enum && !rule.enum.includes(rule.ignoreCase ? value.toLowerCase() : value)) {
+        return `must be one of: ${rule.enum.join(', ')}.`;
+    }
+    return null;
+}
+
+/**
+ * Validates the value of one field against its rule
+ * 
+ * @param {string} path - the name of the field in the failure messages, e.g. 'items[0].bookId'
+ * @param {*} value - the value of the field
+ * @param {Object} rule - the field rule
+ * @param {boolean} acceptsNull - whether null is accepted
  * @returns {Array<string>} - An array of strings detailing the failures
  */
-function inputValidationBody(data) {
-    const errors = [];
-    const expectedFields = ['title', 'author', 'price', 'genre'];
-    const extraFields = Object.keys(data).filter(key => !expectedFields.includes(key));
-
-    if (extraFields.length > 0) {
-        extraFields.forEach(field => {
-            errors.push(`'${field}' is not an expected field. Please remove this from payload.`);
-        })
-    }
-    
-    // Fields are required and must be strings
-    ['title', 'author'].forEach(field => {
-        if(!(field in data)) {
-            errors.push(`'${field}' is required.`);
-        } else if (typeof data[field] !== 'string') {
-            errors.push(`'${field}' must be a string.`);
+function validateField(path, value, rule, acceptsNull) {
+    if (value === null && acceptsNull) {
+        return [];
+    }
+
+    if (rule.oneOf) {
+        const form = rule.oneOf.find(other => other.type === undefined || schemaTypes[other.type](value));
+        if (!form) {
+            return [`'${path}' ${rule.message ?? `must be of type ${rule.oneOf.map(other => other.type).join(' or ')}.`}`];
         }
+        const errors = validateField(path, value, {...form, message: form.message ?? rule.message}, false);
+        return errors.length > 0 || !rule.check ? errors : rule.check(value, path);
+    }
+
+    const failure = schemaRuleFailure(value, rule, acceptsNull ? ' or null' : '');
+    if (failure !== null) {
+        return [`'${path}' ${rule.message ?? failure}`];
+    }
+
+    const errors = [];
+    if (rule.items) {
+        value.forEach((item, index) => errors.push(...validateField(`${path}[${index}]`, item, rule.items, Boolean(rule.items.nullable))));
+    }
+    if (rule.fields) {
+        errors.push(...validateSchema(rule.fields, value, {path: path}));
+    }
+    if (rule.check) {
+        errors.push(...rule.check(value, path));
+    }
+    return errors;
+}
+
+/**
+ * Validates an object, such as a payload body, against a schema
+ * A field that the schema does not name, a required field that is missing, and a field that breaks its rule
+ *  each result in an error message, in the order of the schema
+ * 
+ * @param {Object} schema - the rule of each field
+ * @param {Object} data - the object to validate
+ * @param {Object} options - how to validate
+ * - {boolean} partial - whether this is a partial update: no field is required, at least one must be sent,
+ *  and the clearable fields accept null
+ * - {string} path - the name of the object in the failure messages, for an object nested in another
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function validateSchema(schema, data, {partial = false, path = ''} = {}) {
+    const errors = [];
+    const fields = Object.keys(schema);
+    const fieldPath = field => path === '' ? field : `${path}.${field}`;
+
+    Object.keys(data).filter(field => !Object.hasOwn(schema, field)).forEach(field => {
+        errors.push(`'${fieldPath(field)}' is not an expected field. Please remove this from payload.`);
     });
 
-    // Fields must be finite numbers
-    ['price'].forEach(field => {
-        if (field in data) {
-            const value = Number(data[field]);
-            if (typeof data[field] == 'boolean' || isNaN(value)) {
-                errors.push(`'${field}' must be a valid number.`);
+    if (partial && !fields.some(field => field in data)) {
+        errors.push(`At least one of ${fields.map(field => `'${field}'`).join(', ')} is required.`);
+    }
+
+    fields.forEach(field => {
+        const rule = schema[field];
+        if (!(field in data)) {
+            if (rule.required && !partial) {
+                errors.push(`'${fieldPath(field)}' is required.`);
             }
+            return;
         }
+        const acceptsNull = Boolean(rule.nullable || (partial && rule.clearable));
+        errors.push(...validateField(fieldPath(field), data[field], rule, acceptsNull));
     });
 
-    // Fields must be strings
-    ['genre'].forEach(field => {
-        if (field in data) {
-            if (typeof data[field] !== 'string') {
-                errors.push(`'${field}' must be a string.`);
+    return errors;
+}
+
+/**
+ * Reads the value of a query parameter as its rule expects it: as a number for the 'integer' and 'number' types,
+ *  and as it was sent otherwise; a value that is blank or not a finite number is read as NaN
+ * 
+ * @param {*} value - the value of the parameter
+ * @param {Object} rule - the field rule of the parameter
+ * @returns {*} - The value to validate
+ */
+function queryValue(value, rule) {
+    if (!['integer', 'number'].includes(rule.type) || typeof value !== 'string') {
+        return value;
+    }
+    const number = value.trim() === '' ? NaN : Number(value);
+    return Number.isFinite(number) ? number : NaN;
+}
+
+/**
+ * Validates the parsed query string of a request against a schema
+ * Every parameter must be given once, as a plain string; the value of an 'integer' or 'number' parameter is then
+ *  read as a number, so that its rule applies as it does to a body
+ * A parameter that the schema does not name, a parameter that is not a string, a required parameter that is
+ *  missing, and a parameter that breaks its rule each result in an error message; the rules are only applied once
+ *  every parameter is a string
+ * 
+ * @param {Object} schema - the rule of each parameter
+ * @param {Object} data - the parsed query string of the request
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function validateQuery(schema, data) {
+    const errors = [];
+    const fields = Object.keys(schema);
+
+    Object.keys(data).filter(field => !Object.hasOwn(schema, field)).forEach(field => {
+        errors.push(`'${field}' is not an expected query parameter. Please remove this from the request.`);
+    });
+
+    const notStrings = fields.filter(field => field in data && typeof data[field] !== 'string');
+    if (notStrings.length > 0) {
+        return errors.concat(notStrings.map(field => `'${field}' must be a string.`));
+    }
+
+    fields.forEach(field => {
+        const rule = schema[field];
+        if (!(field in data)) {
+            if (rule.required) {
+                errors.push(`'${field}' is required.`);
             }
+            return;
         }
+        errors.push(...validateField(field, queryValue(data[field], rule), rule, false));
     });
 
     return errors;
 }
 
+/**
+ * Fills in the default value of each field of a validated object that was not sent
+ * 
+ * @param {Object} schema - the rule of each field
+ * @param {Object} data - the validated object
+ * @returns {Object} - A copy of the object, with a copy of the default of each missing field
+ */
+function applySchemaDefaults(schema, data) {
+    const defaults = Object.keys(schema).filter(field => 'default' in schema[field] && !(field in data));
+    return {...data, ...Object.fromEntries(defaults.map(field => [field, structuredClone(schema[field].default)]))};
+}
+
+/**
+ * Check of a field rule: an author or genre name must hold at least one letter or number
+ * 
+ * @param {string} value - the name
+ * @param {string} path - the name of the field
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function hasLetterOrNumber(value, path) {
+    return nameKey(value) === '' ? [`'${path}' must contain at least one letter or number.`] : [];
+}
+
+/**
+ * Check of the 'author' field of a book payload: every author name must hold at least one letter or number
+ * 
+ * @param {string|number|Array} value - the author name, the author ID, or the array of them
+ * @param {string} path - the name of the field
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function hasAuthorNames(value, path) {
+    const values = Array.isArray(value) ? value : [value];
+    const isBlankName = item => typeof item === 'string' && nameKey(item) === '';
+    return values.some(isBlankName) ? [`'${path}' names must contain at least one letter or number.`] : [];
+}
+
+/**
+ * Computes the check digit of an ISBN-13 from its first 12 digits
+ * 
+ * @param {string} digits - the first 12 digits
+ * @returns {string} - The check digit
+ */
+function isbn13CheckDigit(digits) {
+    const sum = [...digits].reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+    return String((10 - sum % 10) % 10);
+}
+
+/**
+ * Normalizes an ISBN into the ISBN-13 stored in the DB
+ * Hyphens and spaces are ignored, and an ISBN-10 is converted to its ISBN-13 with the '978' prefix
+ * 
+ * @param {string} value - the ISBN-10 or ISBN-13
+ * @returns {string|null} - The 13 digits of the ISBN; null when the value is not an ISBN or its check digit is wrong
+ */
+function normalizeIsbn(value) {
+    const isbn = value.replace(/[-\s]/g, '').toUpperCase();
+    if (/^\d{9}[\dX]$/.test(isbn)) {
+        const sum = [...isbn].reduce((total, char, index) => total + (char === 'X' ? 10 : Number(char)) * (10 - index), 0);
+        const digits = `978${isbn.slice(0, 9)}`;
+        return sum % 11 === 0 ? digits + isbn13CheckDigit(digits) : null;
+    } else if (/^97[89]\d{10}$/.test(isbn)) {
+        return isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12] ? isbn : null;
+    }
+    return null;
+}
+
+/**
+ * Input validation method for an ISBN, in the 'isbn' field of a book payload or in a route
+ * The ISBN is an ISBN-10 or ISBN-13 string, optionally with hyphens, whose check digit is correct
+ * 
+ * @param {*} value - the ISBN
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationIsbn(value) {
+    const errors = [];
+    if (typeof value !== 'string') {
+        errors.push(`'isbn' must be a string.`);
+    } else if (normalizeIsbn(value) === null) {
+        errors.push(`'isbn' must be a valid ISBN-10 or ISBN-13.`);
+    }
+
+    return errors;
+}
+
+// The schema of the body of a book; 'author' holds an author name, an author ID, or an array of them
+const bookSchema = {
+    title: {type: 'string', required: true, description: 'the title of the book'},
+    author: {
+        required: true, oneOf: [
+            {type: 'string'}, {type: 'integer', min: 1},
+            {
+                type: 'array', min: 1, max: maxAuthorsPerBook,
+                items: {oneOf: [{type: 'string'}, {type: 'integer', min: 1}], message: 'must be an author name or an author ID.'}
+            }
+        ],
+        message: 'must be an author name, an author ID, or an array of them.', check: hasAuthorNames,
+        description: `the names or IDs of the authors of the book, at most ${maxAuthorsPerBook}`
+    },
+    price: {type: 'number', clearable: true, default: null, description: 'the price of the book'},
+    genre: {type: 'string', clearable: true, default: null, description: 'the name of one of the managed genres'},
+    isbn: {type: 'string', clearable: true, default: null, check: inputValidationIsbn, description: 'the ISBN-10 or ISBN-13 of the book'}
+};
+
+/**
+ * Input validation method for the payload body
+ * The payload must follow 'bookSchema'; 'title' and 'author' are required
+ * 
+ * @param {Object} data - the object that contains the info for the entry, excluding the id
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationBody(data) {
+    return validateSchema(bookSchema, data);
+}
+
+/**
+ * Input validation method for the payload body of a partial update
+ * The payload must follow 'bookSchema' and include at least one of its fields; none is required
+ * Neither 'title' nor 'author' can be cleared; null clears 'price', 'genre' and 'isbn'
+ * 
+ * @param {Object} data - the object that contains the fields to be updated, excluding the id
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationPatchBody(data) {
+    return validateSchema(bookSchema, data, {partial: true});
+}
+
+/**
+ * Encodes the position of the last row of a page into an opaque cursor
+ * The cursor records the sort it was created for, so it cannot be reused with a different sort
+ * 
+ * @param {string} sort - the column the page is sorted by
+ * @param {string} order - the sort direction, 'asc' or 'desc'
+ * @param {Object} row - the last row of the page
+ * @returns {string} - A base64url encoded cursor
+ */
+function encodeCursor(sort, order, row) {
+    const payload = {s: sort, o: order, v: row[sort], id: row.id};
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decodes a cursor created by encodeCursor
+ * 
+ * @param {string} cursor - the cursor received from the client
+ * @returns {Object|null} - The decoded cursor, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!payload || !Number.isInteger(payload.id) || !bookSortFields.includes(payload.s) || !['asc', 'desc'].includes(payload.o)) {
+            return null;
+        }
+        return payload;
+    } catch (err) {
+        return null;
+    }
+}
+
+// The schema of the 'limit' and 'offset' query parameters shared by the list routes
+const pagingSchema = {
+    limit: {type: 'integer', min: 1, max: maxPageLimit, description: `the page size (default: ${defaultPageLimit})`},
+    offset: {type: 'integer', min: 0, description: 'the number of entries to skip'}
+};
+
+/**
+ * Input validation method for the 'limit' and 'offset' query parameters shared by the list routes
+ * The parameters follow 'pagingSchema'; any other parameter is left to the caller
+ * 
+ * @param {Object} data - the parsed query string of the request
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationPaging(data) {
+    return Object.keys(pagingSchema).filter(field => field in data)
+        .flatMap(field => validateField(field, queryValue(data[field], pagingSchema[field]), pagingSchema[field], false));
+}
+
+// The schema of the filters and the sort of GET /books, shared by GET /books/export
+const bookFilterSchema = {
+    author: {type: 'string', description: 'only books by this author, ignoring case, spacing and punctuation'},
+    authorId: {type: 'integer', min: 1, description: 'only books by the author with this ID'},
+    genre: {type: 'string', description: 'only books of this genre or of its subgenres, ignoring case, spacing and punctuation'},
+    genreId: {type: 'integer', min: 1, description: 'only books of the genre with this ID or of its subgenres'},
+    minPrice: {type: 'number', description: 'only books priced at or above this value'},
+    maxPrice: {type: 'number', description: 'only books priced at or below this value'},
+    sort: {type: 'string', enum: bookSortFields, description: 'the column to sort by (default: id)'},
+    order: {
+        type: 'string', enum: ['asc', 'desc'], ignoreCase: true, message: `must be either 'asc' or 'desc'.`,
+        description: 'the sort direction, ignoring case (default: asc)'
+    }
+};
+
+// The schema of the query string of GET /books
+const bookQuerySchema = {
+    ...bookFilterSchema,
+    ...pagingSchema,
+    cursor: {type: 'string', description: "the cursor of the next page, as given in the 'Link' header; cannot be combined with 'offset'"}
+};
+
+/**
+ * Input validation method for the price range of the filters of GET /books and GET /books/export
+ * 
+ * @param {Object} data - the parsed query string of the request, whose parameters are all strings
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationPriceRange(data) {
+    if ('minPrice' in data && 'maxPrice' in data && Number(data.minPrice) > Number(data.maxPrice)) {
+        return [`'minPrice' must not be greater than 'maxPrice'.`];
+    }
+    return [];
+}
+
+/**
+ * Input validation method for the query string of GET /books
+ * The query string must follow 'bookQuerySchema'; 'minPrice' cannot be greater than 'maxPrice', and 'cursor',
+ *  which must be one returned by a previous page of the same sort, cannot be combined with 'offset'
+ * 
+ * @param {Object} data - the parsed query string of the request
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationQuery(data) {
+    const errors = validateQuery(bookQuerySchema, data);
+    if (Object.values(data).some(value => typeof value !== 'string')) {
+        return errors;
+    }
+
+    errors.push(...inputValidationPriceRange(data));
+    if ('cursor' in data) {
+        const cursor = decodeCursor(data.cursor);
+        if ('offset' in data) {
+            errors.push(`'cursor' and 'offset' cannot be used together.`);
+        } else if (!cursor) {
+            errors.push(`'cursor' is not a valid cursor.`);
+        } else if (cursor.s !== (data.sort ?? 'id') || cursor.o !== (data.order ?? 'asc').toLowerCase()) {
+            errors.push(`'cursor' does not match the requested sort.`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Builds the SQL conditions of the filters shared by GET /books and GET /books/export
+ * 
+ * @param {Object} data - the validated query string of the request
+ * @returns {Object} - The conditions, to be joined with 'AND', and their parameters
+ * - {Array<string>} conditions - the SQL conditions on the 'books' table
+ * - {Array} params - the parameters of the conditions, in order
+ */
+function bookFilterConditions(data) {
+    // Books in the trash are never listed
+    const conditions = ['deleted_at IS NULL'];
+    const params = [];
+
+    if ('author' in data) {
+        conditions.push('id IN (SELECT book_authors.book_id FROM book_authors JOIN authors ON authors.id = book_authors.author_id WHERE authors.name_key = ?)');
+        params.push(nameKey(data.author));
+    }
+    if ('authorId' in data) {
+        conditions.push('id IN (SELECT book_id FROM book_authors WHERE author_id = ?)');
+        params.push(Number(data.authorId));
+    }
+    if ('genre' in data) {
+        conditions.push(`genre_id IN (${genreSubtreeStatement('name_key = ?')})`);
+        params.push(nameKey(data.genre));
+    }
+    if ('genreId' in data) {
+        conditions.push(`genre_id IN (${genreSubtreeStatement('id = ?')})`);
+        params.push(Number(data.genreId));
+    }
+    if ('minPrice' in data) {
+        conditions.push('price >= ?');
+        params.push(Number(data.minPrice));
+    }
+    if ('maxPrice' in data) {
+        conditions.push('price <= ?');
+        params.push(Number(data.maxPrice));
+    }
+
+    return {conditions, params};
+}
+
+/**
+ * Resolves the sort and the paging of GET /books from an already validated query string
+ * 
+ * @param {Object} data - the validated query string of the request
+ * @returns {Object} - The resolved settings
+ * - {string} sort - the column the page is sorted by
+ * - {string} order - the sort direction
+ * - {number} limit - the page size
+ * - {number|null} offset - the offset of the page, or null when cursor paging is used (no 'offset' given)
+ */
+function bookListSettings(data) {
+    return {
+        sort: data.sort ?? 'id',
+        order: (data.order ?? 'asc').toLowerCase(),
+        limit: 'limit' in data ? Number(data.limit) : defaultPageLimit,
+        offset: 'offset' in data ? Number(data.offset) : null
+    };
+}
+
+/**
+ * Builds the SQL statements for GET /books from an already validated query string
+ * Rows are ordered by the requested column, with the 'id' as a tie-breaker so that pages are stable
+ * One more row than the page size is selected, so the caller can tell whether a next page exists
+ * 
+ * @param {Object} data - the validated query string of the request
+ * @returns {Object} - The statements, their parameters and the resolved paging settings
+ * - {string} countStatement - counts every row matching the filters
+ * - {Array} countParams - the parameters of the count statement
+ * - {string} listStatement - selects the requested page
+ * - {Array} listParams - the parameters of the list statement
+ * - {string} sort - the column the page is sorted by
+ * - {string} order - the sort direction
+ * - {number} limit - the page size
+ * - {number|null} offset - the offset of the page, or null when cursor paging is used (no 'offset' given)
+ */
+function buildBookListQuery(data) {
+    const {conditions, params} = bookFilterConditions(data);
+    const filterClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+    // Sorting and paging
+    const {sort, order, limit, offset} = bookListSettings(data);
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+
+    // Keyset condition selecting the rows after the cursor; SQLite sorts NULLs first in ascending order
+    if ('cursor' in data) {
+        const {v: value, id} = decodeCursor(data.cursor);
+        if (order === 'asc' && value === null) {
+            pageConditions.push(`((${sort} IS NULL AND id > ?) OR ${sort} IS NOT NULL)`);
+            pageParams.push(id);
+        } else if (order === 'asc') {
+            pageConditions.push(`(${sort} > ? OR (${sort} = ? AND id > ?))`);
+            pageParams.push(value, value, id);
+        } else if (value === null) {
+            pageConditions.push(`(${sort} IS NULL AND id < ?)`);
+            pageParams.push(id);
+        } else {
+            pageConditions.push(`(${sort} < ? OR ${sort} IS NULL OR (${sort} = ? AND id < ?))`);
+            pageParams.push(value, value, id);
+        }
+    }
+    const pageClause = pageConditions.length > 0 ? ` WHERE ${pageConditions.join(' AND ')}` : '';
+    const direction = order.toUpperCase();
+
+    return {
+        countStatement: `SELECT COUNT(*) AS total FROM books${filterClause}`,
+        countParams: params,
+        listStatement: `SELECT * FROM books${pageClause} ORDER BY ${sort} ${direction}, id ${direction} LIMIT ? OFFSET ?`,
+        listParams: [...pageParams, limit + 1, offset ?? 0],
+        sort, order, limit, offset
+    };
+}
+
+/**
+ * Builds a statement selecting the IDs of the genres matching a condition, together with the IDs of all their subgenres
+ * 
+ * @param {string} condition - the SQL condition selecting the top genres, e.g. 'id = ?'
+ * @returns {string} - The SQL statement
+ */
+function genreSubtreeStatement(condition) {
+    return `WITH RECURSIVE subtree(id) AS (
+        SELECT id FROM genres WHERE ${condition}
+        UNION SELECT genres.id FROM genres JOIN subtree ON genres.parent_id = subtree.id
+    ) SELECT id FROM subtree`;
+}
+
+// The schema of the body of a genre; no parent makes it a top-level genre
+const genreSchema = {
+    name: {type: 'string', required: true, check: hasLetterOrNumber, description: 'the name of the genre'},
+    parentId: {type: 'integer', min: 1, nullable: true, description: 'the id of the genre this genre belongs to'}
+};
+
+/**
+ * Input validation method for the payload body of a genre
+ * The payload must follow 'genreSchema'
+ * 
+ * @param {Object} data - the object that contains the info for the genre, excluding the id
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationGenreBody(data) {
+    return validateSchema(genreSchema, data);
+}
+
+// The schema of the body of a stock adjustment; the reason decides whether the quantity is added or removed
+const stockAdjustmentSchema = {
+    reason: {required: true, enum: Object.keys(stockReasons), description: 'why the stock changes'},
+    quantity: {type: 'integer', required: true, min: 1, description: 'how many copies are added or removed'},
+    note: {type: 'string', description: 'a free-text note, e.g. a delivery reference'}
+};
+
+/**
+ * Input validation method for the payload body of a stock adjustment
+ * The payload must follow 'stockAdjustmentSchema'
+ * 
+ * @param {Object} data - the object that contains the info for the adjustment
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationStockBody(data) {
+    return validateSchema(stockAdjustmentSchema, data);
+}
+
+// The schema of the query string of GET /books/low-stock
+const lowStockQuerySchema = {
+    threshold: {
+        type: 'integer', min: 0,
+        description: `the stock level at or below which a book is reported (default: ${defaultLowStockThreshold})`
+    },
+    ...pagingSchema
+};
+
+/**
+ * Input validation method for the query string of GET /books/low-stock
+ * The query string must follow 'lowStockQuerySchema'
+ * 
+ * @param {Object} data - the parsed query string of the request
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationLowStockQuery(data) {
+    return validateQuery(lowStockQuerySchema, data);
+}
+
+/**
+ * Input validation method for the query string of GET /books/trash
+ * The query string must follow 'pagingSchema'
+ * 
+ * @param {Object} data - the parsed query string of the request
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationTrashQuery(data) {
+    return validateQuery(pagingSchema, data);
+}
+
+// The schema of the body of a new order; each book can only be listed once
+const orderSchema = {
+    items: {
+        type: 'array', required: true, min: 1, max: maxOrderItems, message: `must be an array of 1 to ${maxOrderItems} lines.`,
+        items: {
+            type: 'object',
+            fields: {
+                bookId: {type: 'integer', required: true, min: 1, description: 'the id of the book'},
+                quantity: {type: 'integer', required: true, min: 1, description: 'how many copies are ordered'}
+            }
+        },
+        check: (items, path) => items.flatMap((item, index) => {
+            const isRepeated = item?.bookId !== undefined && items.slice(0, index).some(other => other?.bookId === item.bookId);
+            return isRepeated ? [`'${path}[${index}].bookId' lists book ID ${item.bookId} more than once.`] : [];
+        }),
+        description: 'the lines of the order'
+    },
+    customerId: {type: 'integer', min: 1, description: 'the id of the customer who placed the order'}
+};
+
+/**
+ * Input validation method for the payload body of a new order
+ * The payload must follow 'orderSchema'
+ * 
+ * @param {Object} data - the object that contains the info for the order
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationOrderBody(data) {
+    return validateSchema(orderSchema, data);
+}
+
+// The schema of the body of an order status change
+const orderStatusSchema = {
+    status: {required: true, enum: Object.keys(orderTransitions), description: 'the new status of the order'}
+};
+
+/**
+ * Input validation method for the payload body of an order status change
+ * The payload must follow 'orderStatusSchema'
+ * 
+ * @param {Object} data - the object that contains the new status
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationOrderStatusBody(data) {
+    return validateSchema(orderStatusSchema, data);
+}
+
+// The schema of the query string of GET /orders
+const orderQuerySchema = {
+    status: {type: 'string', enum: Object.keys(orderTransitions), description: 'only orders with this status'},
+    customerId: {type: 'integer', min: 1, description: 'only orders placed by this customer'},
+    ...pagingSchema
+};
+
+/**
+ * Input validation method for the query string of GET /orders
+ * The query string must follow 'orderQuerySchema'
+ * 
+ * @param {Object} data - the parsed query string of the request
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationOrderQuery(data) {
+    return validateQuery(orderQuerySchema, data);
+}
+
+/**
+ * Check of a field rule: a timestamp of the audit log filters is a UTC date, or date and time
+ * 
+ * @param {string} value - the timestamp
+ * @param {string} path - the name of the field
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function isAuditTimestamp(value, path) {
+    const isTimestamp = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2})?Z?)?$/.test(value) && !isNaN(Date.parse(value.replace(' ', 'T')));
+    return isTimestamp ? [] : [`'${path}' must be a UTC date, or date and time, e.g. 2024-01-31 or 2024-01-31T12:00:00Z.`];
+}
+
+// The schema of the query string of GET /audit
+const auditQuerySchema = {
+    bookId: {type: 'integer', min: 1, description: 'only the changes to this book'},
+    action: {type: 'string', enum: auditActions, description: 'only the changes of this kind'},
+    apiKeyId: {type: 'integer', min: 1, description: 'only the changes made with this API key'},
+    requestId: {type: 'string', description: 'only the changes made by this request'},
+    since: {
+        type: 'string', check: isAuditTimestamp,
+        description: "only the changes made at or after this UTC date or date and time, e.g. '2024-01-31T12:00:00Z'"
+    },
+    until: {
+        type: 'string', check: isAuditTimestamp,
+        description: 'only the changes made at or before this UTC date and time, or during or before this UTC date'
+    },
+    ...pagingSchema
+};
+
+/**
+ * Input validation method for the query string of GET /audit
+ * The query string must follow 'auditQuerySchema'
+ * 
+ * @param {Object} data - the parsed query string of the request
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationAuditQuery(data) {
+    return validateQuery(auditQuerySchema, data);
+}
+
+// The schema of the query string of GET /books/changes
+const changesQuerySchema = {
+    lastEventId: {type: 'integer', min: 0, description: 'the same, for a first connection; the header takes precedence'}
+};
+
+/**
+ * Input validation method for the query string and the 'Last-Event-ID' header of GET /books/changes
+ * The query string must follow 'changesQuerySchema'; the header, which a reconnecting client sends, must hold a
+ *  non-negative integer as well
+ * 
+ * @param {Object} data - the parsed query string of the request
+ * @param {string} lastEventId - the 'Last-Event-ID' header of the request, if any
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationChangesQuery(data, lastEventId) {
+    const errors = validateQuery(changesQuerySchema, data);
+
+    if (lastEventId !== undefined && !/^\d+$/.test(lastEventId.trim())) {
+        errors.push(`'Last-Event-ID' must be a non-negative integer.`);
+    }
+
+    return errors;
+}
+
+// The schema of the body of a revert, naming the revision of the book to return to
+const revertSchema = {
+    revision: {type: 'integer', required: true, min: 1, description: 'the id of the audit log entry after which the book is restored'}
+};
+
+/**
+ * Input validation method for the payload body of POST /books/:id/revert
+ * The payload must follow 'revertSchema'
+ * 
+ * @param {Object} data - the object that names the revision
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationRevertBody(data) {
+    return validateSchema(revertSchema, data);
+}
+
+/**
+ * Check of a field rule: a webhook URL must be an absolute http or https URL
+ * 
+ * @param {string} value - the URL
+ * @param {string} path - the name of the field
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationWebhookUrl(value, path) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (err) {
+        url = null;
+    }
+    return url && ['http:', 'https:'].includes(url.protocol) ? [] : [`'${path}' must be an absolute http or https URL.`];
+}
+
+// The schema of the body of a webhook subscription; each event can only be listed once
+const webhookSchema = {
+    url: {type: 'string', required: true, check: inputValidationWebhookUrl, description: 'the URL the events are posted to'},
+    events: {
+        type: 'array', required: true, min: 1, items: {enum: webhookEvents},
+        check: (events, path) => events.flatMap((event, index) => {
+            return events.indexOf(event) < index ? [`'${path}[${index}]' lists '${event}' more than once.`] : [];
+        }),
+        description: 'the events the subscription receives'
+    },
+    secret: {
+        type: 'string', min: 16, max: 256,
+        description: 'the secret the deliveries are signed with; a random one is generated when it is not sent'
+    }
+};
+
+/**
+ * Input validation method for the payload body of a new webhook subscription
+ * The payload must follow 'webhookSchema'
+ * 
+ * @param {Object} data - the object that contains the info for the subscription
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationWebhookBody(data) {
+    return validateSchema(webhookSchema, data);
+}
+
+/**
+ * Input validation method for the payload body of PATCH /webhooks/:id
+ * The payload must follow 'webhookSchema' and include at least one of its fields; none is required
+ * 
+ * @param {Object} data - the object that contains the fields to change
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationWebhookPatchBody(data) {
+    return validateSchema(webhookSchema, data, {partial: true});
+}
+
+// The schema of the query string of GET /webhooks/:id/deliveries
+const deliveryQuerySchema = {
+    status: {type: 'string', enum: webhookDeliveryStatuses, description: 'only the deliveries in this state'},
+    event: {type: 'string', enum: webhookEvents, description: 'only the deliveries of this event'},
+    ...pagingSchema
+};
+
+/**
+ * Input validation method for the query string of GET /webhooks/:id/deliveries
+ * The query string must follow 'deliveryQuerySchema'
+ * 
+ * @param {Object} data - the parsed query string of the request
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationDeliveryQuery(data) {
+    return validateQuery(deliveryQuerySchema, data);
+}
+
+/**
+ * Input validation method for an email address
+ * The address must hold a single '@' between a local part and a domain with at least one dot
+ * 
+ * @param {string} email - the email address
+ * @returns {boolean} - Whether the address is valid
+ */
+function isEmail(email) {
+    return email.length <= 254 && /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/.test(email);
+}
+
+// The schema of a shipping address of a customer
+const addressSchema = {
+    label: {type: 'string', nullable: true, description: "a name for the address, e.g. 'Home'"},
+    line1: {type: 'string', required: true, trim: true, min: 1, description: 'the first line of the street address'},
+    line2: {type: 'string', nullable: true, description: 'the second line of the street address'},
+    city: {type: 'string', required: true, trim: true, min: 1, description: 'the city'},
+    region: {type: 'string', nullable: true, description: 'the state, province or region'},
+    postalCode: {type: 'string', required: true, trim: true, min: 1, description: 'the postal code'},
+    country: {type: 'string', required: true, trim: true, min: 1, description: 'the country'}
+};
+
+// Fields of a shipping address, in the order they are stored
+const addressFields = Object.keys(addressSchema);
+
+// The schema of the body of a customer; email addresses are unique, ignoring case
+const customerSchema = {
+    name: {type: 'string', required: true, trim: true, min: 1, description: 'the name of the customer'},
+    email: {type: 'string', required: true, check: (value, path) => isEmail(value.trim()) ? [] : [`'${path}' must be a valid email address.`],
+        description: 'the email address of the customer'},
+    addresses: {
+        type: 'array', max: maxCustomerAddresses, message: `must be an array of at most ${maxCustomerAddresses} addresses.`,
+        items: {type: 'object', fields: addressSchema}, default: [], description: 'the shipping addresses of the customer'
+    }
+};
+
+/**
+ * Input validation method for the payload body of a customer
+ * The payload must follow 'customerSchema'
+ * 
+ * @param {Object} data - the object that contains the info for the customer, excluding the id
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationCustomerBody(data) {
+    return validateSchema(customerSchema, data);
+}
+
+// The schema of the query string of GET /customers
+const customerQuerySchema = {
+    email: {type: 'string', description: 'only the customer with this email address, ignoring case'},
+    ...pagingSchema
+};
+
+/**
+ * Input validation method for the query string of GET /customers
+ * The query string must follow 'customerQuerySchema'
+ * 
+ * @param {Object} data - the parsed query string of the request
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationCustomerQuery(data) {
+    return validateQuery(customerQuerySchema, data);
+}
+
+// The schema of the body of a new API key
+const apiKeySchema = {
+    name: {type: 'string', required: true, trim: true, min: 1, description: 'a description of who or what uses the key'},
+    role: {required: true, enum: apiKeyRoles, description: 'the role the key grants'}
+};
+
+/**
+ * Input validation method for the payload body of a new API key
+ * The payload must follow 'apiKeySchema'
+ * 
+ * @param {Object} data - the object that contains the info for the key
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationApiKeyBody(data) {
+    return validateSchema(apiKeySchema, data);
+}
+
+// The schema of the body of an author
+const authorSchema = {
+    name: {type: 'string', required: true, check: hasLetterOrNumber, description: 'the name of the author'}
+};
+
+/**
+ * Input validation method for the payload body of an author
+ * The payload must follow 'authorSchema'
+ * 
+ * @param {Object} data - the object that contains the info for the author, excluding the id
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationAuthorBody(data) {
+    return validateSchema(authorSchema, data);
+}
+
+// The schema of the query string of GET /authors
+const authorQuerySchema = {
+    name: {type: 'string', description: 'only the author with this name, ignoring case, spacing and punctuation'},
+    ...pagingSchema
+};
+
+/**
+ * Input validation method for the query string of GET /authors
+ * The query string must follow 'authorQuerySchema'
+ * 
+ * @param {Object} data - the parsed query string of the request
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationAuthorQuery(data) {
+    return validateQuery(authorQuerySchema, data);
+}
+
+/**
+ * Splits a search string into the terms understood by the full-text index
+ * Only letters and digits are kept, so FTS5 query syntax in the input is never interpreted
+ * 
+ * @param {string} text - the search string received from the client
+ * @returns {Array<string>} - The search terms
+ */
+function searchTerms(text) {
+    return text.match(/[\p{L}\p{N}]+/gu) ?? [];
+}
+
+// The schema of the query string of GET /books/search
+const searchQuerySchema = {
+    q: {
+        type: 'string', required: true,
+        check: (value, path) => searchTerms(value).length === 0 ? [`'${path}' must contain at least one word or number.`] : [],
+        description: 'the search text; every word must match, and a word also matches the words it is a prefix of'
+    },
+    ...pagingSchema
+};
+
+/**
+ * Input validation method for the query string of GET /books/search
+ * The query string must follow 'searchQuerySchema'
+ * 
+ * @param {Object} data - the parsed query string of the request
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationSearchQuery(data) {
+    return validateQuery(searchQuerySchema, data);
+}
+
+/**
+ * Builds the SQL statements for GET /books/search from an already validated query string
+ * Every term must match, and each term also matches words it is a prefix of
+ * Results are ordered by relevance (bm25), best match first
+ * 
+ * @param {Object} data - the validated query string of the request
+ * @returns {Object} - The statements, their parameters and the resolved paging settings
+ * - {string} countStatement - counts every matching row
+ * - {Array} countParams - the parameters of the count statement
+ * - {string} listStatement - selects the requested page, with a highlighted snippet and the rank of each row
+ * - {Array} listParams - the parameters of the list statement
+ * - {number} limit - the page size
+ * - {number} offset - the offset of the page
+ */
+function buildSearchQuery(data) {
+    const match = searchTerms(data.q).map(term => `"${term}"*`).join(' ');
+    const limit = 'limit' in data ? Number(data.limit) : defaultPageLimit;
+    const offset = Number(data.offset ?? 0);
+    const from = 'FROM books_fts JOIN books ON books.id = books_fts.rowid WHERE books_fts MATCH ? AND books.deleted_at IS NULL';
+
+    return {
+        countStatement: `SELECT COUNT(*) AS total ${from}`,
+        listStatement: `SELECT books.*, snippet(books_fts, -1, '<mark>', '</mark>', '…', 12) AS snippet, bm25(books_fts) AS rank ${from} ORDER BY rank, books.id LIMIT ? OFFSET ?`,
+        countParams: [match],
+        listParams: [match, limit + 1, offset],
+        limit, offset
+    };
+}
+
+// The schema of the query string of GET /books/export; the export is not paged
+const exportQuerySchema = {
+    format: {type: 'string', enum: exportFormats, description: 'the file format (default: json)'},
+    ...bookFilterSchema
+};
+
+/**
+ * Input validation method for the query string of GET /books/export
+ * The query string must follow 'exportQuerySchema'; 'minPrice' cannot be greater than 'maxPrice'
+ * 
+ * @param {Object} data - the parsed query string of the request
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationExportQuery(data) {
+    const errors = validateQuery(exportQuerySchema, data);
+    if (Object.values(data).some(value => typeof value !== 'string')) {
+        return errors;
+    }
+    return errors.concat(inputValidationPriceRange(data));
+}
+
+/**
+ * Builds the SQL statement for GET /books/export from an already validated query string
+ * Every matching row is selected, sorted like GET /books, with the {id, name} of its authors as a JSON array
+ * 
+ * @param {Object} data - the validated query string of the request
+ * @returns {Object} - The statement and its parameters
+ * - {string} statement - selects every matching book
+ * - {Array} params - the parameters of the statement
+ */
+function buildBookExportQuery(data) {
+    const {conditions, params} = bookFilterConditions(data);
+    const filterClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const sort = data.sort ?? 'id';
+    const direction = (data.order ?? 'asc').toUpperCase();
+    const authorsStatement = `
+        SELECT json_group_array(json_object('id', id, 'name', name)) FROM (
+            SELECT authors.id, authors.name FROM book_authors JOIN authors ON authors.id = book_authors.author_id
+            WHERE book_authors.book_id = books.id ORDER BY book_authors.position)`;
+
+    return {
+        statement: `SELECT *, (${authorsStatement}) AS authors FROM books${filterClause} ORDER BY ${sort} ${direction}, id ${direction}`,
+        params: params
+    };
+}
+
+/**
+ * Formats one CSV record, following RFC 4180
+ * A field holding a comma, a double quote or a line break is quoted; null and undefined become empty fields
+ * 
+ * @param {Array} values - the fields of the record
+ * @returns {string} - The record, ending with a line break
+ */
+function csvLine(values) {
+    return values.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',') + '\r\n';
+}
+
+/**
+ * Parses CSV text into records, following RFC 4180
+ * Fields are separated by commas and records by line breaks; a field in double quotes can hold commas, line
+ *  breaks and doubled double quotes; blank lines are skipped
+ * 
+ * @param {string} text - the CSV text
+ * @returns {Array<Object>} - The records, in order
+ * - {number} line - the line on which the record starts
+ * - {Array<string>} values - the fields of the record
+ * @throws {Error} - When a quoted field is not terminated
+ */
+function parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const records = [];
+    let values = [];
+    let value = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+    let quoteLine = 1;
+
+    const endRecord = () => {
+        values.push(value);
+        if (values.length > 1 || values[0] !== '') {
+            records.push({line: recordLine, values: values});
+        }
+        values = [];
+        value = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                line += char === '\n' ? 1 : 0;
+                value += char;
+            }
+        } else if (char === '"' && value === '') {
+            quoted = true;
+            quoteLine = line;
+        } else if (char === ',') {
+            values.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            value += char;
+        }
+    }
+    if (quoted) {
+        throw new Error(`The quoted field starting on line ${quoteLine} is not terminated.`);
+    }
+    endRecord();
+
+    return records;
+}
+
+// The schema of the query string of POST /books/import
+const importQuerySchema = {
+    dryRun: {
+        type: 'string', enum: ['true', 'false'], message: `must be either 'true' or 'false'.`,
+        description: 'validates every row without writing anything (default: false)'
+    }
+};
+
+/**
+ * Input validation method for the query string of POST /books/import
+ * The query string must follow 'importQuerySchema'; a dry run validates every row without writing anything
+ * 
+ * @param {Object} data - the parsed query string of the request
+ * @returns {Array<string>} - An array of strings detailing the failures
+ */
+function inputValidationImportQuery(data) {
+    return validateQuery(importQuerySchema, data);
+}
+
 module.exports = {
-    inputValidationId, inputValidationBody
+    inputValidationId, inputValidationBody, inputValidationPatchBody, inputValidationQuery, bookListSettings, buildBookListQuery,
+    encodeCursor, decodeCursor, inputValidationSearchQuery, searchTerms, buildSearchQuery, inputValidationPaging, defaultPageLimit,
+    nameKey, inputValidationAuthorBody, inputValidationAuthorQuery, genreSubtreeStatement, inputValidationGenreBody,
+    stockReasons, defaultLowStockThreshold, inputValidationStockBody, inputValidationLowStockQuery, inputValidationTrashQuery,
+    auditActions, inputValidationAuditQuery, inputValidationRevertBody, inputValidationChangesQuery,
+    webhookEvents, webhookDeliveryStatuses, inputValidationWebhookBody, inputValidationWebhookPatchBody, inputValidationDeliveryQuery,
+    orderTransitions, inputValidationOrderBody, inputValidationOrderStatusBody, inputValidationOrderQuery,
+    addressFields, inputValidationCustomerBody, inputValidationCustomerQuery,
+    apiKeyRoles, inputValidationApiKeyBody, readMethods,
+    maxImportRows, parseCsv, inputValidationImportQuery,
+    exportFormats, inputValidationExportQuery, buildBookExportQuery, csvLine,
+    normalizeIsbn, inputValidationIsbn,
+    validateSchema, validateQuery, applySchemaDefaults, bookSchema, genreSchema, authorSchema, stockAdjustmentSchema, orderSchema,
+    orderStatusSchema, customerSchema, addressSchema, apiKeySchema, revertSchema, webhookSchema, bookSortFields, maxPageLimit,
+    pagingSchema, bookQuerySchema, searchQuerySchema, lowStockQuerySchema, exportQuerySchema, importQuerySchema, changesQuerySchema,
+    authorQuerySchema, orderQuerySchema, customerQuerySchema, auditQuerySchema, deliveryQuerySchema
 }
\ No newline at end of file
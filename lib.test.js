@@ -0,0 +1,104 @@
+// === FILE: lib.test.js ===
+/**
+ * @file lib.test.js
+ * @description The test suite for the schema-based validation of the Bookstore API
+ */
+const {validateSchema, validateQuery, applySchemaDefaults, bookSchema, bookQuerySchema} = require('./lib');
+
+// A schema using every kind of field rule
+const schema = {
+  code: {type: 'string', required: true, pattern: /^[A-Z]{3}$/},
+  name: {type: 'string', trim: true, min: 1, max: 5},
+  count: {type: 'integer', min: 0, default: 0},
+  ratio: {type: 'number', min: 0, max: 1, clearable: true},
+  size: {enum: ['S', 'M', 'L'], nullable: true},
+  tags: {type: 'array', max: 2, items: {type: 'string'}, default: []},
+  parts: {type: 'array', items: {type: 'object', fields: {id: {type: 'integer', required: true, min: 1}}}},
+  even: {type: 'integer', check: (value, path) => value % 2 === 0 ? [] : [`'${path}' must be even.`]}
+};
+
+describe('Schema validation', () => {
+
+  test('validateSchema - Accepts an object that follows the schema', () => {
+    expect(validateSchema(schema, {code: 'ABC', name: ' Ab ', count: 0, ratio: '0.5', size: null, tags: ['a'], parts: [{id: 1}], even: 2}))
+      .toStrictEqual([]);
+  });
+
+  test('validateSchema - Reports unexpected and missing fields, then each broken rule, in the order of the schema', () => {
+    expect(validateSchema(schema, {extra: 1, name: '   ', count: -1, ratio: 2, size: 'XL', tags: ['a', 'b', 'c'], even: 3}))
+      .toStrictEqual([
+        `'extra' is not an expected field. Please remove this from payload.`,
+        `'code' is required.`,
+        `'name' must be between 1 and 5 characters long.`,
+        `'count' must be a non-negative integer.`,
+        `'ratio' must be a number between 0 and 1.`,
+        `'size' must be one of: S, M, L.`,
+        `'tags' must hold at most 2 items.`,
+        `'even' must be even.`
+      ]);
+    expect(validateSchema(schema, {code: 'abc', name: null})).toStrictEqual([
+      `'code' must match the pattern /^[A-Z]{3}$/.`,
+      `'name' must be a string.`
+    ]);
+  });
+
+  test('validateSchema - Names nested fields by their path', () => {
+    expect(validateSchema(schema, {code: 'ABC', tags: [1], parts: [{id: 1}, 'part', {id: 0, name: 'x'}]})).toStrictEqual([
+      `'tags[0]' must be a string.`,
+      `'parts[1]' must be an object.`,
+      `'parts[2].name' is not an expected field. Please remove this from payload.`,
+      `'parts[2].id' must be a positive integer.`
+    ]);
+  });
+
+  test('validateSchema - A partial update needs no field but at least one, and clearable fields accept null', () => {
+    expect(validateSchema(schema, {ratio: null}, {partial: true})).toStrictEqual([]);
+    expect(validateSchema(schema, {count: null}, {partial: true})).toStrictEqual([`'count' must be a non-negative integer.`]);
+    expect(validateSchema(bookSchema, {}, {partial: true}))
+      .toStrictEqual([`At least one of 'title', 'author', 'price', 'genre', 'isbn' is required.`]);
+    expect(validateSchema(bookSchema, {price: 'free'}, {partial: true})).toStrictEqual([`'price' must be a valid number or null.`]);
+  });
+
+  test('validateSchema - A value with several forms follows the rule of the form of its type', () => {
+    expect(validateSchema(bookSchema, {title: 'Title', author: ['Author', 1]})).toStrictEqual([]);
+    expect(validateSchema(bookSchema, {title: 'Title', author: 0})).toStrictEqual([
+      `'author' must be an author name, an author ID, or an array of them.`
+    ]);
+    expect(validateSchema(bookSchema, {title: 'Title', author: {name: 'Author'}})).toStrictEqual([
+      `'author' must be an author name, an author ID, or an array of them.`
+    ]);
+    expect(validateSchema(bookSchema, {title: 'Title', author: ['Author', true]})).toStrictEqual([
+      `'author[1]' must be an author name or an author ID.`
+    ]);
+    expect(validateSchema(bookSchema, {title: 'Title', author: ['Author', '...']})).toStrictEqual([
+      `'author' names must contain at least one letter or number.`
+    ]);
+  });
+
+  test('validateQuery - Reads numeric parameters as numbers, and reports every failure', () => {
+    expect(validateQuery(bookQuerySchema, {authorId: '2', minPrice: ' 9.5', order: 'DESC', limit: '10'})).toStrictEqual([]);
+    expect(validateQuery(bookQuerySchema, {page: '2', authorId: '1.5', minPrice: '', maxPrice: 'Infinity', order: 'up', offset: '-1'}))
+      .toStrictEqual([
+        `'page' is not an expected query parameter. Please remove this from the request.`,
+        `'authorId' must be a positive integer.`,
+        `'minPrice' must be a valid number.`,
+        `'maxPrice' must be a valid number.`,
+        `'order' must be either 'asc' or 'desc'.`,
+        `'offset' must be a non-negative integer.`
+      ]);
+  });
+
+  test('validateQuery - Requires every parameter to be a single string before applying the rules', () => {
+    expect(validateQuery(bookQuerySchema, {sort: ['title', 'price'], limit: '0'})).toStrictEqual([`'sort' must be a string.`]);
+    expect(validateQuery({q: {type: 'string', required: true}}, {})).toStrictEqual([`'q' is required.`]);
+  });
+
+  test('applySchemaDefaults - Fills in a copy of the default of each missing field', () => {
+    const first = applySchemaDefaults(schema, {code: 'ABC', count: 3});
+    const second = applySchemaDefaults(schema, {code: 'DEF'});
+
+    expect(first).toStrictEqual({code: 'ABC', count: 3, tags: []});
+    expect(second).toStrictEqual({code: 'DEF', count: 0, tags: []});
+    expect(first.tags).not.toBe(second.tags);
+  });
+});
@@ -0,0 +1,281 @@
+// === FILE: memoryBookRepository.js ===
+const {bookListSettings, decodeCursor, searchTerms, defaultPageLimit, nameKey, normalizeIsbn, applySchemaDefaults,
+  bookSchema} = require('./lib');
+const {validationError} = require('./problems');
+const {bookColumns, nextListPage, bookNotFoundError, isbnConflictError, versionMismatchError} = require('./books');
+
+/**
+ * Compares two values of a column as SQLite orders them, NULL first
+ *
+ * @param {*} a - the first value
+ * @param {*} b - the second value
+ * @returns {number} - Negative, zero or positive, as a comparator for Array.prototype.sort
+ */
+function compareColumn(a, b) {
+  if (a === b) {
+    return 0;
+  } else if (a === null) {
+    return -1;
+  } else if (b === null) {
+    return 1;
+  }
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Folds a word as the full-text index does: without case or diacritics
+ *
+ * @param {string} word - the word
+ * @returns {string} - The folded word
+ */
+function foldWord(word) {
+  return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Formats a time as SQLite's CURRENT_TIMESTAMP does, e.g. '2024-01-31 12:00:00'
+ *
+ * @param {Date} date - the time
+ * @returns {string} - The formatted time, in UTC
+ */
+function sqliteTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Builds the columns of a book from a payload, as bookColumns does, storing a price as SQLite's REAL column does:
+ *  a string that holds a decimal number is stored as that number
+ *
+ * @param {Object} data - the fields of the payload
+ * @param {Object} references - the {genre, authors} the payload resolved to
+ * @returns {Object} - The columns to store
+ */
+function storedColumns(data, references) {
+  const columns = bookColumns(data, references);
+  if (typeof columns.price === 'string' && /^\s*[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$/.test(columns.price)) {
+    columns.price = Number(columns.price);
+  }
+  return columns;
+}
+
+/**
+ * Creates a repository that keeps the books, their authors and the genres in memory, so that the book routes can be
+ *  tested without a DB; it has the methods of createSqliteBookRepository and follows the same contract, except that
+ *  its changes are not recorded in the audit log, queued for the webhooks, or announced on the change feed
+ * It is meant for tests only: the routes of index.js go through it, while every other route that reads or writes
+ *  books, e.g. the import, the trash, the revert, the stock movements and the change feed, still uses the DB
+ * Search matches whole words and their prefixes, as the full-text index does, and ranks a book by how many of its
+ *  words match
+ *
+ * @param {Object} options - the data the repository starts with
+ * - {Array<Object>} genres - the managed genres, each {id, name, parentId}; books can only reference these
+ * - {Array<Object>} authors - the known authors, each {id, name}; new author names are added as books reference them
+ * @returns {Object} - The repository
+ */
+function createMemoryBookRepository({genres = [], authors = []} = {}) {
+  const store = {
+    books: [],
+    bookAuthors: new Map(),
+    authors: authors.map(author => ({id: author.id, name: author.name})),
+    genres: genres.map(genre => ({id: genre.id, name: genre.name, parentId: genre.parentId ?? null})),
+    lastBookId: 0
+  };
+
+  const liveBook = (id) => store.books.find(book => book.id === Number(id) && book.deleted_at === null);
+
+  const withAuthors = (book) => ({
+    ...book,
+    authors: store.bookAuthors.get(book.id).map(authorId => ({...store.authors.find(author => author.id === authorId)}))
+  });
+
+  // The IDs of the genres matching a condition, together with the IDs of all their subgenres
+  const genreSubtree = (matches) => {
+    const ids = store.genres.filter(matches).map(genre => genre.id);
+    for (let index = 0; index < ids.length; index++) {
+      store.genres.filter(genre => genre.parentId === ids[index] && !ids.includes(genre.id)).forEach(genre => ids.push(genre.id));
+    }
+    return ids;
+  };
+
+  const matchesFilters = (book, query) => {
+    const authorIds = store.bookAuthors.get(book.id);
+    if ('author' in query && !authorIds.some(id => nameKey(store.authors.find(author => author.id === id).name) === nameKey(query.author))) {
+      return false;
+    } else if ('authorId' in query && !authorIds.includes(Number(query.authorId))) {
+      return false;
+    } else if ('genre' in query && !genreSubtree(genre => nameKey(genre.name) === nameKey(query.genre)).includes(book.genre_id)) {
+      return false;
+    } else if ('genreId' in query && !genreSubtree(genre => genre.id === Number(query.genreId)).includes(book.genre_id)) {
+      return false;
+    } else if ('minPrice' in query && (book.price === null || book.price < Number(query.minPrice))) {
+      return false;
+    } else if ('maxPrice' in query && (book.price === null || book.price > Number(query.maxPrice))) {
+      return false;
+    }
+    return true;
+  };
+
+  // Resolves the genre and the authors of a payload as resolveBookReferences does; the new authors are only added to
+  //  the store once the write is made, as a write that fails leaves nothing behind
+  const resolveReferences = (data) => {
+    const references = {genre: undefined, authors: undefined};
+    const created = [];
+    if ('genre' in data && data.genre !== null) {
+      references.genre = store.genres.find(genre => nameKey(genre.name) === nameKey(data.genre));
+      if (!references.genre) {
+        return {errors: [`Genre '${data.genre}' not found`]};
+      }
+      references.genre = {id: references.genre.id, name: references.genre.name};
+    } else if ('genre' in data) {
+      references.genre = null;
+    }
+
+    if ('author' in data) {
+      const values = Array.isArray(data.author) ? data.author : [data.author];
+      const missing = values.filter(item => typeof item === 'number' && !store.authors.some(author => author.id === item));
+      if (missing.length > 0) {
+        return {errors: missing.map(id => `Author with ID: ${id} not found`)};
+      }
+      references.authors = [];
+      values.forEach(item => {
+        const known = [...store.authors, ...created];
+        let author = typeof item === 'number'
+          ? known.find(other => other.id === item)
+          : known.find(other => nameKey(other.name) === nameKey(item));
+        if (!author) {
+          author = {id: Math.max(0, ...known.map(other => other.id)) + 1, name: item.trim()};
+          created.push(author);
+        }
+        if (!references.authors.some(added => added.id === author.id)) {
+          references.authors.push({id: author.id, name: author.name});
+        }
+      });
+    }
+    return {references, created, errors: []};
+  };
+
+  // Checks a payload as the SQLite repository does: the ISBN first, then the genre and the authors; returns the
+  //  {genre, authors} resolved, and the authors to add to the store
+  const checkBookChange = (id, data) => {
+    const isbn = typeof data.isbn === 'string' ? normalizeIsbn(data.isbn) : null;
+    const existing = isbn === null ? undefined : store.books.find(book => book.isbn === isbn && book.id !== id);
+    if (existing) {
+      throw isbnConflictError(existing);
+    }
+    const {references, created, errors} = resolveReferences(data);
+    if (errors.length > 0) {
+      throw validationError(errors);
+    }
+    return {references, created};
+  };
+
+  // Finds the live book a write may change, or throws the 404 or 412 to fail with
+  const writableBook = (id, versions) => {
+    const book = liveBook(id);
+    if (!book) {
+      throw bookNotFoundError(id);
+    } else if (versions !== null && !versions.includes(book.version)) {
+      throw versionMismatchError(id, book.version);
+    }
+    return book;
+  };
+
+  const changeBook = (id, data, versions) => {
+    const {references, created} = checkBookChange(Number(id), data);
+    const book = writableBook(id, versions);
+    store.authors.push(...created);
+    Object.assign(book, storedColumns(data, references));
+    book.version += 1;
+    if (references.authors) {
+      store.bookAuthors.set(book.id, references.authors.map(author => author.id));
+    }
+    return withAuthors(book);
+  };
+
+  return {
+    async list(query) {
+      const settings = bookListSettings(query);
+      const {sort, order, limit} = settings;
+      const direction = order === 'asc' ? 1 : -1;
+      const compare = (a, b) => direction * (compareColumn(a[sort], b[sort]) || compareColumn(a.id, b.id));
+      const matching = store.books.filter(book => book.deleted_at === null && matchesFilters(book, query)).sort(compare);
+
+      // Keyset paging: only the books after the one named by the cursor
+      let rows = matching;
+      if ('cursor' in query) {
+        const {v: value, id} = decodeCursor(query.cursor);
+        rows = rows.filter(book => compare(book, {[sort]: value, id: id}) > 0);
+      }
+      const start = settings.offset ?? 0;
+      const page = rows.slice(start, start + limit);
+      const next = rows.length > start + limit ? nextListPage(settings, page) : null;
+      return {books: page.map(withAuthors), total: matching.length, next: next};
+    },
+
+    async search(query) {
+      const terms = searchTerms(query.q).map(foldWord);
+      const matchesTerm = (word) => terms.some(term => foldWord(word).startsWith(term));
+      const found = [];
+      store.books.filter(book => book.deleted_at === null).forEach(book => {
+        const fields = [book.title, book.author, book.genre ?? ''];
+        const words = fields.flatMap(searchTerms);
+        if (!terms.every(term => words.some(word => foldWord(word).startsWith(term)))) {
+          return;
+        }
+
+        // The snippet is the field with the most matching words, with each of them marked
+        const counts = fields.map(field => searchTerms(field).filter(matchesTerm).length);
+        const best = fields[counts.indexOf(Math.max(...counts))];
+        const snippet = best.replace(/[\p{L}\p{N}]+/gu, word => matchesTerm(word) ? `<mark>${word}</mark>` : word);
+        found.push({...book, snippet: snippet, rank: -words.filter(matchesTerm).length});
+      });
+      found.sort((a, b) => a.rank - b.rank || a.id - b.id);
+
+      const limit = 'limit' in query ? Number(query.limit) : defaultPageLimit;
+      const offset = Number(query.offset ?? 0);
+      const next = found.length > offset + limit ? {limit: String(limit), offset: String(offset + limit)} : null;
+      return {books: found.slice(offset, offset + limit).map(withAuthors), total: found.length, next: next};
+    },
+
+    async findById(id) {
+      const book = liveBook(id);
+      return book ? withAuthors(book) : null;
+    },
+
+    async findByIsbn(isbn) {
+      const book = store.books.find(book => book.isbn === normalizeIsbn(isbn) && book.deleted_at === null);
+      return book ? withAuthors(book) : null;
+    },
+
+    async create(data, req) {
+      const book = applySchemaDefaults(bookSchema, data);
+      const {references, created} = checkBookChange(null, book);
+      store.authors.push(...created);
+      const columns = storedColumns(book, references);
+      const row = {
+        id: ++store.lastBookId, title: columns.title, author: columns.author, price: columns.price, genre: columns.genre,
+        genre_id: columns.genre_id, in_stock: 0, isbn: columns.isbn, version: 1, deleted_at: null
+      };
+      store.books.push(row);
+      store.bookAuthors.set(row.id, references.authors.map(author => author.id));
+      return withAuthors(row);
+    },
+
+    // price, genre and isbn are not required and, therefore, take their defaults from the schema, if not specified
+    async replace(id, data, versions, req) {
+      return changeBook(id, applySchemaDefaults(bookSchema, data), versions);
+    },
+
+    async update(id, data, versions, req) {
+      return changeBook(id, data, versions);
+    },
+
+    async trash(id, versions, req) {
+      writableBook(id, versions).deleted_at = sqliteTimestamp(new Date());
+    }
+  };
+}
+
+module.exports = {
+  createMemoryBookRepository
+};
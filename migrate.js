@@ -0,0 +1,210 @@
+// === FILE: migrate.js ===
+const fs = require('fs');
+const path = require('path');
+
+// Directory holding the migration files; each file is named '<version>_<name>.js'
+const migrationsDir = path.join(__dirname, 'migrations');
+
+/**
+ * Runs one or more SQL statements, without returning rows
+ * 
+ * @param {sqlite3.Database} db - the DB object used to interact with the DB
+ * @param {string} sql - the SQL statements to execute
+ * @returns {Promise<void>}
+ */
+function exec(db, sql) {
+    return new Promise((resolve, reject) => {
+        db.exec(sql, (err) => err ? reject(err) : resolve());
+    });
+}
+
+/**
+ * Runs a single SQL statement with bound parameters, without returning rows
+ * 
+ * @param {sqlite3.Database} db - the DB object used to interact with the DB
+ * @param {string} sql - the SQL statement to execute
+ * @param {Array} params - the parameters bound to the statement
+ * @returns {Promise<void>}
+ */
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => err ? reject(err) : resolve());
+    });
+}
+
+/**
+ * Runs a single SQL statement and returns every row
+ * 
+ * @param {sqlite3.Database} db - the DB object used to interact with the DB
+ * @param {string} sql - the SQL statement to execute
+ * @param {Array} params - the parameters bound to the statement
+ * @returns {Promise<Array<Object>>}
+ */
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+}
+
+/**
+ * Reads the migration files, ordered by version
+ * A migration exports 'up' and 'down', each a string of SQL statements
+ * Where SQL is not enough, either can instead be an async function receiving the DB object and the
+ *  helpers {exec, run, all}
+ * 
+ * @param {string} dir - the directory holding the migration files
+ * @returns {Array<Object>} - An array of migrations
+ * - {number} version - the version parsed from the file name
+ * - {string} name - the file name without its extension
+ * - {string|Function} up - applies the migration
+ * - {string|Function} down - reverts the migration
+ */
+function loadMigrations(dir = migrationsDir) {
+    return fs.readdirSync(dir)
+        .filter(file => /^\d+_.+\.js$/.test(file))
+        .map(file => {
+            const {up, down} = require(path.join(dir, file));
+            return {version: parseInt(file, 10), name: path.basename(file, '.js'), up, down};
+        })
+        .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Creates the table recording which migrations have been applied
+ * 
+ * @param {sqlite3.Database} db - the DB object used to interact with the DB
+ * @returns {Promise<void>}
+ */
+function ensureMigrationsTable(db) {
+    return exec(db, `
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+}
+
+/**
+ * Runs a migration step and the bookkeeping statement in one transaction, rolling both back on failure
+ * 
+ * @param {sqlite3.Database} db - the DB object used to interact with the DB
+ * @param {string|Function} step - the SQL or function of the migration step
+ * @param {string} bookkeeping - the statement updating 'schema_migrations'
+ * @param {Array} params - the parameters bound to the bookkeeping statement
+ * @returns {Promise<void>}
+ */
+async function runInTransaction(db, step, bookkeeping, params) {
+    await exec(db, 'BEGIN');
+    try {
+        if (typeof step === 'function') {
+            await step(db, {exec, run, all});
+        } else {
+            await exec(db, step);
+        }
+        await run(db, bookkeeping, params);
+        await exec(db, 'COMMIT');
+    } catch (err) {
+        await exec(db, 'ROLLBACK');
+        throw err;
+    }
+}
+
+/**
+ * Lists every known migration and whether it has been applied
+ * Nothing is written, so the status of a read-only DB can be checked as well
+ * 
+ * @param {sqlite3.Database} db - the DB object used to interact with the DB
+ * @param {Array<Object>} migrations - the migrations, as returned by loadMigrations
+ * @returns {Promise<Array<Object>>} - An array of statuses
+ * - {number} version - the version of the migration
+ * - {string} name - the name of the migration
+ * - {string|null} appliedAt - when the migration was applied, or null if it is pending
+ */
+async function status(db, migrations = loadMigrations()) {
+    const tables = await all(db, `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'`);
+    const applied = tables.length > 0 ? await all(db, 'SELECT version, applied_at FROM schema_migrations') : [];
+    const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+    return migrations.map(({version, name}) => ({version, name, appliedAt: appliedAt.get(version) ?? null}));
+}
+
+/**
+ * Applies every pending migration, in order of version
+ * Each migration is applied in its own transaction; a failure stops the run
+ * 
+ * @param {sqlite3.Database} db - the DB object used to interact with the DB
+ * @param {Array<Object>} migrations - the migrations, as returned by loadMigrations
+ * @returns {Promise<Array<string>>} - The names of the migrations applied
+ */
+async function migrate(db, migrations = loadMigrations()) {
+    await ensureMigrationsTable(db);
+    const pending = (await status(db, migrations)).filter(row => row.appliedAt === null);
+    const appliedNames = [];
+    for (const {version, name} of pending) {
+        const migration = migrations.find(row => row.version === version);
+        try {
+            await runInTransaction(db, migration.up,
+                'INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [version, name]);
+        } catch (err) {
+            throw new Error(`Migration ${name} failed: ${err.message}`);
+        }
+        appliedNames.push(name);
+    }
+    return appliedNames;
+}
+
+/**
+ * Reverts the most recently applied migrations, newest first
+ * 
+ * @param {sqlite3.Database} db - the DB object used to interact with the DB
+ * @param {number} steps - the number of migrations to revert
+ * @param {Array<Object>} migrations - the migrations, as returned by loadMigrations
+ * @returns {Promise<Array<string>>} - The names of the migrations reverted
+ */
+async function rollback(db, steps = 1, migrations = loadMigrations()) {
+    await ensureMigrationsTable(db);
+    const applied = (await status(db, migrations)).filter(row => row.appliedAt !== null).reverse();
+    const revertedNames = [];
+    for (const {version, name} of applied.slice(0, steps)) {
+        const migration = migrations.find(row => row.version === version);
+        try {
+            await runInTransaction(db, migration.down,
+                'DELETE FROM schema_migrations WHERE version = ?', [version]);
+        } catch (err) {
+            throw new Error(`Rollback of ${name} failed: ${err.message}`);
+        }
+        revertedNames.push(name);
+    }
+    return revertedNames;
+}
+
+if (require.main === module) {
+    // Command line entry point: node migrate.js <status|up|rollback> [steps]
+    // The DB file is taken from the DB_PATH environment variable
+    const sqlite3 = require('sqlite3');
+    const [command = 'status', steps = '1'] = process.argv.slice(2);
+    const db = new sqlite3.Database(process.env.DB_PATH || './bookstore.db');
+
+    const commands = {
+        status: () => status(db).then(rows => rows.forEach(row => {
+            console.log(`${row.appliedAt ? 'applied' : 'pending'}\t${row.name}${row.appliedAt ? `\t${row.appliedAt}` : ''}`);
+        })),
+        up: () => migrate(db).then(names => console.log(names.length > 0 ? `Applied: ${names.join(', ')}` : 'No pending migrations')),
+        rollback: () => rollback(db, Number(steps)).then(names => console.log(names.length > 0 ? `Reverted: ${names.join(', ')}` : 'No applied migrations'))
+    };
+
+    if (!(command in commands)) {
+        console.error(`Unknown command '${command}'. Expected one of: ${Object.keys(commands).join(', ')}`);
+        process.exitCode = 1;
+        db.close();
+    } else {
+        commands[command]().catch(err => {
+            console.error(err.message);
+            process.exitCode = 1;
+        }).finally(() => db.close());
+    }
+}
+
+module.exports = {
+    loadMigrations, status, migrate, rollback
+};
@@ -0,0 +1,157 @@
+// === FILE: migrate.test.js ===
+/**
+ * @file migrate.test.js
+ * @description The test suite for the schema migrations of the Bookstore API
+ */
+const sqlite3 = require('sqlite3');
+const {loadMigrations, status, migrate, rollback} = require('./migrate');
+
+let db;
+
+// Async wrapper returning every row of a query
+const all = (sql) => new Promise((resolve, reject) => {
+  db.all(sql, [], (err, rows) => err ? reject(err) : resolve(rows));
+});
+
+// Sample migrations used instead of the ones in ./migrations
+const sampleMigrations = [
+  {version: 1, name: '001_create_a', up: 'CREATE TABLE a (id INTEGER);', down: 'DROP TABLE a;'},
+  {version: 2, name: '002_create_b', up: 'CREATE TABLE b (id INTEGER);', down: 'DROP TABLE b;'}
+];
+
+describe('Schema migrations', () => {
+
+  // Each test starts with an empty in-memory DB
+  beforeEach(() => {
+    db = new sqlite3.Database(':memory:');
+  });
+
+  afterEach((done) => {
+    db.close(done);
+  });
+
+  test('loadMigrations - Reads the migration files ordered by version', () => {
+    const migrations = loadMigrations();
+
+    expect(migrations[0].name).toBe('001_create_books_table');
+    migrations.forEach((migration, index) => {
+      expect(migration.version).toBe(index + 1);
+      expect(['string', 'function']).toContain(typeof migration.up);
+      expect(['string', 'function']).toContain(typeof migration.down);
+    });
+  });
+
+  test('migrate - Applies pending migrations in order and records them', async () => {
+    const applied = await migrate(db, sampleMigrations);
+
+    expect(applied).toStrictEqual(['001_create_a', '002_create_b']);
+    const recorded = await all('SELECT version, name FROM schema_migrations ORDER BY version');
+    expect(recorded).toEqual([{version: 1, name: '001_create_a'}, {version: 2, name: '002_create_b'}]);
+  });
+
+  test('migrate - Skips migrations that are already applied', async () => {
+    await migrate(db, sampleMigrations.slice(0, 1));
+    const applied = await migrate(db, sampleMigrations);
+
+    expect(applied).toStrictEqual(['002_create_b']);
+    expect(await migrate(db, sampleMigrations)).toStrictEqual([]);
+  });
+
+  test('migrate - A failing migration is rolled back and stops the run', async () => {
+    const failing = [
+      sampleMigrations[0],
+      {version: 2, name: '002_broken', up: 'CREATE TABLE c (id INTEGER); INSERT INTO missing VALUES (1);', down: ''},
+      {version: 3, name: '003_never_run', up: 'CREATE TABLE d (id INTEGER);', down: ''}
+    ];
+
+    await expect(migrate(db, failing)).rejects.toThrow('Migration 002_broken failed: SQLITE_ERROR: no such table: missing');
+
+    const tables = await all(`SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('a', 'c', 'd') ORDER BY name`);
+    expect(tables).toEqual([{name: 'a'}]);
+    const rows = await status(db, failing);
+    expect(rows.map(row => row.appliedAt !== null)).toStrictEqual([true, false, false]);
+  });
+
+  test('rollback - Reverts the most recent migrations, newest first', async () => {
+    await migrate(db, sampleMigrations);
+    const reverted = await rollback(db, 1, sampleMigrations);
+
+    expect(reverted).toStrictEqual(['002_create_b']);
+    const tables = await all(`SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('a', 'b') ORDER BY name`);
+    expect(tables).toEqual([{name: 'a'}]);
+    const rows = await status(db, sampleMigrations);
+    expect(rows.map(row => row.appliedAt !== null)).toStrictEqual([true, false]);
+  });
+
+  test('migrate - The project migrations can be fully rolled back and re-applied', async () => {
+    const migrations = loadMigrations();
+    await migrate(db, migrations);
+    await rollback(db, migrations.length, migrations);
+
+    expect((await status(db, migrations)).every(row => row.appliedAt === null)).toBe(true);
+    expect(await migrate(db, migrations)).toStrictEqual(migrations.map(migration => migration.name));
+  });
+});
+
+describe('Migration 003_create_authors', () => {
+
+  beforeAll(() => {
+    db = new sqlite3.Database(':memory:');
+  });
+
+  afterAll((done) => {
+    db.close(done);
+  });
+
+  test('Turns the existing author strings into authors, merging different spellings', async () => {
+    const migrations = loadMigrations();
+    await migrate(db, migrations.filter(migration => migration.version < 3));
+    await new Promise((resolve, reject) => db.exec(`
+      INSERT INTO books (title, author) VALUES ('Book 1', 'J.K. Rowling');
+      INSERT INTO books (title, author) VALUES ('Book 2', 'J. K. Rowling');
+      INSERT INTO books (title, author) VALUES ('Book 3', 'Frank Herbert');
+    `, err => err ? reject(err) : resolve()));
+
+    await migrate(db, migrations.filter(migration => migration.version <= 3));
+
+    expect(await all('SELECT id, name FROM authors ORDER BY id')).toEqual([
+      {id: 1, name: 'J.K. Rowling'}, {id: 2, name: 'Frank Herbert'}
+    ]);
+    expect(await all('SELECT book_id, author_id FROM book_authors ORDER BY book_id')).toEqual([
+      {book_id: 1, author_id: 1}, {book_id: 2, author_id: 1}, {book_id: 3, author_id: 2}
+    ]);
+    expect(await all('SELECT author FROM books ORDER BY id')).toEqual([
+      {author: 'J.K. Rowling'}, {author: 'J.K. Rowling'}, {author: 'Frank Herbert'}
+    ]);
+  });
+});
+
+describe('Migration 004_create_genres', () => {
+
+  beforeAll(() => {
+    db = new sqlite3.Database(':memory:');
+  });
+
+  afterAll((done) => {
+    db.close(done);
+  });
+
+  test('Turns the existing genre strings into top-level genres, merging different spellings', async () => {
+    const migrations = loadMigrations();
+    await migrate(db, migrations.filter(migration => migration.version < 4));
+    await new Promise((resolve, reject) => db.exec(`
+      INSERT INTO books (title, author, genre) VALUES ('Book 1', 'Author 1', 'Sci-Fi');
+      INSERT INTO books (title, author, genre) VALUES ('Book 2', 'Author 2', 'sci fi');
+      INSERT INTO books (title, author, genre) VALUES ('Book 3', 'Author 3', NULL);
+    `, err => err ? reject(err) : resolve()));
+
+    await migrate(db, migrations.filter(migration => migration.version <= 4));
+
+    expect(await all('SELECT id, name, parent_id FROM genres ORDER BY id')).toEqual([
+      {id: 1, name: 'Sci-Fi', parent_id: null}
+    ]);
+    expect(await all('SELECT genre, genre_id FROM books ORDER BY id')).toEqual([
+      {genre: 'Sci-Fi', genre_id: 1}, {genre: 'Sci-Fi', genre_id: 1}, {genre: null, genre_id: null}
+    ]);
+  });
+});
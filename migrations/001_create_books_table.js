@@ -0,0 +1,20 @@
+// === FILE: migrations/001_create_books_table.js ===
+
+/**
+ * Creates the books table with the fields specified
+ * 'IF NOT EXISTS' lets databases created before migrations existed adopt this migration
+ */
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS books (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        author TEXT NOT NULL,
+        price FLOAT,
+        genre TEXT
+        );
+    `,
+    down: `
+        DROP TABLE books;
+    `
+};
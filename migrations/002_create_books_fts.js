@@ -0,0 +1,36 @@
+// === FILE: migrations/002_create_books_fts.js ===
+
+/**
+ * Creates the full-text index over the title, author and genre of the books
+ * The index is an external content FTS5 table; triggers keep it in sync with every write to 'books'
+ */
+module.exports = {
+    up: `
+        CREATE VIRTUAL TABLE books_fts USING fts5(
+        title, author, genre,
+        content = 'books', content_rowid = 'id',
+        tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER books_fts_after_insert AFTER INSERT ON books BEGIN
+            INSERT INTO books_fts (rowid, title, author, genre) VALUES (new.id, new.title, new.author, new.genre);
+        END;
+
+        CREATE TRIGGER books_fts_after_delete AFTER DELETE ON books BEGIN
+            INSERT INTO books_fts (books_fts, rowid, title, author, genre) VALUES ('delete', old.id, old.title, old.author, old.genre);
+        END;
+
+        CREATE TRIGGER books_fts_after_update AFTER UPDATE ON books BEGIN
+            INSERT INTO books_fts (books_fts, rowid, title, author, genre) VALUES ('delete', old.id, old.title, old.author, old.genre);
+            INSERT INTO books_fts (rowid, title, author, genre) VALUES (new.id, new.title, new.author, new.genre);
+        END;
+
+        INSERT INTO books_fts (books_fts) VALUES ('rebuild');
+    `,
+    down: `
+        DROP TRIGGER books_fts_after_update;
+        DROP TRIGGER books_fts_after_delete;
+        DROP TRIGGER books_fts_after_insert;
+        DROP TABLE books_fts;
+    `
+};
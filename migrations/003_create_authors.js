@@ -0,0 +1,49 @@
+// === FILE: migrations/003_create_authors.js ===
+const {nameKey} = require('../lib');
+
+/**
+ * Creates the authors table and the book_authors link table, then turns the existing author strings into authors
+ * Strings that differ only in case, spacing or punctuation become a single author, named after its first spelling
+ * 'books.author' is kept as the display name of the authors of each book
+ */
+module.exports = {
+    up: async (db, {exec, run, all}) => {
+        await exec(db, `
+            CREATE TABLE authors (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            name_key TEXT NOT NULL UNIQUE
+            );
+
+            CREATE TABLE book_authors (
+            book_id INTEGER NOT NULL REFERENCES books (id) ON DELETE CASCADE,
+            author_id INTEGER NOT NULL REFERENCES authors (id),
+            position INTEGER NOT NULL,
+            PRIMARY KEY (book_id, author_id)
+            );
+
+            CREATE INDEX book_authors_author_id ON book_authors (author_id);
+        `);
+
+        const books = await all(db, 'SELECT id, author FROM books ORDER BY id');
+        for (const book of books) {
+            const key = nameKey(book.author);
+            if (key === '') {
+                continue;
+            }
+            let [author] = await all(db, 'SELECT id, name FROM authors WHERE name_key = ?', [key]);
+            if (!author) {
+                await run(db, 'INSERT INTO authors (name, name_key) VALUES (?, ?)', [book.author.trim(), key]);
+                [author] = await all(db, 'SELECT id, name FROM authors WHERE name_key = ?', [key]);
+            }
+            await run(db, 'INSERT INTO book_authors (book_id, author_id, position) VALUES (?, ?, 0)', [book.id, author.id]);
+            if (author.name !== book.author) {
+                await run(db, 'UPDATE books SET author = ? WHERE id = ?', [author.name, book.id]);
+            }
+        }
+    },
+    down: `
+        DROP TABLE book_authors;
+        DROP TABLE authors;
+    `
+};
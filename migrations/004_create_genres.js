@@ -0,0 +1,46 @@
+// === FILE: migrations/004_create_genres.js ===
+const {nameKey} = require('../lib');
+
+/**
+ * Creates the genres table, where each genre can belong to a parent genre, and links the books to it
+ * The existing genre strings become top-level genres; strings that differ only in case, spacing or punctuation
+ *  become a single genre, named after its first spelling
+ * 'books.genre' is kept as the name of the genre of each book
+ */
+module.exports = {
+    up: async (db, {exec, run, all}) => {
+        await exec(db, `
+            CREATE TABLE genres (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            name_key TEXT NOT NULL UNIQUE,
+            parent_id INTEGER REFERENCES genres (id)
+            );
+
+            CREATE INDEX genres_parent_id ON genres (parent_id);
+
+            ALTER TABLE books ADD COLUMN genre_id INTEGER REFERENCES genres (id);
+
+            CREATE INDEX books_genre_id ON books (genre_id);
+        `);
+
+        const books = await all(db, 'SELECT id, genre FROM books WHERE genre IS NOT NULL ORDER BY id');
+        for (const book of books) {
+            const key = nameKey(book.genre);
+            if (key === '') {
+                continue;
+            }
+            let [genre] = await all(db, 'SELECT id, name FROM genres WHERE name_key = ?', [key]);
+            if (!genre) {
+                await run(db, 'INSERT INTO genres (name, name_key) VALUES (?, ?)', [book.genre.trim(), key]);
+                [genre] = await all(db, 'SELECT id, name FROM genres WHERE name_key = ?', [key]);
+            }
+            await run(db, 'UPDATE books SET genre = ?, genre_id = ? WHERE id = ?', [genre.name, genre.id, book.id]);
+        }
+    },
+    down: `
+        DROP INDEX books_genre_id;
+        ALTER TABLE books DROP COLUMN genre_id;
+        DROP TABLE genres;
+    `
+};
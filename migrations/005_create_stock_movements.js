@@ -0,0 +1,41 @@
+// === FILE: migrations/005_create_stock_movements.js ===
+
+/**
+ * Adds the quantity on hand of each book, and the ledger of the stock movements that change it
+ * 'books.in_stock' is only changed through the ledger: inserting a movement applies it, and a movement
+ *  that would take the stock below zero is rejected
+ */
+module.exports = {
+    up: `
+        ALTER TABLE books ADD COLUMN in_stock INTEGER NOT NULL DEFAULT 0;
+
+        CREATE TABLE stock_movements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        book_id INTEGER NOT NULL REFERENCES books (id) ON DELETE CASCADE,
+        reason TEXT NOT NULL CHECK (reason IN ('received', 'sold', 'damaged', 'returned')),
+        quantity INTEGER NOT NULL,
+        note TEXT,
+        stock_after INTEGER,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX stock_movements_book_id ON stock_movements (book_id);
+
+        CREATE TRIGGER stock_movements_before_insert BEFORE INSERT ON stock_movements
+        WHEN (SELECT in_stock FROM books WHERE id = new.book_id) + new.quantity < 0
+        BEGIN
+            SELECT RAISE(ABORT, 'Insufficient stock');
+        END;
+
+        CREATE TRIGGER stock_movements_after_insert AFTER INSERT ON stock_movements BEGIN
+            UPDATE books SET in_stock = in_stock + new.quantity WHERE id = new.book_id;
+            UPDATE stock_movements SET stock_after = (SELECT in_stock FROM books WHERE id = new.book_id) WHERE id = new.id;
+        END;
+    `,
+    down: `
+        DROP TRIGGER stock_movements_after_insert;
+        DROP TRIGGER stock_movements_before_insert;
+        DROP TABLE stock_movements;
+        ALTER TABLE books DROP COLUMN in_stock;
+    `
+};
@@ -0,0 +1,34 @@
+// === FILE: migrations/006_create_orders.js ===
+
+/**
+ * Creates the orders and their line items
+ * Each line keeps the title and the price of the book as they were when the order was placed, so an
+ *  order stays intact when the book is later repriced or deleted
+ */
+module.exports = {
+    up: `
+        CREATE TABLE orders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'shipped', 'cancelled')),
+        total FLOAT NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE order_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL REFERENCES orders (id) ON DELETE CASCADE,
+        book_id INTEGER REFERENCES books (id) ON DELETE SET NULL,
+        title TEXT NOT NULL,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        unit_price FLOAT NOT NULL
+        );
+
+        CREATE INDEX order_items_order_id ON order_items (order_id);
+        CREATE INDEX order_items_book_id ON order_items (book_id);
+    `,
+    down: `
+        DROP TABLE order_items;
+        DROP TABLE orders;
+    `
+};
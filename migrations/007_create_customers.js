@@ -0,0 +1,27 @@
+// === FILE: migrations/007_create_customers.js ===
+
+/**
+ * Creates the customers, and lets an order name the customer who placed it
+ * The shipping addresses of a customer are kept as a JSON array; email addresses are unique, ignoring case
+ */
+module.exports = {
+    up: `
+        CREATE TABLE customers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        addresses TEXT NOT NULL DEFAULT '[]',
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        ALTER TABLE orders ADD COLUMN customer_id INTEGER REFERENCES customers (id);
+
+        CREATE INDEX orders_customer_id ON orders (customer_id);
+    `,
+    down: `
+        DROP INDEX orders_customer_id;
+        ALTER TABLE orders DROP COLUMN customer_id;
+        DROP TABLE customers;
+    `
+};
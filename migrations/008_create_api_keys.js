@@ -0,0 +1,23 @@
+// === FILE: migrations/008_create_api_keys.js ===
+
+/**
+ * Creates the API keys that authenticate requests, each with the role it grants
+ * Only the SHA-256 hash of a key is stored; the key itself is shown once, when it is created
+ * A revoked key is kept, with the time it was revoked, so the list of keys stays complete
+ */
+module.exports = {
+    up: `
+        CREATE TABLE api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('reader', 'editor', 'admin')),
+        prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        revoked_at TEXT
+        );
+    `,
+    down: `
+        DROP TABLE api_keys;
+    `
+};
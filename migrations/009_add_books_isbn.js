@@ -0,0 +1,17 @@
+// === FILE: migrations/009_add_books_isbn.js ===
+
+/**
+ * Adds the ISBN of each book, stored as the 13 digits of its ISBN-13
+ * No two books share an ISBN; books without one are not affected
+ */
+module.exports = {
+    up: `
+        ALTER TABLE books ADD COLUMN isbn TEXT;
+
+        CREATE UNIQUE INDEX books_isbn ON books (isbn);
+    `,
+    down: `
+        DROP INDEX books_isbn;
+        ALTER TABLE books DROP COLUMN isbn;
+    `
+};
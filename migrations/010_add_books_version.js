@@ -0,0 +1,34 @@
+// === FILE: migrations/010_add_books_version.js ===
+
+/**
+ * Adds the version of each book, which identifies its ETag
+ * Every write to a column of the book moves it to the next version, whichever route makes it
+ * The full-text index is only synced when an indexed column changes, so that moving to the next version
+ *  does not sync it a second time, with values it already holds
+ */
+module.exports = {
+    up: `
+        ALTER TABLE books ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+
+        DROP TRIGGER books_fts_after_update;
+        CREATE TRIGGER books_fts_after_update AFTER UPDATE OF title, author, genre ON books BEGIN
+            INSERT INTO books_fts (books_fts, rowid, title, author, genre) VALUES ('delete', old.id, old.title, old.author, old.genre);
+            INSERT INTO books_fts (rowid, title, author, genre) VALUES (new.id, new.title, new.author, new.genre);
+        END;
+
+        CREATE TRIGGER books_version_after_update AFTER UPDATE OF title, author, price, genre, genre_id, in_stock, isbn ON books BEGIN
+            UPDATE books SET version = old.version + 1 WHERE id = new.id;
+        END;
+    `,
+    down: `
+        DROP TRIGGER books_version_after_update;
+
+        DROP TRIGGER books_fts_after_update;
+        CREATE TRIGGER books_fts_after_update AFTER UPDATE ON books BEGIN
+            INSERT INTO books_fts (books_fts, rowid, title, author, genre) VALUES ('delete', old.id, old.title, old.author, old.genre);
+            INSERT INTO books_fts (rowid, title, author, genre) VALUES (new.id, new.title, new.author, new.genre);
+        END;
+
+        ALTER TABLE books DROP COLUMN version;
+    `
+};
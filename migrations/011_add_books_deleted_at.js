@@ -0,0 +1,17 @@
+// === FILE: migrations/011_add_books_deleted_at.js ===
+
+/**
+ * Adds the time each book was moved to the trash; a book is live while 'deleted_at' is null
+ * A trashed book keeps its row, its authors, its stock movements and its ISBN until it is purged
+ */
+module.exports = {
+    up: `
+        ALTER TABLE books ADD COLUMN deleted_at TEXT;
+
+        CREATE INDEX books_deleted_at ON books (deleted_at);
+    `,
+    down: `
+        DROP INDEX books_deleted_at;
+        ALTER TABLE books DROP COLUMN deleted_at;
+    `
+};
@@ -0,0 +1,26 @@
+// === FILE: migrations/012_create_audit_log.js ===
+
+/**
+ * Creates the audit log of the changes made to the books: who made each change, when, in which request,
+ *  and the value of every changed field before and after it
+ * An entry is not tied to its book by a foreign key, so the history of a book outlives it
+ */
+module.exports = {
+    up: `
+        CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        book_id INTEGER NOT NULL,
+        action TEXT NOT NULL CHECK (action IN ('insert', 'update', 'delete', 'restore', 'purge', 'revert')),
+        changes TEXT NOT NULL,
+        api_key_id INTEGER,
+        actor TEXT,
+        request_id TEXT,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX audit_log_book_id ON audit_log (book_id);
+    `,
+    down: `
+        DROP TABLE audit_log;
+    `
+};
@@ -0,0 +1,40 @@
+// === FILE: migrations/013_create_webhooks.js ===
+
+/**
+ * Creates the webhook subscriptions, each posting the events it names to its URL, signed with its secret,
+ *  and the log of their deliveries
+ * A delivery stays pending until its URL accepts it or it runs out of attempts; the deliveries of a subscription
+ *  are deleted with it
+ */
+module.exports = {
+    up: `
+        CREATE TABLE webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        events TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        error TEXT,
+        next_attempt_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        last_attempt_at TEXT,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX webhook_deliveries_webhook_id ON webhook_deliveries (webhook_id);
+        CREATE INDEX webhook_deliveries_pending ON webhook_deliveries (status, next_attempt_at);
+    `,
+    down: `
+        DROP TABLE webhook_deliveries;
+        DROP TABLE webhooks;
+    `
+};
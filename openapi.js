@@ -0,0 +1,1060 @@
+// === FILE: openapi.js ===
+const express = require('express');
+const swaggerUiDist = require('swagger-ui-dist');
+const {bookSchema, genreSchema, authorSchema, stockAdjustmentSchema, orderSchema, orderStatusSchema, customerSchema, addressSchema,
+  apiKeySchema, stockReasons, orderTransitions, addressFields, apiKeyRoles, maxImportRows, auditActions, revertSchema, webhookSchema,
+  webhookEvents, webhookDeliveryStatuses, pagingSchema, bookQuerySchema, searchQuerySchema, lowStockQuerySchema, exportQuerySchema,
+  importQuerySchema, changesQuerySchema, authorQuerySchema, orderQuerySchema, customerQuerySchema, auditQuerySchema,
+  deliveryQuerySchema} = require('./lib');
+const {problemTypes} = require('./problems');
+const router = express.Router();
+
+/**
+ * Converts a schema of 'lib.js' into the JSON Schema of the request body it describes
+ *
+ * @param {Object} schema - the rule of each field
+ * @param {Object} options - how the body is validated
+ * - {boolean} partial - whether the body is a partial update: no field is required and the clearable fields accept null
+ * @returns {Object} - The JSON Schema of the body
+ */
+function bodySchema(schema, {partial = false} = {}) {
+  const fields = Object.keys(schema);
+  const required = fields.filter(field => schema[field].required && !partial);
+  const jsonSchema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: Object.fromEntries(fields.map(field => [field, fieldSchema(schema[field], partial)]))
+  };
+  if (required.length > 0) {
+    jsonSchema.required = required;
+  }
+  if (partial) {
+    jsonSchema.minProperties = 1;
+  }
+  return jsonSchema;
+}
+
+/**
+ * Converts the rule of one field into its JSON Schema
+ *
+ * @param {Object} rule - the field rule
+ * @param {boolean} partial - whether the field belongs to a partial update
+ * @returns {Object} - The JSON Schema of the field
+ */
+function fieldSchema(rule, partial) {
+  const jsonSchema = {};
+  const acceptsNull = rule.nullable || (partial && rule.clearable);
+  const bounds = {
+    string: ['minLength', 'maxLength'], array: ['minItems', 'maxItems'], number: ['minimum', 'maximum'], integer: ['minimum', 'maximum']
+  };
+
+  if (rule.type) {
+    jsonSchema.type = acceptsNull ? [rule.type, 'null'] : rule.type;
+  }
+  if (bounds[rule.type] && rule.min !== undefined) {
+    jsonSchema[bounds[rule.type][0]] = rule.min;
+  }
+  if (bounds[rule.type] && rule.max !== undefined) {
+    jsonSchema[bounds[rule.type][1]] = rule.max;
+  }
+  if (rule.pattern) {
+    jsonSchema.pattern = rule.pattern.source;
+  }
+  if (rule.enum) {
+    jsonSchema.enum = acceptsNull ? [...rule.enum, null] : rule.enum;
+  }
+  if (rule.oneOf) {
+    jsonSchema.oneOf = rule.oneOf.map(form => fieldSchema(form, false));
+    if (acceptsNull) {
+      jsonSchema.oneOf.push({type: 'null'});
+    }
+  }
+  if (rule.items) {
+    jsonSchema.items = fieldSchema(rule.items, false);
+  }
+  if (rule.fields) {
+    Object.assign(jsonSchema, bodySchema(rule.fields));
+  }
+  if ('default' in rule && !partial) {
+    jsonSchema.default = rule.default;
+  }
+  if (rule.description) {
+    jsonSchema.description = rule.description;
+  }
+  return jsonSchema;
+}
+
+/**
+ * Describes an object whose properties are all listed; any other property breaks the schema
+ *
+ * @param {Object} properties - the JSON Schema of each property
+ * @param {Array<string>} optional - the properties that are not always present
+ * @returns {Object} - The JSON Schema of the object
+ */
+function object(properties, optional = []) {
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required: Object.keys(properties).filter(property => !optional.includes(property)),
+    properties: properties
+  };
+}
+
+// Reference to one of the component schemas
+const ref = name => ({$ref: `#/components/schemas/${name}`});
+const nullable = type => ({type: [type, 'null']});
+
+// The properties of a book, as stored, and together with its authors
+const bookProperties = {
+  id: {type: 'integer'},
+  title: {type: 'string'},
+  author: {type: 'string', description: 'the display name of the authors of the book'},
+  price: nullable('number'),
+  genre: nullable('string'),
+  genre_id: nullable('integer'),
+  in_stock: {type: 'integer', description: 'the number of copies on hand'},
+  isbn: {...nullable('string'), description: 'the ISBN-13 of the book'},
+  version: {type: 'integer', minimum: 1, description: 'the version of the book, which its ETag names; every change moves it to the next version'},
+  deleted_at: {...nullable('string'), description: 'when the book was moved to the trash; null for a live book'}
+};
+const bookWithAuthorsProperties = {...bookProperties, authors: {type: 'array', items: ref('AuthorSummary')}};
+
+// The properties of an order, without its lines
+const orderProperties = {
+  id: {type: 'integer'},
+  customerId: nullable('integer'),
+  status: {type: 'string', enum: Object.keys(orderTransitions)},
+  total: {type: 'number', description: 'the sum of the line totals'},
+  createdAt: {type: 'string'},
+  updatedAt: {type: 'string', description: 'when the status of the order last changed'}
+};
+
+// The members of every problem, as described by RFC 7807
+const problemProperties = {
+  type: {type: 'string', enum: [...Object.keys(problemTypes), 'client-error'].map(type => `/problems/${type}`), description: 'identifies the kind of problem'},
+  title: {type: 'string', description: 'a summary of the kind of problem'},
+  status: {type: 'integer'},
+  detail: {type: 'string', description: 'a message explaining this occurrence of the problem'},
+  instance: {type: 'string', description: "the ID of the request, as a URN; it is also sent in the 'X-Request-Id' header"}
+};
+
+// The component schemas shared by the operations
+const schemas = {
+  Book: object(bookWithAuthorsProperties),
+  BookRow: object(bookProperties),
+  SearchResult: object({
+    ...bookWithAuthorsProperties,
+    snippet: {type: 'string', description: 'the best matching text, with matches wrapped in <mark></mark>'},
+    rank: {type: 'number', description: 'the relevance of the match; lower is better'}
+  }),
+  BookBody: bodySchema(bookSchema),
+  BookPatchBody: bodySchema(bookSchema, {partial: true}),
+  AuthorSummary: object({id: {type: 'integer'}, name: {type: 'string'}}),
+  Author: object({id: {type: 'integer'}, name: {type: 'string'}}),
+  AuthorBody: bodySchema(authorSchema),
+  Genre: object({id: {type: 'integer'}, name: {type: 'string'}, parentId: nullable('integer'), path: {type: 'string'}}),
+  GenreDetail: object({
+    id: {type: 'integer'}, name: {type: 'string'}, parentId: nullable('integer'), path: {type: 'string'},
+    children: {type: 'array', items: object({id: {type: 'integer'}, name: {type: 'string'}})}
+  }),
+  GenreBody: bodySchema(genreSchema),
+  StockMovement: object({
+    id: {type: 'integer'},
+    bookId: {type: 'integer'},
+    reason: {type: 'string', enum: Object.keys(stockReasons)},
+    quantity: {type: 'integer', description: 'the signed change of the stock'},
+    note: nullable('string'),
+    stockAfter: {type: 'integer', description: 'the stock on hand after the movement'},
+    createdAt: {type: 'string'}
+  }),
+  StockAdjustmentBody: bodySchema(stockAdjustmentSchema),
+  Order: object(orderProperties),
+  OrderDetail: object({
+    ...orderProperties,
+    items: {
+      type: 'array',
+      items: object({
+        id: {type: 'integer'},
+        bookId: {...nullable('integer'), description: 'null if the book has since been purged'},
+        title: {type: 'string'},
+        quantity: {type: 'integer'},
+        unitPrice: {type: 'number'},
+        lineTotal: {type: 'number'}
+      })
+    }
+  }),
+  OrderBody: bodySchema(orderSchema),
+  OrderStatusBody: bodySchema(orderStatusSchema),
+  Customer: object({
+    id: {type: 'integer'},
+    name: {type: 'string'},
+    email: {type: 'string'},
+    addresses: {
+      type: 'array',
+      items: object(Object.fromEntries(addressFields.map(field => [field, fieldSchema(addressSchema[field], false)])))
+    },
+    createdAt: {type: 'string'},
+    updatedAt: {type: 'string'}
+  }),
+  CustomerBody: bodySchema(customerSchema),
+  ApiKey: object({
+    id: {type: 'integer'},
+    name: {type: 'string'},
+    role: {type: 'string', enum: apiKeyRoles},
+    prefix: {type: 'string', description: 'the first characters of the key, to tell keys apart'},
+    createdAt: {type: 'string'},
+    revokedAt: nullable('string')
+  }),
+  NewApiKey: object({
+    id: {type: 'integer'},
+    name: {type: 'string'},
+    role: {type: 'string', enum: apiKeyRoles},
+    prefix: {type: 'string'},
+    createdAt: {type: 'string'},
+    revokedAt: {type: 'null'},
+    key: {type: 'string', description: "the API key, to be sent as 'Authorization: Bearer <key>'; it cannot be retrieved later"}
+  }),
+  ApiKeyBody: bodySchema(apiKeySchema),
+  AuditEntry: object({
+    id: {type: 'integer', description: 'the unique identifier of the entry, which names the revision of the book it produced'},
+    bookId: {type: 'integer'},
+    action: {type: 'string', enum: auditActions},
+    changes: {
+      type: 'object',
+      description: 'the value of each changed field before and after the change, by field',
+      additionalProperties: object({before: {}, after: {}})
+    },
+    apiKeyId: {...nullable('integer'), description: 'the id of the API key that made the change'},
+    actor: {...nullable('string'), description: 'the name of that API key'},
+    requestId: {...nullable('string'), description: "the ID of the request that made the change, as given in its 'X-Request-Id' header"},
+    createdAt: {type: 'string', description: 'when the change was made, in UTC'}
+  }),
+  RevertBody: bodySchema(revertSchema),
+  Webhook: object({
+    id: {type: 'integer'},
+    url: {type: 'string'},
+    events: {type: 'array', items: {type: 'string', enum: webhookEvents}},
+    createdAt: {type: 'string'}
+  }),
+  NewWebhook: object({
+    id: {type: 'integer'},
+    url: {type: 'string'},
+    events: {type: 'array', items: {type: 'string', enum: webhookEvents}},
+    createdAt: {type: 'string'},
+    secret: {type: 'string', description: "the secret the deliveries are signed with in 'X-Webhook-Signature'; it cannot be retrieved later"}
+  }),
+  WebhookBody: bodySchema(webhookSchema),
+  WebhookPatchBody: bodySchema(webhookSchema, {partial: true}),
+  WebhookDelivery: object({
+    id: {type: 'integer', description: "the unique identifier of the delivery, sent in its 'X-Webhook-Delivery' header"},
+    webhookId: {type: 'integer'},
+    event: {type: 'string', enum: webhookEvents},
+    payload: object({
+      event: {type: 'string', enum: webhookEvents},
+      bookId: {type: 'integer'},
+      book: {oneOf: [ref('Book'), {type: 'null'}], description: 'the book as it now stands; null for a deleted book'},
+      changes: {type: 'object', description: 'the value of each changed field before and after the change, as in the audit log'},
+      requestId: {...nullable('string'), description: 'the ID of the request that made the change'},
+      occurredAt: {type: 'string'}
+    }),
+    status: {type: 'string', enum: webhookDeliveryStatuses},
+    attempts: {type: 'integer', description: 'how many times the delivery was posted'},
+    responseStatus: {...nullable('integer'), description: 'the status of the last response; null when the URL could not be reached'},
+    error: {...nullable('string'), description: 'why the last attempt failed'},
+    nextAttemptAt: {...nullable('string'), description: 'when the delivery is posted next, while it is pending'},
+    lastAttemptAt: nullable('string'),
+    createdAt: {type: 'string', description: 'when the delivery was queued'}
+  }),
+  ImportBody: {
+    type: 'array', minItems: 1, maxItems: maxImportRows,
+    items: {description: 'a book, as in the body of POST /books; a row that is not valid is reported rather than rejecting the import'}
+  },
+  ImportReport: object({
+    dryRun: {type: 'boolean'},
+    total: {type: 'integer'},
+    succeeded: {type: 'integer'},
+    failed: {type: 'integer'},
+    rows: {
+      type: 'array',
+      items: object({
+        line: {type: 'integer', description: 'the line on which the row starts in a CSV, or its position in a JSON array, from 1'},
+        status: {type: 'string', enum: ['imported', 'valid', 'failed']},
+        id: {type: 'integer'},
+        errors: {type: 'array', items: {type: 'string'}}
+      }, ['id', 'errors'])
+    }
+  }),
+  Created: object({message: {type: 'string'}, id: {type: 'integer', description: 'the unique identifier of the new entry'}}),
+  Confirmation: object({message: {type: 'string'}, id: {type: 'string', description: 'the unique identifier of the entry, as given in the path'}}),
+  Problem: object(problemProperties),
+  ValidationProblem: object({
+    ...problemProperties,
+    errors: {
+      type: 'array',
+      description: 'each validation failure; absent when the body cannot be parsed',
+      items: object({field: {type: 'string', description: 'the body field or query parameter that failed'}, detail: {type: 'string'}}, ['field'])
+    }
+  }, ['errors']),
+  ConflictProblem: object({...problemProperties, id: {type: 'integer', description: 'the unique identifier of the existing entry'}}),
+  RevertConflictProblem: object({
+    ...problemProperties,
+    id: {type: 'integer', description: 'when the ISBN of the revision is held by another book, the unique identifier of that book'}
+  }, ['id'])
+};
+
+/**
+ * Describes a response with a JSON body
+ *
+ * @param {string} description - what the response means
+ * @param {Object} schema - the JSON Schema of the body
+ * @param {Object} headers - the headers of the response, if any
+ * @returns {Object} - The response object
+ */
+function jsonResponse(description, schema, headers) {
+  const response = {description: description, content: {'application/json': {schema: schema}}};
+  if (headers) {
+    response.headers = headers;
+  }
+  return response;
+}
+
+/**
+ * Describes a response with an RFC 7807 problem as its body
+ *
+ * @param {string} description - what the response means
+ * @param {string} name - the name of the component schema of the problem
+ * @param {Object} headers - the headers of the response, if any
+ * @returns {Object} - The response object
+ */
+function problemResponse(description, name = 'Problem', headers) {
+  const response = {description: description, content: {'application/problem+json': {schema: ref(name)}}};
+  if (headers) {
+    response.headers = headers;
+  }
+  return response;
+}
+
+// Headers of the responses
+const totalCountHeader = {'X-Total-Count': {description: 'the number of matching entries, across all pages', required: true, schema: {type: 'integer'}}};
+const nextPageHeaders = {
+  ...totalCountHeader,
+  Link: {description: 'the URL of the next page with rel="next", when there is one', schema: {type: 'string'}}
+};
+
+/**
+ * Describes an operation, adding the responses every route can give
+ * Every request may send an API key; with a 'role', the operation requires a key with that role or a higher one
+ *
+ * @param {Object} operation - the operation, without the shared responses
+ * - {string} role - the least privileged role allowed, if the operation requires one
+ * @returns {Object} - The operation object
+ */
+function operation({role, ...details}) {
+  const responses = {
+    ...details.responses,
+    401: problemResponse(role ? `The request does not send a valid API key` : 'The API key sent is invalid or has been revoked'),
+    429: problemResponse('Too many requests; see the RateLimit headers', 'Problem', {
+      'Retry-After': {description: 'the seconds until the budget is restored', required: true, schema: {type: 'integer'}}
+    }),
+    500: problemResponse('Internal server error - DB failure')
+  };
+  if (details.requestBody) {
+    responses[413] = problemResponse('The body is larger than the server accepts');
+  }
+  if (role) {
+    responses[403] = problemResponse(`The API key does not have the '${role}' role`);
+  }
+  const security = role ? [{bearerAuth: []}, {apiKeyHeader: []}] : [{}, {bearerAuth: []}, {apiKeyHeader: []}];
+  return {...details, security: security, responses: Object.fromEntries(Object.entries(responses).sort(([a], [b]) => a - b))};
+}
+
+// Parameters shared by the operations
+const idParameter = (description) => ({name: 'id', in: 'path', required: true, description: description, schema: {type: 'integer', minimum: 1}});
+
+/**
+ * Converts the schema of a query string of 'lib.js' into the query parameters it describes
+ *
+ * @param {Object} schema - the rule of each parameter
+ * @returns {Array<Object>} - The parameter objects
+ */
+function queryParameters(schema) {
+  return Object.entries(schema).map(([name, rule]) => {
+    const {description, ...valueSchema} = fieldSchema(rule, false);
+    const parameter = {name: name, in: 'query', description: description, schema: valueSchema};
+    return rule.required ? {...parameter, required: true} : parameter;
+  });
+}
+
+// The headers of the conditional requests and responses of a book
+const etagHeader = {ETag: {description: 'the version of the book, e.g. \'"3"\'', required: true, schema: {type: 'string'}}};
+const ifNoneMatchParameter = {
+  name: 'If-None-Match', in: 'header', description: 'the ETag of a version of the book the client holds; while it is current, the book is not sent again',
+  schema: {type: 'string'}
+};
+const ifMatchParameter = {
+  name: 'If-Match', in: 'header',
+  description: "the ETags of the versions of the book the change may replace, or '*'; required when REQUIRE_IF_MATCH is on",
+  schema: {type: 'string'}
+};
+const conditionalResponses = {
+  412: problemResponse("The book is no longer at a version sent in 'If-Match'"),
+  428: problemResponse("The request does not send an 'If-Match' header, while REQUIRE_IF_MATCH is on")
+};
+const notModified = {description: "Not Modified, the book is still at the version sent in 'If-None-Match'"};
+
+/**
+ * Describes a JSON request body
+ *
+ * @param {string} name - the name of the component schema of the body
+ * @returns {Object} - The request body object
+ */
+function jsonBody(name) {
+  return {required: true, content: {'application/json': {schema: ref(name)}}};
+}
+
+// Responses shared by the operations
+const invalid = (description = 'Input validation failure, or a body that is not valid JSON') => problemResponse(description, 'ValidationProblem');
+const notFound = (what) => problemResponse(`${what} with specified ID not found`);
+
+// Every route of the API
+const paths = {
+  '/books': {
+    get: operation({
+      tags: ['Books'],
+      summary: 'Get a page of books, optionally filtered and sorted',
+      parameters: queryParameters(bookQuerySchema),
+      responses: {
+        200: jsonResponse('OK, returns the requested page of books', {type: 'array', items: ref('Book')}, nextPageHeaders),
+        400: invalid()
+      }
+    }),
+    post: operation({
+      tags: ['Books'],
+      summary: 'Creates a new book',
+      role: 'editor',
+      requestBody: jsonBody('BookBody'),
+      responses: {
+        201: jsonResponse('Created, the book is created', ref('Created')),
+        400: invalid('Input validation failure, or a genre or author ID that does not exist'),
+        409: problemResponse('Another book already has the same ISBN', 'ConflictProblem')
+      }
+    })
+  },
+  '/books/search': {
+    get: operation({
+      tags: ['Books'],
+      summary: 'Full-text search over the title, author and genre of the books, best match first',
+      parameters: queryParameters(searchQuerySchema),
+      responses: {
+        200: jsonResponse('OK, returns the requested page of matching books', {type: 'array', items: ref('SearchResult')}, nextPageHeaders),
+        400: invalid()
+      }
+    })
+  },
+  '/books/isbn/{isbn}': {
+    get: operation({
+      tags: ['Books'],
+      summary: 'Get a single book by its ISBN',
+      parameters: [
+        {name: 'isbn', in: 'path', required: true, description: 'the ISBN-10 or ISBN-13, with or without hyphens', schema: {type: 'string'}},
+        ifNoneMatchParameter
+      ],
+      responses: {
+        200: jsonResponse('OK, returns the book with the specified ISBN', ref('Book'), etagHeader),
+        304: notModified,
+        400: invalid(),
+        404: problemResponse('Book with specified ISBN not found')
+      }
+    })
+  },
+  '/books/low-stock': {
+    get: operation({
+      tags: ['Inventory'],
+      summary: 'Get the books whose stock is at or below a threshold, lowest stock first',
+      parameters: queryParameters(lowStockQuerySchema),
+      responses: {
+        200: jsonResponse('OK, returns the requested page of books', {type: 'array', items: ref('BookRow')}, totalCountHeader),
+        400: invalid()
+      }
+    })
+  },
+  '/books/trash': {
+    get: operation({
+      tags: ['Trash'],
+      summary: 'Get the books in the trash, most recently trashed first',
+      parameters: queryParameters(pagingSchema),
+      responses: {
+        200: jsonResponse('OK, returns the requested page of trashed books', {type: 'array', items: ref('Book')}, totalCountHeader),
+        400: invalid()
+      }
+    })
+  },
+  '/books/trash/{id}': {
+    delete: operation({
+      tags: ['Trash'],
+      summary: 'Purges a book from the trash for good, with its credits and its stock movements',
+      role: 'admin',
+      parameters: [idParameter('the id of the trashed book')],
+      responses: {
+        200: jsonResponse('OK, the book is purged', ref('Confirmation')),
+        400: invalid(),
+        404: notFound('Book'),
+        409: problemResponse('The book is not in the trash; only trashed books can be purged')
+      }
+    })
+  },
+  '/books/export': {
+    get: operation({
+      tags: ['Catalog'],
+      summary: 'Downloads every book matching the filters, streamed from the DB; the filters and the sort are those of GET /books',
+      parameters: queryParameters(exportQuerySchema),
+      responses: {
+        200: {
+          description: 'OK, streams the matching books',
+          headers: {'Content-Disposition': {description: "an attachment named 'books-<date>.<format>'", required: true, schema: {type: 'string'}}},
+          content: {
+            'application/json': {schema: {type: 'array', items: ref('Book')}},
+            'application/x-ndjson': {schema: {type: 'string', description: 'one book per line, as in the JSON format'}},
+            'text/csv': {schema: {type: 'string', description: 'a header row, then the id, title, author, price, genre, genre_id, in_stock, isbn and version of each book'}}
+          }
+        },
+        400: invalid()
+      }
+    })
+  },
+  '/books/import': {
+    post: operation({
+      tags: ['Catalog'],
+      summary: 'Adds many books at once, from CSV or from a JSON array; the valid rows are added in one transaction',
+      role: 'editor',
+      parameters: queryParameters(importQuerySchema),
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {schema: ref('ImportBody')},
+          'text/csv': {schema: {type: 'string', description: "a header row naming the fields, then one book per row; several authors are separated by ';'"}}
+        }
+      },
+      responses: {
+        200: jsonResponse('OK, the rows are validated, for a dry run', ref('ImportReport')),
+        201: jsonResponse('Created, the valid rows are added', ref('ImportReport')),
+        400: invalid('Input validation failure, or a body that holds no rows or cannot be parsed'),
+        415: problemResponse('The body is neither CSV nor JSON')
+      }
+    })
+  },
+  '/books/{id}': {
+    get: operation({
+      tags: ['Books'],
+      summary: 'Get a single book by its ID',
+      parameters: [idParameter('the id of the book'), ifNoneMatchParameter],
+      responses: {200: jsonResponse('OK, returns the book', ref('Book'), etagHeader), 304: notModified, 400: invalid(), 404: notFound('Book')}
+    }),
+    put: operation({
+      tags: ['Books'],
+      summary: 'Updates an existing book; all its data is replaced',
+      role: 'editor',
+      parameters: [idParameter('the id of the book'), ifMatchParameter],
+      requestBody: jsonBody('BookBody'),
+      responses: {
+        201: jsonResponse('Created, the book is updated', ref('Confirmation'), etagHeader),
+        400: invalid('Input validation failure, or a genre or author ID that does not exist'),
+        404: notFound('Book'),
+        409: problemResponse('Another book already has the same ISBN', 'ConflictProblem'),
+        ...conditionalResponses
+      }
+    }),
+    patch: operation({
+      tags: ['Books'],
+      summary: 'Partially updates an existing book; only the fields sent are updated',
+      role: 'editor',
+      parameters: [idParameter('the id of the book'), ifMatchParameter],
+      requestBody: jsonBody('BookPatchBody'),
+      responses: {
+        200: jsonResponse('OK, returns the updated book', ref('Book'), etagHeader),
+        400: invalid('Input validation failure, or a genre or author ID that does not exist'),
+        404: notFound('Book'),
+        409: problemResponse('Another book already has the same ISBN', 'ConflictProblem'),
+        ...conditionalResponses
+      }
+    }),
+    delete: operation({
+      tags: ['Books'],
+      summary: 'Moves an existing book to the trash, hiding it from every read until it is restored',
+      role: 'admin',
+      parameters: [idParameter('the id of the book'), ifMatchParameter],
+      responses: {200: jsonResponse('OK, the book is moved to the trash', ref('Confirmation')), 400: invalid(), 404: notFound('Book'), ...conditionalResponses}
+    })
+  },
+  '/books/{id}/stock': {
+    post: operation({
+      tags: ['Inventory'],
+      summary: "Records a stock adjustment for a book; 'received' and 'returned' add the quantity, 'sold' and 'damaged' remove it",
+      role: 'editor',
+      parameters: [idParameter('the id of the book')],
+      requestBody: jsonBody('StockAdjustmentBody'),
+      responses: {
+        201: jsonResponse('Created, the adjustment is recorded', ref('StockMovement')),
+        400: invalid(),
+        404: notFound('Book'),
+        409: problemResponse('The adjustment would take the stock below zero')
+      }
+    })
+  },
+  '/books/{id}/restore': {
+    post: operation({
+      tags: ['Trash'],
+      summary: 'Restores a book from the trash, as it was when it was trashed',
+      role: 'editor',
+      parameters: [idParameter('the id of the trashed book')],
+      responses: {
+        200: jsonResponse('OK, returns the restored book', ref('Book'), etagHeader),
+        400: invalid(),
+        404: notFound('Book'),
+        409: problemResponse('The book is not in the trash')
+      }
+    })
+  },
+  '/books/changes': {
+    get: operation({
+      tags: ['Books'],
+      summary: "Streams the changes to the books as Server-Sent Events; a client resumes from the last event it received with 'Last-Event-ID'",
+      parameters: [
+        {
+          name: 'Last-Event-ID', in: 'header', description: 'the id of the last event the client received; sent by a reconnecting EventSource',
+          schema: {type: 'integer', minimum: 0}
+        },
+        ...queryParameters(changesQuerySchema)
+      ],
+      responses: {
+        200: {
+          description: "OK, the stream is open; each event is named 'book.created', 'book.updated' or 'book.deleted', has the id " +
+            'of the change in the audit log, and holds its audit log entry as JSON data; without a last event ID, it starts with the next change',
+          content: {'text/event-stream': {schema: {type: 'string'}}}
+        },
+        400: invalid()
+      }
+    })
+  },
+  '/books/{id}/history': {
+    get: operation({
+      tags: ['Audit'],
+      summary: 'Get the changes made to a book, newest first; a trashed or purged book keeps its history',
+      parameters: [idParameter('the id of the book'), ...queryParameters(pagingSchema)],
+      responses: {
+        200: jsonResponse('OK, returns the requested page of entries', {type: 'array', items: ref('AuditEntry')}, totalCountHeader),
+        400: invalid(),
+        404: notFound('Book')
+      }
+    })
+  },
+  '/books/{id}/revert': {
+    post: operation({
+      tags: ['Audit'],
+      summary: 'Returns a book to its title, authors, price, genre and ISBN right after one of its revisions; its stock is left as it is',
+      role: 'editor',
+      parameters: [idParameter('the id of the book'), ifMatchParameter],
+      requestBody: jsonBody('RevertBody'),
+      responses: {
+        200: jsonResponse('OK, returns the reverted book', ref('Book'), etagHeader),
+        400: invalid('Input validation failure, or a revision of another book'),
+        404: notFound('Book'),
+        409: problemResponse('The revision credits an author or genre that no longer exists, or its ISBN is now held by another book', 'RevertConflictProblem'),
+        ...conditionalResponses
+      }
+    })
+  },
+  '/books/{id}/stock/movements': {
+    get: operation({
+      tags: ['Inventory'],
+      summary: 'Get the ledger of stock movements of a book, newest first',
+      parameters: [idParameter('the id of the book'), ...queryParameters(pagingSchema)],
+      responses: {
+        200: jsonResponse('OK, returns the requested page of movements', {type: 'array', items: ref('StockMovement')}, totalCountHeader),
+        400: invalid(),
+        404: notFound('Book')
+      }
+    })
+  },
+  '/authors': {
+    get: operation({
+      tags: ['Authors'],
+      summary: 'Get a page of authors, ordered by name',
+      parameters: queryParameters(authorQuerySchema),
+      responses: {
+        200: jsonResponse('OK, returns the requested page of authors', {type: 'array', items: ref('Author')}, totalCountHeader),
+        400: invalid()
+      }
+    }),
+    post: operation({
+      tags: ['Authors'],
+      summary: 'Creates a new author',
+      role: 'editor',
+      requestBody: jsonBody('AuthorBody'),
+      responses: {
+        201: jsonResponse('Created, the author is created', ref('Created')),
+        400: invalid(),
+        409: problemResponse('An author with the same name already exists', 'ConflictProblem')
+      }
+    })
+  },
+  '/authors/{id}': {
+    get: operation({
+      tags: ['Authors'],
+      summary: 'Get a single author by its ID',
+      parameters: [idParameter('the id of the author')],
+      responses: {200: jsonResponse('OK, returns the author', ref('Author')), 400: invalid(), 404: notFound('Author')}
+    }),
+    put: operation({
+      tags: ['Authors'],
+      summary: 'Renames an existing author; the display name of each of their books is updated as well',
+      role: 'editor',
+      parameters: [idParameter('the id of the author')],
+      requestBody: jsonBody('AuthorBody'),
+      responses: {
+        201: jsonResponse('Created, the author is updated', ref('Confirmation')),
+        400: invalid(),
+        404: notFound('Author'),
+        409: problemResponse('Another author already has the same name', 'ConflictProblem')
+      }
+    }),
+    delete: operation({
+      tags: ['Authors'],
+      summary: 'Deletes an existing author who is no longer credited on any book',
+      role: 'admin',
+      parameters: [idParameter('the id of the author')],
+      responses: {
+        200: jsonResponse('OK, the author is deleted', ref('Confirmation')),
+        400: invalid(),
+        404: notFound('Author'),
+        409: problemResponse('The author is still credited on books')
+      }
+    })
+  },
+  '/authors/{id}/books': {
+    get: operation({
+      tags: ['Authors'],
+      summary: 'Get every book the author wrote or co-wrote, ordered by title',
+      parameters: [idParameter('the id of the author')],
+      responses: {200: jsonResponse('OK, returns the books of the author', {type: 'array', items: ref('Book')}), 400: invalid(), 404: notFound('Author')}
+    })
+  },
+  '/genres': {
+    get: operation({
+      tags: ['Genres'],
+      summary: 'Get every genre, ordered by path so that subgenres follow their parent',
+      responses: {200: jsonResponse('OK, returns all genres', {type: 'array', items: ref('Genre')})}
+    }),
+    post: operation({
+      tags: ['Genres'],
+      summary: 'Creates a new genre, optionally as a subgenre of an existing genre',
+      role: 'editor',
+      requestBody: jsonBody('GenreBody'),
+      responses: {
+        201: jsonResponse('Created, the genre is created', ref('Created')),
+        400: invalid('Input validation failure, or a parent genre that does not exist'),
+        409: problemResponse('A genre with the same name already exists', 'ConflictProblem')
+      }
+    })
+  },
+  '/genres/{id}': {
+    get: operation({
+      tags: ['Genres'],
+      summary: 'Get a single genre by its ID, with its direct subgenres',
+      parameters: [idParameter('the id of the genre')],
+      responses: {200: jsonResponse('OK, returns the genre', ref('GenreDetail')), 400: invalid(), 404: notFound('Genre')}
+    }),
+    put: operation({
+      tags: ['Genres'],
+      summary: 'Renames or moves an existing genre; the genre name of each of its books is updated as well',
+      role: 'editor',
+      parameters: [idParameter('the id of the genre')],
+      requestBody: jsonBody('GenreBody'),
+      responses: {
+        201: jsonResponse('Created, the genre is updated', ref('Confirmation')),
+        400: invalid('Input validation failure, or a parent genre that does not exist or would create a cycle'),
+        404: notFound('Genre'),
+        409: problemResponse('Another genre already has the same name', 'ConflictProblem')
+      }
+    }),
+    delete: operation({
+      tags: ['Genres'],
+      summary: 'Deletes an existing genre that has no subgenres and no books',
+      role: 'admin',
+      parameters: [idParameter('the id of the genre')],
+      responses: {
+        200: jsonResponse('OK, the genre is deleted', ref('Confirmation')),
+        400: invalid(),
+        404: notFound('Genre'),
+        409: problemResponse('The genre still has subgenres or books')
+      }
+    })
+  },
+  '/orders': {
+    get: operation({
+      tags: ['Orders'],
+      summary: 'Get a page of orders, newest first, without their lines',
+      parameters: queryParameters(orderQuerySchema),
+      responses: {
+        200: jsonResponse('OK, returns the requested page of orders', {type: 'array', items: ref('Order')}, totalCountHeader),
+        400: invalid()
+      }
+    }),
+    post: operation({
+      tags: ['Orders'],
+      summary: 'Places a new, pending order in one transaction; the price of each book is captured when the order is placed',
+      role: 'editor',
+      requestBody: jsonBody('OrderBody'),
+      responses: {
+        201: jsonResponse('Created, the order is placed', ref('OrderDetail')),
+        400: invalid('Input validation failure, a book that does not exist or has no price, or a customer that does not exist')
+      }
+    })
+  },
+  '/orders/{id}': {
+    get: operation({
+      tags: ['Orders'],
+      summary: 'Get a single order by its ID, with its lines',
+      parameters: [idParameter('the id of the order')],
+      responses: {200: jsonResponse('OK, returns the order', ref('OrderDetail')), 400: invalid(), 404: notFound('Order')}
+    }),
+    patch: operation({
+      tags: ['Orders'],
+      summary: 'Moves an order along its status lifecycle: pending to paid or cancelled, paid to shipped or cancelled',
+      role: 'editor',
+      parameters: [idParameter('the id of the order')],
+      requestBody: jsonBody('OrderStatusBody'),
+      responses: {
+        200: jsonResponse('OK, the status is changed', ref('OrderDetail')),
+        400: invalid(),
+        404: notFound('Order'),
+        409: problemResponse('The order cannot move from its current status to the new one')
+      }
+    })
+  },
+  '/customers': {
+    get: operation({
+      tags: ['Customers'],
+      summary: 'Get a page of customers, ordered by name',
+      parameters: queryParameters(customerQuerySchema),
+      responses: {
+        200: jsonResponse('OK, returns the requested page of customers', {type: 'array', items: ref('Customer')}, totalCountHeader),
+        400: invalid()
+      }
+    }),
+    post: operation({
+      tags: ['Customers'],
+      summary: 'Creates a new customer',
+      role: 'editor',
+      requestBody: jsonBody('CustomerBody'),
+      responses: {
+        201: jsonResponse('Created, the customer is created', ref('Created')),
+        400: invalid(),
+        409: problemResponse('A customer with the same email address already exists', 'ConflictProblem')
+      }
+    })
+  },
+  '/customers/{id}': {
+    get: operation({
+      tags: ['Customers'],
+      summary: 'Get a single customer by its ID',
+      parameters: [idParameter('the id of the customer')],
+      responses: {200: jsonResponse('OK, returns the customer', ref('Customer')), 400: invalid(), 404: notFound('Customer')}
+    }),
+    put: operation({
+      tags: ['Customers'],
+      summary: 'Replaces an existing customer; addresses that are not sent are removed',
+      role: 'editor',
+      parameters: [idParameter('the id of the customer')],
+      requestBody: jsonBody('CustomerBody'),
+      responses: {
+        201: jsonResponse('Created, the customer is updated', ref('Confirmation')),
+        400: invalid(),
+        404: notFound('Customer'),
+        409: problemResponse('Another customer already has the same email address', 'ConflictProblem')
+      }
+    }),
+    delete: operation({
+      tags: ['Customers'],
+      summary: 'Deletes an existing customer who has placed no orders',
+      role: 'admin',
+      parameters: [idParameter('the id of the customer')],
+      responses: {
+        200: jsonResponse('OK, the customer is deleted', ref('Confirmation')),
+        400: invalid(),
+        404: notFound('Customer'),
+        409: problemResponse('The customer has placed orders')
+      }
+    })
+  },
+  '/audit': {
+    get: operation({
+      tags: ['Audit'],
+      summary: 'Get a page of the audit log of the books, newest first',
+      parameters: queryParameters(auditQuerySchema),
+      responses: {
+        200: jsonResponse('OK, returns the requested page of entries', {type: 'array', items: ref('AuditEntry')}, totalCountHeader),
+        400: invalid()
+      }
+    })
+  },
+  '/webhooks': {
+    get: operation({
+      tags: ['Webhooks'],
+      summary: 'Get every webhook subscription',
+      role: 'admin',
+      responses: {200: jsonResponse('OK, returns the subscriptions', {type: 'array', items: ref('Webhook')})}
+    }),
+    post: operation({
+      tags: ['Webhooks'],
+      summary: "Creates a new webhook subscription; its deliveries are signed with its secret, which is only returned by this request",
+      role: 'admin',
+      requestBody: jsonBody('WebhookBody'),
+      responses: {201: jsonResponse('Created, the subscription is created', ref('NewWebhook')), 400: invalid()}
+    })
+  },
+  '/webhooks/{id}': {
+    get: operation({
+      tags: ['Webhooks'],
+      summary: 'Get a webhook subscription by ID',
+      role: 'admin',
+      parameters: [idParameter('the id of the subscription')],
+      responses: {200: jsonResponse('OK, returns the subscription', ref('Webhook')), 400: invalid(), 404: notFound('Webhook')}
+    }),
+    patch: operation({
+      tags: ['Webhooks'],
+      summary: 'Partially updates a webhook subscription; only the fields sent are updated',
+      role: 'admin',
+      parameters: [idParameter('the id of the subscription')],
+      requestBody: jsonBody('WebhookPatchBody'),
+      responses: {200: jsonResponse('OK, returns the updated subscription', ref('Webhook')), 400: invalid(), 404: notFound('Webhook')}
+    }),
+    delete: operation({
+      tags: ['Webhooks'],
+      summary: 'Deletes a webhook subscription, with its deliveries',
+      role: 'admin',
+      parameters: [idParameter('the id of the subscription')],
+      responses: {200: jsonResponse('OK, the subscription is deleted', ref('Confirmation')), 400: invalid(), 404: notFound('Webhook')}
+    })
+  },
+  '/webhooks/{id}/deliveries': {
+    get: operation({
+      tags: ['Webhooks'],
+      summary: 'Get the deliveries of a webhook subscription, newest first',
+      role: 'admin',
+      parameters: [
+        idParameter('the id of the subscription'),
+        ...queryParameters(deliveryQuerySchema)
+      ],
+      responses: {
+        200: jsonResponse('OK, returns the requested page of deliveries', {type: 'array', items: ref('WebhookDelivery')}, totalCountHeader),
+        400: invalid(),
+        404: notFound('Webhook')
+      }
+    })
+  },
+  '/api-keys': {
+    get: operation({
+      tags: ['API keys'],
+      summary: 'Get every API key, including revoked ones; the keys themselves are never returned',
+      role: 'admin',
+      responses: {200: jsonResponse('OK, returns the API keys', {type: 'array', items: ref('ApiKey')})}
+    }),
+    post: operation({
+      tags: ['API keys'],
+      summary: 'Creates a new API key; the key is only returned by this request',
+      role: 'admin',
+      requestBody: jsonBody('ApiKeyBody'),
+      responses: {201: jsonResponse('Created, the key is created', ref('NewApiKey')), 400: invalid()}
+    })
+  },
+  '/api-keys/{id}': {
+    delete: operation({
+      tags: ['API keys'],
+      summary: 'Revokes an API key; it stops working immediately, and stays listed',
+      role: 'admin',
+      parameters: [idParameter('the id of the key')],
+      responses: {
+        200: jsonResponse('OK, the key is revoked', ref('Confirmation')),
+        400: invalid(),
+        404: problemResponse('API key with specified ID not found, or already revoked')
+      }
+    })
+  },
+  '/openapi.json': {
+    get: operation({
+      tags: ['Docs'],
+      summary: 'Get this OpenAPI document',
+      responses: {200: jsonResponse('OK, returns the OpenAPI document', {type: 'object'})}
+    })
+  },
+  '/docs': {
+    get: operation({
+      tags: ['Docs'],
+      summary: 'Browse this OpenAPI document in Swagger UI',
+      responses: {200: {description: 'OK, returns the Swagger UI page', content: {'text/html': {schema: {type: 'string'}}}}}
+    })
+  }
+};
+
+// The OpenAPI document of the API
+const openApiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Bookstore API',
+    version: require('./package.json').version,
+    description: 'Reads are open to everyone; other requests need an API key whose role allows them. ' +
+      'Every response carries the RateLimit headers of the client.'
+  },
+  tags: ['Books', 'Catalog', 'Inventory', 'Trash', 'Audit', 'Authors', 'Genres', 'Orders', 'Customers', 'Webhooks', 'API keys', 'Docs'].map(name => ({name: name})),
+  paths: paths,
+  components: {
+    schemas: schemas,
+    securitySchemes: {
+      bearerAuth: {type: 'http', scheme: 'bearer', description: "an API key, sent as 'Authorization: Bearer <key>'"},
+      apiKeyHeader: {type: 'apiKey', in: 'header', name: 'X-API-Key', description: "an API key, sent as 'X-API-Key: <key>'"}
+    }
+  }
+};
+
+/**
+ * GET /openapi.json
+ * Get the OpenAPI document describing every route of the API
+ *
+ * @response 200 - OK, returns the OpenAPI 3.1 document
+ */
+router.get('/openapi.json', (req, res) => {
+  return res.json(openApiDocument);
+});
+
+/**
+ * GET /docs
+ * Browse the OpenAPI document in Swagger UI; its scripts and styles are served by the app, so no network access is needed
+ *
+ * @response 200 - OK, returns the Swagger UI page
+ */
+router.get('/docs', (req, res) => {
+  const base = `${req.baseUrl}/docs`;
+  return res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Bookstore API</title>
+  <link rel="stylesheet" href="${base}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${base}/swagger-ui-bundle.js"></script>
+  <script>SwaggerUIBundle({url: '${req.baseUrl}/openapi.json', dom_id: '#swagger-ui'});</script>
+</body>
+</html>
+`);
+});
+
+// The scripts and styles of Swagger UI
+router.use('/docs', express.static(swaggerUiDist.getAbsoluteFSPath(), {index: false}));
+
+module.exports = {
+  router,
+  openApiDocument
+};
@@ -0,0 +1,405 @@
+// === FILE: openapi.test.js ===
+/**
+ * @file openapi.test.js
+ * @description The test suite for the OpenAPI document of the Bookstore API; it fails when a route drifts from its description
+ *
+ * Endpoints covered:
+ * - GET /openapi.json
+ * - GET /docs
+ * - Every route of the app, whose responses are checked against the document
+ */
+const request = require('supertest');
+const Ajv2020 = require('ajv/dist/2020');
+const app = require('./index');
+const {getDb, initializeDb} = require('./database');
+const {createApiKey} = require('./auth');
+const {openApiDocument} = require('./openapi');
+
+let db;
+
+// API keys of each role, created before the tests
+const keys = {};
+let auth;
+
+// Validates bodies against the schemas of the document, which is added whole so that its references resolve
+const ajv = new Ajv2020({strict: false, allErrors: true});
+ajv.addSchema(openApiDocument, 'openapi.json');
+const validators = {};
+
+// The operations the requests below went through, as 'METHOD /path'
+const exercised = new Set();
+
+/**
+ * Validates a value against the schema at a JSON pointer of the document
+ *
+ * @param {Array<string>} pointer - the segments of the pointer
+ * @param {*} value - the value to validate
+ * @returns {string|null} - The validation errors, or null if the value is valid
+ */
+function schemaErrors(pointer, value) {
+  const ref = `openapi.json#/${pointer.map(segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('/')}`;
+  validators[ref] = validators[ref] ?? ajv.compile({$ref: ref});
+  return validators[ref](value) ? null : ajv.errorsText(validators[ref].errors);
+}
+
+/**
+ * Finds the path of the document a request path falls under; fixed segments win over parameters
+ *
+ * @param {string} path - the request path, without its query
+ * @returns {string|undefined} - The path template of the document
+ */
+function findTemplate(path) {
+  return Object.keys(openApiDocument.paths)
+    .filter(template => new RegExp(`^${template.replace(/\{[^}]+\}/g, '[^/]+')}$`).test(path))
+    .sort((a, b) => (a.match(/\{/g) ?? []).length - (b.match(/\{/g) ?? []).length)[0];
+}
+
+/**
+ * Sends a request and checks that the document describes its response: the status, the content type, the required
+ * headers and the body; the body of a successful request must also match the documented request body
+ *
+ * @param {string} method - the HTTP method, in lower case
+ * @param {string} url - the path and query
+ * @param {Object} options - the request
+ * - {*} body - the body to send, if any
+ * - {string} type - the Content-Type of the body (default: JSON)
+ * - {Object} headers - the headers to send (default: those of the admin key)
+ * @returns {Promise<Object>} - The response
+ */
+async function call(method, url, {body, type, headers = auth} = {}) {
+  let req = request(app)[method](url).set(headers);
+  if (type) {
+    req = req.set('Content-Type', type);
+  }
+  const res = body === undefined ? await req : await req.send(body);
+
+  const template = findTemplate(url.split('?')[0]);
+  const operation = openApiDocument.paths[template]?.[method];
+  if (!operation) {
+    throw new Error(`${method.toUpperCase()} ${url} is not documented`);
+  }
+  const name = `${method.toUpperCase()} ${template}`;
+  exercised.add(name);
+
+  const response = operation.responses[res.statusCode];
+  if (!response) {
+    throw new Error(`${name} answered ${res.statusCode}, which is not documented: ${JSON.stringify(res.body)}`);
+  }
+  for (const [header, {required}] of Object.entries(response.headers ?? {})) {
+    if (required && res.headers[header.toLowerCase()] === undefined) {
+      throw new Error(`${name} answered ${res.statusCode} without the '${header}' header`);
+    }
+  }
+  const contentType = res.headers['content-type']?.split(';')[0];
+  if (response.content ? !response.content[contentType] : contentType !== undefined) {
+    throw new Error(`${name} answered ${res.statusCode} with '${contentType}', which is not documented`);
+  }
+  if (/^application\/(problem\+)?json$/.test(contentType)) {
+    const errors = schemaErrors(['paths', template, method, 'responses', res.statusCode, 'content', contentType, 'schema'], res.body);
+    if (errors) {
+      throw new Error(`${name} answered ${res.statusCode} with a body that does not match the document: ${errors}`);
+    }
+  }
+  if (res.statusCode < 300 && operation.requestBody?.content['application/json'] && !type) {
+    const errors = schemaErrors(['paths', template, method, 'requestBody', 'content', 'application/json', 'schema'], body);
+    if (errors) {
+      throw new Error(`${name} accepted a body that does not match the document: ${errors}`);
+    }
+  }
+  return res;
+}
+
+/**
+ * Lists the routes of an Express router and of the routers mounted on it
+ *
+ * @param {Array<Object>} stack - the layers of the router
+ * @param {string} prefix - the path the router is mounted on
+ * @returns {Array<string>} - The routes, as 'METHOD /path' with the parameters written as in OpenAPI
+ */
+function listRoutes(stack, prefix = '') {
+  return stack.flatMap(layer => {
+    if (layer.route) {
+      const path = `${prefix}${layer.route.path}`.replace(/:(\w+)/g, '{$1}').replace(/(.)\/$/, '$1');
+      return Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${path}`);
+    }
+    if (layer.name === 'router') {
+      const mountPath = layer.regexp.fast_slash ? '' : layer.regexp.source.replace(/^\^/, '').replace(/\\\/\?\(\?=\\\/\|\$\)$/, '').replace(/\\\//g, '/');
+      return listRoutes(layer.handle.stack, `${prefix}${mountPath}`);
+    }
+    return [];
+  });
+}
+
+describe('Bookstore API - OpenAPI', () => {
+
+  // Executes before any test; connects to a fresh in-memory DB and creates a key of each role
+  beforeAll(async () => {
+    await initializeDb();
+    db = getDb();
+    for (const role of ['reader', 'admin']) {
+      keys[role] = await createApiKey(`${role} key`, role).then(apiKey => ({Authorization: `Bearer ${apiKey.key}`}));
+    }
+    auth = keys.admin;
+  });
+
+  // Closes the DB connection after all tests execute
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('GET /openapi.json - Describes every route of the app, and nothing else', async () => {
+    const res = await call('get', '/openapi.json');
+    const documented = Object.entries(res.body.paths).flatMap(([path, operations]) => Object.keys(operations).map(method => `${method.toUpperCase()} ${path}`));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.openapi).toBe('3.1.0');
+    expect(res.body).toStrictEqual(JSON.parse(JSON.stringify(openApiDocument)));
+    expect(documented.sort()).toStrictEqual([...new Set(listRoutes(app._router.stack))].sort());
+  });
+
+  test('GET /docs - Serves Swagger UI with its own scripts and styles, so no network access is needed', async () => {
+    const res = await call('get', '/docs');
+    const assets = [...res.text.matchAll(/(?:src|href)="([^"]+)"/g)].map(match => match[1]);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.text).not.toMatch(/https?:\/\//);
+    expect(assets).toStrictEqual(['/docs/swagger-ui.css', '/docs/swagger-ui-bundle.js']);
+    for (const asset of assets) {
+      expect((await request(app).get(asset)).statusCode).toBe(200);
+    }
+  });
+
+  test('Books - The responses match the document', async () => {
+    const genre = await call('post', '/genres', {body: {name: 'Fantasy'}});
+    const hobbit = await call('post', '/books', {body: {title: 'The Hobbit', author: 'J.R.R. Tolkien', price: 15, genre: 'Fantasy', isbn: '0-261-10334-2'}});
+    const omens = await call('post', '/books', {body: {title: 'Good Omens', author: ['Terry Pratchett', 'Neil Gaiman'], price: 12.5}});
+    expect(genre.statusCode).toBe(201);
+    expect(hobbit.statusCode).toBe(201);
+
+    expect((await call('post', '/books', {body: {title: 'Dupe', author: 'Somebody', isbn: '9780261103344'}})).statusCode).toBe(409);
+    expect((await call('post', '/books', {body: {title: 'Title', author: 'Author', publisher: 'Somebody'}})).statusCode).toBe(400);
+    expect((await call('post', '/books', {body: {title: 'Title', author: 'Author'}, headers: {}})).statusCode).toBe(401);
+    expect((await call('post', '/books', {body: {title: 'Title', author: 'Author'}, headers: keys.reader})).statusCode).toBe(403);
+
+    expect((await call('get', '/books?limit=1')).headers.link).toBeDefined();
+    expect((await call('get', '/books?genre=fantasy&sort=price&order=desc')).body).toHaveLength(1);
+    expect((await call('get', '/books?limit=0')).statusCode).toBe(400);
+    expect((await call('get', '/books', {headers: {Authorization: 'Bearer bk_unknown'}})).statusCode).toBe(401);
+    expect((await call('get', '/books/search?q=hobb')).body).toHaveLength(1);
+    expect((await call('get', '/books/search')).statusCode).toBe(400);
+    expect((await call('get', '/books/isbn/0261103342')).statusCode).toBe(200);
+    expect((await call('get', '/books/isbn/9780441013593')).statusCode).toBe(404);
+    expect((await call('get', '/books/isbn/123')).statusCode).toBe(400);
+
+    expect((await call('get', `/books/${hobbit.body.id}`)).statusCode).toBe(200);
+    expect((await call('get', '/books/abc')).statusCode).toBe(400);
+    expect((await call('get', '/books/999')).statusCode).toBe(404);
+    expect((await call('put', `/books/${omens.body.id}`, {body: {title: 'Good Omens', author: [2, 'Neil Gaiman'], price: 12.5}})).statusCode).toBe(201);
+    expect((await call('put', `/books/${omens.body.id}`, {body: {title: 'Good Omens', author: 'Nobody', isbn: '0261103342'}})).statusCode).toBe(409);
+    expect((await call('put', '/books/999', {body: {title: 'Title', author: 'Author'}})).statusCode).toBe(404);
+    expect((await call('put', '/books/1', {body: {title: 'Title'}})).statusCode).toBe(400);
+    expect((await call('patch', `/books/${omens.body.id}`, {body: {price: null, isbn: '9780441013593'}})).statusCode).toBe(200);
+    expect((await call('patch', `/books/${omens.body.id}`, {body: {isbn: '9780261103344'}})).statusCode).toBe(409);
+    expect((await call('patch', `/books/${omens.body.id}`, {body: {}})).statusCode).toBe(400);
+    expect((await call('patch', '/books/999', {body: {title: 'Title'}})).statusCode).toBe(404);
+
+    const current = await call('get', `/books/${hobbit.body.id}`);
+    const isbnCurrent = await call('get', '/books/isbn/0261103342', {headers: {'If-None-Match': current.headers.etag}});
+    expect((await call('get', `/books/${hobbit.body.id}`, {headers: {'If-None-Match': current.headers.etag}})).statusCode).toBe(304);
+    expect(isbnCurrent.statusCode).toBe(304);
+    expect((await call('patch', `/books/${hobbit.body.id}`, {body: {price: 16}, headers: {...auth, 'If-Match': current.headers.etag}})).statusCode).toBe(200);
+    expect((await call('put', `/books/${hobbit.body.id}`, {body: {title: 'The Hobbit', author: 1}, headers: {...auth, 'If-Match': current.headers.etag}})).statusCode).toBe(412);
+    app.set('requireIfMatch', true);
+    const unconditional = await call('delete', `/books/${hobbit.body.id}`);
+    app.set('requireIfMatch', false);
+    expect(unconditional.statusCode).toBe(428);
+
+    expect((await call('post', '/books', {body: {title: 'Unknown Author', author: 99}})).statusCode).toBe(400);
+    const removable = await call('post', '/books', {body: {title: 'Removable', author: 'Somebody'}});
+    expect((await call('delete', `/books/${removable.body.id}`)).statusCode).toBe(200);
+    expect((await call('delete', `/books/${removable.body.id}`)).statusCode).toBe(404);
+    expect((await call('delete', '/books/abc')).statusCode).toBe(400);
+  });
+
+  test('Change feed - The responses match the document', async () => {
+    expect((await call('get', '/books/changes?lastEventId=-1')).statusCode).toBe(400);
+  });
+
+  test('Trash - The responses match the document', async () => {
+    const trash = await call('get', '/books/trash');
+    const id = trash.body[0].id;
+    expect(trash.body).toHaveLength(1);
+    expect((await call('get', '/books/trash?limit=0')).statusCode).toBe(400);
+
+    expect((await call('post', `/books/${id}/restore`)).statusCode).toBe(200);
+    expect((await call('post', `/books/${id}/restore`)).statusCode).toBe(409);
+    expect((await call('post', '/books/999/restore')).statusCode).toBe(404);
+    expect((await call('post', '/books/abc/restore')).statusCode).toBe(400);
+    expect((await call('post', `/books/${id}/restore`, {headers: keys.reader})).statusCode).toBe(403);
+
+    expect((await call('delete', `/books/trash/${id}`)).statusCode).toBe(409);
+    expect((await call('delete', `/books/${id}`)).statusCode).toBe(200);
+    expect((await call('delete', `/books/trash/${id}`, {headers: keys.reader})).statusCode).toBe(403);
+    expect((await call('delete', `/books/trash/${id}`)).statusCode).toBe(200);
+    expect((await call('delete', `/books/trash/${id}`)).statusCode).toBe(404);
+    expect((await call('delete', '/books/trash/abc')).statusCode).toBe(400);
+  });
+
+  test('Audit - The responses match the document', async () => {
+    const history = await call('get', '/books/1/history');
+    const inserted = history.body[history.body.length - 1].id;
+    expect(history.body.length).toBeGreaterThan(1);
+    expect((await call('get', '/books/999/history')).statusCode).toBe(404);
+    expect((await call('get', '/books/abc/history')).statusCode).toBe(400);
+
+    expect((await call('post', '/books/1/revert', {body: {revision: inserted}})).statusCode).toBe(200);
+    expect((await call('post', '/books/1/revert', {body: {revision: 'first'}})).statusCode).toBe(400);
+    expect((await call('post', '/books/999/revert', {body: {revision: inserted}})).statusCode).toBe(404);
+
+    expect((await call('get', '/audit?action=revert&bookId=1')).body).toHaveLength(1);
+    expect((await call('get', '/audit?action=rename')).statusCode).toBe(400);
+  });
+
+  test('Inventory - The responses match the document', async () => {
+    expect((await call('post', '/books/1/stock', {body: {reason: 'received', quantity: 3, note: 'Delivery 1'}})).statusCode).toBe(201);
+    expect((await call('post', '/books/1/stock', {body: {reason: 'sold', quantity: 10}})).statusCode).toBe(409);
+    expect((await call('post', '/books/1/stock', {body: {reason: 'lost', quantity: 1}})).statusCode).toBe(400);
+    expect((await call('post', '/books/999/stock', {body: {reason: 'sold', quantity: 1}})).statusCode).toBe(404);
+    expect((await call('get', '/books/1/stock/movements')).body).toHaveLength(1);
+    expect((await call('get', '/books/1/stock/movements?offset=-1')).statusCode).toBe(400);
+    expect((await call('get', '/books/999/stock/movements')).statusCode).toBe(404);
+    expect((await call('get', '/books/low-stock?threshold=5')).body).toHaveLength(2);
+    expect((await call('get', '/books/low-stock?threshold=low')).statusCode).toBe(400);
+  });
+
+  test('Catalog - The responses match the document', async () => {
+    const csv = await call('get', '/books/export?format=csv');
+    expect(csv.statusCode).toBe(200);
+    expect((await call('get', '/books/export?format=ndjson')).statusCode).toBe(200);
+    expect((await call('get', '/books/export')).body).toHaveLength(2);
+    expect((await call('get', '/books/export?format=xml')).statusCode).toBe(400);
+
+    expect((await call('post', '/books/import', {body: 'title,author\nDune,Frank Herbert\n,Nobody\n', type: 'text/csv'})).statusCode).toBe(201);
+    expect((await call('post', '/books/import?dryRun=true', {body: [{title: 'Mort', author: 'Terry Pratchett'}, 'not a book']})).statusCode).toBe(200);
+    expect((await call('post', '/books/import', {body: {title: 'Not', author: 'An Array'}})).statusCode).toBe(400);
+    expect((await call('post', '/books/import', {body: 'title,author', type: 'text/plain'})).statusCode).toBe(415);
+  });
+
+  test('Authors - The responses match the document', async () => {
+    const author = await call('post', '/authors', {body: {name: 'Ursula K. Le Guin'}});
+    expect(author.statusCode).toBe(201);
+    expect((await call('post', '/authors', {body: {name: 'ursula k le guin'}})).statusCode).toBe(409);
+    expect((await call('post', '/authors', {body: {}})).statusCode).toBe(400);
+    expect((await call('get', '/authors?name=j.r.r.%20tolkien')).body).toHaveLength(1);
+    expect((await call('get', '/authors?limit=abc')).statusCode).toBe(400);
+    expect((await call('get', '/authors/1')).statusCode).toBe(200);
+    expect((await call('get', '/authors/0')).statusCode).toBe(400);
+    expect((await call('get', '/authors/999')).statusCode).toBe(404);
+    expect((await call('get', '/authors/1/books')).body).toHaveLength(1);
+    expect((await call('get', '/authors/abc/books')).statusCode).toBe(400);
+    expect((await call('get', '/authors/999/books')).statusCode).toBe(404);
+    expect((await call('put', '/authors/1', {body: {name: 'John Ronald Reuel Tolkien'}})).statusCode).toBe(201);
+    expect((await call('put', '/authors/1', {body: {name: 'Ursula K. Le Guin'}})).statusCode).toBe(409);
+    expect((await call('put', '/authors/1', {body: {name: 1}})).statusCode).toBe(400);
+    expect((await call('put', '/authors/999', {body: {name: 'Nobody'}})).statusCode).toBe(404);
+    expect((await call('delete', '/authors/1')).statusCode).toBe(409);
+    expect((await call('delete', `/authors/${author.body.id}`)).statusCode).toBe(200);
+    expect((await call('delete', `/authors/${author.body.id}`)).statusCode).toBe(404);
+    expect((await call('delete', '/authors/abc')).statusCode).toBe(400);
+  });
+
+  test('Genres - The responses match the document', async () => {
+    const epic = await call('post', '/genres', {body: {name: 'Epic Fantasy', parentId: 1}});
+    expect(epic.statusCode).toBe(201);
+    expect((await call('post', '/genres', {body: {name: 'fantasy'}})).statusCode).toBe(409);
+    expect((await call('post', '/genres', {body: {name: 'Orphan', parentId: 999}})).statusCode).toBe(400);
+    expect((await call('get', '/genres')).body).toHaveLength(2);
+    expect((await call('get', '/genres/1')).body.children).toHaveLength(1);
+    expect((await call('get', '/genres/abc')).statusCode).toBe(400);
+    expect((await call('get', '/genres/999')).statusCode).toBe(404);
+    expect((await call('put', `/genres/${epic.body.id}`, {body: {name: 'High Fantasy', parentId: null}})).statusCode).toBe(201);
+    expect((await call('put', `/genres/${epic.body.id}`, {body: {name: 'Fantasy'}})).statusCode).toBe(409);
+    expect((await call('put', '/genres/1', {body: {name: 'Fantasy', parentId: 1}})).statusCode).toBe(400);
+    expect((await call('put', '/genres/999', {body: {name: 'Nothing'}})).statusCode).toBe(404);
+    expect((await call('delete', '/genres/1')).statusCode).toBe(409);
+    expect((await call('delete', `/genres/${epic.body.id}`)).statusCode).toBe(200);
+    expect((await call('delete', `/genres/${epic.body.id}`)).statusCode).toBe(404);
+    expect((await call('delete', '/genres/abc')).statusCode).toBe(400);
+  });
+
+  test('Customers and orders - The responses match the document', async () => {
+    const address = {label: 'Home', line1: '1 Bag End', city: 'Hobbiton', postalCode: 'SH1', country: 'The Shire'};
+    const customer = await call('post', '/customers', {body: {name: 'Bilbo Baggins', email: 'bilbo@example.com', addresses: [address]}});
+    const other = await call('post', '/customers', {body: {name: 'Frodo Baggins', email: 'frodo@example.com'}});
+    expect(customer.statusCode).toBe(201);
+    expect((await call('post', '/customers', {body: {name: 'Bilbo', email: 'BILBO@example.com'}})).statusCode).toBe(409);
+    expect((await call('post', '/customers', {body: {name: 'Bilbo', email: 'not an email'}})).statusCode).toBe(400);
+    expect((await call('get', '/customers?email=bilbo@example.com')).body).toHaveLength(1);
+    expect((await call('get', '/customers?offset=abc')).statusCode).toBe(400);
+    expect((await call('get', `/customers/${customer.body.id}`)).body.addresses).toHaveLength(1);
+    expect((await call('get', '/customers/abc')).statusCode).toBe(400);
+    expect((await call('get', '/customers/999')).statusCode).toBe(404);
+    expect((await call('put', `/customers/${customer.body.id}`, {body: {name: 'Bilbo', email: 'bilbo@example.com'}})).statusCode).toBe(201);
+    expect((await call('put', `/customers/${customer.body.id}`, {body: {name: 'Bilbo', email: 'frodo@example.com'}})).statusCode).toBe(409);
+    expect((await call('put', `/customers/${customer.body.id}`, {body: {name: 'Bilbo'}})).statusCode).toBe(400);
+    expect((await call('put', '/customers/999', {body: {name: 'Nobody', email: 'nobody@example.com'}})).statusCode).toBe(404);
+
+    const order = await call('post', '/orders', {body: {items: [{bookId: 1, quantity: 2}], customerId: customer.body.id}});
+    expect(order.statusCode).toBe(201);
+    expect((await call('post', '/orders', {body: {items: [{bookId: 999, quantity: 1}]}})).statusCode).toBe(400);
+    expect((await call('get', '/orders?status=pending')).body).toHaveLength(1);
+    expect((await call('get', '/orders?status=lost')).statusCode).toBe(400);
+    expect((await call('get', `/orders/${order.body.id}`)).statusCode).toBe(200);
+    expect((await call('get', '/orders/abc')).statusCode).toBe(400);
+    expect((await call('get', '/orders/999')).statusCode).toBe(404);
+    expect((await call('patch', `/orders/${order.body.id}`, {body: {status: 'shipped'}})).statusCode).toBe(409);
+    expect((await call('patch', `/orders/${order.body.id}`, {body: {status: 'paid'}})).statusCode).toBe(200);
+    expect((await call('patch', `/orders/${order.body.id}`, {body: {status: 'lost'}})).statusCode).toBe(400);
+    expect((await call('patch', '/orders/999', {body: {status: 'paid'}})).statusCode).toBe(404);
+
+    expect((await call('delete', `/customers/${customer.body.id}`)).statusCode).toBe(409);
+    expect((await call('delete', `/customers/${other.body.id}`)).statusCode).toBe(200);
+    expect((await call('delete', `/customers/${other.body.id}`)).statusCode).toBe(404);
+    expect((await call('delete', '/customers/abc')).statusCode).toBe(400);
+  });
+
+  test('Webhooks - The responses match the document', async () => {
+    const webhook = await call('post', '/webhooks', {body: {url: 'http://127.0.0.1:9/hooks', events: ['book.created']}});
+    expect(webhook.statusCode).toBe(201);
+    expect((await call('post', '/webhooks', {body: {url: 'ftp://example.com', events: []}})).statusCode).toBe(400);
+    expect((await call('get', '/webhooks')).body).toHaveLength(1);
+    expect((await call('get', '/webhooks', {headers: keys.reader})).statusCode).toBe(403);
+    expect((await call('get', `/webhooks/${webhook.body.id}`)).statusCode).toBe(200);
+    expect((await call('get', '/webhooks/99999')).statusCode).toBe(404);
+    expect((await call('patch', `/webhooks/${webhook.body.id}`, {body: {events: ['book.created', 'book.deleted']}})).statusCode).toBe(200);
+    expect((await call('patch', `/webhooks/${webhook.body.id}`, {body: {}})).statusCode).toBe(400);
+    expect((await call('patch', '/webhooks/99999', {body: {url: 'https://example.com/hooks'}})).statusCode).toBe(404);
+
+    await call('post', '/books', {body: {title: 'Hooked', author: 'Author'}});
+    const deliveries = await call('get', `/webhooks/${webhook.body.id}/deliveries?event=book.created`);
+    expect(deliveries.statusCode).toBe(200);
+    expect(deliveries.body).toHaveLength(1);
+    expect((await call('get', `/webhooks/${webhook.body.id}/deliveries?status=late`)).statusCode).toBe(400);
+    expect((await call('get', '/webhooks/99999/deliveries')).statusCode).toBe(404);
+    expect((await call('delete', `/webhooks/${webhook.body.id}`)).statusCode).toBe(200);
+    expect((await call('delete', `/webhooks/${webhook.body.id}`)).statusCode).toBe(404);
+    expect((await call('delete', '/webhooks/abc')).statusCode).toBe(400);
+  });
+
+  test('API keys - The responses match the document', async () => {
+    const key = await call('post', '/api-keys', {body: {name: 'Shop front', role: 'reader'}});
+    expect(key.statusCode).toBe(201);
+    expect((await call('post', '/api-keys', {body: {name: 'Shop front', role: 'owner'}})).statusCode).toBe(400);
+    expect((await call('get', '/api-keys')).body).toHaveLength(3);
+    expect((await call('get', '/api-keys', {headers: keys.reader})).statusCode).toBe(403);
+    expect((await call('delete', `/api-keys/${key.body.id}`)).statusCode).toBe(200);
+    expect((await call('delete', `/api-keys/${key.body.id}`)).statusCode).toBe(404);
+    expect((await call('delete', '/api-keys/abc')).statusCode).toBe(400);
+  });
+
+  test('Every documented operation is checked above', () => {
+    const documented = Object.entries(openApiDocument.paths).flatMap(([path, operations]) => Object.keys(operations).map(method => `${method.toUpperCase()} ${path}`));
+
+    expect([...exercised].sort()).toStrictEqual(documented.sort());
+  });
+});
@@ -0,0 +1,275 @@
+// === FILE: orders.js ===
+const express = require('express');
+const {get, all, run, withTransaction} = require('./database');
+const {inputValidationId, inputValidationOrderBody, inputValidationOrderStatusBody, inputValidationOrderQuery,
+  orderTransitions, defaultPageLimit} = require('./lib');
+const {httpError, validationError, asyncHandler} = require('./problems');
+const router = express.Router();
+
+// Selects the orders in the shape returned by the API
+const ordersStatement = `
+  SELECT id, customer_id AS customerId, status, total, created_at AS createdAt, updated_at AS updatedAt
+  FROM orders`;
+
+/**
+ * Reads an order together with its lines
+ *
+ * @param {number} id - the id of the order
+ * @returns {Promise<Object|undefined>} - The order, or undefined when it does not exist
+ */
+async function getOrder(id) {
+  const order = await get(`${ordersStatement} WHERE id = ?`, [id]);
+  if (!order) {
+    return order;
+  }
+  const itemsStatement = `
+    SELECT id, book_id AS bookId, title, quantity, unit_price AS unitPrice, ROUND(quantity * unit_price, 2) AS lineTotal
+    FROM order_items WHERE order_id = ? ORDER BY id`;
+  return {...order, items: await all(itemsStatement, [id])};
+}
+
+/**
+ * Checks that every book of an order exists and has a price, and that the customer exists
+ *
+ * @param {Array<Object>} items - the validated lines of the order
+ * @param {number} customerId - the id of the customer, or null
+ * @returns {Promise<Array<string>>} - The references that cannot be ordered
+ */
+async function checkOrderReferences(items, customerId) {
+  const bookIds = items.map(item => item.bookId);
+  const customer = await get('SELECT COUNT(*) AS total FROM customers WHERE id = ?', [customerId]);
+  const books = await all(`SELECT id, price FROM books WHERE id IN (${bookIds.map(() => '?').join(', ')}) AND deleted_at IS NULL`, bookIds);
+  const errors = [];
+  bookIds.forEach(bookId => {
+    const book = books.find(row => row.id === bookId);
+    if (!book) {
+      errors.push(`Book with ID: ${bookId} not found`);
+    } else if (book.price === null) {
+      errors.push(`Book with ID: ${bookId} has no price and cannot be ordered`);
+    }
+  });
+  if (customerId !== null && customer.total === 0) {
+    errors.push(`Customer with ID: ${customerId} not found`);
+  }
+  return errors;
+}
+
+/**
+ * GET /orders
+ * Get a page of orders, newest first
+ *
+ * @query {string} status - only return orders with this status
+ * @query {number} customerId - only return orders placed by this customer
+ * @query {number} limit - the page size, between 1 and 1000 (default: 100)
+ * @query {number} offset - the number of orders to skip
+ *
+ * @response 200 - OK, returns the requested page of orders, without their lines
+ * @header X-Total-Count - the number of matching orders, across all pages
+ * @returns {Array<Object>} An array of order objects
+ * - {number} id - the unique identifier for each order
+ * - {number} customerId - the id of the customer who placed the order, or null
+ * - {string} status - one of 'pending', 'paid', 'shipped', or 'cancelled'
+ * - {number} total - the sum of the line totals
+ * - {string} createdAt - when the order was placed
+ * - {string} updatedAt - when the status of the order last changed
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.get('/', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const inputErrors = inputValidationOrderQuery(req.query);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure the DB queries and execute
+  const filters = ['status', 'customerId'].filter(field => field in req.query);
+  const columns = {status: 'status', customerId: 'customer_id'};
+  const filterClause = filters.length > 0 ? ` WHERE ${filters.map(field => `${columns[field]} = ?`).join(' AND ')}` : '';
+  const params = filters.map(field => req.query[field]);
+  const limit = 'limit' in req.query ? Number(req.query.limit) : defaultPageLimit;
+  const offset = Number(req.query.offset ?? 0);
+  const count = await get(`SELECT COUNT(*) AS total FROM orders${filterClause}`, params);
+  const rows = await all(`${ordersStatement}${filterClause} ORDER BY id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+  res.set('X-Total-Count', String(count.total));
+  return res.json(rows);
+}));
+
+/**
+ * GET /orders/:id
+ * Get a single order by its ID, with its lines
+ *
+ * @param {number} :id - the id of the order to be retrieved
+ *
+ * @response 200 - OK, returns order with specified ID
+ * @returns {Object} The object that holds the data of the order
+ * - {number} id - the unique identifier for each order
+ * - {number} customerId - the id of the customer who placed the order, or null
+ * - {string} status - one of 'pending', 'paid', 'shipped', or 'cancelled'
+ * - {number} total - the sum of the line totals
+ * - {string} createdAt - when the order was placed
+ * - {string} updatedAt - when the status of the order last changed
+ * - {Array<Object>} items - the lines of the order
+ *   - {number} id - the unique identifier for each line
+ *   - {number} bookId - the id of the book, or null if the book has since been deleted
+ *   - {string} title - the title of the book when the order was placed
+ *   - {number} quantity - the number of copies
+ *   - {number} unitPrice - the price of the book when the order was placed
+ *   - {number} lineTotal - the quantity times the unit price
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 404 - Order with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the order cannot be found
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.get('/:id', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls and execute
+  const order = await getOrder(id);
+  if (!order) {
+    return next(httpError(404, `Order with ID: ${id} not found`));
+  }
+  return res.json(order);
+}));
+
+/**
+ * POST /orders
+ * Places a new, pending order; the price of each book is captured when the order is placed
+ * The order and all its lines are created in one transaction: either all of them are stored, or none
+ *
+ * @body {Array<Object>} items - the lines of the order (required)
+ * - {number} bookId - the id of the book (required)
+ * - {number} quantity - the number of copies (required)
+ * @body {number} customerId - the id of the customer who places the order
+ *
+ * @response 201 - Created, the order is placed
+ * @returns {Object} The order as returned by GET /orders/:id
+ *
+ * @response 400 - Input validation failure, a book that does not exist or has no price, or a customer that does not exist
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'editor' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.post('/', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const inputErrors = inputValidationOrderBody(req.body);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls and execute in one transaction; the lines copy the title and price from 'books'
+  const items = req.body.items;
+  const customerId = req.body.customerId ?? null;
+  const orderId = await withTransaction(async () => {
+    // Every book must exist and have a price, and the customer must exist
+    const referenceErrors = await checkOrderReferences(items, customerId);
+    if (referenceErrors.length > 0) {
+      throw validationError(referenceErrors);
+    }
+
+    const {lastID} = await run('INSERT INTO orders (customer_id) VALUES (?)', [customerId]);
+    const itemsStatement = `
+      INSERT INTO order_items (order_id, book_id, title, quantity, unit_price)
+      SELECT ?, books.id, books.title, lines.column2, books.price
+      FROM (VALUES ${items.map(() => '(?, ?, ?)').join(', ')}) AS lines
+      JOIN books ON books.id = lines.column1 ORDER BY lines.column3`;
+    const itemsParams = [lastID, ...items.flatMap((item, index) => [item.bookId, item.quantity, index])];
+    const {changes} = await run(itemsStatement, itemsParams);
+    if (changes !== items.length) {
+      throw new Error('A book of the order was deleted while the order was placed');
+    }
+    const totalStatement = 'UPDATE orders SET total = (SELECT ROUND(SUM(quantity * unit_price), 2) FROM order_items WHERE order_id = ?) WHERE id = ?';
+    await run(totalStatement, [lastID, lastID]);
+    return lastID;
+  });
+  return res.status(201).json(await getOrder(orderId));
+}));
+
+/**
+ * PATCH /orders/:id
+ * Moves an order along its status lifecycle
+ * A pending order can be paid or cancelled, and a paid order can be shipped or cancelled;
+ *  shipped and cancelled orders are final
+ *
+ * @param {number} :id - the id of the order to be updated
+ *
+ * @body {string} status - the new status of the order (required)
+ *
+ * @response 200 - OK, the status is changed
+ * @returns {Object} The order as returned by GET /orders/:id
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'editor' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 404 - Order with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the order cannot be found
+ *
+ * @response 409 - The order cannot move from its current status to the new one
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating the current and the new status
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.patch('/:id', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id).concat(inputValidationOrderStatusBody(req.body));
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls and execute; the update only applies if the status has not changed in the meantime
+  const status = req.body.status;
+  const order = await get('SELECT status FROM orders WHERE id = ?', [id]);
+  if (!order) {
+    return next(httpError(404, `Order with ID: ${id} not found`));
+  } else if (!orderTransitions[order.status].includes(status)) {
+    return next(httpError(409, `Order with ID: ${id} cannot move from '${order.status}' to '${status}'`));
+  }
+  const updateStatement = 'UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ?';
+  const {changes} = await run(updateStatement, [status, id, order.status]);
+  if (changes === 0) {
+    return next(httpError(409, `Order with ID: ${id} was changed by another request; please retry`));
+  }
+  return res.status(200).json(await getOrder(id));
+}));
+
+module.exports = {
+  router
+};
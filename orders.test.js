@@ -0,0 +1,200 @@
+// === FILE: orders.test.js ===
+/**
+ * @file orders.test.js
+ * @description The test suite for the orders of the Bookstore API
+ *
+ * Endpoints covered:
+ * - GET /orders
+ * - GET /orders/:id
+ * - POST /orders
+ * - PATCH /orders/:id
+ */
+const request = require('supertest');
+const app = require('./index');
+const {getDb, initializeDb} = require('./database');
+const {createApiKey} = require('./auth');
+
+let db;
+
+// Headers that authenticate the requests that change data
+let auth;
+
+/**
+ * Creates an API key with the given role in the current DB
+ *
+ * @param {string} role - the role the key grants
+ * @returns {Promise<Object>} - The headers that authenticate requests with the key
+ */
+function apiKeyHeader(role) {
+  return createApiKey('Tests', role).then(apiKey => ({Authorization: `Bearer ${apiKey.key}`}));
+}
+
+describe('Bookstore API - Orders', () => {
+
+  // Executes before any test; connects to a fresh in-memory DB
+  beforeAll(async () => {
+    await initializeDb();
+    db = getDb();
+    auth = await apiKeyHeader('admin');
+  });
+
+  // Closes the DB connection after all tests execute
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('POST /orders - Places a pending order, capturing the prices and the total', async () => {
+    const first = await request(app).post('/books').set(auth).send({title: "Title 1", author: "Author 1", price: 10.5});
+    const second = await request(app).post('/books').set(auth).send({title: "Title 2", author: "Author 2", price: 4.25});
+
+    const res = await request(app).post('/orders').set(auth).send({items: [{bookId: first.body.id, quantity: 2}, {bookId: second.body.id, quantity: 3}]});
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toStrictEqual({
+      id: expect.any(Number), customerId: null, status: 'pending', total: 33.75, createdAt: expect.any(String), updatedAt: expect.any(String),
+      items: [
+        {id: expect.any(Number), bookId: first.body.id, title: "Title 1", quantity: 2, unitPrice: 10.5, lineTotal: 21},
+        {id: expect.any(Number), bookId: second.body.id, title: "Title 2", quantity: 3, unitPrice: 4.25, lineTotal: 12.75}
+      ]
+    });
+  });
+
+  test('GET /orders/:id - Keeps the captured price when the book is repriced, trashed or purged', async () => {
+    const book = await request(app).post('/books').set(auth).send({title: "Title 3", author: "Author 3", price: 8});
+    const order = await request(app).post('/orders').set(auth).send({items: [{bookId: book.body.id, quantity: 1}]});
+
+    await request(app).patch(`/books/${book.body.id}`).set(auth).send({price: 12});
+    const repriced = await request(app).get(`/orders/${order.body.id}`);
+    await request(app).delete(`/books/${book.body.id}`).set(auth);
+    const trashed = await request(app).get(`/orders/${order.body.id}`);
+    await request(app).delete(`/books/trash/${book.body.id}`).set(auth);
+    const purged = await request(app).get(`/orders/${order.body.id}`);
+
+    expect(repriced.body.items[0].unitPrice).toBe(8);
+    expect(repriced.body.total).toBe(8);
+    expect(trashed.body.items[0].bookId).toBe(book.body.id);
+    expect(purged.body.items[0]).toEqual({id: expect.any(Number), bookId: null, title: "Title 3", quantity: 1, unitPrice: 8, lineTotal: 8});
+  });
+
+  test('POST /orders - Rejects missing and unpriced books without storing anything', async () => {
+    const priced = await request(app).post('/books').set(auth).send({title: "Title 4", author: "Author 4", price: 5});
+    const unpriced = await request(app).post('/books').set(auth).send({title: "Title 5", author: "Author 5"});
+    const before = await countRows('orders');
+
+    const res = await request(app).post('/orders').set(auth).send({items: [
+      {bookId: priced.body.id, quantity: 1}, {bookId: unpriced.body.id, quantity: 1}, {bookId: 99999, quantity: 1}
+    ]});
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors.map(error => error.detail)).toStrictEqual([
+      `Book with ID: ${unpriced.body.id} has no price and cannot be ordered`,
+      'Book with ID: 99999 not found'
+    ]);
+    expect(await countRows('orders')).toBe(before);
+  });
+
+  test('POST /orders - Rolls back the order when a line cannot be stored', async () => {
+    const book = await request(app).post('/books').set(auth).send({title: "Title 6", author: "Author 6", price: 5});
+    const ordersBefore = await countRows('orders');
+    const itemsBefore = await countRows('order_items');
+
+    // Make the insertion of the lines fail after the order itself has been inserted
+    await dbExec(`CREATE TRIGGER fail_order_items BEFORE INSERT ON order_items BEGIN SELECT RAISE(ABORT, 'Line rejected'); END;`);
+    const res = await request(app).post('/orders').set(auth).send({items: [{bookId: book.body.id, quantity: 1}]});
+    await dbExec('DROP TRIGGER fail_order_items;');
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.type).toBe('/problems/internal-error');
+    expect(res.body.detail).not.toContain('Line rejected');
+    expect(await countRows('orders')).toBe(ordersBefore);
+    expect(await countRows('order_items')).toBe(itemsBefore);
+  });
+
+  test('POST /orders - Attaches the order to an existing customer', async () => {
+    const book = await request(app).post('/books').set(auth).send({title: "Title 8", author: "Author 8", price: 5});
+    const customer = await request(app).post('/customers').set(auth).send({name: 'Customer 1', email: 'customer1@example.com'});
+
+    const placed = await request(app).post('/orders').set(auth).send({customerId: customer.body.id, items: [{bookId: book.body.id, quantity: 1}]});
+    const listed = await request(app).get(`/orders?customerId=${customer.body.id}`);
+    const missing = await request(app).post('/orders').set(auth).send({customerId: 99999, items: [{bookId: book.body.id, quantity: 1}]});
+
+    expect(placed.statusCode).toBe(201);
+    expect(placed.body.customerId).toBe(customer.body.id);
+    expect(listed.body.map(order => order.id)).toStrictEqual([placed.body.id]);
+    expect(missing.statusCode).toBe(400);
+    expect(missing.body.errors.map(error => error.detail)).toStrictEqual(['Customer with ID: 99999 not found']);
+  });
+
+  test('POST /orders - Input validation failure', async () => {
+    const empty = await request(app).post('/orders').set(auth).send({items: []});
+    const invalid = await request(app).post('/orders').set(auth).send({items: [{bookId: 1, quantity: 0}, {bookId: 1, quantity: 1, price: 3}], note: 'x'});
+
+    expect(empty.statusCode).toBe(400);
+    expect(empty.body.errors.map(error => error.detail)).toStrictEqual([`'items' must be an array of 1 to 100 lines.`]);
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.errors.map(error => error.detail)).toStrictEqual([
+      `'note' is not an expected field. Please remove this from payload.`,
+      `'items[0].quantity' must be a positive integer.`,
+      `'items[1].price' is not an expected field. Please remove this from payload.`,
+      `'items[1].bookId' lists book ID 1 more than once.`
+    ]);
+  });
+
+  test('PATCH /orders/:id - Follows the status lifecycle', async () => {
+    const book = await request(app).post('/books').set(auth).send({title: "Title 7", author: "Author 7", price: 5});
+    const order = await request(app).post('/orders').set(auth).send({items: [{bookId: book.body.id, quantity: 1}]});
+    const id = order.body.id;
+
+    const shippedEarly = await request(app).patch(`/orders/${id}`).set(auth).send({status: 'shipped'});
+    const paid = await request(app).patch(`/orders/${id}`).set(auth).send({status: 'paid'});
+    const shipped = await request(app).patch(`/orders/${id}`).set(auth).send({status: 'shipped'});
+    const cancelled = await request(app).patch(`/orders/${id}`).set(auth).send({status: 'cancelled'});
+
+    expect(shippedEarly.statusCode).toBe(409);
+    expect(shippedEarly.body.detail).toBe(`Order with ID: ${id} cannot move from 'pending' to 'shipped'`);
+    expect(paid.statusCode).toBe(200);
+    expect(paid.body.status).toBe('paid');
+    expect(shipped.body.status).toBe('shipped');
+    expect(shipped.body.items).toHaveLength(1);
+    expect(cancelled.statusCode).toBe(409);
+    expect(cancelled.body.detail).toBe(`Order with ID: ${id} cannot move from 'shipped' to 'cancelled'`);
+  });
+
+  test('PATCH /orders/:id - Input validation failure and unknown order', async () => {
+    const invalid = await request(app).patch('/orders/1').set(auth).send({status: 'lost'});
+    const missing = await request(app).patch('/orders/99999').set(auth).send({status: 'paid'});
+
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.errors.map(error => error.detail)).toStrictEqual([`'status' must be one of: pending, paid, shipped, cancelled.`]);
+    expect(missing.statusCode).toBe(404);
+    expect(missing.body.detail).toBe('Order with ID: 99999 not found');
+  });
+
+  test('GET /orders - Lists orders newest first, filtered by status', async () => {
+    const all = await request(app).get('/orders');
+    const pending = await request(app).get('/orders?status=pending&limit=1');
+    const invalid = await request(app).get('/orders?status=lost');
+
+    expect(all.statusCode).toBe(200);
+    expect(all.body.map(order => order.id)).toStrictEqual([...all.body.map(order => order.id)].sort((a, b) => b - a));
+    expect(all.body[0].items).toBeUndefined();
+    expect(pending.body).toHaveLength(1);
+    expect(pending.body[0].status).toBe('pending');
+    expect(Number(pending.headers['x-total-count'])).toBe(all.body.filter(order => order.status === 'pending').length);
+    expect(invalid.statusCode).toBe(400);
+  });
+});
+
+// Counts the rows of a table
+function countRows(table) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT COUNT(*) AS total FROM ${table}`, (err, row) => err ? reject(err) : resolve(row.total));
+  });
+}
+
+// Executes SQL directly against the test DB
+function dbExec(sql) {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => err ? reject(err) : resolve());
+  });
+}
@@ -0,0 +1,65 @@
+// === FILE: preconditions.js ===
+const {httpError} = require('./problems');
+
+/**
+ * Formats the strong ETag of a version of an entry
+ *
+ * @param {number} version - the version of the entry
+ * @returns {string} - The ETag, e.g. '"3"'
+ */
+function versionEtag(version) {
+  return `"${version}"`;
+}
+
+/**
+ * Reads the versions of the entry a request may change, from its 'If-Match' header
+ * Only the strong ETags given by 'versionEtag' match; any other tag matches no version
+ *
+ * @param {Object} req - the request
+ * @returns {Array<number>|null} - The versions accepted, or null if any version is: the header is absent or '*'
+ */
+function ifMatchVersions(req) {
+  const header = req.get('If-Match');
+  if (header === undefined || header.trim() === '*') {
+    return null;
+  }
+  return header.split(',')
+    .map(tag => /^\s*"(\d+)"\s*$/.exec(tag)?.[1])
+    .filter(version => version !== undefined)
+    .map(Number);
+}
+
+/**
+ * Restricts a write to the versions of the entry a request may change
+ *
+ * @param {Array<number>|null} versions - the versions accepted, as read by 'ifMatchVersions'; null accepts any version
+ * @returns {Object} - The condition to append to the WHERE clause of the write
+ * - {string} sql - the condition, e.g. ' AND version IN (?, ?)', or '' when any version is accepted
+ * - {Array<number>} params - the parameters of the condition
+ */
+function versionCondition(versions) {
+  if (versions === null) {
+    return {sql: '', params: []};
+  }
+  return {sql: ` AND version IN (${versions.map(() => '?').join(', ')})`, params: versions};
+}
+
+/**
+ * Middleware that rejects a change sent without an 'If-Match' header while the app requires one,
+ *  i.e. while its 'requireIfMatch' setting is on, so that no client overwrites a change it has not seen
+ *
+ * @response 428 - The request does not send an 'If-Match' header
+ */
+function requireIfMatch(req, res, next) {
+  if (req.app.get('requireIfMatch') && req.get('If-Match') === undefined) {
+    return next(httpError(428, `Send the ETag of the entry, from its last GET, in the 'If-Match' header`));
+  }
+  return next();
+}
+
+module.exports = {
+  versionEtag,
+  ifMatchVersions,
+  versionCondition,
+  requireIfMatch
+};
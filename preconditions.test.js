@@ -0,0 +1,116 @@
+// === FILE: preconditions.test.js ===
+/**
+ * @file preconditions.test.js
+ * @description The test suite for the ETags, conditional GETs and optimistic concurrency of the books of the Bookstore API
+ */
+const request = require('supertest');
+const app = require('./index');
+const {getDb, initializeDb} = require('./database');
+const {createApiKey} = require('./auth');
+
+let db;
+
+// Headers that authenticate the requests that change data
+let auth;
+
+describe('Bookstore API - Preconditions', () => {
+
+  // Executes before any test; connects to a fresh in-memory DB
+  beforeAll(async () => {
+    await initializeDb();
+    db = getDb();
+    auth = await createApiKey('Tests', 'admin').then(apiKey => ({Authorization: `Bearer ${apiKey.key}`}));
+  });
+
+  // Closes the DB connection after all tests execute
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('GET /books/:id - Sends the version of the book as its ETag, and no body while the client holds it', async () => {
+    const book = await request(app).post('/books').set(auth).send({title: 'Title 1', author: 'Author 1', isbn: '9780261103344'});
+
+    const first = await request(app).get(`/books/${book.body.id}`);
+    const cached = await request(app).get(`/books/${book.body.id}`).set('If-None-Match', first.headers.etag);
+    const byIsbn = await request(app).get('/books/isbn/9780261103344').set('If-None-Match', first.headers.etag);
+    await request(app).patch(`/books/${book.body.id}`).set(auth).send({price: 10});
+    const changed = await request(app).get(`/books/${book.body.id}`).set('If-None-Match', first.headers.etag);
+
+    expect(first.statusCode).toBe(200);
+    expect(first.headers.etag).toBe('"1"');
+    expect(first.body.version).toBe(1);
+    expect(cached.statusCode).toBe(304);
+    expect(cached.text).toBe('');
+    expect(byIsbn.statusCode).toBe(304);
+    expect(changed.statusCode).toBe(200);
+    expect(changed.headers.etag).toBe('"2"');
+    expect(changed.body.version).toBe(2);
+  });
+
+  test('PUT, PATCH and DELETE /books/:id - A change sent with a stale ETag is refused, naming the current one', async () => {
+    const book = await request(app).post('/books').set(auth).send({title: 'Title 2', author: 'Author 2'});
+    const id = book.body.id;
+
+    const patched = await request(app).patch(`/books/${id}`).set(auth).set('If-Match', '"1"').send({price: 5});
+    const stalePatch = await request(app).patch(`/books/${id}`).set(auth).set('If-Match', '"1"').send({price: 6});
+    const stalePut = await request(app).put(`/books/${id}`).set(auth).set('If-Match', '"1"').send({title: 'Title 2', author: 'Author 2'});
+    const staleDelete = await request(app).delete(`/books/${id}`).set(auth).set('If-Match', '"1"');
+    const put = await request(app).put(`/books/${id}`).set(auth).set('If-Match', '"1", "2"').send({title: 'Title 2b', author: 'Author 2'});
+    const current = await request(app).get(`/books/${id}`);
+
+    expect(patched.statusCode).toBe(200);
+    expect(patched.headers.etag).toBe('"2"');
+    expect(stalePatch.statusCode).toBe(412);
+    expect(stalePatch.body).toMatchObject({
+      type: '/problems/precondition-failed',
+      detail: `Book with ID: ${id} has changed since it was read; its current ETag is "2"`
+    });
+    expect(stalePut.statusCode).toBe(412);
+    expect(staleDelete.statusCode).toBe(412);
+    expect(put.statusCode).toBe(201);
+    expect(put.headers.etag).toBe('"3"');
+    expect(current.body).toMatchObject({title: 'Title 2b', version: 3});
+  });
+
+  test('DELETE /books/:id - Any version matches \'*\', and a missing book is still not found', async () => {
+    const book = await request(app).post('/books').set(auth).send({title: 'Title 3', author: 'Author 3'});
+
+    const deleted = await request(app).delete(`/books/${book.body.id}`).set(auth).set('If-Match', '*');
+    const missing = await request(app).delete(`/books/${book.body.id}`).set(auth).set('If-Match', '"1"');
+
+    expect(deleted.statusCode).toBe(200);
+    expect(missing.statusCode).toBe(404);
+  });
+
+  test('PATCH /books/:id - An unconditional change is refused while If-Match is required', async () => {
+    const book = await request(app).post('/books').set(auth).send({title: 'Title 4', author: 'Author 4'});
+
+    app.set('requireIfMatch', true);
+    const unconditional = await request(app).patch(`/books/${book.body.id}`).set(auth).send({price: 5});
+    const conditional = await request(app).patch(`/books/${book.body.id}`).set(auth).set('If-Match', '"1"').send({price: 5});
+    app.set('requireIfMatch', false);
+
+    expect(unconditional.statusCode).toBe(428);
+    expect(unconditional.body).toMatchObject({
+      type: '/problems/precondition-required',
+      detail: `Send the ETag of the entry, from its last GET, in the 'If-Match' header`
+    });
+    expect(conditional.statusCode).toBe(200);
+  });
+
+  test('GET /books/:id - Stock movements and author renames move the book to a new version', async () => {
+    const author = await request(app).post('/authors').set(auth).send({name: 'Author 5'});
+    const book = await request(app).post('/books').set(auth).send({title: 'Title 5', author: author.body.id});
+    const before = await request(app).get(`/books/${book.body.id}`);
+
+    await request(app).post(`/books/${book.body.id}/stock`).set(auth).send({reason: 'received', quantity: 3});
+    const restocked = await request(app).get(`/books/${book.body.id}`);
+    await request(app).put(`/authors/${author.body.id}`).set(auth).send({name: 'Author 5b'});
+    const renamed = await request(app).get(`/books/${book.body.id}`);
+
+    expect(before.headers.etag).toBe('"1"');
+    expect(restocked.headers.etag).toBe('"2"');
+    expect(renamed.body.author).toBe('Author 5b');
+    expect(renamed.headers.etag).toBe('"3"');
+  });
+});
@@ -0,0 +1,134 @@
+// === FILE: problems.js ===
+const {randomUUID} = require('crypto');
+
+// The kinds of problem the API reports; 'type' identifies the kind and 'title' summarizes it
+const problemTypes = {
+  'validation-failed': {status: 400, title: 'The request is not valid'},
+  'malformed-body': {status: 400, title: 'The body cannot be parsed'},
+  'unauthenticated': {status: 401, title: 'Authentication is required'},
+  'forbidden': {status: 403, title: 'The API key does not allow this action'},
+  'not-found': {status: 404, title: 'The resource does not exist'},
+  'conflict': {status: 409, title: 'The request conflicts with the current state of the resource'},
+  'precondition-failed': {status: 412, title: 'The entry has changed since it was read'},
+  'payload-too-large': {status: 413, title: 'The body is too large'},
+  'unsupported-media-type': {status: 415, title: 'The body has an unsupported content type'},
+  'precondition-required': {status: 428, title: 'The request must be conditional'},
+  'rate-limited': {status: 429, title: 'Too many requests'},
+  'internal-error': {status: 500, title: 'The server failed to handle the request'}
+};
+
+// The kind of problem reported for each status, unless the error names another; the first kind listed for a status wins
+const problemTypeByStatus = Object.fromEntries(Object.entries(problemTypes).reverse().map(([type, {status}]) => [status, type]));
+
+/**
+ * Creates the error of a request the API refuses; pass it to 'next' to answer with a problem
+ *
+ * @param {number} status - the HTTP status of the response
+ * @param {string} detail - a message explaining this occurrence of the problem
+ * @param {Object} extensions - further members of the problem, e.g. the 'id' of a conflicting entry
+ * @returns {Error} - The error
+ */
+function httpError(status, detail, extensions = {}) {
+  const err = new Error(detail);
+  err.status = status;
+  err.expose = true;
+  err.extensions = extensions;
+  return err;
+}
+
+/**
+ * Creates the error of a request that failed validation, listing each failure; a failure that starts with
+ *  a quoted field or query parameter, e.g. "'title' is required.", is reported against it
+ *
+ * @param {Array<string>} messages - the validation failures
+ * @returns {Error} - The error
+ */
+function validationError(messages) {
+  const errors = messages.map(message => {
+    const field = /^'([^']+)'/.exec(message)?.[1];
+    return field ? {field: field, detail: message} : {detail: message};
+  });
+  const detail = messages.length === 1 ? messages[0] : `The request has ${messages.length} validation errors.`;
+  return httpError(400, detail, {errors: errors});
+}
+
+/**
+ * Wraps an async route handler or middleware, so that the error it throws reaches the error-handling middleware,
+ *  as a rejected promise does not reach it by itself in Express 4
+ *
+ * @param {Function} handler - the async handler, called with (req, res, next)
+ * @returns {Function} - The handler, passing what its promise rejects with to 'next'
+ */
+function asyncHandler(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+/**
+ * Middleware that gives each request an ID, returned in the 'X-Request-Id' header and as the 'instance' of its problems
+ */
+function assignRequestId(req, res, next) {
+  req.id = randomUUID();
+  res.set('X-Request-Id', req.id);
+  return next();
+}
+
+/**
+ * Middleware that answers requests no route handled
+ *
+ * @response 404 - No route matches the method and path
+ */
+function routeNotFound(req, res, next) {
+  return next(httpError(404, `No route matches ${req.method} ${req.path}`));
+}
+
+/**
+ * Error-handling middleware that answers every failed request with an RFC 7807 problem ('application/problem+json')
+ * Errors meant for the client, from 'httpError' or the body parsers, are reported as they are; any other error is
+ *  logged and reported as a 500 whose detail is only shown when NODE_ENV is 'development'
+ *
+ * @returns {Object} The problem
+ * - {string} type - identifies the kind of problem, e.g. '/problems/not-found'
+ * - {string} title - a summary of the kind of problem
+ * - {number} status - the HTTP status
+ * - {string} detail - a message explaining this occurrence of the problem
+ * - {string} instance - the ID of the request, as a URN
+ * - {Array<Object>} errors - for a validation failure, each failure, with its 'detail' and, when known, its 'field'
+ */
+function handleErrors(err, req, res, next) {
+  // A response already under way, e.g. a streamed export, can only be cut short
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const exposed = err.expose && err.status >= 400 && err.status < 500;
+  let type = exposed ? problemTypeByStatus[err.status] : 'internal-error';
+  let detail = err.message;
+  if (err.type === 'entity.parse.failed') {
+    type = 'malformed-body';
+    detail = `The body is not valid JSON: ${err.message}`;
+  } else if (!exposed) {
+    console.error(`Request ${req.id} failed: ${err.message}`);
+    detail = process.env.NODE_ENV === 'development' ? err.message : `The request failed; quote the request ID ${req.id} when reporting it.`;
+  }
+
+  const status = exposed ? err.status : 500;
+  const problem = {
+    type: `/problems/${type ?? 'client-error'}`,
+    title: problemTypes[type]?.title ?? 'The request cannot be handled',
+    status: status,
+    detail: detail,
+    instance: `urn:uuid:${req.id}`,
+    ...(exposed ? err.extensions : {})
+  };
+  return res.status(status).type('application/problem+json').json(problem);
+}
+
+module.exports = {
+  problemTypes,
+  httpError,
+  validationError,
+  asyncHandler,
+  assignRequestId,
+  routeNotFound,
+  handleErrors
+};
@@ -0,0 +1,129 @@
+// === FILE: problems.test.js ===
+/**
+ * @file problems.test.js
+ * @description The test suite for the RFC 7807 problems that answer every failed request of the Bookstore API
+ */
+const express = require('express');
+const request = require('supertest');
+const app = require('./index');
+const {getDb, initializeDb} = require('./database');
+const {createApiKey} = require('./auth');
+const {httpError, assignRequestId, handleErrors, asyncHandler} = require('./problems');
+
+let db;
+
+// Headers that authenticate the requests that change data
+let auth;
+
+describe('Bookstore API - Problems', () => {
+
+  // Executes before any test; connects to a fresh in-memory DB
+  beforeAll(async () => {
+    await initializeDb();
+    db = getDb();
+    auth = await createApiKey('Tests', 'admin').then(apiKey => ({Authorization: `Bearer ${apiKey.key}`}));
+  });
+
+  // Closes the DB connection after all tests execute
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('GET /books/:id - A missing entry is answered with a problem quoting the request ID', async () => {
+    const res = await request(app).get('/books/99999');
+
+    expect(res.statusCode).toBe(404);
+    expect(res.headers['content-type']).toBe('application/problem+json; charset=utf-8');
+    expect(res.body).toStrictEqual({
+      type: '/problems/not-found',
+      title: 'The resource does not exist',
+      status: 404,
+      detail: 'Book with ID: 99999 not found',
+      instance: `urn:uuid:${res.headers['x-request-id']}`
+    });
+  });
+
+  test('POST /books - Validation failures are listed with the field each one is about', async () => {
+    const res = await request(app).post('/books').set(auth).send({title: 5, publisher: 'Somebody'});
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({type: '/problems/validation-failed', status: 400, detail: 'The request has 3 validation errors.'});
+    expect(res.body.errors).toStrictEqual([
+      {field: 'publisher', detail: `'publisher' is not an expected field. Please remove this from payload.`},
+      {field: 'title', detail: `'title' must be a string.`},
+      {field: 'author', detail: `'author' is required.`}
+    ]);
+  });
+
+  test('POST /books - A failure that names no field is listed without one', async () => {
+    const res = await request(app).post('/books').set(auth).send({title: 'Title', author: 99999});
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.detail).toBe('Author with ID: 99999 not found');
+    expect(res.body.errors).toStrictEqual([{detail: 'Author with ID: 99999 not found'}]);
+  });
+
+  test('POST /books - A conflict names the existing entry', async () => {
+    const book = await request(app).post('/books').set(auth).send({title: 'The Hobbit', author: 'J.R.R. Tolkien', isbn: '9780261103344'});
+    const res = await request(app).post('/books').set(auth).send({title: 'The Hobbit', author: 'J.R.R. Tolkien', isbn: '0261103342'});
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body).toMatchObject({type: '/problems/conflict', status: 409, id: book.body.id});
+  });
+
+  test('POST /books - A malformed JSON body is answered with a problem rather than an HTML page', async () => {
+    const res = await request(app).post('/books').set(auth).set('Content-Type', 'application/json').send('{"title": "Title",');
+    const imported = await request(app).post('/books/import').set(auth).set('Content-Type', 'application/json').send('[{');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.headers['content-type']).toBe('application/problem+json; charset=utf-8');
+    expect(res.body).toMatchObject({type: '/problems/malformed-body', title: 'The body cannot be parsed', status: 400});
+    expect(res.body.detail).toMatch(/^The body is not valid JSON: /);
+    expect(imported.statusCode).toBe(400);
+    expect(imported.body.type).toBe('/problems/malformed-body');
+  });
+
+  test('DELETE /nowhere - A request no route handles is answered with a problem', async () => {
+    const res = await request(app).delete('/nowhere').set(auth);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toMatchObject({type: '/problems/not-found', detail: 'No route matches DELETE /nowhere'});
+  });
+
+  test('Unexpected errors are only detailed in development', async () => {
+    const failing = express();
+    failing.use(assignRequestId);
+    failing.get('/', (req, res, next) => next(new Error('SQLITE_ERROR: no such table: books')));
+    failing.use(handleErrors);
+    const env = process.env.NODE_ENV;
+
+    const hidden = await request(failing).get('/');
+    process.env.NODE_ENV = 'development';
+    const shown = await request(failing).get('/');
+    process.env.NODE_ENV = env;
+
+    expect(hidden.statusCode).toBe(500);
+    expect(hidden.body).toStrictEqual({
+      type: '/problems/internal-error',
+      title: 'The server failed to handle the request',
+      status: 500,
+      detail: `The request failed; quote the request ID ${hidden.headers['x-request-id']} when reporting it.`,
+      instance: `urn:uuid:${hidden.headers['x-request-id']}`
+    });
+    expect(shown.body.detail).toBe('SQLITE_ERROR: no such table: books');
+  });
+
+  test('asyncHandler - An async handler that rejects is answered with a problem', async () => {
+    const failing = express();
+    failing.use(assignRequestId);
+    failing.get('/', asyncHandler(async () => {
+      throw httpError(409, 'The entry is locked');
+    }));
+    failing.use(handleErrors);
+
+    const res = await request(failing).get('/');
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body).toMatchObject({status: 409, detail: 'The entry is locked'});
+  });
+});
@@ -0,0 +1,121 @@
+// === FILE: rateLimit.js ===
+const {readMethods} = require('./lib');
+const {httpError} = require('./problems');
+
+// Settings used when neither an option nor an environment variable is given
+const defaultRateLimitConfig = {
+  windowSeconds: 60,
+  reads: 1200,
+  writes: 300
+};
+
+// Environment variable of each setting
+const rateLimitEnv = {
+  windowSeconds: 'RATE_LIMIT_WINDOW',
+  reads: 'RATE_LIMIT_READS',
+  writes: 'RATE_LIMIT_WRITES'
+};
+
+/**
+ * Resolves the rate limit settings; options take precedence over environment variables, which take precedence
+ *  over the defaults
+ *
+ * @param {Object} options - the settings passed to rateLimit
+ * - {number} windowSeconds - the length of a rate limit window, in seconds (RATE_LIMIT_WINDOW)
+ * - {number} reads - the read requests a client can make per window; 0 disables the limit (RATE_LIMIT_READS)
+ * - {number} writes - the write requests a client can make per window; 0 disables the limit (RATE_LIMIT_WRITES)
+ * @param {Object} env - the environment variables
+ * @returns {Object} - The resolved settings, with the same fields as the options
+ */
+function resolveRateLimitConfig(options = {}, env = process.env) {
+  const config = {...defaultRateLimitConfig};
+
+  Object.keys(defaultRateLimitConfig).forEach(field => {
+    if (options[field] !== undefined) {
+      config[field] = options[field];
+    } else if (env[rateLimitEnv[field]]) {
+      config[field] = Number(env[rateLimitEnv[field]]);
+    }
+    if (!Number.isInteger(config[field]) || config[field] < 0) {
+      throw new Error(`'${field}' must be a non-negative integer.`);
+    }
+  });
+  if (config.windowSeconds === 0) {
+    throw new Error(`'windowSeconds' must be a positive integer.`);
+  }
+
+  return config;
+}
+
+/**
+ * Creates a middleware that limits how many requests each client can make per window, with separate budgets
+ *  for reads and writes
+ * A client is identified by its API key, or by its IP address when it does not send one; must run after 'authenticate'
+ * The counters are kept in memory, so they are reset when the server restarts
+ *
+ * @param {Object} options - the rate limit settings; see resolveRateLimitConfig
+ * @returns {Function} - The middleware
+ *
+ * @header RateLimit-Policy - the budget and the window of the request, e.g. '300;w=60'
+ * @header RateLimit-Limit - the requests of this kind a client can make per window
+ * @header RateLimit-Remaining - the requests of this kind the client can still make in the current window
+ * @header RateLimit-Reset - the seconds until the current window ends
+ *
+ * @response 429 - The client has used up its budget for the current window
+ * @header Retry-After - the seconds until the client can retry
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating when the client can retry
+ */
+function rateLimit(options = {}) {
+  const config = resolveRateLimitConfig(options);
+  const windowMs = config.windowSeconds * 1000;
+  const counters = new Map();
+  let nextSweep = Date.now() + windowMs;
+
+  return (req, res, next) => {
+    const kind = readMethods.includes(req.method) ? 'reads' : 'writes';
+    const limit = config[kind];
+    if (limit === 0) {
+      return next();
+    }
+
+    // Drop the counters of past windows, at most once per window
+    const now = Date.now();
+    if (now >= nextSweep) {
+      counters.forEach((counter, key) => {
+        if (counter.resetAt <= now) {
+          counters.delete(key);
+        }
+      });
+      nextSweep = now + windowMs;
+    }
+
+    // Count the request against the current window of the client
+    const client = req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+    const key = `${client}:${kind}`;
+    let counter = counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = {count: 0, resetAt: now + windowMs};
+      counters.set(key, counter);
+    }
+    counter.count += 1;
+
+    const reset = Math.ceil((counter.resetAt - now) / 1000);
+    res.set({
+      'RateLimit-Policy': `${limit};w=${config.windowSeconds}`,
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(limit - counter.count, 0)),
+      'RateLimit-Reset': String(reset)
+    });
+    if (counter.count > limit) {
+      res.set('Retry-After', String(reset));
+      return next(httpError(429, `Too many ${kind.slice(0, -1)} requests; retry in ${reset} second(s)`));
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  rateLimit,
+  resolveRateLimitConfig
+};
@@ -0,0 +1,124 @@
+// === FILE: rateLimit.test.js ===
+/**
+ * @file rateLimit.test.js
+ * @description The test suite for the per-client rate limits of the Bookstore API
+ */
+const express = require('express');
+const request = require('supertest');
+const app = require('./index');
+const {getDb, initializeDb} = require('./database');
+const {rateLimit, resolveRateLimitConfig} = require('./rateLimit');
+const {assignRequestId, handleErrors} = require('./problems');
+
+/**
+ * Creates an app with a tight rate limit; the 'X-Client' header stands in for the API key of a request
+ *
+ * @param {Object} options - the rate limit settings
+ * @returns {Object} - The app
+ */
+function limitedApp(options) {
+  const limited = express();
+  limited.use(assignRequestId);
+  limited.use((req, res, next) => {
+    req.apiKey = req.get('X-Client') ? {id: Number(req.get('X-Client'))} : null;
+    next();
+  });
+  limited.use(rateLimit(options));
+  limited.all('/', (req, res) => res.json({ok: true}));
+  limited.use(handleErrors);
+  return limited;
+}
+
+describe('Rate limits - Settings', () => {
+
+  test('resolveRateLimitConfig - Options take precedence over environment variables, which take precedence over the defaults', () => {
+    expect(resolveRateLimitConfig({}, {})).toStrictEqual({windowSeconds: 60, reads: 1200, writes: 300});
+    expect(resolveRateLimitConfig({writes: 5}, {RATE_LIMIT_WINDOW: '10', RATE_LIMIT_WRITES: '50'}))
+      .toStrictEqual({windowSeconds: 10, reads: 1200, writes: 5});
+  });
+
+  test('resolveRateLimitConfig - Invalid settings are rejected', () => {
+    expect(() => resolveRateLimitConfig({}, {RATE_LIMIT_READS: 'many'})).toThrow(`'reads' must be a non-negative integer.`);
+    expect(() => resolveRateLimitConfig({windowSeconds: 0}, {})).toThrow(`'windowSeconds' must be a positive integer.`);
+  });
+});
+
+describe('Rate limits - Middleware', () => {
+
+  test('Reads and writes have separate budgets, reported in the RateLimit headers', async () => {
+    const limited = limitedApp({windowSeconds: 60, reads: 2, writes: 1});
+
+    const firstRead = await request(limited).get('/');
+    const secondRead = await request(limited).get('/');
+    const thirdRead = await request(limited).get('/');
+    const firstWrite = await request(limited).post('/');
+    const secondWrite = await request(limited).post('/');
+
+    expect(firstRead.statusCode).toBe(200);
+    expect(firstRead.headers['ratelimit-policy']).toBe('2;w=60');
+    expect(firstRead.headers['ratelimit-limit']).toBe('2');
+    expect(firstRead.headers['ratelimit-remaining']).toBe('1');
+    expect(Number(firstRead.headers['ratelimit-reset'])).toBeGreaterThan(0);
+    expect(secondRead.headers['ratelimit-remaining']).toBe('0');
+    expect(thirdRead.statusCode).toBe(429);
+    expect(thirdRead.headers['retry-after']).toBe(thirdRead.headers['ratelimit-reset']);
+    expect(thirdRead.body.detail).toMatch(/^Too many read requests; retry in \d+ second\(s\)$/);
+    expect(firstWrite.statusCode).toBe(200);
+    expect(firstWrite.headers['ratelimit-limit']).toBe('1');
+    expect(secondWrite.statusCode).toBe(429);
+    expect(secondWrite.body.detail).toMatch(/^Too many write requests/);
+  });
+
+  test('Each API key has its own budget, separate from the IP address', async () => {
+    const limited = limitedApp({windowSeconds: 60, reads: 1, writes: 1});
+
+    const anonymous = [await request(limited).get('/'), await request(limited).get('/')];
+    const firstKey = [await request(limited).get('/').set('X-Client', '1'), await request(limited).get('/').set('X-Client', '1')];
+    const secondKey = await request(limited).get('/').set('X-Client', '2');
+
+    expect(anonymous.map(res => res.statusCode)).toStrictEqual([200, 429]);
+    expect(firstKey.map(res => res.statusCode)).toStrictEqual([200, 429]);
+    expect(secondKey.statusCode).toBe(200);
+  });
+
+  test('A limit of 0 disables the limit', async () => {
+    const limited = limitedApp({windowSeconds: 60, reads: 0, writes: 1});
+
+    const reads = [await request(limited).get('/'), await request(limited).get('/')];
+
+    expect(reads.map(res => res.statusCode)).toStrictEqual([200, 200]);
+    expect(reads[0].headers['ratelimit-limit']).toBeUndefined();
+  });
+
+  test('A new window restores the budget', async () => {
+    const limited = limitedApp({windowSeconds: 1, reads: 1, writes: 1});
+
+    const first = await request(limited).get('/');
+    const limitedRes = await request(limited).get('/');
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    const afterWindow = await request(limited).get('/');
+
+    expect([first.statusCode, limitedRes.statusCode, afterWindow.statusCode]).toStrictEqual([200, 429, 200]);
+  });
+});
+
+describe('Rate limits - Bookstore API', () => {
+
+  // Executes before any test; connects to a fresh in-memory DB
+  beforeAll(async () => {
+    await initializeDb();
+  });
+
+  // Closes the DB connection after all tests execute
+  afterAll(async () => {
+    await getDb().close();
+  });
+
+  test('GET /books - Responses carry the rate limit of the client', async () => {
+    const res = await request(app).get('/books');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['ratelimit-limit']).toBe('1200');
+    expect(res.headers['ratelimit-policy']).toBe('1200;w=60');
+  });
+});
@@ -0,0 +1,244 @@
+// === FILE: trash.js ===
+const express = require('express');
+const {get, all, run, withTransaction} = require('./database');
+const {inputValidationId, inputValidationTrashQuery, defaultPageLimit} = require('./lib');
+const {httpError, validationError, asyncHandler} = require('./problems');
+const {requireRole} = require('./auth');
+const {attachAuthors} = require('./bookAuthors');
+const {versionEtag} = require('./preconditions');
+const {bookChanges, readBookSnapshot, recordBookChange, recordBookChanges} = require('./audit');
+const router = express.Router();
+
+// Settings used when neither an option nor an environment variable is given; 0 keeps trashed books until they are purged
+const defaultTrashConfig = {
+  retentionDays: 0
+};
+
+// How often the books trashed for longer than the retention window are looked for, in milliseconds
+const trashPurgeInterval = 60 * 60 * 1000;
+
+/**
+ * Resolves the trash settings; options take precedence over environment variables, which take precedence
+ *  over the defaults
+ *
+ * @param {Object} options - the trash settings
+ * - {number} retentionDays - the days a book stays in the trash before it is purged; 0 keeps it (TRASH_RETENTION_DAYS)
+ * @param {Object} env - the environment variables
+ * @returns {Object} - The resolved settings, with the same fields as the options
+ */
+function resolveTrashConfig(options = {}, env = process.env) {
+  const config = {...defaultTrashConfig};
+
+  if (options.retentionDays !== undefined) {
+    config.retentionDays = options.retentionDays;
+  } else if (env.TRASH_RETENTION_DAYS) {
+    config.retentionDays = Number(env.TRASH_RETENTION_DAYS);
+  }
+  if (!Number.isInteger(config.retentionDays) || config.retentionDays < 0) {
+    throw new Error(`'retentionDays' must be a non-negative integer.`);
+  }
+
+  return config;
+}
+
+/**
+ * Purges the books that have been in the trash for longer than the retention window
+ * Purging a book also removes its authors' credits and its stock movements; the orders keep their lines
+ * Each purge is recorded in the audit log without an actor, and announced on 'bookChanges' once committed
+ *
+ * @param {number} retentionDays - the days a book stays in the trash
+ * @returns {Promise<number>} - The number of books purged
+ */
+async function purgeExpiredBooks(retentionDays) {
+  const purged = await withTransaction(async () => {
+    const expiredStatement = `SELECT id FROM books WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)`;
+    const ids = (await all(expiredStatement, [`-${retentionDays} days`])).map(row => row.id);
+    if (ids.length > 0) {
+      await recordBookChanges(null, 'purge', ids, () => run(`DELETE FROM books WHERE id IN (${ids.map(() => '?').join(', ')})`, ids));
+    }
+    return ids.length;
+  });
+  if (purged > 0) {
+    bookChanges.emit('recorded');
+  }
+  return purged;
+}
+
+/**
+ * Purges the expired books from the trash now and then every hour, while the retention window is on
+ * The timer does not keep the process alive
+ *
+ * @param {Object} options - the trash settings; see resolveTrashConfig
+ * @returns {Object|null} - The timer, or null when trashed books are kept until they are purged
+ */
+function scheduleTrashPurge(options = {}) {
+  const {retentionDays} = resolveTrashConfig(options);
+  if (retentionDays === 0) {
+    return null;
+  }
+
+  const purge = () => purgeExpiredBooks(retentionDays).then(purged => {
+    if (purged > 0) {
+      console.log(`Purged ${purged} book(s) trashed more than ${retentionDays} day(s) ago`);
+    }
+  }).catch(err => {
+    console.error(`Failed to purge the trash: ${err.message}`);
+  });
+  purge();
+  return setInterval(purge, trashPurgeInterval).unref();
+}
+
+/**
+ * Explains why a book could not be restored or purged: it does not exist, or it is not in the trash
+ *
+ * @param {string} id - the id of the book
+ * @returns {Promise<Error>} - The 404 or 409 to answer with
+ */
+async function explainTrashMiss(id) {
+  const row = await get('SELECT id FROM books WHERE id = ?', [id]);
+  if (!row) {
+    return httpError(404, `Book with ID: ${id} not found`);
+  }
+  return httpError(409, `Book with ID: ${id} is not in the trash`);
+}
+
+/**
+ * GET /books/trash
+ * Get the books in the trash, most recently trashed first
+ *
+ * @query {number} limit - the page size, between 1 and 1000 (default: 100)
+ * @query {number} offset - the number of books to skip
+ *
+ * @response 200 - OK, returns the requested page of trashed books
+ * @header X-Total-Count - the number of books in the trash, across all pages
+ * @returns {Array<Object>} An array of book objects, as returned by GET /books, with 'deleted_at' set
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.get('/trash', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const inputErrors = inputValidationTrashQuery(req.query);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure the DB queries and execute
+  const limit = 'limit' in req.query ? Number(req.query.limit) : defaultPageLimit;
+  const offset = Number(req.query.offset ?? 0);
+  const count = await get('SELECT COUNT(*) AS total FROM books WHERE deleted_at IS NOT NULL');
+  const sqlStatement = 'SELECT * FROM books WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC, id DESC LIMIT ? OFFSET ?';
+  const rows = await all(sqlStatement, [limit, offset]);
+  res.set('X-Total-Count', String(count.total));
+  return res.json(await attachAuthors(rows));
+}));
+
+/**
+ * DELETE /books/trash/:id
+ * Purges a book from the trash for good, with its authors' credits and its stock movements; requires the 'admin' role
+ * The orders keep their lines for the book, which no longer name it
+ *
+ * @param {number} :id - the id of the trashed book
+ *
+ * @response 200 - OK, the book is purged
+ * @returns {Object} An object holding the confirmation information
+ * - {string} message - a confirmation message
+ * - {number} id - the unique identifier of the purged book
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 404 - Book with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the entry cannot be found
+ *
+ * @response 409 - The book is not in the trash; only trashed books can be purged
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the book is not in the trash
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.delete('/trash/:id', requireRole('admin'), asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB call and execute; the rows that reference the book follow it through their foreign keys
+  await withTransaction(async () => {
+    const before = await readBookSnapshot(id);
+    const {changes} = await run('DELETE FROM books WHERE id = ? AND deleted_at IS NOT NULL', [id]);
+    if (changes === 0) {
+      throw await explainTrashMiss(id);
+    }
+    await recordBookChange(req, 'purge', id, before);
+  });
+  return res.status(200).json({message: 'Book purged from the trash', id: id});
+}));
+
+/**
+ * POST /books/:id/restore
+ * Restores a book from the trash, as it was when it was trashed
+ *
+ * @param {number} :id - the id of the trashed book
+ *
+ * @response 200 - OK, returns the restored book, as returned by GET /books/:id
+ * @header ETag - the version of the book
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 404 - Book with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the entry cannot be found
+ *
+ * @response 409 - The book is not in the trash
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the book is not in the trash
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.post('/:id/restore', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls and execute
+  const book = await withTransaction(async () => {
+    const before = await readBookSnapshot(id);
+    const {changes} = await run('UPDATE books SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL', [id]);
+    if (changes === 0) {
+      throw await explainTrashMiss(id);
+    }
+    await recordBookChange(req, 'restore', id, before);
+
+    // Read the entry as it now stands
+    const row = await get('SELECT * FROM books WHERE id = ?', [id]);
+    return (await attachAuthors([row]))[0];
+  });
+  res.set('ETag', versionEtag(book.version));
+  return res.status(200).json(book);
+}));
+
+module.exports = {
+  router,
+  resolveTrashConfig,
+  purgeExpiredBooks,
+  scheduleTrashPurge
+};
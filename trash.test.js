@@ -0,0 +1,194 @@
+// === FILE: trash.test.js ===
+/**
+ * @file trash.test.js
+ * @description The test suite for the trash of the Bookstore API, which keeps deleted books until they are purged
+ *
+ * Endpoints covered:
+ * - DELETE /books/:id
+ * - GET /books/trash
+ * - POST /books/:id/restore
+ * - DELETE /books/trash/:id
+ */
+const request = require('supertest');
+const app = require('./index');
+const {getDb, initializeDb} = require('./database');
+const {createApiKey} = require('./auth');
+const {resolveTrashConfig, purgeExpiredBooks} = require('./trash');
+
+let db;
+
+// Headers that authenticate the requests that change data
+let auth;
+
+/**
+ * Creates an API key with the given role in the current DB
+ *
+ * @param {string} role - the role the key grants
+ * @returns {Promise<Object>} - The headers that authenticate requests with the key
+ */
+function apiKeyHeader(role) {
+  return createApiKey('Tests', role).then(apiKey => ({Authorization: `Bearer ${apiKey.key}`}));
+}
+
+describe('Trash - Settings', () => {
+
+  test('resolveTrashConfig - Options take precedence over environment variables, which take precedence over the defaults', () => {
+    expect(resolveTrashConfig({}, {})).toStrictEqual({retentionDays: 0});
+    expect(resolveTrashConfig({}, {TRASH_RETENTION_DAYS: '30'})).toStrictEqual({retentionDays: 30});
+    expect(resolveTrashConfig({retentionDays: 7}, {TRASH_RETENTION_DAYS: '30'})).toStrictEqual({retentionDays: 7});
+  });
+
+  test('resolveTrashConfig - Invalid settings are rejected', () => {
+    expect(() => resolveTrashConfig({}, {TRASH_RETENTION_DAYS: 'forever'})).toThrow(`'retentionDays' must be a non-negative integer.`);
+    expect(() => resolveTrashConfig({retentionDays: -1}, {})).toThrow(`'retentionDays' must be a non-negative integer.`);
+  });
+});
+
+describe('Bookstore API - Trash', () => {
+
+  // Executes before any test; connects to a fresh in-memory DB
+  beforeAll(async () => {
+    await initializeDb();
+    db = getDb();
+    auth = await apiKeyHeader('admin');
+  });
+
+  // Closes the DB connection after all tests execute
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('DELETE /books/:id - A trashed book is hidden from every read route', async () => {
+    const author = await request(app).post('/authors').set(auth).send({name: 'Author 1'});
+    const book = await request(app).post('/books').set(auth).send({title: 'Hidden Title', author: author.body.id, price: 5, isbn: '9780261103344'});
+    const id = book.body.id;
+
+    const deleted = await request(app).delete(`/books/${id}`).set(auth);
+    const reads = [
+      await request(app).get('/books'),
+      await request(app).get('/books/search?q=hidden'),
+      await request(app).get('/books/export'),
+      await request(app).get(`/authors/${author.body.id}/books`),
+      await request(app).get('/books/low-stock')
+    ];
+    const missing = [
+      await request(app).get(`/books/${id}`),
+      await request(app).get('/books/isbn/9780261103344'),
+      await request(app).get(`/books/${id}/stock/movements`),
+      await request(app).post(`/books/${id}/stock`).set(auth).send({reason: 'received', quantity: 1}),
+      await request(app).put(`/books/${id}`).set(auth).send({title: 'Hidden Title', author: author.body.id}),
+      await request(app).patch(`/books/${id}`).set(auth).send({price: 6}),
+      await request(app).delete(`/books/${id}`).set(auth)
+    ];
+    const order = await request(app).post('/orders').set(auth).send({items: [{bookId: id, quantity: 1}]});
+
+    expect(deleted.statusCode).toBe(200);
+    reads.forEach(res => {
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toStrictEqual([]);
+    });
+    expect(reads[0].headers['x-total-count']).toBe('0');
+    missing.forEach(res => {
+      expect(res.statusCode).toBe(404);
+      expect(res.body.detail).toMatch(/^Book with (ID: \d+|ISBN: 9780261103344) not found$/);
+    });
+    expect(order.statusCode).toBe(400);
+    expect(order.body.errors.map(error => error.detail)).toStrictEqual([`Book with ID: ${id} not found`]);
+  });
+
+  test('GET /books/trash - Lists the trashed books, most recently trashed first', async () => {
+    const first = await request(app).post('/books').set(auth).send({title: 'Title 2', author: 'Author 2'});
+    const second = await request(app).post('/books').set(auth).send({title: 'Title 3', author: 'Author 3'});
+    await request(app).delete(`/books/${first.body.id}`).set(auth);
+    await request(app).delete(`/books/${second.body.id}`).set(auth);
+    await dbRun(`UPDATE books SET deleted_at = datetime('now', '-2 minutes') WHERE id = ?`, [first.body.id]);
+    await dbRun(`UPDATE books SET deleted_at = datetime('now', '-1 minute') WHERE id = ?`, [second.body.id]);
+
+    const res = await request(app).get('/books/trash?offset=1');
+    const invalid = await request(app).get('/books/trash?limit=0&sort=title');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['x-total-count']).toBe('3');
+    expect(res.body.map(book => book.id)).toStrictEqual([second.body.id, first.body.id]);
+    expect(res.body[0]).toMatchObject({title: 'Title 3', deleted_at: expect.any(String), authors: [{id: expect.any(Number), name: 'Author 3'}]});
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.errors.map(error => error.detail)).toStrictEqual([
+      `'sort' is not an expected query parameter. Please remove this from the request.`,
+      `'limit' must be an integer between 1 and 1000.`
+    ]);
+  });
+
+  test('POST /books/:id/restore - Restores a trashed book as it was', async () => {
+    const book = await request(app).post('/books').set(auth).send({title: 'Title 4', author: 'Author 4', price: 8});
+    await request(app).post(`/books/${book.body.id}/stock`).set(auth).send({reason: 'received', quantity: 2});
+    await request(app).delete(`/books/${book.body.id}`).set(auth);
+
+    const restored = await request(app).post(`/books/${book.body.id}/restore`).set(auth);
+    const again = await request(app).post(`/books/${book.body.id}/restore`).set(auth);
+    const unknown = await request(app).post('/books/99999/restore').set(auth);
+    const fetched = await request(app).get(`/books/${book.body.id}`);
+
+    expect(restored.statusCode).toBe(200);
+    expect(restored.headers.etag).toBe(fetched.headers.etag);
+    expect(restored.body).toMatchObject({id: book.body.id, title: 'Title 4', price: 8, in_stock: 2, deleted_at: null});
+    expect(again.statusCode).toBe(409);
+    expect(again.body.detail).toBe(`Book with ID: ${book.body.id} is not in the trash`);
+    expect(unknown.statusCode).toBe(404);
+    expect(fetched.statusCode).toBe(200);
+  });
+
+  test('DELETE /books/trash/:id - Purges a trashed book for good; only admins can purge', async () => {
+    const editor = await apiKeyHeader('editor');
+    const book = await request(app).post('/books').set(auth).send({title: 'Title 5', author: 'Author 5', isbn: '0-441-01359-7'});
+    const id = book.body.id;
+
+    const live = await request(app).delete(`/books/trash/${id}`).set(auth);
+    await request(app).delete(`/books/${id}`).set(auth);
+    const reused = await request(app).post('/books').set(auth).send({title: 'Title 5', author: 'Author 5', isbn: '0-441-01359-7'});
+    const forbidden = await request(app).delete(`/books/trash/${id}`).set(editor);
+    const purged = await request(app).delete(`/books/trash/${id}`).set(auth);
+    const gone = await request(app).post(`/books/${id}/restore`).set(auth);
+
+    expect(live.statusCode).toBe(409);
+    expect(live.body.detail).toBe(`Book with ID: ${id} is not in the trash`);
+    expect(reused.statusCode).toBe(409);
+    expect(reused.body.id).toBe(id);
+    expect(forbidden.statusCode).toBe(403);
+    expect(purged.statusCode).toBe(200);
+    expect(purged.body).toStrictEqual({message: 'Book purged from the trash', id: String(id)});
+    expect(await dbGet('SELECT id FROM books WHERE id = ?', [id])).toBeUndefined();
+    expect(gone.statusCode).toBe(404);
+  });
+
+  test('purgeExpiredBooks - Purges the books trashed for longer than the retention window', async () => {
+    const expired = await request(app).post('/books').set(auth).send({title: 'Title 6', author: 'Author 6'});
+    const recent = await request(app).post('/books').set(auth).send({title: 'Title 7', author: 'Author 7'});
+    const live = await request(app).post('/books').set(auth).send({title: 'Title 8', author: 'Author 8'});
+    await request(app).delete(`/books/${expired.body.id}`).set(auth);
+    await request(app).delete(`/books/${recent.body.id}`).set(auth);
+    await dbRun(`UPDATE books SET deleted_at = datetime('now', '-31 days') WHERE id = ?`, [expired.body.id]);
+
+    const purged = await purgeExpiredBooks(30);
+    const history = await request(app).get(`/books/${expired.body.id}/history?limit=1`);
+
+    expect(purged).toBe(1);
+    expect(await dbGet('SELECT id FROM books WHERE id = ?', [expired.body.id])).toBeUndefined();
+    expect(await dbGet('SELECT id FROM books WHERE id = ?', [recent.body.id])).toBeDefined();
+    expect(await dbGet('SELECT id FROM books WHERE id = ?', [live.body.id])).toBeDefined();
+    expect(history.body[0]).toMatchObject({action: 'purge', apiKeyId: null, actor: null, requestId: null, changes: {title: {before: 'Title 6', after: null}}});
+  });
+});
+
+// Executes a statement directly against the test DB
+function dbRun(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => err ? reject(err) : resolve());
+  });
+}
+
+// Selects one row directly from the test DB
+function dbGet(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+}
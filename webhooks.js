@@ -0,0 +1,579 @@
+// === FILE: webhooks.js ===
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const express = require('express');
+const {get, all, run} = require('./database');
+const {inputValidationId, inputValidationWebhookBody, inputValidationWebhookPatchBody, inputValidationDeliveryQuery,
+  defaultPageLimit} = require('./lib');
+const {httpError, validationError, asyncHandler} = require('./problems');
+const {requireRole} = require('./auth');
+const {attachAuthors} = require('./bookAuthors');
+const router = express.Router();
+
+// Settings used when neither an option nor an environment variable is given
+const defaultWebhookConfig = {
+  maxAttempts: 5,
+  retryBaseSeconds: 10,
+  timeoutMs: 5000,
+  concurrency: 5
+};
+
+// How often the deliveries due for another attempt are looked for, in milliseconds
+const webhookPollInterval = 5 * 1000;
+
+// The event announced for each kind of change of the audit log; a restored book reappears, so it is announced as created,
+//  and a purged book was announced as deleted when it was trashed
+const bookEvents = {insert: 'book.created', restore: 'book.created', update: 'book.updated', revert: 'book.updated', delete: 'book.deleted'};
+
+// Selects the subscriptions in the shape returned by the API; the secret is only returned when the subscription is created
+const webhooksStatement = 'SELECT id, url, events, created_at AS createdAt FROM webhooks';
+
+// Selects the deliveries in the shape returned by the API
+const deliveriesStatement = `
+  SELECT id, webhook_id AS webhookId, event, payload, status, attempts, response_status AS responseStatus, error,
+    next_attempt_at AS nextAttemptAt, last_attempt_at AS lastAttemptAt, created_at AS createdAt
+  FROM webhook_deliveries`;
+
+// The deliveries being attempted, so that overlapping passes do not post them twice, nor more than allowed at once
+const deliveriesInFlight = new Set();
+
+/**
+ * Resolves the webhook delivery settings; options take precedence over environment variables, which take precedence
+ *  over the defaults
+ *
+ * @param {Object} options - the delivery settings
+ * - {number} maxAttempts - how many times a delivery is attempted before it fails (WEBHOOK_MAX_ATTEMPTS)
+ * - {number} retryBaseSeconds - the wait before the first retry, doubled before each of the next ones (WEBHOOK_RETRY_BASE_SECONDS)
+ * - {number} timeoutMs - how long a URL has to respond to a delivery (WEBHOOK_TIMEOUT_MS)
+ * - {number} concurrency - how many deliveries are attempted at once, at most (WEBHOOK_CONCURRENCY)
+ * @param {Object} env - the environment variables
+ * @returns {Object} - The resolved settings, with the same fields as the options
+ */
+function resolveWebhookConfig(options = {}, env = process.env) {
+  const config = {...defaultWebhookConfig};
+  const variables = {
+    maxAttempts: 'WEBHOOK_MAX_ATTEMPTS', retryBaseSeconds: 'WEBHOOK_RETRY_BASE_SECONDS', timeoutMs: 'WEBHOOK_TIMEOUT_MS',
+    concurrency: 'WEBHOOK_CONCURRENCY'
+  };
+
+  Object.entries(variables).forEach(([setting, variable]) => {
+    if (options[setting] !== undefined) {
+      config[setting] = options[setting];
+    } else if (env[variable]) {
+      config[setting] = Number(env[variable]);
+    }
+  });
+  if (!Number.isInteger(config.maxAttempts) || config.maxAttempts < 1) {
+    throw new Error(`'maxAttempts' must be a positive integer.`);
+  }
+  if (!Number.isInteger(config.retryBaseSeconds) || config.retryBaseSeconds < 0) {
+    throw new Error(`'retryBaseSeconds' must be a non-negative integer.`);
+  }
+  if (!Number.isInteger(config.timeoutMs) || config.timeoutMs < 1) {
+    throw new Error(`'timeoutMs' must be a positive integer.`);
+  }
+  if (!Number.isInteger(config.concurrency) || config.concurrency < 1) {
+    throw new Error(`'concurrency' must be a positive integer.`);
+  }
+
+  return config;
+}
+
+/**
+ * Signs the body of a delivery; a receiver recomputes the signature with the secret of its subscription to check
+ *  that the delivery comes from the API and was not altered
+ *
+ * @param {string} secret - the secret of the subscription
+ * @param {string|number} timestamp - the 'X-Webhook-Timestamp' header of the delivery, in seconds since the epoch
+ * @param {string} body - the body of the delivery
+ * @returns {string} - The 'X-Webhook-Signature' header: 'sha256=' and the hex-encoded HMAC-SHA256 of '<timestamp>.<body>'
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Turns the rows of the subscriptions into subscriptions, parsing their events
+ *
+ * @param {Array<Object>} rows - the rows, selected with 'webhooksStatement'
+ * @returns {Array<Object>} - The subscriptions
+ */
+function formatWebhooks(rows) {
+  return rows.map(row => ({...row, events: JSON.parse(row.events)}));
+}
+
+/**
+ * Queues a change a request made to a book for delivery to the subscriptions of its event
+ * The deliveries are attempted once the response of the request is sent, so the request never waits on a URL; those of
+ *  a change the API makes on its own wait for the next scheduled pass
+ *
+ * @param {Object|null} req - the request that made the change, or null for a change the API makes on its own
+ * @param {string} action - one of 'auditActions'; a purge is not announced
+ * @param {number|string} id - the id of the book
+ * @param {Object} changes - the {before, after} value of each changed field, by field, as in the audit log
+ * @returns {Promise<void>}
+ */
+async function enqueueBookEvent(req, action, id, changes) {
+  const event = bookEvents[action];
+  if (!event) {
+    return;
+  }
+
+  const subscribersCondition = 'EXISTS (SELECT 1 FROM json_each(webhooks.events) WHERE value = ?)';
+  const count = await get(`SELECT COUNT(*) AS total FROM webhooks WHERE ${subscribersCondition}`, [event]);
+  if (count.total === 0) {
+    return;
+  }
+
+  // A created or updated book is sent as returned by GET /books/:id; a deleted one only by its id
+  const book = event === 'book.deleted' ? null : (await attachAuthors([await get('SELECT * FROM books WHERE id = ?', [id])]))[0];
+  const payload = JSON.stringify({
+    event: event, bookId: Number(id), book: book, changes: changes, requestId: req?.id ?? null, occurredAt: new Date().toISOString()
+  });
+  const insertStatement = `INSERT INTO webhook_deliveries (webhook_id, event, payload) SELECT id, ?, ? FROM webhooks WHERE ${subscribersCondition}`;
+  await run(insertStatement, [event, payload, event]);
+  deliverAfterResponse(req);
+}
+
+/**
+ * Attempts the due deliveries once the response of a request is sent; the deliveries queued by a request that fails
+ *  are rolled back with its changes, so only what the request committed is delivered
+ * The delivery settings are the app setting 'webhookConfig', resolved when the app is set up
+ *
+ * @param {Object|null} req - the request that queued deliveries
+ */
+function deliverAfterResponse(req) {
+  if (!req?.res || req.webhookDeliveriesQueued) {
+    return;
+  }
+  req.webhookDeliveriesQueued = true;
+  const config = req.app.get('webhookConfig');
+  req.res.once('finish', () => deliverPendingWebhooks(config).catch(err => {
+    console.error(`Failed to deliver webhooks: ${err.message}`);
+  }));
+}
+
+/**
+ * Posts the body of a delivery to a URL
+ *
+ * @param {string} url - the URL of the subscription
+ * @param {Object} headers - the headers of the delivery
+ * @param {string} body - the body of the delivery
+ * @param {number} timeoutMs - how long the URL has to respond
+ * @returns {Promise<number>} - The status of the response; rejects when the URL cannot be reached or does not respond in time
+ */
+function postWebhook(url, headers, body, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const options = {method: 'POST', headers: {...headers, 'Content-Length': Buffer.byteLength(body)}, timeout: timeoutMs};
+    const outgoing = client.request(target, options, (response) => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+      response.on('error', reject);
+    });
+    outgoing.on('timeout', () => outgoing.destroy(new Error(`No response within ${timeoutMs}ms`)));
+    outgoing.on('error', reject);
+    outgoing.end(body);
+  });
+}
+
+/**
+ * Attempts one delivery and records the outcome: a 2xx response succeeds it; otherwise it is retried after an
+ *  exponential backoff, or failed once it runs out of attempts
+ * The outcome is written once the running transaction ends, so that its rollback cannot undo it
+ *
+ * @param {Object} delivery - the delivery, with the 'url' and 'secret' of its subscription
+ * @param {Object} config - the resolved delivery settings
+ * @returns {Promise<void>}
+ */
+async function attemptDelivery(delivery, config) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'Bookstore-API-Webhooks',
+    'X-Webhook-Id': String(delivery.webhook_id),
+    'X-Webhook-Delivery': String(delivery.id),
+    'X-Webhook-Event': delivery.event,
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': signWebhookPayload(delivery.secret, timestamp, delivery.payload)
+  };
+
+  let statusCode = null;
+  let error = null;
+  try {
+    statusCode = await postWebhook(delivery.url, headers, delivery.payload, config.timeoutMs);
+  } catch (err) {
+    error = err.message;
+  }
+  const attempts = delivery.attempts + 1;
+  const succeeded = error === null && statusCode >= 200 && statusCode < 300;
+  let status = 'succeeded';
+  let nextAttempt = null;
+  if (!succeeded && attempts < config.maxAttempts) {
+    status = 'pending';
+    nextAttempt = `+${config.retryBaseSeconds * 2 ** (attempts - 1)} seconds`;
+  } else if (!succeeded) {
+    status = 'failed';
+  }
+
+  const updateStatement = `
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = ?, response_status = ?, error = ?, last_attempt_at = CURRENT_TIMESTAMP,
+      next_attempt_at = CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END
+    WHERE id = ?`;
+  const params = [status, attempts, statusCode, succeeded ? null : error ?? `Responded with status ${statusCode}`, nextAttempt, nextAttempt, delivery.id];
+  await run(updateStatement, params);
+}
+
+/**
+ * Attempts every pending delivery that is due; no more than 'concurrency' deliveries are attempted at once, counting
+ *  those of the passes still running
+ *
+ * @param {Object} config - the resolved delivery settings; see resolveWebhookConfig
+ * @returns {Promise<number>} - The number of deliveries attempted, once every attempt is recorded; rejects with the
+ *  first error once the others are recorded
+ */
+async function deliverPendingWebhooks(config) {
+  const dueStatement = `
+    SELECT webhook_deliveries.*, webhooks.url, webhooks.secret
+    FROM webhook_deliveries JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+    WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+    ORDER BY webhook_deliveries.id`;
+  const rows = await all(dueStatement);
+  const due = rows.filter(delivery => !deliveriesInFlight.has(delivery.id));
+
+  // Each worker attempts the due deliveries one after the other, until none is left
+  let attempted = 0;
+  let firstError = null;
+  const work = async () => {
+    while (due.length > 0) {
+      const delivery = due.shift();
+      if (deliveriesInFlight.has(delivery.id)) {
+        continue;
+      }
+      deliveriesInFlight.add(delivery.id);
+      try {
+        await attemptDelivery(delivery, config);
+        attempted += 1;
+      } catch (err) {
+        firstError = firstError ?? err;
+      } finally {
+        deliveriesInFlight.delete(delivery.id);
+      }
+    }
+  };
+  const workers = Math.max(0, Math.min(due.length, config.concurrency - deliveriesInFlight.size));
+  await Promise.all(Array.from({length: workers}, work));
+  if (firstError) {
+    throw firstError;
+  }
+  return attempted;
+}
+
+/**
+ * Attempts the due deliveries now and then every few seconds, so that the retries go out once their backoff is over
+ * The timer does not keep the process alive
+ *
+ * @param {Object} options - the delivery settings; see resolveWebhookConfig
+ * @returns {Object} - The timer
+ */
+function scheduleWebhookDeliveries(options = {}) {
+  const config = resolveWebhookConfig(options);
+  const deliver = () => deliverPendingWebhooks(config).catch(err => {
+    console.error(`Failed to deliver webhooks: ${err.message}`);
+  });
+  deliver();
+  return setInterval(deliver, webhookPollInterval).unref();
+}
+
+/**
+ * Reads a subscription, for a route that answers with it
+ *
+ * @param {string} id - the id of the subscription
+ * @returns {Promise<Object>} - The subscription; rejects with a 404 when it does not exist
+ */
+async function findWebhook(id) {
+  const row = await get(`${webhooksStatement} WHERE id = ?`, [id]);
+  if (!row) {
+    throw httpError(404, `Webhook with ID: ${id} not found`);
+  }
+  return formatWebhooks([row])[0];
+}
+
+// Managing the subscriptions needs the 'admin' role, including listing them and their deliveries
+router.use(requireRole('admin'));
+
+/**
+ * GET /webhooks
+ * Get every webhook subscription; requires the 'admin' role
+ *
+ * @response 200 - OK, returns the subscriptions
+ * @returns {Array<Object>} An array of subscription objects
+ * - {number} id - the unique identifier for each subscription
+ * - {string} url - the URL the events are posted to
+ * - {Array<string>} events - the events the subscription receives: 'book.created', 'book.updated', or 'book.deleted'
+ * - {string} createdAt - when the subscription was created
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'admin' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  // Structure DB call and execute
+  return res.json(formatWebhooks(await all(`${webhooksStatement} ORDER BY id`)));
+}));
+
+/**
+ * POST /webhooks
+ * Creates a new webhook subscription; requires the 'admin' role
+ * Each delivery is a POST of the event as JSON, signed in 'X-Webhook-Signature' with the secret of the subscription
+ * The secret is only returned by this request; it cannot be retrieved later
+ *
+ * @body {string} url - the http or https URL the events are posted to (required)
+ * @body {Array<string>} events - the events the subscription receives: 'book.created', 'book.updated', or 'book.deleted' (required)
+ * @body {string} secret - the secret the deliveries are signed with, of 16 to 256 characters; generated when not sent
+ *
+ * @response 201 - Created, the subscription is created
+ * @returns {Object} The subscription, as returned by GET /webhooks, with one more field
+ * - {string} secret - the secret the deliveries are signed with
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'admin' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.post('/', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const inputErrors = inputValidationWebhookBody(req.body);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls and execute
+  const secret = req.body.secret ?? `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+  const insertStatement = 'INSERT INTO webhooks (url, events, secret) VALUES (?, ?, ?)';
+  const {lastID} = await run(insertStatement, [req.body.url, JSON.stringify(req.body.events), secret]);
+  return res.status(201).json({...await findWebhook(lastID), secret: secret});
+}));
+
+/**
+ * GET /webhooks/:id
+ * Get a webhook subscription by ID; requires the 'admin' role
+ *
+ * @param {number} :id - the id of the subscription
+ *
+ * @response 200 - OK, returns the subscription, as returned by GET /webhooks
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'admin' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 404 - Webhook with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the entry cannot be found
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.get('/:id', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB call and execute
+  return res.json(await findWebhook(id));
+}));
+
+/**
+ * PATCH /webhooks/:id
+ * Partially update a webhook subscription by ID; only the fields sent are updated; requires the 'admin' role
+ * The deliveries already queued keep going to the URL they were queued for, signed with the current secret
+ *
+ * @param {number} :id - the id of the subscription
+ *
+ * @body {string} url - the new http or https URL the events are posted to
+ * @body {Array<string>} events - the new events the subscription receives
+ * @body {string} secret - the new secret the deliveries are signed with, of 16 to 256 characters
+ *
+ * @response 200 - OK, returns the updated subscription, as returned by GET /webhooks
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'admin' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 404 - Webhook with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the entry cannot be found
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.patch('/:id', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id).concat(inputValidationWebhookPatchBody(req.body));
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB calls from the fields that were sent and execute
+  const values = {...req.body};
+  if (values.events) {
+    values.events = JSON.stringify(values.events);
+  }
+  const fields = ['url', 'events', 'secret'].filter(field => field in values);
+  const updateStatement = `UPDATE webhooks SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`;
+  const {changes} = await run(updateStatement, [...fields.map(field => values[field]), id]);
+  if (changes === 0) {
+    return next(httpError(404, `Webhook with ID: ${id} not found`));
+  }
+  return res.status(200).json(await findWebhook(id));
+}));
+
+/**
+ * DELETE /webhooks/:id
+ * Deletes a webhook subscription by ID, with its deliveries, including the pending ones; requires the 'admin' role
+ *
+ * @param {number} :id - the id of the subscription
+ *
+ * @response 200 - OK, the subscription is deleted
+ * @returns {Object} An object holding the confirmation information
+ * - {string} message - a confirmation message
+ * - {number} id - the unique identifier for the deleted subscription
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'admin' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 404 - Webhook with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the entry cannot be found
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.delete('/:id', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id);
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure DB call and execute; the deliveries follow the subscription through their foreign key
+  const {changes} = await run('DELETE FROM webhooks WHERE id = ?', [id]);
+  if (changes === 0) {
+    return next(httpError(404, `Webhook with ID: ${id} not found`));
+  }
+  return res.status(200).json({message: 'Webhook successfully deleted', id: id});
+}));
+
+/**
+ * GET /webhooks/:id/deliveries
+ * Get the deliveries of a webhook subscription, newest first, optionally filtered; requires the 'admin' role
+ *
+ * @param {number} :id - the id of the subscription
+ *
+ * @query {string} status - only return the deliveries in this state: pending, succeeded or failed
+ * @query {string} event - only return the deliveries of this event
+ * @query {number} limit - the page size, between 1 and 1000 (default: 100)
+ * @query {number} offset - the number of deliveries to skip
+ *
+ * @response 200 - OK, returns the requested page of deliveries
+ * @header X-Total-Count - the number of deliveries matching the filters, across all pages
+ * @returns {Array<Object>} An array of delivery objects
+ * - {number} id - the unique identifier for each delivery, sent in its 'X-Webhook-Delivery' header
+ * - {number} webhookId - the id of the subscription
+ * - {string} event - the event delivered
+ * - {Object} payload - the body posted to the URL
+ * - {string} status - 'pending' until the URL accepts it with a 2xx response ('succeeded') or it runs out of attempts ('failed')
+ * - {number} attempts - how many times it was posted
+ * - {number} responseStatus - the status of the last response, or null when the URL could not be reached
+ * - {string} error - why the last attempt failed, or null
+ * - {string} nextAttemptAt - when it is posted next, while it is pending
+ * - {string} lastAttemptAt - when it was last posted, or null
+ * - {string} createdAt - when it was queued
+ *
+ * @response 400 - Input validation failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {Array<Object>} errors - the input validation errors, each with its 'detail' and, when known, its 'field'
+ *
+ * @response 401 - The request does not send a valid API key
+ * @response 403 - The API key does not have the 'admin' role
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating why the request was rejected
+ *
+ * @response 404 - Webhook with specified ID not found
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - a message stating that the entry cannot be found
+ *
+ * @response 500 - Internal server error - DB failure
+ * @returns {Object} A problem, as 'application/problem+json'
+ * - {string} detail - the request ID to quote; the DB error itself is only shown in development
+ */
+router.get('/:id/deliveries', asyncHandler(async (req, res, next) => {
+  // Input validation
+  const id = req.params.id;
+  const inputErrors = inputValidationId(id).concat(inputValidationDeliveryQuery(req.query));
+  if (inputErrors.length > 0) {
+    return next(validationError(inputErrors));
+  }
+
+  // Structure the DB queries and execute
+  const filters = ['status', 'event'].filter(field => field in req.query);
+  const filterClause = ['webhook_id = ?', ...filters.map(field => `${field} = ?`)].join(' AND ');
+  const params = [id, ...filters.map(field => req.query[field])];
+  const limit = 'limit' in req.query ? Number(req.query.limit) : defaultPageLimit;
+  const offset = Number(req.query.offset ?? 0);
+  await findWebhook(id);
+  const count = await get(`SELECT COUNT(*) AS total FROM webhook_deliveries WHERE ${filterClause}`, params);
+  const rows = await all(`${deliveriesStatement} WHERE ${filterClause} ORDER BY id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+  res.set('X-Total-Count', String(count.total));
+  return res.json(rows.map(row => ({...row, payload: JSON.parse(row.payload)})));
+}));
+
+module.exports = {
+  router,
+  bookEvents,
+  resolveWebhookConfig,
+  signWebhookPayload,
+  enqueueBookEvent,
+  deliverPendingWebhooks,
+  scheduleWebhookDeliveries
+};
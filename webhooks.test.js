@@ -0,0 +1,343 @@
+// === FILE: webhooks.test.js ===
+/**
+ * @file webhooks.test.js
+ * @description The test suite for the webhook subscriptions of the Bookstore API, delivered to a local HTTP receiver
+ *
+ * Endpoints covered:
+ * - GET /webhooks
+ * - POST /webhooks
+ * - GET /webhooks/:id
+ * - PATCH /webhooks/:id
+ * - DELETE /webhooks/:id
+ * - GET /webhooks/:id/deliveries
+ */
+const crypto = require('crypto');
+const http = require('http');
+const request = require('supertest');
+const app = require('./index');
+const {getDb, initializeDb, run, withTransaction} = require('./database');
+const {createApiKey} = require('./auth');
+const {resolveWebhookConfig, deliverPendingWebhooks} = require('./webhooks');
+
+let db;
+
+// Headers that authenticate the requests that change data
+let auth;
+
+// The local receiver of the deliveries, its base URL, and the deliveries it received
+let receiver;
+let receiverUrl;
+const received = [];
+
+// The status the receiver answers on '/failing'
+let failingStatus = 500;
+
+// How many requests the receiver is answering on '/slow', and the most it answered at once
+let slowActive = 0;
+let slowPeak = 0;
+
+/**
+ * Creates an API key with the given role in the current DB
+ *
+ * @param {string} role - the role the key grants
+ * @returns {Promise<Object>} - The headers that authenticate requests with the key
+ */
+function apiKeyHeader(role) {
+  return createApiKey('Tests', role).then(apiKey => ({Authorization: `Bearer ${apiKey.key}`}));
+}
+
+/**
+ * Waits until a check passes, checking every few milliseconds for up to two seconds
+ *
+ * @param {Function} check - returns, or resolves to, a truthy value once it passes
+ * @returns {Promise<*>} - The value of the check that passed
+ */
+async function waitFor(check) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('The check did not pass within two seconds');
+}
+
+describe('Webhooks - Settings', () => {
+
+  test('resolveWebhookConfig - Options take precedence over environment variables, which take precedence over the defaults', () => {
+    expect(resolveWebhookConfig({}, {})).toStrictEqual({maxAttempts: 5, retryBaseSeconds: 10, timeoutMs: 5000, concurrency: 5});
+    const env = {WEBHOOK_MAX_ATTEMPTS: '3', WEBHOOK_RETRY_BASE_SECONDS: '60', WEBHOOK_TIMEOUT_MS: '1000', WEBHOOK_CONCURRENCY: '2'};
+    expect(resolveWebhookConfig({}, env)).toStrictEqual({maxAttempts: 3, retryBaseSeconds: 60, timeoutMs: 1000, concurrency: 2});
+    expect(resolveWebhookConfig({maxAttempts: 1}, {WEBHOOK_MAX_ATTEMPTS: '3'}))
+      .toStrictEqual({maxAttempts: 1, retryBaseSeconds: 10, timeoutMs: 5000, concurrency: 5});
+  });
+
+  test('resolveWebhookConfig - Invalid settings are rejected', () => {
+    expect(() => resolveWebhookConfig({}, {WEBHOOK_MAX_ATTEMPTS: 'many'})).toThrow(`'maxAttempts' must be a positive integer.`);
+    expect(() => resolveWebhookConfig({retryBaseSeconds: -1}, {})).toThrow(`'retryBaseSeconds' must be a non-negative integer.`);
+    expect(() => resolveWebhookConfig({timeoutMs: 0}, {})).toThrow(`'timeoutMs' must be a positive integer.`);
+    expect(() => resolveWebhookConfig({}, {WEBHOOK_CONCURRENCY: '0'})).toThrow(`'concurrency' must be a positive integer.`);
+  });
+});
+
+describe('Bookstore API - Webhooks', () => {
+
+  // Executes before any test; connects to a fresh in-memory DB and starts the receiver
+  beforeAll(async () => {
+    await initializeDb();
+    db = getDb();
+    auth = await apiKeyHeader('admin');
+    app.set('webhookConfig', resolveWebhookConfig({timeoutMs: 200}, {}));
+
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        received.push({path: req.url, headers: req.headers, body: body});
+        if (req.url === '/hanging') {
+          return;
+        } else if (req.url === '/slow') {
+          slowActive += 1;
+          slowPeak = Math.max(slowPeak, slowActive);
+          return setTimeout(() => {
+            slowActive -= 1;
+            res.statusCode = 204;
+            res.end();
+          }, 50);
+        }
+        res.statusCode = req.url === '/failing' ? failingStatus : 204;
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+  });
+
+  // Stops the receiver and closes the DB connection after all tests execute
+  afterAll(async () => {
+    receiver.closeAllConnections();
+    await new Promise(resolve => receiver.close(resolve));
+    await db.close();
+  });
+
+  test('POST /webhooks - Creates a subscription, whose secret is only returned once', async () => {
+    const created = await request(app).post('/webhooks').set(auth).send({url: `${receiverUrl}/ok`, events: ['book.updated']});
+    const chosen = await request(app).post('/webhooks').set(auth).send({url: `${receiverUrl}/ok`, events: ['book.deleted'], secret: 'a-secret-of-16-chars'});
+    const read = await request(app).get(`/webhooks/${created.body.id}`).set(auth);
+    const list = await request(app).get('/webhooks').set(auth);
+
+    expect(created.statusCode).toBe(201);
+    expect(created.body).toStrictEqual({
+      id: expect.any(Number), url: `${receiverUrl}/ok`, events: ['book.updated'], createdAt: expect.any(String), secret: expect.stringMatching(/^whsec_/)
+    });
+    expect(chosen.body.secret).toBe('a-secret-of-16-chars');
+    expect(read.body).toStrictEqual({id: created.body.id, url: `${receiverUrl}/ok`, events: ['book.updated'], createdAt: created.body.createdAt});
+    expect(list.body.map(webhook => webhook.id)).toStrictEqual([created.body.id, chosen.body.id]);
+    expect(list.body.every(webhook => !('secret' in webhook))).toBe(true);
+
+    await request(app).delete(`/webhooks/${created.body.id}`).set(auth);
+    await request(app).delete(`/webhooks/${chosen.body.id}`).set(auth);
+  });
+
+  test('POST /webhooks - Validates the URL, the events and the secret, and requires the admin role', async () => {
+    const invalid = await request(app).post('/webhooks').set(auth)
+      .send({url: 'ftp://example.com', events: ['book.created', 'book.sold', 'book.created'], secret: 'short', active: true});
+    const missing = await request(app).post('/webhooks').set(auth).send({});
+    const editor = await request(app).post('/webhooks').set(await apiKeyHeader('editor')).send({url: `${receiverUrl}/ok`, events: ['book.created']});
+
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.errors.map(error => error.detail)).toStrictEqual([
+      `'active' is not an expected field. Please remove this from payload.`,
+      `'url' must be an absolute http or https URL.`,
+      `'events[1]' must be one of: book.created, book.updated, book.deleted.`,
+      `'events[2]' lists 'book.created' more than once.`,
+      `'secret' must be between 16 and 256 characters long.`
+    ]);
+    expect(missing.body.errors.map(error => error.detail)).toStrictEqual([`'url' is required.`, `'events' is required.`]);
+    expect(editor.statusCode).toBe(403);
+  });
+
+  test('PATCH /webhooks/:id - Changes only the fields sent', async () => {
+    const created = await request(app).post('/webhooks').set(auth).send({url: `${receiverUrl}/ok`, events: ['book.created']});
+
+    const res = await request(app).patch(`/webhooks/${created.body.id}`).set(auth).send({events: ['book.created', 'book.deleted']});
+    const empty = await request(app).patch(`/webhooks/${created.body.id}`).set(auth).send({});
+    const missing = await request(app).patch('/webhooks/99999').set(auth).send({url: `${receiverUrl}/ok`});
+
+    const {secret, ...webhook} = created.body;
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toStrictEqual({...webhook, events: ['book.created', 'book.deleted']});
+    expect(secret).toMatch(/^whsec_/);
+    expect(empty.statusCode).toBe(400);
+    expect(missing.statusCode).toBe(404);
+
+    await request(app).delete(`/webhooks/${created.body.id}`).set(auth);
+  });
+
+  test('Deliveries - Posts the subscribed events, signed with the secret of the subscription', async () => {
+    const webhook = await request(app).post('/webhooks').set(auth).send({url: `${receiverUrl}/ok`, events: ['book.created', 'book.deleted']});
+    received.length = 0;
+
+    const created = await request(app).post('/books').set(auth).send({title: 'Title 1', author: 'Author 1', price: 10});
+    await request(app).patch(`/books/${created.body.id}`).set(auth).send({price: 12});
+    const deleted = await request(app).delete(`/books/${created.body.id}`).set(auth);
+    await waitFor(() => received.length === 2);
+    const log = await waitFor(async () => {
+      const res = await request(app).get(`/webhooks/${webhook.body.id}/deliveries?status=succeeded`).set(auth);
+      return res.body.length === 2 && res;
+    });
+
+    const [creation, deletion] = received;
+    const signature = crypto.createHmac('sha256', webhook.body.secret).update(`${creation.headers['x-webhook-timestamp']}.${creation.body}`).digest('hex');
+    expect(creation.headers).toMatchObject({
+      'content-type': 'application/json', 'x-webhook-id': String(webhook.body.id), 'x-webhook-event': 'book.created',
+      'x-webhook-delivery': String(log.body[1].id), 'x-webhook-signature': `sha256=${signature}`
+    });
+    expect(JSON.parse(creation.body)).toStrictEqual({
+      event: 'book.created', bookId: created.body.id, book: expect.objectContaining({id: created.body.id, title: 'Title 1', price: 10, authors: [{id: expect.any(Number), name: 'Author 1'}]}),
+      changes: expect.objectContaining({title: {before: null, after: 'Title 1'}}), requestId: created.headers['x-request-id'], occurredAt: expect.any(String)
+    });
+    expect(JSON.parse(deletion.body)).toMatchObject({
+      event: 'book.deleted', bookId: created.body.id, book: null, requestId: deleted.headers['x-request-id']
+    });
+    expect(log.headers['x-total-count']).toBe('2');
+    expect(log.body[0]).toStrictEqual({
+      id: expect.any(Number), webhookId: webhook.body.id, event: 'book.deleted', payload: JSON.parse(deletion.body), status: 'succeeded',
+      attempts: 1, responseStatus: 204, error: null, nextAttemptAt: null, lastAttemptAt: expect.any(String), createdAt: expect.any(String)
+    });
+
+    await request(app).delete(`/webhooks/${webhook.body.id}`).set(auth);
+  });
+
+  test('Deliveries - A failed delivery is retried with an exponential backoff, until it succeeds or runs out of attempts', async () => {
+    const webhook = await request(app).post('/webhooks').set(auth).send({url: `${receiverUrl}/failing`, events: ['book.created']});
+    failingStatus = 500;
+
+    const created = await request(app).post('/books').set(auth).send({title: 'Title 2', author: 'Author 2'});
+    const first = await waitFor(() => dbGet('SELECT * FROM webhook_deliveries WHERE webhook_id = ? AND attempts = 1', [webhook.body.id]));
+    await dbRun(`UPDATE webhook_deliveries SET next_attempt_at = datetime('now', '-1 seconds') WHERE id = ?`, [first.id]);
+    await deliver(resolveWebhookConfig({}, {}));
+    const second = await dbGet('SELECT * FROM webhook_deliveries WHERE id = ?', [first.id]);
+    failingStatus = 202;
+    await dbRun(`UPDATE webhook_deliveries SET next_attempt_at = datetime('now', '-1 seconds') WHERE id = ?`, [first.id]);
+    await deliver(resolveWebhookConfig({}, {}));
+    const third = await dbGet('SELECT * FROM webhook_deliveries WHERE id = ?', [first.id]);
+
+    expect(created.statusCode).toBe(201);
+    expect(first).toMatchObject({status: 'pending', response_status: 500, error: 'Responded with status 500'});
+    expect(secondsBetween(first.last_attempt_at, first.next_attempt_at)).toBe(10);
+    expect(second).toMatchObject({status: 'pending', attempts: 2, response_status: 500});
+    expect(secondsBetween(second.last_attempt_at, second.next_attempt_at)).toBe(20);
+    expect(third).toMatchObject({status: 'succeeded', attempts: 3, response_status: 202, error: null, next_attempt_at: null});
+
+    failingStatus = 503;
+    await request(app).post('/books').set(auth).send({title: 'Title 3', author: 'Author 3'});
+    const retried = await waitFor(() => dbGet(`SELECT * FROM webhook_deliveries WHERE webhook_id = ? AND status = 'pending' AND attempts = 1`, [webhook.body.id]));
+    await dbRun(`UPDATE webhook_deliveries SET next_attempt_at = datetime('now', '-1 seconds') WHERE id = ?`, [retried.id]);
+    await deliver(resolveWebhookConfig({maxAttempts: 2}, {}));
+    const failed = await request(app).get(`/webhooks/${webhook.body.id}/deliveries?status=failed`).set(auth);
+
+    expect(failed.body).toHaveLength(1);
+    expect(failed.body[0]).toMatchObject({id: retried.id, attempts: 2, responseStatus: 503, nextAttemptAt: null});
+
+    await request(app).delete(`/webhooks/${webhook.body.id}`).set(auth);
+    expect(await dbGet('SELECT COUNT(*) AS total FROM webhook_deliveries WHERE webhook_id = ?', [webhook.body.id])).toEqual({total: 0});
+  });
+
+  test('Deliveries - The write answers before the delivery, whose URL may be slow or unreachable', async () => {
+    const hanging = await request(app).post('/webhooks').set(auth).send({url: `${receiverUrl}/hanging`, events: ['book.created']});
+    const unreachable = await request(app).post('/webhooks').set(auth).send({url: 'http://127.0.0.1:9/hooks', events: ['book.created']});
+
+    const created = await request(app).post('/books').set(auth).send({title: 'Title 4', author: 'Author 4'});
+    const pending = await dbGet('SELECT attempts FROM webhook_deliveries WHERE webhook_id = ?', [hanging.body.id]);
+    const timedOut = await waitFor(() => dbGet('SELECT * FROM webhook_deliveries WHERE webhook_id = ? AND attempts = 1', [hanging.body.id]));
+    const refused = await waitFor(() => dbGet('SELECT * FROM webhook_deliveries WHERE webhook_id = ? AND attempts = 1', [unreachable.body.id]));
+
+    expect(created.statusCode).toBe(201);
+    expect(pending).toEqual({attempts: 0});
+    expect(timedOut).toMatchObject({status: 'pending', response_status: null, error: 'No response within 200ms'});
+    expect(refused).toMatchObject({status: 'pending', response_status: null, error: expect.stringContaining('ECONNREFUSED')});
+
+    await request(app).delete(`/webhooks/${hanging.body.id}`).set(auth);
+    await request(app).delete(`/webhooks/${unreachable.body.id}`).set(auth);
+  });
+
+  test('Deliveries - No more deliveries than the concurrency setting are attempted at once', async () => {
+    const webhook = await request(app).post('/webhooks').set(auth).send({url: `${receiverUrl}/slow`, events: ['book.created']});
+    for (let index = 0; index < 5; index++) {
+      await dbRun(`INSERT INTO webhook_deliveries (webhook_id, event, payload) VALUES (?, 'book.created', '{}')`, [webhook.body.id]);
+    }
+
+    const attempted = await deliver(resolveWebhookConfig({concurrency: 2}, {}));
+    const succeeded = await request(app).get(`/webhooks/${webhook.body.id}/deliveries?status=succeeded`).set(auth);
+
+    expect(attempted).toBe(5);
+    expect(slowPeak).toBe(2);
+    expect(succeeded.body).toHaveLength(5);
+
+    await request(app).delete(`/webhooks/${webhook.body.id}`).set(auth);
+  });
+
+  test('Deliveries - The outcome of a delivery is kept when a transaction running alongside it rolls back', async () => {
+    const webhook = await request(app).post('/webhooks').set(auth).send({url: `${receiverUrl}/ok`, events: ['book.created']});
+    await dbRun(`INSERT INTO webhook_deliveries (webhook_id, event, payload) VALUES (?, 'book.created', '{}')`, [webhook.body.id]);
+
+    const failing = expect(withTransaction(async () => {
+      await run('UPDATE webhooks SET url = url WHERE id = ?', [webhook.body.id]);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      throw new Error('The change is refused');
+    })).rejects.toThrow('The change is refused');
+    const attempted = await deliver(resolveWebhookConfig({}, {}));
+
+    await failing;
+    expect(attempted).toBe(1);
+    expect(await dbGet('SELECT status, attempts FROM webhook_deliveries WHERE webhook_id = ?', [webhook.body.id])).toEqual({status: 'succeeded', attempts: 1});
+
+    await request(app).delete(`/webhooks/${webhook.body.id}`).set(auth);
+  });
+
+  test('GET /webhooks/:id/deliveries - Validates the filters, and the subscription must exist', async () => {
+    const created = await request(app).post('/webhooks').set(auth).send({url: `${receiverUrl}/ok`, events: ['book.created']});
+
+    const invalid = await request(app).get(`/webhooks/${created.body.id}/deliveries?status=late&event=book.sold&limit=0`).set(auth);
+    const missing = await request(app).get('/webhooks/99999/deliveries').set(auth);
+
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.errors.map(error => error.detail)).toStrictEqual([
+      `'status' must be one of: pending, succeeded, failed.`,
+      `'event' must be one of: book.created, book.updated, book.deleted.`,
+      `'limit' must be an integer between 1 and 1000.`
+    ]);
+    expect(missing.statusCode).toBe(404);
+
+    await request(app).delete(`/webhooks/${created.body.id}`).set(auth);
+  });
+});
+
+// Attempts the due deliveries directly, as the scheduled retries do
+function deliver(config) {
+  return deliverPendingWebhooks(config);
+}
+
+// The seconds between two timestamps of the DB
+function secondsBetween(from, to) {
+  return (Date.parse(`${to}Z`) - Date.parse(`${from}Z`)) / 1000;
+}
+
+// Executes a statement directly against the test DB
+function dbRun(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => err ? reject(err) : resolve());
+  });
+}
+
+// Selects one row directly from the test DB
+function dbGet(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+}